@@ -0,0 +1,203 @@
+const { ethers } = require('ethers');
+
+/**
+ * Hash-chained action transcript
+ *
+ * Every table keeps a transcript whose hashes are what the contract is sent:
+ *
+ *   start    hash = the first hand's seed commitment (startGame's initialGameHash)
+ *   action   hash = keccak256(abi.encode(prevHash, gameId, index, player,
+ *                   actionCode, amountWei, keccak256(stateJson)))
+ *            (submitAction's newGameHash)
+ *   finish   hash = keccak256(abi.encode(prevHash, gameId, index, recipient,
+ *                   FINISH_CODE, handsPlayed, 0))
+ *            (finishGame's gameHash)
+ *
+ * `state` is the table's public state right after the action - stacks,
+ * bets, pot, board and the hand's seed commitment - so each hash commits to
+ * the whole game so far. Actions are encoded as uint8 ACTION_CODES, the
+ * value submitAction takes. The transaction queue coalesces actions, so
+ * only some action hashes reach the chain; verifyTranscript() recomputes
+ * the chain and checks that every ActionSubmitted event lands on it.
+ */
+
+const ACTION_CODES = {
+  fold: 0,
+  check: 1,
+  call: 2,
+  bet: 3,
+  raise: 4,
+  'all-in': 5
+};
+
+// Marks the closing entry; never a submitted action
+const FINISH_CODE = 255;
+
+const ENTRY_TYPES = { START: 'start', ACTION: 'action', FINISH: 'finish' };
+
+const HASH_TYPES = ['bytes32', 'uint256', 'uint256', 'address', 'uint8', 'uint256', 'bytes32'];
+
+function encodeAction(action) {
+  const code = ACTION_CODES[action];
+  if (code === undefined) throw new Error(`Unknown action: ${action}`);
+  return code;
+}
+
+function decodeAction(code) {
+  const action = Object.keys(ACTION_CODES).find(name => ACTION_CODES[name] === Number(code));
+  return action === undefined ? null : action;
+}
+
+// Chip amounts as the chain adapter sends them
+function toWei(amount) {
+  return ethers.parseEther((amount || 0).toString());
+}
+
+/**
+ * The public state an action entry commits to, in a fixed shape
+ */
+function publicState(gameState) {
+  return {
+    handNumber: gameState.handNumber,
+    street: gameState.phase,
+    commitment: gameState.fairness.current ? gameState.fairness.current.commitment : null,
+    board: gameState.communityCards.map(c => `${c.rank}${c.suit[0]}`),
+    pot: gameState.pot,
+    currentBet: gameState.currentBet,
+    players: gameState.players.map(p => [p.address, p.chips, p.currentBet, p.hasFolded, p.isAllIn])
+  };
+}
+
+function stateHash(state) {
+  return ethers.keccak256(ethers.toUtf8Bytes(JSON.stringify(state)));
+}
+
+// The hash an entry should carry, from its own fields
+function entryHash(entry) {
+  if (entry.type === ENTRY_TYPES.START) return entry.state.commitment;
+
+  const values = entry.type === ENTRY_TYPES.ACTION
+    ? [entry.player, entry.code, toWei(entry.amount), stateHash(entry.state)]
+    : [entry.recipient, FINISH_CODE, entry.handsPlayed, ethers.ZeroHash];
+  return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(HASH_TYPES, [entry.prevHash, entry.gameId, entry.index, ...values]));
+}
+
+/**
+ * Start a table's transcript as its first hand is dealt
+ */
+function startEntry(gameState) {
+  const entry = {
+    index: 0,
+    type: ENTRY_TYPES.START,
+    gameId: gameState.id,
+    prevHash: ethers.ZeroHash,
+    state: { handNumber: gameState.handNumber, commitment: gameState.fairness.current.commitment }
+  };
+  return { ...entry, hash: entryHash(entry) };
+}
+
+/**
+ * The entry for an action just applied; `amount` is the chips it put in
+ */
+function actionEntry(gameState, player, action, amount) {
+  const entry = {
+    index: gameState.transcript.length,
+    type: ENTRY_TYPES.ACTION,
+    gameId: gameState.id,
+    prevHash: gameState.transcript.head,
+    player: player.address,
+    action,
+    code: encodeAction(action),
+    amount,
+    state: publicState(gameState)
+  };
+  return { ...entry, hash: entryHash(entry) };
+}
+
+function finishEntry(gameState, recipient) {
+  const entry = {
+    index: gameState.transcript.length,
+    type: ENTRY_TYPES.FINISH,
+    gameId: gameState.id,
+    prevHash: gameState.transcript.head,
+    recipient,
+    handsPlayed: gameState.handNumber
+  };
+  return { ...entry, hash: entryHash(entry) };
+}
+
+/**
+ * Check a transcript against itself and against the table's indexed
+ * GameStarted / ActionSubmitted / GameFinished events. Returns
+ * { valid, head, entries, anchored, errors } where `anchored` counts the
+ * entries whose hash was found on-chain.
+ */
+function verifyTranscript(entries, events = []) {
+  const errors = [];
+  const same = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+  entries.forEach((entry, i) => {
+    if (entry.index !== i) errors.push(`Entry ${i} has index ${entry.index}`);
+    const prevHash = i === 0 ? ethers.ZeroHash : entries[i - 1].hash;
+    if (entry.prevHash !== prevHash) errors.push(`Entry ${i} does not follow entry ${i - 1}`);
+    if (entryHash(entry) !== entry.hash) errors.push(`Entry ${i} hash does not match its contents`);
+    if (entry.type === ENTRY_TYPES.ACTION && decodeAction(entry.code) !== entry.action) {
+      errors.push(`Entry ${i} action code ${entry.code} is not ${entry.action}`);
+    }
+  });
+  if (entries.length > 0 && entries[0].type !== ENTRY_TYPES.START) errors.push('Transcript does not open with a start entry');
+
+  const byHash = new Map(entries.map(entry => [entry.hash, entry]));
+  const anchored = new Set();
+  let lastIndex = -1;
+  for (const event of events) {
+    if (event.name === 'GameStarted') {
+      if (!entries[0] || event.args.initialGameHash !== entries[0].hash) {
+        errors.push(`GameStarted in block ${event.blockNumber} does not match the transcript's start`);
+      } else {
+        anchored.add(0);
+      }
+    } else if (event.name === 'ActionSubmitted') {
+      const entry = byHash.get(event.args.newGameHash);
+      if (!entry || entry.type !== ENTRY_TYPES.ACTION) {
+        errors.push(`ActionSubmitted in block ${event.blockNumber} is not on the transcript`);
+        continue;
+      }
+      if (!same(event.args.player, entry.player) || Number(event.args.action) !== entry.code || event.args.amount !== entry.amount) {
+        errors.push(`ActionSubmitted in block ${event.blockNumber} does not match entry ${entry.index}`);
+      }
+      if (entry.index <= lastIndex) errors.push(`ActionSubmitted in block ${event.blockNumber} is out of order`);
+      lastIndex = entry.index;
+      anchored.add(entry.index);
+    } else if (event.name === 'GameFinished') {
+      const finish = entries.find(entry => entry.type === ENTRY_TYPES.FINISH);
+      if (!finish || !same(event.args.winner, finish.recipient)) {
+        errors.push(`GameFinished in block ${event.blockNumber} does not match the transcript's finish`);
+      } else {
+        anchored.add(finish.index);
+      }
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    head: entries.length > 0 ? entries[entries.length - 1].hash : null,
+    entries: entries.length,
+    anchored: anchored.size,
+    errors
+  };
+}
+
+module.exports = {
+  ACTION_CODES,
+  FINISH_CODE,
+  ENTRY_TYPES,
+  encodeAction,
+  decodeAction,
+  publicState,
+  entryHash,
+  startEntry,
+  actionEntry,
+  finishEntry,
+  verifyTranscript
+};
@@ -0,0 +1,164 @@
+/**
+ * API errors
+ *
+ * Every failed request gets the same body:
+ *
+ *   { success: false, error: 'Not your turn', code: 'NOT_YOUR_TURN', details? }
+ *
+ * `code` is stable and meant for programs; `error` is for people and may
+ * change. Routes throw or send an ApiError with a code from ERROR_CODES,
+ * which also fixes the HTTP status. Errors from the rule modules
+ * (ActionError, LobbyError, TournamentError) and contract reverts are
+ * mapped onto codes by toApiError(); anything else is logged and reported
+ * as INTERNAL_ERROR without its message, so RPC and library details never
+ * reach clients.
+ */
+
+const { ActionError } = require('./betting');
+const { LobbyError } = require('./lobby');
+const { TournamentError } = require('./tournament');
+
+// code -> HTTP status
+const ERROR_CODES = {
+  VALIDATION_ERROR: 400,
+  INVALID_JSON: 400,
+  INVALID_ACTION: 400,
+  INVALID_RAISE: 400,
+  INSUFFICIENT_CHIPS: 400,
+  NOT_YOUR_TURN: 400,
+  NO_HAND_IN_PROGRESS: 400,
+  CANNOT_ACT: 400,
+  HAND_IN_PROGRESS: 400,
+  NOT_ENOUGH_PLAYERS: 400,
+  GAME_FULL: 400,
+  GAME_FINISHED: 400,
+  ALREADY_JOINED: 400,
+  BUY_IN_USED: 400,
+  INVALID_BUY_IN: 400,
+  TOURNAMENT_TABLE: 400,
+  TOURNAMENT_STARTED: 400,
+  REGISTRATION_CLOSED: 400,
+  ALREADY_REGISTERED: 400,
+  TOURNAMENT_FULL: 400,
+  NOT_REGISTERED: 400,
+  UNAUTHORIZED: 401,
+  BUY_IN_REQUIRED: 402,
+  ENTRY_FEE_REQUIRED: 402,
+  INSUFFICIENT_BALANCE: 402,
+  FORBIDDEN: 403,
+  NOT_A_PLAYER: 403,
+  CHALLENGE_FAILED: 403,
+  ADMIN_DISABLED: 403,
+  NOT_FOUND: 404,
+  GAME_NOT_FOUND: 404,
+  HAND_NOT_FOUND: 404,
+  TOURNAMENT_NOT_FOUND: 404,
+  TRANSACTION_NOT_FOUND: 404,
+  PLAYER_NOT_FOUND: 404,
+  CONTRACT_REVERTED: 409,
+  GAME_STATE_CONFLICT: 409,
+  TABLE_PAUSED: 409,
+  RATE_LIMITED: 429,
+  TOO_MANY_GAMES: 429,
+  FAUCET_DAILY_CAP: 429,
+  INTERNAL_ERROR: 500,
+  CHAIN_UNAVAILABLE: 502,
+  SERVER_WALLET_UNFUNDED: 503,
+  CHAIN_UNAUTHORIZED: 503,
+  FAUCET_EXHAUSTED: 503
+};
+
+class ApiError extends Error {
+  constructor(code, message, details = undefined) {
+    if (!(code in ERROR_CODES)) throw new Error(`Unknown error code: ${code}`);
+    super(message);
+    this.code = code;
+    this.status = ERROR_CODES[code];
+    this.details = details;
+  }
+}
+
+/**
+ * Contract revert reasons (require strings and custom errors) as API
+ * errors, most specific first
+ */
+const REVERT_RULES = [
+  { match: /OwnableUnauthorizedAccount|not (the )?game ?server|only (the )?(game ?server|owner)/i, code: 'CHAIN_UNAUTHORIZED', message: 'The server wallet is not authorized on the contract' },
+  { match: /ERC20InsufficientBalance|insufficient balance|exceeds balance/i, code: 'INSUFFICIENT_BALANCE', message: 'Insufficient token balance' },
+  { match: /ERC20InsufficientAllowance|insufficient allowance|exceeds allowance/i, code: 'INSUFFICIENT_BALANCE', message: 'Token allowance too low - approve the game contract first' },
+  { match: /too many active games|max(imum)? active games/i, code: 'TOO_MANY_GAMES', message: 'Too many active games' },
+  { match: /game (is )?full/i, code: 'GAME_FULL', message: 'Game full' },
+  { match: /already joined|already in game/i, code: 'ALREADY_JOINED', message: 'Already joined' },
+  { match: /buy-?in/i, code: 'INVALID_BUY_IN', message: 'Buy-in rejected by the contract' },
+  { match: /game (does not|doesn't) exist|invalid game|game not found/i, code: 'GAME_NOT_FOUND', message: 'Game not found on-chain' },
+  { match: /cooldown|wait before|too soon/i, code: 'RATE_LIMITED', message: 'Claim cooldown still running' },
+  { match: /not started|already started|already finished|invalid (game )?state|wrong state|not active/i, code: 'GAME_STATE_CONFLICT', message: 'The game is not in a state that allows this' },
+  { match: /ReentrancyGuardReentrantCall/, code: 'GAME_STATE_CONFLICT', message: 'The contract is busy, try again' }
+];
+
+// Transport-level ethers error codes
+const CHAIN_FAILURES = {
+  INSUFFICIENT_FUNDS: 'SERVER_WALLET_UNFUNDED',
+  NETWORK_ERROR: 'CHAIN_UNAVAILABLE',
+  SERVER_ERROR: 'CHAIN_UNAVAILABLE',
+  TIMEOUT: 'CHAIN_UNAVAILABLE'
+};
+
+function revertReason(error) {
+  if (error.revert && error.revert.name) return error.revert.name;
+  return error.reason || error.shortMessage || '';
+}
+
+/**
+ * The ApiError for a chain error, or null if it isn't one
+ */
+function chainError(error) {
+  if (error.code === 'CALL_EXCEPTION') {
+    const reason = revertReason(error);
+    const rule = REVERT_RULES.find(r => r.match.test(reason));
+    if (rule) return new ApiError(rule.code, rule.message, { reason });
+    return new ApiError('CONTRACT_REVERTED', reason ? `Transaction reverted: ${reason}` : 'Transaction reverted', { reason });
+  }
+  if (CHAIN_FAILURES[error.code]) {
+    const code = CHAIN_FAILURES[error.code];
+    return new ApiError(code, code === 'SERVER_WALLET_UNFUNDED'
+      ? 'The server wallet is out of gas'
+      : 'The chain could not be reached, try again');
+  }
+  return null;
+}
+
+/**
+ * Any thrown value as an ApiError; null for unexpected errors
+ */
+function toApiError(error) {
+  if (error instanceof ApiError) return error;
+  if (error instanceof ActionError || error instanceof TournamentError) return new ApiError(error.code, error.message);
+  if (error instanceof LobbyError) return new ApiError('VALIDATION_ERROR', error.message);
+  // express.json() body parse failures
+  if (error.type === 'entity.parse.failed') return new ApiError('INVALID_JSON', 'Request body is not valid JSON');
+  return chainError(error);
+}
+
+/**
+ * Send `error` as a response. Unexpected errors are logged under `context`.
+ */
+function sendError(res, error, context = 'Request') {
+  const apiError = toApiError(error);
+  if (!apiError) {
+    console.error(`${context} error:`, error);
+    return res.status(500).json({ success: false, error: 'Internal server error', code: 'INTERNAL_ERROR' });
+  }
+
+  const body = { success: false, error: apiError.message, code: apiError.code };
+  if (apiError.details !== undefined) body.details = apiError.details;
+  return res.status(apiError.status).json(body);
+}
+
+module.exports = {
+  ERROR_CODES,
+  ApiError,
+  toApiError,
+  chainError,
+  sendError
+};
@@ -0,0 +1,727 @@
+const { ethers } = require('ethers');
+const { ApiError, ERROR_CODES, sendError } = require('./api-errors');
+const { HOUSE_BOTS } = require('./house-bots');
+const { MAX_PLAYER_SEED_LENGTH } = require('./fair-shuffle');
+const { TOURNAMENT_TYPES } = require('./tournament');
+const { INDEXED_EVENTS } = require('./chain-adapter');
+const { STAT_SORTS } = require('./player-stats');
+const { VARIANTS, BETTING_STRUCTURES } = require('./game-variants');
+const pkg = require('./package.json');
+
+/**
+ * Request schemas
+ *
+ * ROUTES describes every route's path params, query and body with a small
+ * JSON-Schema-like vocabulary. validate('POST /api/games') checks a request
+ * against its entry before the handler runs: values are coerced (path and
+ * query strings to numbers and booleans), defaults filled in, addresses
+ * checksummed and unknown body fields dropped, so handlers read clean
+ * req.params / req.query / req.body. Failures are VALIDATION_ERROR responses
+ * listing every problem in `details`.
+ *
+ * The OpenAPI document (GET /api/openapi.json) is generated from the same table.
+ */
+
+// Field builders; `required`, `nullable` and `default` work on every type
+const integer = (options = {}) => ({ type: 'integer', ...options });
+const number = (options = {}) => ({ type: 'number', ...options });
+const string = (options = {}) => ({ type: 'string', ...options });
+const boolean = (options = {}) => ({ type: 'boolean', ...options });
+const array = (items, options = {}) => ({ type: 'array', items, ...options });
+const object = (properties, options = {}) => ({ type: 'object', properties, ...options });
+const address = (options = {}) => string({ format: 'address', description: 'Ethereum address (EIP-55 checksum if mixed case)', ...options });
+
+const id = (description) => integer({ minimum: 1, required: true, description });
+const amount = (options = {}) => number({ exclusiveMinimum: 0, ...options });
+const playerName = string({ maxLength: 64, description: 'Display name at the table' });
+const txHash = string({ pattern: '^0x[0-9a-fA-F]{64}$' });
+const webhookFields = {
+  url: string({ pattern: '^https?://', maxLength: 2048, required: true, description: 'Where your turns are POSTed' }),
+  secret: string({ minLength: 16, maxLength: 256, required: true, description: 'HMAC-SHA256 key for X-Webhook-Signature' })
+};
+
+const ACTIONS = ['fold', 'check', 'call', 'bet', 'raise', 'all-in'];
+
+const variant = (options = {}) => string({ enum: Object.keys(VARIANTS), ...options });
+const bettingStructure = (options = {}) => string({ enum: Object.keys(BETTING_STRUCTURES), ...options });
+
+const blindLevel = object({
+  smallBlind: amount({ required: true }),
+  bigBlind: amount({ required: true }),
+  ante: number({ minimum: 0 })
+});
+
+const chainEventFilters = {
+  event: string({ enum: [...INDEXED_EVENTS.game, ...INDEXED_EVENTS.token], description: 'Only events with this name' }),
+  fromBlock: integer({ minimum: 0, description: 'Only events from this block on' })
+};
+
+const ROUTES = {
+  'POST /api/auth/challenge': {
+    summary: 'Get a sign-in message and EIP-712 typed data',
+    tags: ['Authentication'],
+    body: { address: address({ required: true }) }
+  },
+  'POST /api/auth/verify': {
+    summary: 'Exchange a signed challenge for a session token',
+    tags: ['Authentication'],
+    body: {
+      address: address({ required: true }),
+      signature: string({ required: true, pattern: '^0x[0-9a-fA-F]+$' }),
+      signatureType: string({ enum: ['personal', 'eip712'], default: 'personal' }),
+      nonce: string({ pattern: '^[0-9a-f]{32}$', description: 'The challenge signed; without it each outstanding one is tried' })
+    }
+  },
+  'POST /api/auth/logout': {
+    summary: 'End the current session',
+    tags: ['Authentication'],
+    auth: 'session'
+  },
+
+  'POST /api/games': {
+    summary: 'Create a table (opened on-chain)',
+    tags: ['Games'],
+    auth: 'session',
+    body: {
+      smallBlind: amount({ required: true }),
+      bigBlind: amount({ required: true }),
+      minBuyIn: amount({ required: true }),
+      maxBuyIn: amount({ required: true }),
+      maxPlayers: integer({ minimum: 2, maximum: 10, required: true }),
+      variant: variant({ default: 'holdem' }),
+      bettingStructure: bettingStructure({ description: 'Defaults to pot-limit for omaha, no-limit otherwise' }),
+      autoStartDelayMs: integer({ minimum: 0 }),
+      actionTimeoutMs: integer({ minimum: 0, description: '0 turns the action clock off' }),
+      timeBankMs: integer({ minimum: 0 }),
+      maxMissedTurns: integer({ minimum: 1 }),
+      spectatorDelayMs: integer({ minimum: 0 })
+    },
+    check: ({ body }) => {
+      if (body.bigBlind < body.smallBlind) return 'bigBlind must be at least smallBlind';
+      if (body.maxBuyIn < body.minBuyIn) return 'maxBuyIn must be at least minBuyIn';
+      return null;
+    }
+  },
+  'GET /api/games': {
+    summary: 'List tables',
+    tags: ['Lobby'],
+    query: {
+      phase: string({ description: 'Comma-separated phases' }),
+      bigBlind: number({ minimum: 0 }),
+      minBigBlind: number({ minimum: 0 }),
+      maxBigBlind: number({ minimum: 0 }),
+      buyIn: number({ minimum: 0 }),
+      minBuyIn: number({ minimum: 0 }),
+      maxBuyIn: number({ minimum: 0 }),
+      freeSeats: integer({ minimum: 0 }),
+      variant: variant(),
+      bettingStructure: bettingStructure()
+    }
+  },
+  'POST /api/games/quick-seat': {
+    summary: 'Sit at the best open table for a stake, or open one',
+    tags: ['Lobby'],
+    auth: 'session',
+    body: {
+      bigBlind: amount({ required: true }),
+      buyIn: amount({ required: true }),
+      playerName
+    }
+  },
+  'GET /api/games/:id': {
+    summary: 'Public view of a table',
+    tags: ['Games'],
+    params: { id: id('Game id') }
+  },
+  'POST /api/games/:id/join': {
+    summary: 'Take a seat after buying in on-chain',
+    tags: ['Games'],
+    auth: 'session',
+    params: { id: id('Game id') },
+    body: {
+      playerName,
+      webhook: object(webhookFields, { description: 'Have your turns POSTed to a URL' })
+    }
+  },
+  'GET /api/bots': {
+    summary: 'House bot strategies',
+    tags: ['House bots']
+  },
+  'POST /api/games/:id/bots': {
+    summary: 'Seat a house bot',
+    tags: ['House bots'],
+    auth: 'session',
+    params: { id: id('Game id') },
+    body: {
+      strategy: string({ enum: Object.keys(HOUSE_BOTS), default: 'calling-station' }),
+      buyIn: amount({ description: "Defaults to the table's minBuyIn" }),
+      name: playerName
+    }
+  },
+  'POST /api/games/:id/start': {
+    summary: 'Deal the next hand (players at the table or its creator)',
+    tags: ['Games'],
+    auth: 'session',
+    params: { id: id('Game id') }
+  },
+  'POST /api/games/:id/sit-out': {
+    summary: 'Sit out from the next hand',
+    tags: ['Games'],
+    auth: 'session',
+    params: { id: id('Game id') }
+  },
+  'POST /api/games/:id/sit-in': {
+    summary: 'Sit back in from the next hand',
+    tags: ['Games'],
+    auth: 'session',
+    params: { id: id('Game id') }
+  },
+  'POST /api/games/:id/leave': {
+    summary: 'Leave the table and cash out',
+    tags: ['Settlement'],
+    auth: 'session',
+    params: { id: id('Game id') }
+  },
+  'POST /api/games/:id/seed': {
+    summary: "Contribute a seed to the next hand's shuffle",
+    tags: ['Fairness'],
+    auth: 'session',
+    params: { id: id('Game id') },
+    body: { seed: string({ minLength: 1, maxLength: MAX_PLAYER_SEED_LENGTH, required: true }) }
+  },
+  'GET /api/games/:id/fairness': {
+    summary: 'Commitments and revealed seeds',
+    tags: ['Fairness'],
+    params: { id: id('Game id') }
+  },
+  'GET /api/games/:id/fairness/:handNumber': {
+    summary: 'Revealed seeds and deck for one hand',
+    tags: ['Fairness'],
+    params: { id: id('Game id'), handNumber: id('Hand number') }
+  },
+  'POST /api/fairness/verify': {
+    summary: 'Rebuild a deck from revealed seeds',
+    tags: ['Fairness'],
+    body: {
+      serverSeed: string({ pattern: '^0x[0-9a-fA-F]{64}$', required: true }),
+      commitment: string(),
+      playerSeeds: object({}, { additionalProperties: string(), description: 'Address -> seed' }),
+      variant: variant({ default: 'holdem', description: 'Which deck to rebuild' })
+    }
+  },
+  'GET /api/games/:id/state': {
+    summary: "The caller's view of the table",
+    tags: ['Games'],
+    auth: 'session',
+    params: { id: id('Game id') }
+  },
+  'GET /api/games/:id/spectate': {
+    summary: 'Public (possibly delayed) table state for spectators',
+    tags: ['Spectators'],
+    params: { id: id('Game id') }
+  },
+  'POST /api/games/:id/action': {
+    summary: 'Act on your turn',
+    tags: ['Games'],
+    auth: 'session',
+    params: { id: id('Game id') },
+    body: {
+      action: string({ enum: ACTIONS, required: true }),
+      amount: number({ minimum: 0, nullable: true, description: 'Total to bet or raise to this street' })
+    }
+  },
+  'POST /api/games/:id/webhook': {
+    summary: 'Have your turns POSTed to a URL, signed with a shared secret',
+    tags: ['Webhooks'],
+    auth: 'session',
+    params: { id: id('Game id') },
+    body: webhookFields
+  },
+  'DELETE /api/games/:id/webhook': {
+    summary: 'Stop POSTing your turns',
+    tags: ['Webhooks'],
+    auth: 'session',
+    params: { id: id('Game id') }
+  },
+  'GET /api/webhooks/deliveries': {
+    summary: 'Your webhook deliveries, newest first',
+    tags: ['Webhooks'],
+    auth: 'session',
+    query: {
+      gameId: integer({ minimum: 1 }),
+      limit: integer({ minimum: 1, maximum: 100, default: 50 })
+    }
+  },
+  'GET /api/games/:id/hands': {
+    summary: 'Finished hands at a table',
+    tags: ['Hand history'],
+    params: { id: id('Game id') },
+    query: { format: string({ enum: ['json', 'pokerstars'], default: 'json' }) }
+  },
+  'GET /api/games/:id/hands/:handId': {
+    summary: 'One hand history',
+    tags: ['Hand history'],
+    params: { id: id('Game id'), handId: id('Hand number') },
+    query: { format: string({ enum: ['json', 'pokerstars'], default: 'json' }) }
+  },
+  'GET /api/games/:id/transactions': {
+    summary: "A table's chain transactions",
+    tags: ['Chain transactions'],
+    params: { id: id('Game id') }
+  },
+  'GET /api/transactions/:txId': {
+    summary: 'One queued chain transaction',
+    tags: ['Chain transactions'],
+    params: { txId: string({ pattern: '^[0-9a-z]+-\\d+$', maxLength: 32, required: true, description: 'Transaction queue id, e.g. "lx3k2p0a-12"' }) }
+  },
+  'GET /api/games/:id/settlements': {
+    summary: "A table's settlement log",
+    tags: ['Settlement'],
+    params: { id: id('Game id') },
+    query: { player: address({ description: 'Only entries paying this address' }) }
+  },
+  'POST /api/admin/games/:id/emergency-refund': {
+    summary: 'Stop a table and refund every buy-in on-chain',
+    tags: ['Settlement'],
+    auth: 'admin',
+    params: { id: id('Game id') },
+    body: { reason: string({ maxLength: 200 }) }
+  },
+
+  'GET /api/games/:id/transcript': {
+    summary: "A table's hash-chained action transcript",
+    tags: ['Fairness'],
+    params: { id: id('Game id') }
+  },
+  'GET /api/games/:id/transcript/verify': {
+    summary: "Check a table's transcript against its on-chain events",
+    tags: ['Fairness'],
+    params: { id: id('Game id') }
+  },
+  'GET /api/players/:address/stats': {
+    summary: "A player's stats and rating",
+    tags: ['Stats'],
+    params: { address: address({ required: true }) }
+  },
+  'GET /api/leaderboard': {
+    summary: 'Players ranked by rating or a stat',
+    tags: ['Stats'],
+    query: {
+      sort: string({ enum: STAT_SORTS, default: 'rating' }),
+      minHands: integer({ minimum: 0, default: 0 }),
+      minGames: integer({ minimum: 0, default: 0 }),
+      bots: boolean({ default: true, description: 'Include house bots' }),
+      limit: integer({ minimum: 1, maximum: 500, default: 50 }),
+      offset: integer({ minimum: 0, default: 0 })
+    }
+  },
+  'GET /api/chain/status': {
+    summary: "The chain event indexer's progress",
+    tags: ['Chain events']
+  },
+  'GET /api/chain/games/:id/events': {
+    summary: "A table's on-chain events",
+    tags: ['Chain events'],
+    params: { id: id('Game id') },
+    query: chainEventFilters
+  },
+  'GET /api/chain/players/:address/events': {
+    summary: "A player's on-chain activity and totals",
+    tags: ['Chain events'],
+    params: { address: address({ required: true }) },
+    query: chainEventFilters
+  },
+
+  'POST /api/tournaments': {
+    summary: 'Create a sit-and-go or multi-table tournament',
+    tags: ['Tournaments'],
+    auth: 'session',
+    body: {
+      type: string({ enum: TOURNAMENT_TYPES, default: 'sng' }),
+      name: string({ maxLength: 100 }),
+      tableSize: integer({ minimum: 2, maximum: 10 }),
+      minEntrants: integer({ minimum: 2 }),
+      maxEntrants: integer({ minimum: 2 }),
+      startingStack: amount(),
+      entryFee: number({ minimum: 0 }),
+      blindSchedule: array(blindLevel, { minItems: 1 }),
+      levelDurationMs: integer({ exclusiveMinimum: 0 }),
+      levelHands: integer({ exclusiveMinimum: 0 }),
+      payouts: array(amount(), { minItems: 1, description: 'Percentages by finishing place' }),
+      handDelayMs: integer({ exclusiveMinimum: 0 }),
+      actionTimeoutMs: integer({ minimum: 0 }),
+      timeBankMs: integer({ minimum: 0 }),
+      startAt: integer({ exclusiveMinimum: 0, nullable: true, description: 'Start time in ms (mtt)' })
+    }
+  },
+  'GET /api/tournaments': {
+    summary: 'List tournaments',
+    tags: ['Tournaments'],
+    query: { status: string({ description: 'Comma-separated statuses' }) }
+  },
+  'GET /api/tournaments/:id': {
+    summary: 'Level, payouts, tables and standings',
+    tags: ['Tournaments'],
+    params: { id: id('Tournament id') }
+  },
+  'POST /api/tournaments/:id/register': {
+    summary: 'Register, paying the entry fee with a token transfer',
+    tags: ['Tournaments'],
+    auth: 'session',
+    params: { id: id('Tournament id') },
+    body: { playerName, txHash }
+  },
+  'POST /api/tournaments/:id/unregister': {
+    summary: 'Withdraw before the start',
+    tags: ['Tournaments'],
+    auth: 'session',
+    params: { id: id('Tournament id') }
+  },
+  'POST /api/tournaments/:id/start': {
+    summary: 'Start now (creator only)',
+    tags: ['Tournaments'],
+    auth: 'session',
+    params: { id: id('Tournament id') }
+  },
+  'POST /api/admin/tournaments/:id/added-prize': {
+    summary: 'Add house money to the prize pool before the start',
+    tags: ['Tournaments'],
+    auth: 'admin',
+    params: { id: id('Tournament id') },
+    body: { addedPrize: number({ minimum: 0, required: true, description: 'Tokens the server wallet adds, on top of the entry fees' }) }
+  },
+
+  'GET /api/faucet/challenge': {
+    summary: 'Challenge to answer with the next claim',
+    tags: ['Faucet'],
+    auth: 'session'
+  },
+  'POST /api/faucet/claim': {
+    summary: 'Mint a faucet claim to the signed-in wallet',
+    tags: ['Faucet'],
+    auth: 'session',
+    body: {
+      nonce: string({ maxLength: 64 }),
+      solution: string({ maxLength: 64, description: 'Proof-of-work solution' }),
+      signature: string({ pattern: '^0x[0-9a-fA-F]+$' })
+    }
+  },
+  'GET /api/faucet/status': {
+    summary: 'Whether an address can claim now',
+    tags: ['Faucet'],
+    query: { address: address({ required: true }) }
+  },
+  'GET /api/faucet/claims': {
+    summary: 'Claim log and daily totals',
+    tags: ['Faucet'],
+    auth: 'admin',
+    query: {
+      address: address(),
+      limit: integer({ minimum: 1, maximum: 1000, default: 100 })
+    }
+  },
+
+  'GET /api/admin/games': {
+    summary: 'Every table, finished ones included, with players and queued transactions',
+    tags: ['Operators'],
+    auth: 'admin'
+  },
+  'POST /api/admin/games/:id/pause': {
+    summary: 'Hold a table: no actions, clocks or new hands',
+    tags: ['Operators'],
+    auth: 'admin',
+    params: { id: id('Game id') },
+    body: { reason: string({ maxLength: 200 }) }
+  },
+  'POST /api/admin/games/:id/resume': {
+    summary: 'Resume a paused table',
+    tags: ['Operators'],
+    auth: 'admin',
+    params: { id: id('Game id') }
+  },
+  'POST /api/admin/games/:id/end': {
+    summary: 'Close a table now and settle it, calling off any hand in progress',
+    tags: ['Operators'],
+    auth: 'admin',
+    params: { id: id('Game id') },
+    body: { reason: string({ maxLength: 200 }) }
+  },
+  'DELETE /api/admin/games/:id/players/:address': {
+    summary: 'Fold a player if need be and cash them out',
+    tags: ['Operators'],
+    auth: 'admin',
+    params: { id: id('Game id'), address: address({ required: true }) }
+  },
+  'POST /api/admin/server-key': {
+    summary: 'Hand the game server role to a new key',
+    tags: ['Operators'],
+    auth: 'admin',
+    body: {
+      address: address({ required: true, description: 'Address of the key set as SERVER_NEXT_PRIVATE_KEY' }),
+      fundEth: number({ minimum: 0, default: 0, description: 'ETH sent to the new wallet for gas first' })
+    }
+  },
+
+  'GET /api/openapi.json': {
+    summary: 'This API as an OpenAPI document',
+    tags: ['Health']
+  },
+  'GET /health': {
+    summary: 'RPC connectivity and server wallet funding; 503 when degraded',
+    tags: ['Health']
+  },
+  'GET /metrics': {
+    summary: 'Prometheus metrics (bearer METRICS_TOKEN, if set)',
+    tags: ['Health']
+  }
+};
+
+function describe(spec) {
+  if (spec.enum) return `must be one of ${spec.enum.join(', ')}`;
+  if (spec.format === 'address') return 'must be an address';
+  return `must be ${spec.type === 'integer' || spec.type === 'array' || spec.type === 'object' ? 'an' : 'a'} ${spec.type}`;
+}
+
+// Strings from a path or query string, or numbers sent as strings in JSON
+function coerce(spec, value) {
+  if (typeof value !== 'string') return value;
+  if ((spec.type === 'number' || spec.type === 'integer') && value.trim() !== '' && Number.isFinite(Number(value))) {
+    return Number(value);
+  }
+  if (spec.type === 'boolean' && (value === 'true' || value === 'false')) return value === 'true';
+  return value;
+}
+
+/**
+ * Check one value against its spec. Returns the cleaned value; problems
+ * are pushed onto `errors` as { path, message }.
+ */
+function checkValue(spec, raw, path, errors) {
+  if (raw === undefined || (raw === null && !spec.nullable)) {
+    if (spec.required) errors.push({ path, message: 'is required' });
+    return spec.default;
+  }
+  if (raw === null) return null;
+
+  const value = coerce(spec, raw);
+  const fail = message => {
+    errors.push({ path, message });
+    return undefined;
+  };
+
+  switch (spec.type) {
+    case 'integer':
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return fail(describe(spec));
+      if (spec.type === 'integer' && !Number.isInteger(value)) return fail('must be an integer');
+      if (spec.minimum !== undefined && value < spec.minimum) return fail(`must be at least ${spec.minimum}`);
+      if (spec.exclusiveMinimum !== undefined && value <= spec.exclusiveMinimum) return fail(`must be greater than ${spec.exclusiveMinimum}`);
+      if (spec.maximum !== undefined && value > spec.maximum) return fail(`must be at most ${spec.maximum}`);
+      break;
+    case 'string':
+      if (typeof value !== 'string') return fail(describe(spec));
+      if (spec.minLength !== undefined && value.length < spec.minLength) return fail(`must be at least ${spec.minLength} characters`);
+      if (spec.maxLength !== undefined && value.length > spec.maxLength) return fail(`must be at most ${spec.maxLength} characters`);
+      if (spec.pattern && !new RegExp(spec.pattern).test(value)) return fail(`must match ${spec.pattern}`);
+      if (spec.format === 'address') {
+        if (!/^0x[0-9a-fA-F]{40}$/.test(value)) return fail(describe(spec));
+        try {
+          return ethers.getAddress(value);
+        } catch {
+          return fail('has an invalid checksum');
+        }
+      }
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') return fail(describe(spec));
+      break;
+    case 'array':
+      if (!Array.isArray(value)) return fail(describe(spec));
+      if (spec.minItems !== undefined && value.length < spec.minItems) return fail(`must have at least ${spec.minItems} items`);
+      if (spec.maxItems !== undefined && value.length > spec.maxItems) return fail(`must have at most ${spec.maxItems} items`);
+      return value.map((item, index) => checkValue(spec.items, item, `${path}[${index}]`, errors));
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) return fail(describe(spec));
+      return checkFields(spec.properties, value, path, errors, spec.additionalProperties);
+    default:
+      throw new Error(`Unknown schema type ${spec.type} at ${path}`);
+  }
+
+  if (spec.enum && !spec.enum.includes(value)) return fail(describe(spec));
+  return value;
+}
+
+// Declared fields only, plus any extra keys `additional` allows
+function checkFields(fields = {}, values, prefix, errors, additional = null) {
+  const result = {};
+  for (const [name, spec] of Object.entries(fields)) {
+    const value = checkValue(spec, values[name], prefix ? `${prefix}.${name}` : name, errors);
+    if (value !== undefined) result[name] = value;
+  }
+  if (additional) {
+    for (const [name, raw] of Object.entries(values)) {
+      if (name in fields) continue;
+      const value = checkValue(additional, raw, prefix ? `${prefix}.${name}` : name, errors);
+      if (value !== undefined) result[name] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Check a request's { params, query, body } against a ROUTES entry.
+ * Returns { input } or { errors }, each error { in, path, message }.
+ */
+function checkRequest(route, { params = {}, query = {}, body }) {
+  const errors = [];
+  const collect = location => error => errors.push({ in: location, ...error });
+  const into = location => {
+    const list = [];
+    return { list, flush: () => list.forEach(collect(location)) };
+  };
+
+  const input = {};
+  for (const location of ['params', 'query']) {
+    const found = into(location);
+    input[location] = checkFields(route[location], location === 'params' ? params : query, '', found.list);
+    found.flush();
+  }
+
+  const found = into('body');
+  if (body !== undefined && body !== null && (typeof body !== 'object' || Array.isArray(body))) {
+    found.list.push({ path: '', message: 'body must be a JSON object' });
+    input.body = {};
+  } else {
+    input.body = checkFields(route.body, body || {}, '', found.list);
+  }
+  found.flush();
+
+  if (errors.length === 0 && route.check) {
+    const message = route.check(input);
+    if (message) errors.push({ in: 'body', path: '', message });
+  }
+  return errors.length ? { errors } : { input };
+}
+
+/**
+ * Express middleware validating the request against ROUTES[key]
+ */
+function validate(key) {
+  const route = ROUTES[key];
+  if (!route) throw new Error(`No request schema for ${key}`);
+
+  return (req, res, next) => {
+    const { input, errors } = checkRequest(route, req);
+    if (errors) {
+      const [first] = errors;
+      const message = first.path ? `${first.path} ${first.message}` : first.message;
+      return sendError(res, new ApiError('VALIDATION_ERROR', message, errors));
+    }
+
+    Object.assign(req.params, input.params);
+    // req.query is a getter in Express 5; shadow it with the checked values
+    Object.defineProperty(req, 'query', { value: input.query, configurable: true, enumerable: true, writable: true });
+    req.body = input.body;
+    next();
+  };
+}
+
+// Field spec as JSON Schema (OpenAPI 3.1)
+function toJsonSchema(spec) {
+  const { required, nullable, properties, items, additionalProperties, ...rest } = spec;
+  const schema = { ...rest };
+  if (spec.format === 'address') schema.pattern = '^0x[0-9a-fA-F]{40}$';
+  if (nullable) schema.type = [spec.type, 'null'];
+  if (items) schema.items = toJsonSchema(items);
+  if (properties) Object.assign(schema, objectSchema(properties));
+  if (additionalProperties) schema.additionalProperties = toJsonSchema(additionalProperties);
+  return schema;
+}
+
+function objectSchema(fields) {
+  const schema = { type: 'object', properties: {} };
+  const required = [];
+  for (const [name, spec] of Object.entries(fields)) {
+    schema.properties[name] = toJsonSchema(spec);
+    if (spec.required) required.push(name);
+  }
+  if (required.length) schema.required = required;
+  return schema;
+}
+
+/**
+ * The OpenAPI 3.1 document for every route in ROUTES
+ */
+function openApiDocument() {
+  const paths = {};
+  for (const [key, route] of Object.entries(ROUTES)) {
+    const [method, path] = key.split(' ');
+    const openApiPath = path.replace(/:(\w+)/g, '{$1}');
+
+    const parameters = [
+      ...Object.entries(route.params || {}).map(([name, spec]) => ({
+        name, in: 'path', required: true, description: spec.description, schema: toJsonSchema(spec)
+      })),
+      ...Object.entries(route.query || {}).map(([name, spec]) => ({
+        name, in: 'query', required: Boolean(spec.required), description: spec.description, schema: toJsonSchema(spec)
+      }))
+    ];
+
+    const operation = {
+      summary: route.summary,
+      tags: route.tags,
+      responses: {
+        200: { description: 'Success', content: { 'application/json': { schema: { $ref: '#/components/schemas/Success' } } } },
+        default: { description: 'Error', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } }
+      }
+    };
+    if (parameters.length) operation.parameters = parameters;
+    if (route.body) {
+      operation.requestBody = {
+        required: Object.values(route.body).some(spec => spec.required),
+        content: { 'application/json': { schema: objectSchema(route.body) } }
+      };
+    }
+    if (route.auth) operation.security = [{ [route.auth === 'admin' ? 'adminToken' : 'session']: [] }];
+
+    paths[openApiPath] = paths[openApiPath] || {};
+    paths[openApiPath][method.toLowerCase()] = operation;
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: { title: 'Agent Poker API', version: pkg.version, description: pkg.description },
+    paths,
+    components: {
+      securitySchemes: {
+        session: { type: 'http', scheme: 'bearer', description: 'Session token from POST /api/auth/verify' },
+        adminToken: { type: 'http', scheme: 'bearer', description: 'ADMIN_TOKEN' }
+      },
+      schemas: {
+        Success: {
+          type: 'object',
+          properties: { success: { const: true } },
+          required: ['success'],
+          additionalProperties: true
+        },
+        Error: {
+          type: 'object',
+          properties: {
+            success: { const: false },
+            error: { type: 'string', description: 'Human-readable message' },
+            code: { type: 'string', enum: Object.keys(ERROR_CODES) },
+            details: { description: 'Validation problems, or extra context for the code' }
+          },
+          required: ['success', 'error', 'code']
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  ROUTES,
+  validate,
+  checkRequest,
+  openApiDocument
+};
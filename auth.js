@@ -0,0 +1,286 @@
+const crypto = require('crypto');
+const express = require('express');
+const { ethers } = require('ethers');
+const { ApiError, sendError } = require('./api-errors');
+const { validate } = require('./api-schema');
+
+/**
+ * Wallet-signature authentication (sign-in with Ethereum)
+ *
+ * 1. POST /api/auth/challenge { address } -> nonce, message + EIP-712 typed data
+ * 2. Sign either one with the wallet
+ * 3. POST /api/auth/verify { address, signature, signatureType, nonce } -> session token
+ * 4. Send `Authorization: Bearer <token>` on every player route
+ *
+ * Challenges are single use and keyed by nonce, so an address may have
+ * several outstanding and asking for a new one never voids another - nobody
+ * can keep a player from signing in by requesting challenges for them.
+ * Sessions live in the `playerSessions` map and expire after
+ * SESSION_TTL_SECONDS.
+ *
+ * Anyone can ask for a challenge, so issuing is rate limited per IP
+ * (`ipLimit` per minute, AUTH_CHALLENGE_IP_LIMIT) and refused once
+ * `maxChallenges` (AUTH_MAX_CHALLENGES) are outstanding. Nothing is evicted
+ * before it expires.
+ */
+
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const CHALLENGE_IP_WINDOW_MS = 60 * 1000;
+
+class SessionAuth {
+  constructor({
+    sessions,
+    domain = process.env.AUTH_DOMAIN || 'agent-poker',
+    chainId = Number(process.env.CHAIN_ID || 8453),
+    sessionTtlMs = Number(process.env.SESSION_TTL_SECONDS || 3600) * 1000,
+    maxChallenges = Number(process.env.AUTH_MAX_CHALLENGES || 10000),
+    ipLimit = Number(process.env.AUTH_CHALLENGE_IP_LIMIT || 30)
+  }) {
+    this.sessions = sessions;
+    this.challenges = new Map(); // nonce -> challenge, oldest first
+    this.maxChallenges = maxChallenges;
+    this.ipLimit = ipLimit;
+    this.ipIssues = new Map(); // ip -> challenge issue times in the last minute
+    this.domain = domain;
+    this.chainId = chainId;
+    this.sessionTtlMs = sessionTtlMs;
+  }
+
+  /**
+   * Issue a fresh nonce for an address. Throws a RATE_LIMITED AuthError if
+   * `ip` has asked too often or too many challenges are outstanding.
+   */
+  createChallenge(address, { ip = null } = {}) {
+    const checksummed = ethers.getAddress(address);
+    this.pruneChallenges();
+    const now = Date.now();
+    const issued = ip === null ? [] : (this.ipIssues.get(ip) || []).filter(at => at > now - CHALLENGE_IP_WINDOW_MS);
+    if (issued.length >= this.ipLimit) {
+      throw new AuthError('Too many sign-in challenges from this IP - try again in a minute', 'RATE_LIMITED');
+    }
+    if (this.challenges.size >= this.maxChallenges) {
+      throw new AuthError('Too many sign-ins in progress - try again shortly', 'RATE_LIMITED');
+    }
+    if (ip !== null) this.ipIssues.set(ip, [...issued, now]);
+
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const issuedAt = new Date();
+    const expiresAt = new Date(issuedAt.getTime() + CHALLENGE_TTL_MS);
+
+    const message = [
+      `${this.domain} wants you to sign in with your Ethereum account:`,
+      checksummed,
+      '',
+      'Sign in to Agent Poker',
+      '',
+      'Version: 1',
+      `Chain ID: ${this.chainId}`,
+      `Nonce: ${nonce}`,
+      `Issued At: ${issuedAt.toISOString()}`,
+      `Expiration Time: ${expiresAt.toISOString()}`
+    ].join('\n');
+
+    const typedData = {
+      domain: { name: 'Agent Poker', version: '1', chainId: this.chainId },
+      types: {
+        Login: [
+          { name: 'wallet', type: 'address' },
+          { name: 'nonce', type: 'string' },
+          { name: 'issuedAt', type: 'string' }
+        ]
+      },
+      primaryType: 'Login',
+      message: { wallet: checksummed, nonce, issuedAt: issuedAt.toISOString() }
+    };
+
+    const challenge = { address: checksummed, nonce, message, typedData, expiresAt: expiresAt.getTime() };
+    this.challenges.set(nonce, challenge);
+    return challenge;
+  }
+
+  /**
+   * Check a signed challenge and open a session
+   * signatureType is 'personal' (EIP-191 message, default) or 'eip712'.
+   * Without `nonce`, each of the address's outstanding challenges is tried.
+   */
+  verifyChallenge(address, signature, signatureType = 'personal', nonce = null) {
+    const key = ethers.getAddress(address).toLowerCase();
+    this.pruneChallenges();
+    const candidates = nonce
+      ? [this.challenges.get(nonce)].filter(c => c && c.address.toLowerCase() === key)
+      : [...this.challenges.values()].filter(c => c.address.toLowerCase() === key).reverse();
+    if (candidates.length === 0) {
+      throw new AuthError('No active challenge for this address');
+    }
+
+    let malformed = 0;
+    for (const challenge of candidates) {
+      let signer;
+      try {
+        if (signatureType === 'eip712') {
+          const { domain, types, message } = challenge.typedData;
+          signer = ethers.verifyTypedData(domain, types, message, signature);
+        } else {
+          signer = ethers.verifyMessage(challenge.message, signature);
+        }
+      } catch {
+        malformed++;
+        continue;
+      }
+
+      if (signer.toLowerCase() === key) {
+        // Challenges are single use
+        this.challenges.delete(challenge.nonce);
+        return this.createSession(challenge.address);
+      }
+    }
+
+    throw new AuthError(malformed === candidates.length ? 'Malformed signature' : 'Signature does not match address');
+  }
+
+  createSession(address) {
+    this.pruneExpired();
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const session = { address, expiresAt: Date.now() + this.sessionTtlMs };
+    this.sessions.set(token, session);
+    return { token, ...session };
+  }
+
+  getSession(token) {
+    const session = token && this.sessions.get(token);
+    if (!session) return null;
+    if (session.expiresAt < Date.now()) {
+      this.sessions.delete(token);
+      return null;
+    }
+    return session;
+  }
+
+  revoke(token) {
+    this.sessions.delete(token);
+  }
+
+  pruneExpired() {
+    const now = Date.now();
+    for (const [token, session] of this.sessions) {
+      if (session.expiresAt < now) this.sessions.delete(token);
+    }
+    this.pruneChallenges();
+  }
+
+  // Challenges all live CHALLENGE_TTL_MS, so the expired ones are the oldest
+  pruneChallenges() {
+    const now = Date.now();
+    for (const [nonce, challenge] of this.challenges) {
+      if (challenge.expiresAt >= now) break;
+      this.challenges.delete(nonce);
+    }
+    for (const [ip, issued] of this.ipIssues) {
+      if (issued.at(-1) <= now - CHALLENGE_IP_WINDOW_MS) this.ipIssues.delete(ip);
+    }
+  }
+
+  /**
+   * Express middleware: resolves the bearer token into req.playerAddress
+   */
+  requireSession() {
+    return (req, res, next) => {
+      const session = this.getSession(bearerToken(req));
+      if (!session) {
+        return sendError(res, new ApiError('UNAUTHORIZED', 'Authentication required'));
+      }
+      req.playerAddress = session.address;
+      next();
+    };
+  }
+}
+
+class AuthError extends Error {
+  constructor(message, code = 'UNAUTHORIZED') {
+    super(message);
+    this.code = code;
+  }
+}
+
+/**
+ * Express middleware for operator routes: the bearer token must equal
+ * ADMIN_TOKEN. Without one configured, admin routes are closed.
+ */
+function requireAdminToken(adminToken = process.env.ADMIN_TOKEN) {
+  const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+  const expected = adminToken ? digest(adminToken) : null;
+
+  return (req, res, next) => {
+    if (!expected) {
+      return sendError(res, new ApiError('ADMIN_DISABLED', 'Admin routes are disabled - set ADMIN_TOKEN'));
+    }
+    const token = bearerToken(req);
+    if (!token || !crypto.timingSafeEqual(digest(token), expected)) {
+      return sendError(res, new ApiError('UNAUTHORIZED', 'Admin token required'));
+    }
+    next();
+  };
+}
+
+function bearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' ? token : null;
+}
+
+/**
+ * Challenge / verify / logout routes
+ */
+function createAuthRouter(auth) {
+  const router = express.Router();
+
+  /**
+   * Request a sign-in challenge
+   * POST /api/auth/challenge
+   */
+  router.post('/challenge', validate('POST /api/auth/challenge'), (req, res) => {
+    const { address } = req.body;
+    try {
+      const { nonce, message, typedData, expiresAt } = auth.createChallenge(address, { ip: req.ip });
+      res.json({ success: true, nonce, message, typedData, expiresAt });
+    } catch (error) {
+      if (!(error instanceof AuthError)) throw error;
+      sendError(res, new ApiError(error.code, error.message));
+    }
+  });
+
+  /**
+   * Exchange a signed challenge for a session token
+   * POST /api/auth/verify
+   */
+  router.post('/verify', validate('POST /api/auth/verify'), (req, res) => {
+    const { address, signature, signatureType, nonce } = req.body;
+    try {
+      const session = auth.verifyChallenge(address, signature, signatureType, nonce);
+      res.json({ success: true, ...session });
+    } catch (error) {
+      if (!(error instanceof AuthError)) throw error;
+      sendError(res, new ApiError(error.code, error.message));
+    }
+  });
+
+  /**
+   * End the current session
+   * POST /api/auth/logout
+   */
+  router.post('/logout', auth.requireSession(), validate('POST /api/auth/logout'), (req, res) => {
+    auth.revoke(bearerToken(req));
+    res.json({ success: true });
+  });
+
+  return router;
+}
+
+module.exports = {
+  SessionAuth,
+  AuthError,
+  createAuthRouter,
+  requireAdminToken,
+  bearerToken
+};
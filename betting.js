@@ -0,0 +1,257 @@
+/**
+ * Betting rules - no-limit, pot-limit and fixed-limit (see game-variants.js)
+ *
+ * Per street the game tracks:
+ * - gameState.currentBet      highest total bet this street
+ * - gameState.minRaise        size of the last full bet/raise (big blind to start)
+ * - gameState.fullRaiseLevel  bet level set by the last full bet/raise
+ * - gameState.bets            full bets and raises so far (the big blind counts
+ *                             pre-flop), capped in fixed-limit
+ *
+ * and per player:
+ * - hasActed / actedAtLevel   whether they acted this street, and the
+ *                             fullRaiseLevel at the time
+ * - isAllIn                   no chips left - skipped for the rest of the hand
+ *
+ * An all-in for less than a full raise raises the bet to call but does not
+ * reopen raising for players who already acted. Pot-limit and fixed-limit
+ * cap how far a bet can go; an all-in over the cap has to be a capped raise
+ * instead.
+ */
+
+const { bettingStructureOf } = require('./game-variants');
+
+// Fixed-limit: a bet and three raises per street
+const MAX_LIMIT_BETS = 4;
+
+/**
+ * An action the rules don't allow. `code` is INVALID_ACTION, INVALID_RAISE
+ * or INSUFFICIENT_CHIPS (see api-errors.js).
+ */
+class ActionError extends Error {
+  constructor(message, code = 'INVALID_ACTION') {
+    super(message);
+    this.code = code;
+  }
+}
+
+/**
+ * Reset betting for a new street
+ */
+function startStreet(gameState) {
+  gameState.currentBet = 0;
+  gameState.minRaise = gameState.bigBlind;
+  gameState.fullRaiseLevel = 0;
+  gameState.bets = 0;
+
+  for (const player of gameState.players) {
+    player.currentBet = 0;
+    player.hasActed = false;
+    player.actedAtLevel = 0;
+  }
+}
+
+// Players still able to bet (not folded, not all-in)
+function playersAbleToAct(gameState) {
+  return gameState.players.filter(p => !p.hasFolded && !p.isAllIn);
+}
+
+// Fixed-limit bet size: the big blind until the turn, then double
+function limitBetSize(gameState) {
+  return gameState.phase === 'turn' || gameState.phase === 'river' ? gameState.bigBlind * 2 : gameState.bigBlind;
+}
+
+/**
+ * The most the table's betting structure lets a bet or raise go to
+ */
+function structureCap(gameState, toCall) {
+  switch (bettingStructureOf(gameState)) {
+    case 'pot-limit':
+      // Call first, then raise by the whole pot; a minimum bet is always allowed
+      return gameState.currentBet + Math.max(gameState.pot + toCall, gameState.minRaise);
+    case 'fixed-limit':
+      return gameState.currentBet + limitBetSize(gameState);
+    default:
+      return Infinity;
+  }
+}
+
+/**
+ * Amounts available to a player: chips to call and the raise-to range.
+ * `stackTo` is the bet an all-in would make; `capTo` the structure's cap
+ * (null in no-limit).
+ */
+function getBettingLimits(gameState, player) {
+  const fixedLimit = bettingStructureOf(gameState) === 'fixed-limit';
+  const toCall = Math.max(0, gameState.currentBet - player.currentBet);
+  const cap = structureCap(gameState, toCall);
+  const minRaiseTo = fixedLimit ? cap : gameState.currentBet + gameState.minRaise;
+  const stackTo = player.currentBet + player.chips;
+  const maxRaiseTo = Math.min(stackTo, cap);
+
+  // Raising needs someone left to raise against, chips beyond the call,
+  // action that is still (or again) open to this player and, in
+  // fixed-limit, bets left this street
+  const opponents = playersAbleToAct(gameState).filter(p => p !== player);
+  const canRaise = opponents.length > 0 &&
+    player.chips > toCall &&
+    (!player.hasActed || player.actedAtLevel < gameState.fullRaiseLevel) &&
+    !(fixedLimit && gameState.bets >= MAX_LIMIT_BETS);
+
+  return { toCall, minRaiseTo, maxRaiseTo, stackTo, capTo: cap === Infinity ? null : cap, canRaise };
+}
+
+function getAvailableActions(gameState, player) {
+  if (player.hasFolded || player.isAllIn) return [];
+  if (gameState.currentTurn !== player.address) return [];
+
+  const { toCall, minRaiseTo, maxRaiseTo, stackTo, capTo, canRaise } = getBettingLimits(gameState, player);
+  const actions = ['fold'];
+
+  actions.push(toCall === 0 ? 'check' : 'call');
+
+  // A full bet/raise must be affordable; otherwise only all-in remains
+  if (canRaise && minRaiseTo <= maxRaiseTo) {
+    actions.push(gameState.currentBet === 0 ? 'bet' : 'raise');
+  }
+
+  // Over the cap, the biggest raise allowed stands in for all-in
+  const allInFits = capTo === null || stackTo <= capTo;
+  if (player.chips > 0 && ((canRaise && allInFits) || player.chips <= toCall)) {
+    actions.push('all-in');
+  }
+
+  return actions;
+}
+
+// Move chips from a player's stack into the pot
+function commit(gameState, player, chips) {
+  player.chips -= chips;
+  player.currentBet += chips;
+  player.totalBet += chips;
+  gameState.pot += chips;
+  if (player.chips === 0) player.isAllIn = true;
+  return chips;
+}
+
+// Bet or raise to a new total; full raises reopen the action
+function raiseTo(gameState, player, total) {
+  const raiseSize = total - gameState.currentBet;
+  const committed = commit(gameState, player, total - player.currentBet);
+
+  if (raiseSize >= gameState.minRaise) {
+    gameState.minRaise = raiseSize;
+    gameState.fullRaiseLevel = total;
+    gameState.bets = (gameState.bets || 0) + 1;
+  }
+  gameState.currentBet = total;
+
+  return committed;
+}
+
+/**
+ * Validate and apply a betting action. `amount` is the total to bet/raise to.
+ * Returns the chips the player put in.
+ */
+function applyAction(gameState, player, action, amount) {
+  const { toCall, minRaiseTo, maxRaiseTo, stackTo, capTo, canRaise } = getBettingLimits(gameState, player);
+  let committed = 0;
+
+  switch (action) {
+    case 'fold':
+      player.hasFolded = true;
+      break;
+
+    case 'check':
+      if (toCall !== 0) throw new ActionError('Cannot check, there is a bet to call');
+      break;
+
+    case 'call':
+      if (toCall === 0) throw new ActionError('Nothing to call, check instead');
+      committed = commit(gameState, player, Math.min(toCall, player.chips));
+      break;
+
+    case 'bet':
+    case 'raise': {
+      if (action === 'bet' && gameState.currentBet > 0) throw new ActionError('There is already a bet, raise instead');
+      if (action === 'raise' && gameState.currentBet === 0) throw new ActionError('Nothing to raise, bet instead');
+      if (!canRaise) throw new ActionError('Raising is not open to you, call or fold', 'INVALID_RAISE');
+
+      const total = amount === undefined || amount === null ? Math.min(minRaiseTo, maxRaiseTo) : Number(amount);
+      if (!Number.isFinite(total)) throw new ActionError('Invalid amount', 'INVALID_RAISE');
+      if (total > stackTo) throw new ActionError('Insufficient chips', 'INSUFFICIENT_CHIPS');
+      if (total > maxRaiseTo) {
+        throw new ActionError(`${action === 'bet' ? 'Bet' : 'Raise'} too big, maximum is ${maxRaiseTo}`, 'INVALID_RAISE');
+      }
+      // Less than a full raise is only allowed as an all-in
+      if (total <= gameState.currentBet || (total < minRaiseTo && total !== maxRaiseTo)) {
+        throw new ActionError(`${action === 'bet' ? 'Bet' : 'Raise'} too small, minimum is ${minRaiseTo}`, 'INVALID_RAISE');
+      }
+      committed = raiseTo(gameState, player, total);
+      break;
+    }
+
+    case 'all-in': {
+      if (player.chips === 0) throw new ActionError('No chips left', 'INSUFFICIENT_CHIPS');
+      const total = player.currentBet + player.chips;
+      if (total > gameState.currentBet) {
+        if (!canRaise) throw new ActionError('Raising is not open to you, call or fold', 'INVALID_RAISE');
+        if (capTo !== null && total > capTo) {
+          throw new ActionError(`All-in is over the limit, ${gameState.currentBet > 0 ? 'raise' : 'bet'} to ${capTo} instead`, 'INVALID_RAISE');
+        }
+        committed = raiseTo(gameState, player, total);
+      } else {
+        committed = commit(gameState, player, player.chips);
+      }
+      break;
+    }
+
+    default:
+      throw new ActionError(`Unknown action: ${action}`);
+  }
+
+  player.hasActed = true;
+  player.actedAtLevel = gameState.fullRaiseLevel;
+  return committed;
+}
+
+/**
+ * True once every player who can still bet has acted and matched the bet
+ */
+function isBettingRoundComplete(gameState) {
+  const livePlayers = gameState.players.filter(p => !p.hasFolded);
+  if (livePlayers.length <= 1) return true;
+
+  const canAct = livePlayers.filter(p => !p.isAllIn);
+  if (canAct.length === 0) return true;
+
+  // Last player with chips against all-ins only has to match the bet
+  if (canAct.length === 1 && canAct[0].currentBet >= gameState.currentBet) return true;
+
+  return canAct.every(p => p.hasActed && p.currentBet === gameState.currentBet);
+}
+
+/**
+ * Index of the next player after `fromIndex` who can still bet, or -1
+ */
+function nextToAct(gameState, fromIndex) {
+  const count = gameState.players.length;
+  for (let i = 1; i <= count; i++) {
+    const index = (fromIndex + i) % count;
+    const player = gameState.players[index];
+    if (!player.hasFolded && !player.isAllIn) return index;
+  }
+  return -1;
+}
+
+module.exports = {
+  ActionError,
+  MAX_LIMIT_BETS,
+  startStreet,
+  playersAbleToAct,
+  getBettingLimits,
+  getAvailableActions,
+  applyAction,
+  isBettingRoundComplete,
+  nextToAct
+};
@@ -0,0 +1,769 @@
+const { ethers } = require('ethers');
+
+const POKER_TOKEN_ABI = require('./abis/PokerToken.json');
+const POKER_GAME_ABI = require('./abis/PokerGame.json');
+
+/**
+ * Chain adapters
+ *
+ * Everything the server does on-chain goes through one of these, so the
+ * game can run against Base (EthersChainAdapter) or entirely in memory
+ * for tests and local development (MemoryChainAdapter).
+ *
+ * Amounts are passed and returned in whole token units (e.g. 10 = 10 FELT);
+ * the adapter converts to and from wei. Write methods resolve once the
+ * transaction is mined and return { txHash, nonce, gasCost }, gasCost
+ * being the ETH the server wallet paid for it.
+ *
+ * Write methods take optional trailing txOptions for the transaction queue:
+ *   nonce    reuse a nonce (replace a stuck transaction)
+ *   feeBump  raise fees GAS_BUMP_PERCENT per step above the current estimate
+ * Nonces are handed out locally so concurrent tables never race for one.
+ *
+ * getEvents(fromBlock, toBlock) reads the contract events the indexer
+ * follows (INDEXED_EVENTS) as
+ *   { contract: 'game' | 'token', name, args, blockNumber, blockHash, txHash, logIndex }
+ * with args by name, amounts in whole tokens and other integers as numbers.
+ *
+ * rotateGameServer() hands the PokerGame game server role to the key
+ * configured as SERVER_NEXT_PRIVATE_KEY and signs everything after it with
+ * that key. Tokens and ETH left in the old wallet stay there. Keys only ever
+ * come from the environment; syncGameServer() picks the next key up again at
+ * startup if the contract already names it, so a restart before
+ * SERVER_PRIVATE_KEY is updated keeps signing with the right wallet.
+ */
+
+const GAS_BUMP_PERCENT = 15n;
+
+// Gas money a house bot wallet is topped up to before it buys in
+const HOUSE_BOT_GAS = ethers.parseEther('0.0002');
+
+function fromWei(value) {
+  return Number(ethers.formatEther(value));
+}
+
+const INDEXED_EVENTS = {
+  game: ['GameCreated', 'PlayerJoined', 'GameStarted', 'ActionSubmitted', 'GameFinished', 'GameSettled', 'PlayerLeft'],
+  token: ['Transfer', 'TokensClaimed']
+};
+
+// Event fields holding token wei; other uint256 fields are ids, counts or timestamps
+const EVENT_AMOUNT_FIELDS = new Set([
+  'smallBlind', 'bigBlind', 'minBuyIn', 'maxBuyIn', 'buyIn', 'amount', 'pot', 'winAmount', 'serverFeeAmount', 'refund', 'value'
+]);
+
+function eventArgs(fragment, args) {
+  return Object.fromEntries(fragment.inputs.map((input, i) => {
+    const value = args[i];
+    if (typeof value === 'bigint') {
+      return [input.name, EVENT_AMOUNT_FIELDS.has(input.name) ? fromWei(value) : Number(value)];
+    }
+    return [input.name, value instanceof ethers.Result ? value.toArray() : value];
+  }));
+}
+
+class EthersChainAdapter {
+  constructor({ rpcUrl, privateKey, nextPrivateKey = null, ownerPrivateKey = null, tokenAddress, gameAddress, eventsFromBlock = 0, confirmTimeoutMs = 60000 }) {
+    this.eventsFromBlock = eventsFromBlock;
+    this.confirmTimeoutMs = confirmTimeoutMs;
+    this.nextNonce = null; // Promise<number> once synced with the chain
+    this.provider = new ethers.JsonRpcProvider(rpcUrl);
+    this.wallet = new ethers.Wallet(privateKey, this.provider);
+    this.nextWallet = nextPrivateKey ? new ethers.Wallet(nextPrivateKey, this.provider) : null;
+    this.ownerWallet = ownerPrivateKey ? new ethers.Wallet(ownerPrivateKey, this.provider) : null;
+    this.pokerToken = new ethers.Contract(tokenAddress, POKER_TOKEN_ABI, this.wallet);
+    this.pokerGame = new ethers.Contract(gameAddress, POKER_GAME_ABI, this.wallet);
+  }
+
+  async reserveNonce() {
+    if (!this.nextNonce) {
+      this.nextNonce = this.provider.getTransactionCount(this.wallet.address, 'pending');
+    }
+    const nonce = await this.nextNonce;
+    this.nextNonce = Promise.resolve(nonce + 1);
+    return nonce;
+  }
+
+  // Re-read the nonce from the chain on next use
+  resetNonce() {
+    this.nextNonce = null;
+  }
+
+  async feeOverrides(feeBump) {
+    if (!(feeBump > 0)) return {};
+    const { maxFeePerGas, maxPriorityFeePerGas } = await this.provider.getFeeData();
+    const factor = 100n + GAS_BUMP_PERCENT * BigInt(feeBump);
+    return {
+      maxFeePerGas: maxFeePerGas * factor / 100n,
+      maxPriorityFeePerGas: maxPriorityFeePerGas * factor / 100n
+    };
+  }
+
+  /**
+   * Send contract.method(...args) and wait for it to be mined. If it was
+   * broadcast but not confirmed in time, the error carries nonce and txHash
+   * so the caller can replace it.
+   */
+  async send(contract, method, args, { nonce = null, feeBump = 0 } = {}) {
+    const overrides = {
+      nonce: nonce ?? await this.reserveNonce(),
+      ...await this.feeOverrides(feeBump)
+    };
+
+    let tx;
+    try {
+      tx = await contract[method](...args, overrides);
+    } catch (error) {
+      // Never broadcast, so the nonce may be unused - resync before the next send
+      this.resetNonce();
+      throw error;
+    }
+
+    try {
+      const receipt = await tx.wait(1, this.confirmTimeoutMs);
+      return { txHash: receipt.hash, nonce: overrides.nonce, gasCost: fromWei(receipt.fee), receipt };
+    } catch (error) {
+      error.nonce = overrides.nonce;
+      error.txHash = tx.hash;
+      throw error;
+    }
+  }
+
+  async getTransactionReceipt(txHash) {
+    const receipt = await this.provider.getTransactionReceipt(txHash);
+    return receipt && { txHash: receipt.hash, status: receipt.status, blockNumber: receipt.blockNumber };
+  }
+
+  async getBlockNumber() {
+    return this.provider.getBlockNumber();
+  }
+
+  async getBlock(blockNumber) {
+    const block = await this.provider.getBlock(blockNumber);
+    return block && { number: block.number, hash: block.hash, parentHash: block.parentHash };
+  }
+
+  async getEvents(fromBlock, toBlock) {
+    const events = [];
+    for (const [name, contract] of [['game', this.pokerGame], ['token', this.pokerToken]]) {
+      const logs = await this.provider.getLogs({
+        address: await contract.getAddress(),
+        fromBlock,
+        toBlock,
+        topics: [INDEXED_EVENTS[name].map(event => contract.interface.getEvent(event).topicHash)]
+      });
+      for (const log of logs) {
+        const parsed = contract.interface.parseLog(log);
+        events.push({
+          contract: name,
+          name: parsed.name,
+          args: eventArgs(parsed.fragment, parsed.args),
+          blockNumber: log.blockNumber,
+          blockHash: log.blockHash,
+          txHash: log.transactionHash,
+          logIndex: log.index
+        });
+      }
+    }
+    return events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  }
+
+  async createGame({ smallBlind, bigBlind, minBuyIn, maxBuyIn, maxPlayers }, txOptions) {
+    const { txHash, receipt } = await this.send(this.pokerGame, 'createGame', [
+      ethers.parseEther(smallBlind.toString()),
+      ethers.parseEther(bigBlind.toString()),
+      ethers.parseEther(minBuyIn.toString()),
+      ethers.parseEther(maxBuyIn.toString()),
+      maxPlayers
+    ], txOptions);
+
+    // Extract gameId from event
+    const event = receipt.logs.find(
+      log => log.topics[0] === this.pokerGame.interface.getEvent('GameCreated').topicHash
+    );
+    const gameId = event ? Number(event.topics[1]) : null;
+
+    return { gameId, txHash };
+  }
+
+  async startGame(gameId, gameHash, txOptions) {
+    return this.send(this.pokerGame, 'startGame', [gameId, gameHash], txOptions);
+  }
+
+  async submitAction(gameId, playerAddress, action, amount, gameHash, txOptions) {
+    return this.send(this.pokerGame, 'submitAction', [
+      gameId,
+      playerAddress,
+      action,
+      amount ? ethers.parseEther(amount.toString()) : 0,
+      gameHash
+    ], txOptions);
+  }
+
+  async finishGame(gameId, winner, gameHash, txOptions) {
+    return this.send(this.pokerGame, 'finishGame', [gameId, winner, gameHash], txOptions);
+  }
+
+  // Pays the pot, less the table's server fee, to the winner set by finishGame
+  async settleGame(gameId, txOptions) {
+    return this.send(this.pokerGame, 'settleGame', [gameId], txOptions);
+  }
+
+  async emergencyRefund(gameId, txOptions) {
+    return this.send(this.pokerGame, 'emergencyRefund', [gameId], txOptions);
+  }
+
+  /**
+   * The share of the pot settleGame keeps for the server, e.g. 0.025.
+   * Tables created before fees were set fall back to DEFAULT_SERVER_FEE.
+   */
+  async getServerFeeRate(gameId) {
+    const [game, basisPoints] = await Promise.all([this.pokerGame.games(gameId), this.pokerGame.BASIS_POINTS()]);
+    const fee = game.serverFee > 0n ? game.serverFee : await this.pokerGame.DEFAULT_SERVER_FEE();
+    return Number(fee) / Number(basisPoints);
+  }
+
+  async getGameInfo(gameId) {
+    const info = await this.pokerGame.getGameInfo(gameId);
+    return {
+      creator: info.creator,
+      smallBlind: fromWei(info.smallBlind),
+      bigBlind: fromWei(info.bigBlind),
+      minBuyIn: fromWei(info.minBuyIn),
+      maxBuyIn: fromWei(info.maxBuyIn),
+      maxPlayers: Number(info.maxPlayers),
+      playerCount: Number(info.playerCount),
+      pot: fromWei(info.pot),
+      state: Number(info.state),
+      currentTurn: info.currentTurn,
+      winner: info.winner
+    };
+  }
+
+  async getGamePlayers(gameId) {
+    return [...await this.pokerGame.getGamePlayers(gameId)];
+  }
+
+  async getPlayerInfo(gameId, player) {
+    const info = await this.pokerGame.getPlayerInfo(gameId, player);
+    return {
+      currentBet: fromWei(info.currentBet),
+      hasFolded: info.hasFolded,
+      isActive: info.isActive,
+      buyIn: fromWei(info.buyIn)
+    };
+  }
+
+  /**
+   * PlayerJoined events for one player at one table, oldest first
+   */
+  async getPlayerJoins(gameId, player) {
+    const events = await this.pokerGame.queryFilter(
+      this.pokerGame.filters.PlayerJoined(gameId, player),
+      this.eventsFromBlock
+    );
+    return events.map(event => ({
+      player: event.args.player,
+      buyIn: fromWei(event.args.buyIn),
+      txHash: event.transactionHash,
+      blockNumber: event.blockNumber
+    }));
+  }
+
+  async canClaim(address) {
+    return this.pokerToken.canClaim(address);
+  }
+
+  async nextClaimTime(address) {
+    return Number(await this.pokerToken.nextClaimTime(address));
+  }
+
+  async mint(to, amount, txOptions) {
+    return this.send(this.pokerToken, 'mint', [to, ethers.parseEther(amount.toString())], txOptions);
+  }
+
+  /**
+   * Buy a house bot into a table. The server mints the buy-in to the bot's
+   * wallet and tops up its gas; the bot then approves and calls joinGame
+   * itself, as any player would.
+   */
+  async houseBuyIn(botWallet, gameId, amount) {
+    const bot = botWallet.connect(this.provider);
+    const value = ethers.parseEther(amount.toString());
+    await this.send(this.pokerToken, 'mint', [bot.address, value]);
+
+    const balance = await this.provider.getBalance(bot.address);
+    if (balance < HOUSE_BOT_GAS) {
+      const nonce = await this.reserveNonce();
+      try {
+        const tx = await this.wallet.sendTransaction({ to: bot.address, value: HOUSE_BOT_GAS - balance, nonce });
+        await tx.wait(1, this.confirmTimeoutMs);
+      } catch (error) {
+        this.resetNonce();
+        throw error;
+      }
+    }
+
+    const approval = await this.pokerToken.connect(bot).approve(await this.pokerGame.getAddress(), value);
+    await approval.wait(1, this.confirmTimeoutMs);
+    const join = await this.pokerGame.connect(bot).joinGame(gameId, value);
+    const receipt = await join.wait(1, this.confirmTimeoutMs);
+    return { txHash: receipt.hash };
+  }
+
+  // Wallet the server sends from; tournament entry fees are paid to it
+  get serverAddress() {
+    return this.wallet.address;
+  }
+
+  // Address of the configured next game server key, or null
+  get nextServerAddress() {
+    return this.nextWallet ? this.nextWallet.address : null;
+  }
+
+  /**
+   * Make the configured next key the game server. `fundEth` is sent to it
+   * from the current wallet for gas first; setGameServer is then called by
+   * the contract owner - CONTRACT_OWNER_PRIVATE_KEY if set, or the current
+   * wallet if it owns the contract. Run it with the transaction queue held.
+   */
+  async rotateGameServer({ fundEth = 0 } = {}) {
+    const next = this.nextWallet;
+    if (!next) throw new Error('No next game server key configured');
+    const previous = this.wallet.address;
+
+    let fundTxHash = null;
+    if (fundEth > 0) {
+      const nonce = await this.reserveNonce();
+      try {
+        const tx = await this.wallet.sendTransaction({ to: next.address, value: ethers.parseEther(fundEth.toString()), nonce });
+        fundTxHash = (await tx.wait(1, this.confirmTimeoutMs)).hash;
+      } catch (error) {
+        this.resetNonce();
+        throw error;
+      }
+    }
+
+    let txHash;
+    if (this.ownerWallet) {
+      const tx = await this.pokerGame.connect(this.ownerWallet).setGameServer(next.address);
+      txHash = (await tx.wait(1, this.confirmTimeoutMs)).hash;
+    } else {
+      ({ txHash } = await this.send(this.pokerGame, 'setGameServer', [next.address]));
+    }
+
+    this.useWallet(next);
+    return { previous, gameServer: next.address, txHash, fundTxHash };
+  }
+
+  /**
+   * Sign with the next key if the contract already made it the game server,
+   * i.e. a rotation finished before the last restart. Returns the address
+   * signing from now on.
+   */
+  async syncGameServer() {
+    if (this.nextWallet && (await this.pokerGame.gameServer()) === this.nextWallet.address) {
+      this.useWallet(this.nextWallet);
+    }
+    return this.wallet.address;
+  }
+
+  // Sign everything from here on with `wallet`
+  useWallet(wallet) {
+    this.wallet = wallet;
+    this.nextWallet = null;
+    this.pokerToken = this.pokerToken.connect(wallet);
+    this.pokerGame = this.pokerGame.connect(wallet);
+    this.resetNonce();
+  }
+
+  async balanceOf(address) {
+    return fromWei(await this.pokerToken.balanceOf(address));
+  }
+
+  // ETH the server wallet has left for gas
+  async getGasBalance() {
+    return fromWei(await this.provider.getBalance(this.wallet.address));
+  }
+
+  async transfer(to, amount, txOptions) {
+    return this.send(this.pokerToken, 'transfer', [to, ethers.parseEther(amount.toString())], txOptions);
+  }
+
+  /**
+   * The token Transfer made by a mined transaction, or null if it made none
+   */
+  async getTokenTransfer(txHash) {
+    const receipt = await this.provider.getTransactionReceipt(txHash);
+    if (!receipt || receipt.status !== 1) return null;
+
+    const tokenAddress = (await this.pokerToken.getAddress()).toLowerCase();
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== tokenAddress) continue;
+      const parsed = this.pokerToken.interface.parseLog(log);
+      if (parsed && parsed.name === 'Transfer') {
+        return { from: parsed.args.from, to: parsed.args.to, amount: fromWei(parsed.args.value), txHash };
+      }
+    }
+    return null;
+  }
+}
+
+// getGameInfo reports a state index, like the contract's GameState enum
+const MEMORY_GAME_STATES = ['created', 'started', 'finished', 'refunded'];
+
+const MEMORY_SERVER_ADDRESS = ethers.getAddress('0x' + '5e'.repeat(20));
+const MEMORY_GAME_ADDRESS = ethers.getAddress('0x' + '9a'.repeat(20));
+
+/**
+ * In-memory stand-in for the contracts. Every call is recorded in `calls`
+ * and mined in a block of its own, with the events the contracts would emit.
+ */
+class MemoryChainAdapter {
+  constructor({ claimCooldownSeconds = 4 * 3600, gasCost = 0, gasBalance = 1, serverFeeRate = 0, nextPrivateKey = null } = {}) {
+    this.calls = [];
+    this.games = new Map();
+    this.balances = new Map();
+    this.lastClaims = new Map();
+    this.joins = [];
+    this.transfers = [];
+    this.failures = [];
+    this.receipts = new Map();
+    this.nextGameId = 1;
+    this.txCount = 0;
+    this.claimCooldownSeconds = claimCooldownSeconds;
+    this.gasCost = gasCost; // ETH charged per write
+    this.gasBalance = gasBalance;
+    this.serverFeeRate = serverFeeRate; // share of the pot settleGame keeps
+    this.gameServer = MEMORY_SERVER_ADDRESS;
+    this.nextWallet = nextPrivateKey ? new ethers.Wallet(nextPrivateKey) : null;
+    this.blocks = [];
+    this.logs = [];
+    this.forks = 0; // bumped by reorg() so replacement blocks get new hashes
+    this.mineBlock(null);
+  }
+
+  mineBlock(txHash) {
+    const parent = this.blocks[this.blocks.length - 1];
+    const number = parent ? parent.number + 1 : 0;
+    const block = {
+      number,
+      hash: ethers.id(`memory-block-${number}-${this.forks}`),
+      parentHash: parent ? parent.hash : ethers.ZeroHash,
+      txHash
+    };
+    this.blocks.push(block);
+    return block;
+  }
+
+  record(method, args) {
+    const failure = this.failures.findIndex(f => f.method === method);
+    if (failure !== -1) {
+      throw this.failures.splice(failure, 1)[0].error;
+    }
+
+    this.calls.push({ method, args });
+    const txHash = ethers.zeroPadValue(ethers.toBeHex(++this.txCount), 32);
+    const block = this.mineBlock(txHash);
+    this.receipts.set(txHash, { txHash, status: 1, blockNumber: block.number });
+    this.gasBalance -= this.gasCost;
+    return { txHash, nonce: this.txCount - 1, gasCost: this.gasCost };
+  }
+
+  // An event from the transaction just recorded
+  emitEvent(contract, name, args) {
+    const block = this.blocks[this.blocks.length - 1];
+    this.logs.push({
+      contract,
+      name,
+      args,
+      blockNumber: block.number,
+      blockHash: block.hash,
+      txHash: block.txHash,
+      logIndex: this.logs.filter(log => log.blockNumber === block.number).length
+    });
+  }
+
+  /**
+   * Orphan the newest `depth` blocks, with their receipts and events, as a
+   * chain reorganisation would (tests). Contract state is not rolled back;
+   * later writes are mined on the new fork.
+   */
+  reorg(depth = 1) {
+    const dropped = this.blocks.splice(Math.max(1, this.blocks.length - depth));
+    for (const block of dropped) this.receipts.delete(block.txHash);
+    const tip = this.blocks[this.blocks.length - 1].number;
+    this.logs = this.logs.filter(log => log.blockNumber <= tip);
+    this.forks++;
+  }
+
+  async getBlockNumber() {
+    return this.blocks[this.blocks.length - 1].number;
+  }
+
+  async getBlock(blockNumber) {
+    const block = this.blocks[blockNumber];
+    return block ? { number: block.number, hash: block.hash, parentHash: block.parentHash } : null;
+  }
+
+  async getEvents(fromBlock, toBlock) {
+    return this.logs
+      .filter(log => log.blockNumber >= fromBlock && log.blockNumber <= toBlock)
+      .map(log => ({ ...log, args: { ...log.args } }));
+  }
+
+  // Make the next write to `method` throw `error` (tests)
+  failNext(method, error = new Error(`${method} failed`)) {
+    this.failures.push({ method, error });
+  }
+
+  async getTransactionReceipt(txHash) {
+    return this.receipts.get(txHash) || null;
+  }
+
+  callsFor(method) {
+    return this.calls.filter(c => c.method === method);
+  }
+
+  async createGame(config) {
+    const gameId = this.nextGameId++;
+    this.games.set(gameId, { ...config, state: 'created', players: [], playerInfo: new Map(), pot: 0 });
+    const tx = this.record('createGame', [config]);
+    const { smallBlind, bigBlind, minBuyIn, maxBuyIn, maxPlayers } = config;
+    this.emitEvent('game', 'GameCreated', { gameId, creator: this.serverAddress, smallBlind, bigBlind, minBuyIn, maxBuyIn, maxPlayers });
+    return { gameId, ...tx };
+  }
+
+  async startGame(gameId, gameHash) {
+    const tx = this.record('startGame', [gameId, gameHash]);
+    const game = this.games.get(gameId);
+    game.state = 'started';
+    this.emitEvent('game', 'GameStarted', { gameId, players: game.players.slice(), initialGameHash: gameHash });
+    return tx;
+  }
+
+  async submitAction(gameId, playerAddress, action, amount, gameHash) {
+    const tx = this.record('submitAction', [gameId, playerAddress, action, amount, gameHash]);
+    this.emitEvent('game', 'ActionSubmitted', { gameId, player: playerAddress, action, amount: amount || 0, newGameHash: gameHash });
+    return tx;
+  }
+
+  async finishGame(gameId, winner, gameHash) {
+    const tx = this.record('finishGame', [gameId, winner, gameHash]);
+    const game = this.games.get(gameId);
+    Object.assign(game, { state: 'finished', winner });
+    this.emitEvent('game', 'GameFinished', { gameId, winner, pot: game.pot });
+    return tx;
+  }
+
+  async settleGame(gameId) {
+    const game = this.games.get(gameId);
+    if (!game || game.state !== 'finished' || game.settled) throw new Error('Game not finished');
+    const tx = this.record('settleGame', [gameId]);
+    const fee = game.pot * this.serverFeeRate;
+    const key = game.winner.toLowerCase();
+    this.balances.set(key, (this.balances.get(key) || 0) + game.pot - fee);
+    this.emitEvent('game', 'GameSettled', { gameId, winner: game.winner, winAmount: game.pot - fee, serverFeeAmount: fee });
+    this.emitEvent('token', 'Transfer', { from: MEMORY_GAME_ADDRESS, to: game.winner, value: game.pot - fee });
+    Object.assign(game, { settled: true, pot: 0 });
+    return tx;
+  }
+
+  // Every active player gets their buy-in back, fee free
+  async emergencyRefund(gameId) {
+    const tx = this.record('emergencyRefund', [gameId]);
+    const game = this.games.get(gameId);
+    if (game) {
+      for (const player of game.players) {
+        const key = player.toLowerCase();
+        const info = game.playerInfo.get(key);
+        if (!info.isActive) continue;
+        this.balances.set(key, (this.balances.get(key) || 0) + info.buyIn);
+        info.isActive = false;
+        this.emitEvent('game', 'PlayerLeft', { gameId, player, refund: info.buyIn });
+        this.emitEvent('token', 'Transfer', { from: MEMORY_GAME_ADDRESS, to: player, value: info.buyIn });
+      }
+      Object.assign(game, { state: 'refunded', pot: 0 });
+    }
+    return tx;
+  }
+
+  async getServerFeeRate() {
+    return this.serverFeeRate;
+  }
+
+  async getGameInfo(gameId) {
+    const game = this.games.get(gameId);
+    if (!game) throw new Error(`Game ${gameId} does not exist`);
+    return {
+      creator: ethers.ZeroAddress,
+      smallBlind: game.smallBlind,
+      bigBlind: game.bigBlind,
+      minBuyIn: game.minBuyIn,
+      maxBuyIn: game.maxBuyIn,
+      maxPlayers: game.maxPlayers,
+      playerCount: game.players.length,
+      pot: game.pot,
+      state: MEMORY_GAME_STATES.indexOf(game.state),
+      currentTurn: ethers.ZeroAddress,
+      winner: game.winner || ethers.ZeroAddress
+    };
+  }
+
+  async getGamePlayers(gameId) {
+    const game = this.games.get(gameId);
+    if (!game) throw new Error(`Game ${gameId} does not exist`);
+    return game.players.slice();
+  }
+
+  async getPlayerInfo(gameId, player) {
+    const game = this.games.get(gameId);
+    if (!game) throw new Error(`Game ${gameId} does not exist`);
+    return game.playerInfo.get(player.toLowerCase()) ||
+      { currentBet: 0, hasFolded: false, isActive: false, buyIn: 0 };
+  }
+
+  async getPlayerJoins(gameId, player) {
+    return this.joins.filter(j => j.gameId === gameId && j.player.toLowerCase() === player.toLowerCase());
+  }
+
+  /**
+   * What a player's own joinGame transaction would do - lets tests and
+   * local runs buy in without a wallet
+   */
+  joinGame(gameId, player, buyIn) {
+    const game = this.games.get(gameId);
+    game.players.push(player);
+    game.playerInfo.set(player.toLowerCase(), { currentBet: 0, hasFolded: false, isActive: true, buyIn });
+    game.pot += buyIn;
+
+    const { txHash } = this.record('joinGame', [gameId, player, buyIn]);
+    this.emitEvent('token', 'Transfer', { from: player, to: MEMORY_GAME_ADDRESS, value: buyIn });
+    this.emitEvent('game', 'PlayerJoined', { gameId, player, buyIn });
+    this.joins.push({ gameId, player, buyIn, txHash, blockNumber: this.receipts.get(txHash).blockNumber });
+    return { txHash };
+  }
+
+  async houseBuyIn(botWallet, gameId, amount) {
+    await this.mint(botWallet.address, amount);
+    return this.joinGame(gameId, botWallet.address, amount);
+  }
+
+  async canClaim(address) {
+    return Date.now() / 1000 >= await this.nextClaimTime(address);
+  }
+
+  async nextClaimTime(address) {
+    const last = this.lastClaims.get(address.toLowerCase());
+    return last === undefined ? 0 : last + this.claimCooldownSeconds;
+  }
+
+  async mint(to, amount) {
+    const tx = this.record('mint', [to, amount]);
+    const key = to.toLowerCase();
+    this.balances.set(key, (this.balances.get(key) || 0) + Number(amount));
+    this.emitEvent('token', 'Transfer', { from: ethers.ZeroAddress, to, value: Number(amount) });
+    return tx;
+  }
+
+  /**
+   * A player's own faucet claim on the token contract, for tests and local runs
+   */
+  claimTokens(user, amount) {
+    const { txHash } = this.record('claim', [user]);
+    const now = Math.floor(Date.now() / 1000);
+    this.lastClaims.set(user.toLowerCase(), now);
+    this.balances.set(user.toLowerCase(), (this.balances.get(user.toLowerCase()) || 0) + Number(amount));
+    this.emitEvent('token', 'Transfer', { from: ethers.ZeroAddress, to: user, value: Number(amount) });
+    this.emitEvent('token', 'TokensClaimed', { user, amount: Number(amount), nextClaimTime: now + this.claimCooldownSeconds });
+    return { txHash };
+  }
+
+  get serverAddress() {
+    return this.gameServer;
+  }
+
+  get nextServerAddress() {
+    return this.nextWallet ? this.nextWallet.address : null;
+  }
+
+  async rotateGameServer({ fundEth = 0 } = {}) {
+    if (!this.nextWallet) throw new Error('No next game server key configured');
+    const next = this.nextWallet.address;
+    const previous = this.gameServer;
+    const { txHash } = this.record('setGameServer', [next]);
+    this.gameServer = next;
+    this.nextWallet = null;
+    this.gasBalance = fundEth;
+    return { previous, gameServer: next, txHash, fundTxHash: null };
+  }
+
+  async syncGameServer() {
+    return this.gameServer;
+  }
+
+  async balanceOf(address) {
+    return this.balances.get(address.toLowerCase()) || 0;
+  }
+
+  async getGasBalance() {
+    return this.gasBalance;
+  }
+
+  moveTokens(from, to, amount) {
+    const key = to.toLowerCase();
+    this.balances.set(from.toLowerCase(), (this.balances.get(from.toLowerCase()) || 0) - Number(amount));
+    this.balances.set(key, (this.balances.get(key) || 0) + Number(amount));
+  }
+
+  async transfer(to, amount) {
+    const tx = this.record('transfer', [to, amount]);
+    this.moveTokens(this.serverAddress, to, amount);
+    this.emitEvent('token', 'Transfer', { from: this.serverAddress, to, value: Number(amount) });
+    this.transfers.push({ from: this.serverAddress, to, amount: Number(amount), txHash: tx.txHash });
+    return tx;
+  }
+
+  async getTokenTransfer(txHash) {
+    return this.transfers.find(t => t.txHash === txHash) || null;
+  }
+
+  /**
+   * A player's own token transfer (e.g. a tournament entry fee to
+   * serverAddress), for tests and local runs
+   */
+  transferTokens(from, to, amount) {
+    const { txHash } = this.record('tokenTransfer', [from, to, amount]);
+    this.moveTokens(from, to, amount);
+    this.emitEvent('token', 'Transfer', { from, to, value: Number(amount) });
+    this.transfers.push({ from, to, amount: Number(amount), txHash });
+    return { txHash };
+  }
+}
+
+/**
+ * Pick an adapter from the environment: CHAIN_ADAPTER=memory runs without a chain
+ */
+function createChainAdapter(env = process.env) {
+  if (env.CHAIN_ADAPTER === 'memory') {
+    return new MemoryChainAdapter({ nextPrivateKey: env.SERVER_NEXT_PRIVATE_KEY || null });
+  }
+
+  return new EthersChainAdapter({
+    rpcUrl: env.BASE_RPC_URL,
+    privateKey: env.SERVER_PRIVATE_KEY,
+    nextPrivateKey: env.SERVER_NEXT_PRIVATE_KEY || null,
+    ownerPrivateKey: env.CONTRACT_OWNER_PRIVATE_KEY || null,
+    tokenAddress: env.TOKEN_ADDRESS,
+    gameAddress: env.GAME_ADDRESS,
+    eventsFromBlock: Number(env.EVENTS_FROM_BLOCK || 0),
+    confirmTimeoutMs: Number(env.TX_CONFIRM_TIMEOUT_MS || 60000)
+  });
+}
+
+module.exports = {
+  INDEXED_EVENTS,
+  EthersChainAdapter,
+  MemoryChainAdapter,
+  createChainAdapter
+};
@@ -0,0 +1,255 @@
+const { ethers } = require('ethers');
+const { roundAmount } = require('./settlement');
+
+/**
+ * Chain event indexer
+ *
+ * Follows the PokerGame and PokerToken events in INDEXED_EVENTS from
+ * `startBlock` to the chain head, in batches of `batchBlocks`, and keeps
+ * them in the state store: one record per block that had events
+ *   { number, hash, events }
+ * and a cursor - the last block indexed, its hash and the hashes of recent
+ * blocks - so a restart carries on where it stopped.
+ *
+ * Reorgs: every run first checks the cursor's hash against the chain. If
+ * the block was replaced, the indexer walks back through the recent hashes
+ * to the newest block the chain still has, drops everything indexed after
+ * it and indexes forward again. A reorg deeper than `reorgDepth` blocks
+ * re-indexes from startBlock.
+ *
+ * Events are the chain adapter's, plus `gameId` (null for token events)
+ * and `players`, every address the event concerns, for the per-game and
+ * per-player lookups.
+ */
+
+class ChainIndexer {
+  constructor({ chain, store, startBlock = 0, intervalMs = 5000, batchBlocks = 2000, reorgDepth = 64 }) {
+    this.chain = chain;
+    this.store = store;
+    this.startBlock = startBlock;
+    this.intervalMs = intervalMs;
+    this.batchBlocks = batchBlocks;
+    this.reorgDepth = reorgDepth;
+    this.cursor = null; // { blockNumber, hash, recent: [{ number, hash }] }
+    this.events = [];
+    this.byGame = new Map(); // gameId -> [event]
+    this.byPlayer = new Map(); // lowercased address -> [event]
+    this.headBlock = null;
+    this.reorgs = 0;
+    this.lastRunAt = null;
+    this.lastError = null;
+    this.loaded = null;
+    this.running = null;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer || !(this.intervalMs > 0)) return;
+    this.timer = setInterval(() => {
+      this.runOnce().catch(error => console.error('Indexer error:', error.message));
+    }, this.intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Index up to the chain head; overlapping calls share one run
+  runOnce() {
+    if (!this.running) {
+      this.running = this.sync().finally(() => { this.running = null; });
+    }
+    return this.running;
+  }
+
+  async sync() {
+    await this.load();
+    try {
+      await this.checkForReorg();
+      this.headBlock = await this.chain.getBlockNumber();
+      for (let from = this.nextBlock(); from <= this.headBlock; from += this.batchBlocks) {
+        await this.indexRange(from, Math.min(this.headBlock, from + this.batchBlocks - 1));
+      }
+      this.lastRunAt = Date.now();
+      this.lastError = null;
+    } catch (error) {
+      this.lastError = error.message;
+      throw error;
+    }
+    return this.status();
+  }
+
+  load() {
+    if (!this.loaded) this.loaded = this.restore();
+    return this.loaded;
+  }
+
+  async restore() {
+    const cursor = await this.store.loadChainCursor();
+    this.cursor = cursor ? JSON.parse(cursor) : null;
+
+    // Blocks saved after the cursor was last written are indexed again
+    const indexedThrough = this.cursor ? this.cursor.blockNumber : this.startBlock - 1;
+    await this.store.removeChainBlocksAfter(indexedThrough);
+    const blocks = (await this.store.loadChainBlocks()).map(json => JSON.parse(json));
+    this.rebuild(blocks.flatMap(block => block.events));
+  }
+
+  nextBlock() {
+    return this.cursor ? this.cursor.blockNumber + 1 : this.startBlock;
+  }
+
+  async indexRange(fromBlock, toBlock) {
+    const events = (await this.chain.getEvents(fromBlock, toBlock)).map(tagEvent);
+    const tip = await this.chain.getBlock(toBlock);
+    if (!tip) throw new Error(`Block ${toBlock} is not available yet`);
+
+    const blocks = new Map();
+    for (const event of events) {
+      if (!blocks.has(event.blockNumber)) {
+        blocks.set(event.blockNumber, { number: event.blockNumber, hash: event.blockHash, events: [] });
+      }
+      blocks.get(event.blockNumber).events.push(event);
+    }
+    for (const block of blocks.values()) {
+      await this.store.saveChainBlock(block.number, JSON.stringify(block));
+    }
+
+    const checkpoints = [
+      ...(this.cursor ? this.cursor.recent : []),
+      ...[...blocks.values()].map(({ number, hash }) => ({ number, hash })),
+      { number: tip.number, hash: tip.hash }
+    ];
+    const recent = [...new Map(checkpoints.map(c => [c.number, c])).values()]
+      .filter(c => c.number > toBlock - this.reorgDepth);
+    this.cursor = { blockNumber: toBlock, hash: tip.hash, recent };
+    await this.store.saveChainCursor(JSON.stringify(this.cursor));
+    this.add(events);
+  }
+
+  async checkForReorg() {
+    if (!this.cursor) return;
+    const block = await this.chain.getBlock(this.cursor.blockNumber);
+    if (block && block.hash === this.cursor.hash) return;
+
+    // Walk back to the newest block the chain still agrees with
+    let common = null;
+    for (const checkpoint of [...this.cursor.recent].reverse()) {
+      if (checkpoint.number >= this.cursor.blockNumber) continue;
+      const current = await this.chain.getBlock(checkpoint.number);
+      if (current && current.hash === checkpoint.hash) {
+        common = checkpoint;
+        break;
+      }
+    }
+
+    this.reorgs++;
+    console.warn(`Chain reorg below block ${this.cursor.blockNumber}: re-indexing from ${common ? common.number + 1 : this.startBlock}`);
+    await this.rewind(common);
+  }
+
+  // Forget everything after `checkpoint`, or everything if it is null
+  async rewind(checkpoint) {
+    const keepThrough = checkpoint ? checkpoint.number : this.startBlock - 1;
+    await this.store.removeChainBlocksAfter(keepThrough);
+    this.cursor = checkpoint
+      ? { blockNumber: checkpoint.number, hash: checkpoint.hash, recent: this.cursor.recent.filter(c => c.number <= checkpoint.number) }
+      : null;
+    await this.store.saveChainCursor(JSON.stringify(this.cursor));
+    this.rebuild(this.events.filter(event => event.blockNumber <= keepThrough));
+  }
+
+  rebuild(events) {
+    this.events = [];
+    this.byGame.clear();
+    this.byPlayer.clear();
+    this.add(events);
+  }
+
+  add(events) {
+    for (const event of events) {
+      this.events.push(event);
+      if (event.gameId !== null) {
+        if (!this.byGame.has(event.gameId)) this.byGame.set(event.gameId, []);
+        this.byGame.get(event.gameId).push(event);
+      }
+      for (const player of event.players) {
+        const key = player.toLowerCase();
+        if (!this.byPlayer.has(key)) this.byPlayer.set(key, []);
+        this.byPlayer.get(key).push(event);
+      }
+    }
+  }
+
+  gameEvents(gameId) {
+    return (this.byGame.get(Number(gameId)) || []).slice();
+  }
+
+  playerEvents(address) {
+    return (this.byPlayer.get(address.toLowerCase()) || []).slice();
+  }
+
+  status() {
+    const indexedBlock = this.cursor ? this.cursor.blockNumber : null;
+    return {
+      startBlock: this.startBlock,
+      indexedBlock,
+      headBlock: this.headBlock,
+      lag: this.headBlock === null ? null : Math.max(0, this.headBlock - (indexedBlock ?? this.startBlock - 1)),
+      events: this.events.length,
+      reorgs: this.reorgs,
+      lastRunAt: this.lastRunAt,
+      lastError: this.lastError
+    };
+  }
+}
+
+// Every address an event concerns, minus the zero address of mints
+function eventPlayers({ name, args }) {
+  switch (name) {
+    case 'GameCreated': return [args.creator];
+    case 'GameStarted': return args.players;
+    case 'GameFinished':
+    case 'GameSettled': return [args.winner];
+    case 'Transfer': return [args.from, args.to];
+    case 'TokensClaimed': return [args.user];
+    default: return [args.player];
+  }
+}
+
+function tagEvent(event) {
+  const players = [...new Set(eventPlayers(event).filter(a => a && a !== ethers.ZeroAddress))];
+  return { ...event, gameId: event.contract === 'game' ? Number(event.args.gameId) : null, players };
+}
+
+/**
+ * Totals over a player's indexed events: tables joined and tokens bought
+ * in, won at settlement, refunded and claimed from the faucet
+ */
+function playerSummary(address, events) {
+  const mine = value => typeof value === 'string' && value.toLowerCase() === address.toLowerCase();
+  const sum = (name, field, by) => events
+    .filter(e => e.name === name && mine(e.args[by]))
+    .reduce((total, e) => roundAmount(total + e.args[field]), 0);
+
+  return {
+    games: [...new Set(events.filter(e => e.name === 'PlayerJoined' && mine(e.args.player)).map(e => e.gameId))],
+    boughtIn: sum('PlayerJoined', 'buyIn', 'player'),
+    won: sum('GameSettled', 'winAmount', 'winner'),
+    refunded: sum('PlayerLeft', 'refund', 'player'),
+    claimed: sum('TokensClaimed', 'amount', 'user')
+  };
+}
+
+// The events a query asks for: ?event=PlayerJoined&fromBlock=N
+function filterEvents(events, { event, fromBlock } = {}) {
+  return events.filter(e => (!event || e.name === event) && (fromBlock === undefined || e.blockNumber >= fromBlock));
+}
+
+module.exports = {
+  ChainIndexer,
+  playerSummary,
+  filterEvents
+};
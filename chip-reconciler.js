@@ -0,0 +1,110 @@
+/**
+ * Chip ledger reconciliation
+ *
+ * Off-chain, every verified buy-in is recorded in gameState.buyIns and
+ * chips only move between stacks and the pot, or off the table when a
+ * player cashes out, so at any moment
+ *   sum(stacks) + pot + cashedOut === sum(buyIns)
+ * On-chain, the contract escrows each buy-in in the game's pot until the
+ * table settles. The reconciler periodically compares the two and flags drift:
+ *
+ *   chipTotal  off-chain chips in play != recorded buy-ins
+ *   escrow     contract pot != off-chain chips in play
+ *   buyIn      a player's on-chain buy-in != the one we recorded
+ *   inactive   a seated player is no longer active on-chain
+ *   unseated   an active on-chain player never had a buy-in verified
+ *
+ * Amounts are compared rounded as settlement.js rounds them, so float dust
+ * from fees and fractional stacks isn't reported as drift. Drift is recorded
+ * on gameState.reconciliation and passed to onDrift; nothing is corrected
+ * automatically.
+ */
+
+const { roundAmount } = require('./settlement');
+
+class ChipReconciler {
+  constructor({ chain, gameStates, intervalMs = 60000, onDrift = () => {} }) {
+    this.chain = chain;
+    this.gameStates = gameStates;
+    this.intervalMs = intervalMs;
+    this.onDrift = onDrift;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer || !(this.intervalMs > 0)) return;
+    this.timer = setInterval(() => {
+      this.runOnce().catch(error => console.error('Reconcile error:', error));
+    }, this.intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async runOnce() {
+    const reports = [];
+    for (const gameState of this.gameStates.values()) {
+      // Tournament chips aren't escrowed on-chain, so there is nothing to compare
+      if (gameState.phase === 'finished' || gameState.tournamentId) continue;
+      try {
+        reports.push(await this.reconcileGame(gameState));
+      } catch (error) {
+        console.error(`Reconcile game ${gameState.id} error:`, error.message);
+      }
+    }
+    return reports;
+  }
+
+  async reconcileGame(gameState) {
+    const drift = [];
+    const buyIns = gameState.buyIns || {};
+
+    const recorded = roundAmount(sum(Object.values(buyIns).map(b => b.amount)));
+    // Cash-outs are paid from the server wallet; the escrow still holds them
+    const inPlay = roundAmount(sum(gameState.players.map(p => p.chips)) + gameState.pot + (gameState.cashedOut || 0));
+    if (inPlay !== recorded) {
+      drift.push({ type: 'chipTotal', offChain: inPlay, expected: recorded });
+    }
+
+    const [info, onChainPlayers] = await Promise.all([
+      this.chain.getGameInfo(gameState.id),
+      this.chain.getGamePlayers(gameState.id)
+    ]);
+    if (roundAmount(info.pot) !== inPlay) {
+      drift.push({ type: 'escrow', offChain: inPlay, onChain: info.pot });
+    }
+
+    const seated = new Set(gameState.players.map(p => p.address.toLowerCase()));
+    for (const address of onChainPlayers) {
+      const key = address.toLowerCase();
+      const playerInfo = await this.chain.getPlayerInfo(gameState.id, address);
+
+      if (!buyIns[key]) {
+        if (playerInfo.isActive) drift.push({ type: 'unseated', player: address, onChain: playerInfo.buyIn });
+        continue;
+      }
+      if (roundAmount(playerInfo.buyIn) !== roundAmount(buyIns[key].amount)) {
+        drift.push({ type: 'buyIn', player: address, offChain: buyIns[key].amount, onChain: playerInfo.buyIn });
+      }
+      if (seated.has(key) && !playerInfo.isActive) {
+        drift.push({ type: 'inactive', player: address });
+      }
+    }
+
+    const report = { gameId: gameState.id, checkedAt: Date.now(), drift };
+    gameState.reconciliation = report;
+    if (drift.length > 0) this.onDrift(report);
+    return report;
+  }
+}
+
+function sum(values) {
+  return values.reduce((total, value) => total + value, 0);
+}
+
+module.exports = {
+  ChipReconciler
+};
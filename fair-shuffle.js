@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+/**
+ * Provably fair shuffling (commit-reveal)
+ *
+ * 1. Before a hand the server picks a secret 32-byte server seed and
+ *    publishes commitment = keccak256(serverSeed).
+ * 2. Players may add their own seed for that hand.
+ * 3. The deck is shuffled with Fisher-Yates driven by an HMAC-SHA256
+ *    stream keyed with the combined seed:
+ *      combinedSeed = sha256(serverSeed | addr1:seed1 | addr2:seed2 ...)
+ *    (player seeds sorted by lowercased address)
+ * 4. After the hand the server seed is revealed; anyone can check it
+ *    against the commitment and rebuild the exact deck order.
+ */
+
+const MAX_PLAYER_SEED_LENGTH = 128;
+
+/**
+ * Returns a function producing fresh server seeds (0x-prefixed hex).
+ * With a fixed seed (DECK_SEED) the sequence is reproducible - tests only.
+ */
+function createSeedSource(fixedSeed) {
+  let counter = 0;
+  return function nextServerSeed() {
+    if (fixedSeed) {
+      return '0x' + crypto.createHash('sha256').update(`${fixedSeed}:${counter++}`).digest('hex');
+    }
+    return ethers.hexlify(crypto.randomBytes(32));
+  };
+}
+
+function commitToSeed(serverSeed) {
+  return ethers.keccak256(serverSeed);
+}
+
+function combineSeeds(serverSeed, playerSeeds = {}) {
+  const parts = Object.entries(playerSeeds)
+    .map(([address, seed]) => `${address.toLowerCase()}:${seed}`)
+    .sort();
+  return crypto.createHash('sha256').update([serverSeed, ...parts].join('|')).digest('hex');
+}
+
+/**
+ * Deterministic CSPRNG: HMAC-SHA256(combinedSeed, counter) blocks read as uint32s
+ */
+function createSeedStream(combinedSeed) {
+  const key = Buffer.from(combinedSeed, 'hex');
+  let counter = 0;
+  let block = Buffer.alloc(0);
+  let offset = 0;
+
+  function nextUint32() {
+    if (offset + 4 > block.length) {
+      block = crypto.createHmac('sha256', key).update(String(counter++)).digest();
+      offset = 0;
+    }
+    const value = block.readUInt32BE(offset);
+    offset += 4;
+    return value;
+  }
+
+  // Uniform integer in [0, max) - rejection sampling avoids modulo bias
+  return function randomInt(max) {
+    const limit = Math.floor(0x100000000 / max) * max;
+    let value;
+    do {
+      value = nextUint32();
+    } while (value >= limit);
+    return value % max;
+  };
+}
+
+/**
+ * Shuffle `cards` (in canonical order) with the combined seed
+ */
+function shuffleCards(cards, combinedSeed) {
+  const deck = cards.slice();
+  const randomInt = createSeedStream(combinedSeed);
+  for (let i = deck.length - 1; i > 0; i--) {
+    const j = randomInt(i + 1);
+    [deck[i], deck[j]] = [deck[j], deck[i]];
+  }
+  return deck;
+}
+
+/**
+ * Check a revealed hand: the seed matches its commitment, and rebuild the deck
+ */
+function verifyShuffle({ serverSeed, commitment, playerSeeds }, orderedDeck) {
+  const commitmentValid = commitToSeed(serverSeed) === String(commitment).toLowerCase();
+  const combinedSeed = combineSeeds(serverSeed, playerSeeds);
+  return {
+    commitmentValid,
+    combinedSeed,
+    deck: shuffleCards(orderedDeck, combinedSeed)
+  };
+}
+
+function isValidPlayerSeed(seed) {
+  return typeof seed === 'string' && seed.length > 0 && seed.length <= MAX_PLAYER_SEED_LENGTH;
+}
+
+module.exports = {
+  MAX_PLAYER_SEED_LENGTH,
+  createSeedSource,
+  commitToSeed,
+  combineSeeds,
+  shuffleCards,
+  verifyShuffle,
+  isValidPlayerSeed
+};
@@ -0,0 +1,376 @@
+const crypto = require('crypto');
+const express = require('express');
+const { ethers } = require('ethers');
+const { ApiError, sendError } = require('./api-errors');
+const { validate } = require('./api-schema');
+const { leadingZeroBits, powHash, solveProofOfWork } = require('./shared-crypto');
+
+/**
+ * $FELT faucet
+ *
+ * The server mints claims from its own wallet and pays the gas, so every
+ * claim goes through a set of limits first:
+ *
+ *   address   one claim per FAUCET_COOLDOWN_HOURS, and not while the token
+ *             contract's own claim cooldown is running
+ *   IP        FAUCET_IP_LIMIT claims per FAUCET_IP_WINDOW_HOURS
+ *   daily     FAUCET_DAILY_CAP tokens and FAUCET_DAILY_GAS_BUDGET ETH of
+ *             gas per UTC day, across all claims
+ *
+ * FAUCET_CHALLENGE can also ask for a proof of work (`pow`: a solution
+ * whose sha256 with the nonce starts with FAUCET_POW_DIFFICULTY zero bits)
+ * or a signed claim message (`signature`) with each claim. Challenges come
+ * from GET /api/faucet/challenge, are single use and expire after 5 minutes.
+ *
+ * Limits and the claim log are kept in memory and start over on restart.
+ */
+
+const CHALLENGE_TYPES = ['none', 'pow', 'signature'];
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+
+// Claims kept for the admin view
+const CLAIM_HISTORY_LIMIT = 1000;
+
+const HOUR_MS = 3600 * 1000;
+
+// A refused claim; `code` is RATE_LIMITED, CHALLENGE_FAILED, FAUCET_DAILY_CAP, ... (see api-errors.js)
+class FaucetError extends ApiError {
+  constructor(message, code = 'VALIDATION_ERROR', details = undefined) {
+    super(code, message, details);
+  }
+}
+
+/**
+ * Checksummed form of `address`. All-lowercase addresses are accepted;
+ * mixed-case ones must carry a valid EIP-55 checksum.
+ */
+function normalizeAddress(address) {
+  if (typeof address !== 'string' || !/^0x[0-9a-fA-F]{40}$/.test(address)) {
+    throw new FaucetError('Invalid address');
+  }
+  try {
+    return ethers.getAddress(address);
+  } catch {
+    throw new FaucetError('Address checksum does not match');
+  }
+}
+
+function claimMessage(address, nonce) {
+  return ['Claim $FELT from the Agent Poker faucet', `Address: ${address}`, `Nonce: ${nonce}`].join('\n');
+}
+
+// UTC day a timestamp falls on, e.g. '2025-01-31'
+function dayOf(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+class Faucet {
+  constructor({
+    chain,
+    claimAmount = Number(process.env.FAUCET_CLAIM_AMOUNT || 10000),
+    cooldownMs = Number(process.env.FAUCET_COOLDOWN_HOURS || 4) * HOUR_MS,
+    ipLimit = Number(process.env.FAUCET_IP_LIMIT || 5),
+    ipWindowMs = Number(process.env.FAUCET_IP_WINDOW_HOURS || 24) * HOUR_MS,
+    dailyCap = Number(process.env.FAUCET_DAILY_CAP || 1000000),
+    dailyGasBudget = Number(process.env.FAUCET_DAILY_GAS_BUDGET || 0),
+    challenge = process.env.FAUCET_CHALLENGE || 'none',
+    powDifficulty = Number(process.env.FAUCET_POW_DIFFICULTY || 20),
+    now = Date.now
+  }) {
+    if (!CHALLENGE_TYPES.includes(challenge)) {
+      throw new Error(`FAUCET_CHALLENGE must be one of ${CHALLENGE_TYPES.join(', ')}`);
+    }
+    this.chain = chain;
+    this.claimAmount = claimAmount;
+    this.cooldownMs = cooldownMs;
+    this.ipLimit = ipLimit;
+    this.ipWindowMs = ipWindowMs;
+    this.dailyCap = dailyCap;
+    this.dailyGasBudget = dailyGasBudget; // ETH; 0 for no budget
+    this.challengeType = challenge;
+    this.powDifficulty = powDifficulty;
+    this.now = now;
+
+    this.lastClaims = new Map(); // lowercased address -> ms of last claim
+    this.ipClaims = new Map(); // ip -> claim times within the window
+    this.pending = new Set(); // lowercased addresses with a mint in flight
+    this.challenges = new Map(); // lowercased address -> challenge
+    this.day = { date: dayOf(now()), claims: 0, minted: 0, gasSpent: 0 };
+    this.claims = [];
+    this.totals = { claims: 0, minted: 0, failures: 0 }; // since start, for metrics
+  }
+
+  // Today's totals, reset at UTC midnight
+  today() {
+    const date = dayOf(this.now());
+    if (this.day.date !== date) this.day = { date, claims: 0, minted: 0, gasSpent: 0 };
+    return this.day;
+  }
+
+  recentIpClaims(ip) {
+    const since = this.now() - this.ipWindowMs;
+    const times = (this.ipClaims.get(ip) || []).filter(at => at > since);
+    if (times.length) this.ipClaims.set(ip, times);
+    else this.ipClaims.delete(ip);
+    return times;
+  }
+
+  createChallenge(address) {
+    const checksummed = normalizeAddress(address);
+    if (this.challengeType === 'none') return { type: 'none' };
+
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const challenge = { type: this.challengeType, nonce, expiresAt: this.now() + CHALLENGE_TTL_MS };
+    if (this.challengeType === 'pow') challenge.difficulty = this.powDifficulty;
+    if (this.challengeType === 'signature') challenge.message = claimMessage(checksummed, nonce);
+
+    this.challenges.set(checksummed.toLowerCase(), challenge);
+    return challenge;
+  }
+
+  /**
+   * Check the proof sent with a claim: { nonce, solution } or { nonce, signature }
+   */
+  checkChallenge(address, { nonce, solution, signature } = {}) {
+    if (this.challengeType === 'none') return;
+
+    const key = address.toLowerCase();
+    const challenge = this.challenges.get(key);
+    if (!challenge || challenge.nonce !== nonce || challenge.expiresAt < this.now()) {
+      throw new FaucetError('No active faucet challenge - get one from GET /api/faucet/challenge', 'CHALLENGE_FAILED');
+    }
+
+    if (challenge.type === 'pow') {
+      if (solution === undefined || leadingZeroBits(powHash(nonce, solution)) < challenge.difficulty) {
+        throw new FaucetError('Proof of work does not meet the difficulty', 'CHALLENGE_FAILED');
+      }
+    } else {
+      let signer = null;
+      try {
+        signer = ethers.verifyMessage(challenge.message, signature);
+      } catch {
+        // reported below
+      }
+      if (!signer || signer.toLowerCase() !== key) {
+        throw new FaucetError('Claim signature does not match address', 'CHALLENGE_FAILED');
+      }
+    }
+
+    this.challenges.delete(key);
+  }
+
+  /**
+   * Why `address` can't claim right now, or null. Covers every limit but
+   * the challenge.
+   */
+  async claimError(address, ip) {
+    const contractError = await this.contractCooldownError(address);
+    return this.limitError(address.toLowerCase(), ip) || contractError;
+  }
+
+  // The faucet's own limits; synchronous, so a claim can check and reserve in one go
+  limitError(key, ip) {
+    const now = this.now();
+
+    if (this.pending.has(key)) {
+      return new FaucetError('A claim for this address is already in progress', 'RATE_LIMITED');
+    }
+
+    const last = this.lastClaims.get(key);
+    if (last !== undefined && now < last + this.cooldownMs) {
+      return cooldownError(last + this.cooldownMs, now);
+    }
+
+    if (ip !== null && this.recentIpClaims(ip).length >= this.ipLimit) {
+      return new FaucetError('Too many faucet claims from this IP address', 'RATE_LIMITED');
+    }
+
+    const today = this.today();
+    if (today.minted + this.claimAmount > this.dailyCap) {
+      return new FaucetError('The faucet has reached its daily limit, try again tomorrow', 'FAUCET_DAILY_CAP');
+    }
+    if (this.dailyGasBudget > 0 && today.gasSpent >= this.dailyGasBudget) {
+      return new FaucetError('The faucet is out of gas budget for today, try again tomorrow', 'FAUCET_EXHAUSTED');
+    }
+
+    return null;
+  }
+
+  // The token contract's own cooldown, for claims made there
+  async contractCooldownError(address) {
+    if (await this.chain.canClaim(address)) return null;
+    return cooldownError(await this.chain.nextClaimTime(address) * 1000, this.now());
+  }
+
+  /**
+   * Mint a claim to `address` once every limit and the challenge pass.
+   * Returns the claim record.
+   */
+  async claim(address, { ip = null, proof } = {}) {
+    const checksummed = normalizeAddress(address);
+    const key = checksummed.toLowerCase();
+
+    const contractError = await this.contractCooldownError(checksummed);
+
+    // Nothing awaited from the limit checks to the reservation below, so
+    // concurrent claims can't both get through
+    const error = this.limitError(key, ip) || contractError;
+    if (error) throw error;
+    this.checkChallenge(checksummed, proof);
+
+    // Hold the address, IP slot and daily allowance while the mint is in flight
+    const today = this.today();
+    const at = this.now();
+    this.pending.add(key);
+    if (ip !== null) this.ipClaims.set(ip, [...this.recentIpClaims(ip), at]);
+    today.minted += this.claimAmount;
+
+    try {
+      const { txHash, gasCost = 0 } = await this.chain.mint(checksummed, this.claimAmount);
+      today.claims += 1;
+      today.gasSpent += gasCost;
+      this.totals.claims += 1;
+      this.totals.minted += this.claimAmount;
+      this.lastClaims.set(key, at);
+
+      const claim = { address: checksummed, ip, amount: this.claimAmount, txHash, gasCost, claimedAt: at };
+      this.claims.push(claim);
+      if (this.claims.length > CLAIM_HISTORY_LIMIT) this.claims.shift();
+      return claim;
+    } catch (mintError) {
+      today.minted -= this.claimAmount;
+      this.totals.failures += 1;
+      if (ip !== null) this.ipClaims.set(ip, this.recentIpClaims(ip).filter(time => time !== at));
+      throw mintError;
+    } finally {
+      this.pending.delete(key);
+    }
+  }
+
+  /**
+   * What an address would get from a claim now, without claiming
+   */
+  async status(address, ip = null) {
+    const checksummed = normalizeAddress(address);
+    const [error, balance] = await Promise.all([
+      this.claimError(checksummed, ip),
+      this.chain.balanceOf(checksummed)
+    ]);
+    const today = this.today();
+
+    return {
+      address: checksummed,
+      canClaim: !error,
+      reason: error ? error.message : null,
+      nextClaimAt: error && error.details ? error.details.nextClaimAt : null,
+      balance,
+      claimAmount: this.claimAmount,
+      challenge: this.challengeType,
+      dailyRemaining: Math.max(0, this.dailyCap - today.minted)
+    };
+  }
+
+  /**
+   * Totals, gas and recent claims for operators, newest first
+   */
+  async report({ address = null, limit = 100 } = {}) {
+    const key = address ? normalizeAddress(address).toLowerCase() : null;
+    const claims = this.claims
+      .filter(claim => !key || claim.address.toLowerCase() === key)
+      .slice(-limit)
+      .reverse();
+
+    return {
+      today: { ...this.today(), cap: this.dailyCap, gasBudget: this.dailyGasBudget || null },
+      serverGasBalance: await this.chain.getGasBalance(),
+      limits: {
+        claimAmount: this.claimAmount,
+        cooldownMs: this.cooldownMs,
+        ipLimit: this.ipLimit,
+        ipWindowMs: this.ipWindowMs,
+        challenge: this.challengeType
+      },
+      claims
+    };
+  }
+}
+
+function cooldownError(nextClaimAt, now) {
+  const wait = Math.max(0, nextClaimAt - now);
+  const hours = Math.floor(wait / HOUR_MS);
+  const minutes = Math.floor((wait % HOUR_MS) / 60000);
+  return new FaucetError(`Please wait ${hours}h ${minutes}m before next claim`, 'RATE_LIMITED', { nextClaimAt });
+}
+
+/**
+ * Claim, challenge, status and admin routes, mounted at /api/faucet
+ */
+function createFaucetRouter(faucet, { requireSession, requireAdmin }) {
+  const router = express.Router();
+
+  /**
+   * Get a challenge to send with the next claim
+   * GET /api/faucet/challenge
+   */
+  router.get('/challenge', requireSession, (req, res) => {
+    res.json({ success: true, challenge: faucet.createChallenge(req.playerAddress) });
+  });
+
+  /**
+   * Mint a claim to the signed-in wallet (server pays gas)
+   * POST /api/faucet/claim
+   */
+  router.post('/claim', requireSession, validate('POST /api/faucet/claim'), async (req, res) => {
+    try {
+      const { nonce, solution, signature } = req.body;
+      const claim = await faucet.claim(req.playerAddress, { ip: req.ip, proof: { nonce, solution, signature } });
+
+      res.json({
+        success: true,
+        message: `${claim.amount.toLocaleString('en-US')} $FELT minted to your wallet!`,
+        txHash: claim.txHash,
+        amount: String(claim.amount)
+      });
+    } catch (error) {
+      sendError(res, error, 'Faucet');
+    }
+  });
+
+  /**
+   * Whether an address can claim now, and its balance
+   * GET /api/faucet/status?address=0x...
+   */
+  router.get('/status', validate('GET /api/faucet/status'), async (req, res) => {
+    try {
+      const status = await faucet.status(req.query.address, req.ip);
+      res.json({ success: true, ...status });
+    } catch (error) {
+      sendError(res, error, 'Faucet status');
+    }
+  });
+
+  /**
+   * Claim log and today's totals for operators
+   * GET /api/faucet/claims?address=0x...&limit=100
+   */
+  router.get('/claims', requireAdmin, validate('GET /api/faucet/claims'), async (req, res) => {
+    try {
+      const { address = null, limit } = req.query;
+      const report = await faucet.report({ address, limit });
+      res.json({ success: true, ...report });
+    } catch (error) {
+      sendError(res, error, 'Faucet claims');
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  Faucet,
+  FaucetError,
+  createFaucetRouter,
+  normalizeAddress,
+  solveProofOfWork,
+  CHALLENGE_TYPES
+};
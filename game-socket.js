@@ -0,0 +1,235 @@
+const { WebSocketServer } = require('ws');
+
+/**
+ * WebSocket push channel for game events
+ *
+ * Clients connect per game with their session token (see auth.js):
+ *   ws://host/ws?gameId=1&token=...&lastSeq=42
+ *
+ * Every event passed to publish() gets a per-game sequence number and is
+ * followed by a state snapshot built for each connected player, so hole
+ * cards only ever reach their owner. A client that reconnects with
+ * `lastSeq` is sent the events it missed, or a `resync` frame when they
+ * have already dropped out of the buffer.
+ *
+ * Spectators connect without a seat or a token:
+ *   ws://host/ws?gameId=1&spectate=1
+ * They get the same events, each followed by a public snapshot, held back
+ * by the table's spectator delay. A delayed feed shows the hole cards shown
+ * down once a hand has finished, never those of a hand still being played.
+ */
+
+const EVENT_BUFFER_SIZE = 500;
+const HEARTBEAT_INTERVAL_MS = 30000;
+
+class GameSocketHub {
+  /**
+   * @param {Object} options
+   * @param {(token: string) => string|null} options.authenticate - session token to player address
+   * @param {(gameId: number, playerAddress: string) => boolean} options.canConnect
+   * @param {(gameId: number, playerAddress: string) => Object|null} options.getSnapshot
+   * @param {(gameId: number) => boolean} [options.canSpectate]
+   * @param {(gameId: number) => number} [options.spectatorDelay] - ms to hold back the spectator feed
+   * @param {(gameId: number, delayed: boolean) => Object|null} [options.getSpectatorSnapshot]
+   */
+  constructor({
+    authenticate,
+    canConnect,
+    getSnapshot,
+    canSpectate = () => false,
+    spectatorDelay = () => 0,
+    getSpectatorSnapshot = () => null,
+    path = '/ws'
+  }) {
+    this.authenticate = authenticate;
+    this.canConnect = canConnect;
+    this.getSnapshot = getSnapshot;
+    this.canSpectate = canSpectate;
+    this.spectatorDelay = spectatorDelay;
+    this.getSpectatorSnapshot = getSpectatorSnapshot;
+    this.path = path;
+    this.channels = new Map(); // gameId -> { gameId, seq, events, clients, spectators, spectatorView }
+    this.wss = null;
+  }
+
+  channel(gameId) {
+    if (!this.channels.has(gameId)) {
+      this.channels.set(gameId, {
+        gameId,
+        seq: 0,
+        events: [],
+        clients: new Set(),
+        spectators: new Set(),
+        spectatorView: null // last { seq, state } released to spectators
+      });
+    }
+    return this.channels.get(gameId);
+  }
+
+  /**
+   * Start accepting connections on an http.Server
+   */
+  attach(server) {
+    this.wss = new WebSocketServer({ server, path: this.path });
+    this.wss.on('connection', (socket, req) => this.handleConnection(socket, req));
+
+    const heartbeat = setInterval(() => {
+      for (const socket of this.wss.clients) {
+        if (!socket.isAlive) {
+          socket.terminate();
+          continue;
+        }
+        socket.isAlive = false;
+        socket.ping();
+      }
+    }, HEARTBEAT_INTERVAL_MS);
+    heartbeat.unref();
+    this.wss.on('close', () => clearInterval(heartbeat));
+
+    return this.wss;
+  }
+
+  handleConnection(socket, req) {
+    const url = new URL(req.url, 'http://localhost');
+    const gameId = parseInt(url.searchParams.get('gameId'));
+    const playerAddress = this.authenticate(url.searchParams.get('token'));
+    const lastSeq = url.searchParams.has('lastSeq') ? parseInt(url.searchParams.get('lastSeq')) : null;
+
+    if (url.searchParams.get('spectate') === '1') {
+      this.handleSpectator(socket, gameId);
+      return;
+    }
+
+    if (!playerAddress) {
+      socket.close(4001, 'Authentication required');
+      return;
+    }
+
+    if (!this.canConnect(gameId, playerAddress)) {
+      socket.close(4003, 'Not a player in this game');
+      return;
+    }
+
+    const channel = this.channel(gameId);
+    const client = { socket, playerAddress };
+    channel.clients.add(client);
+
+    socket.isAlive = true;
+    socket.on('pong', () => { socket.isAlive = true; });
+    socket.on('close', () => channel.clients.delete(client));
+
+    this.resume(channel, client, lastSeq);
+  }
+
+  handleSpectator(socket, gameId) {
+    if (!this.canSpectate(gameId)) {
+      socket.close(4004, 'Game not found');
+      return;
+    }
+
+    const channel = this.channel(gameId);
+    channel.spectators.add(socket);
+
+    socket.isAlive = true;
+    socket.on('pong', () => { socket.isAlive = true; });
+    socket.on('close', () => channel.spectators.delete(socket));
+
+    const view = this.spectatorView(gameId);
+    if (view) send(socket, { type: 'state', ...view });
+  }
+
+  /**
+   * What spectators currently see: the last snapshot released to them, or
+   * the live public state if nothing has happened at the table yet. Null
+   * while the first delayed frames are still held back.
+   */
+  spectatorView(gameId) {
+    const channel = this.channel(gameId);
+    if (channel.spectatorView || channel.seq > 0) return channel.spectatorView;
+    const state = this.getSpectatorSnapshot(gameId, false);
+    return state ? { seq: channel.seq, state } : null;
+  }
+
+  spectatorCount(gameId) {
+    const channel = this.channels.get(gameId);
+    return channel ? channel.spectators.size : 0;
+  }
+
+  /**
+   * Replay what a reconnecting client missed, then send a fresh snapshot
+   */
+  resume(channel, client, lastSeq) {
+    if (lastSeq !== null && !Number.isNaN(lastSeq)) {
+      const oldest = channel.events.length ? channel.events[0].seq : channel.seq + 1;
+      if (lastSeq + 1 < oldest) {
+        send(client.socket, { type: 'resync', seq: channel.seq });
+      } else {
+        for (const event of channel.events) {
+          if (event.seq > lastSeq) send(client.socket, event);
+        }
+      }
+    }
+
+    this.sendSnapshot(channel, client);
+  }
+
+  sendSnapshot(channel, client) {
+    const state = this.getSnapshot(channel.gameId, client.playerAddress);
+    if (state) {
+      send(client.socket, { type: 'state', seq: channel.seq, state });
+    }
+  }
+
+  /**
+   * Push an event to everyone at the table, followed by their own view of the state
+   */
+  publish(gameId, message) {
+    const channel = this.channel(gameId);
+    const event = { ...message, gameId, seq: ++channel.seq };
+
+    channel.events.push(event);
+    if (channel.events.length > EVENT_BUFFER_SIZE) {
+      channel.events.shift();
+    }
+
+    for (const client of channel.clients) {
+      send(client.socket, event);
+      this.sendSnapshot(channel, client);
+    }
+
+    this.publishToSpectators(channel, event);
+    return event.seq;
+  }
+
+  publishToSpectators(channel, event) {
+    const delay = this.spectatorDelay(channel.gameId);
+    // Copied now, as the live state moves on while a delayed frame waits
+    const state = structuredClone(this.getSpectatorSnapshot(channel.gameId, delay > 0));
+
+    const release = () => {
+      channel.spectatorView = state ? { seq: event.seq, state } : channel.spectatorView;
+      for (const socket of channel.spectators) {
+        send(socket, event);
+        if (state) send(socket, { type: 'state', seq: event.seq, state });
+      }
+    };
+
+    if (delay > 0) {
+      setTimeout(release, delay).unref();
+    } else {
+      release();
+    }
+  }
+
+  close() {
+    if (this.wss) this.wss.close();
+  }
+}
+
+function send(socket, payload) {
+  if (socket.readyState === socket.OPEN) {
+    socket.send(JSON.stringify(payload));
+  }
+}
+
+module.exports = { GameSocketHub };
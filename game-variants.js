@@ -0,0 +1,98 @@
+/**
+ * Game variants and betting structures
+ *
+ * A table plays one variant with one betting structure, both fixed when it
+ * is opened:
+ *
+ *   holdem       Texas Hold'em - 52 cards, two hole cards
+ *   omaha        Omaha - 52 cards, four hole cards, hands use exactly two
+ *   short-deck   Short Deck Hold'em - 36 cards (6 through ace), two hole
+ *                cards, A-6-7-8-9 straights and flushes over full houses
+ *
+ *   no-limit     bet or raise up to the whole stack
+ *   pot-limit    bet or raise up to the size of the pot after calling
+ *   fixed-limit  bets and raises of one big blind pre-flop and on the
+ *                flop, two on the turn and river; four bets a street
+ *
+ * Each variant has a default structure (pot-limit for Omaha, no-limit
+ * otherwise). The betting rules themselves are in betting.js.
+ */
+
+const { evaluateHand, evaluateOmaha } = require('./hand-evaluator');
+
+const SUITS = ['hearts', 'diamonds', 'clubs', 'spades'];
+const RANKS = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
+
+const VARIANTS = {
+  holdem: {
+    name: "Hold'em",
+    pokerStars: "Hold'em",
+    ranks: RANKS,
+    holeCards: 2,
+    bettingStructure: 'no-limit',
+    evaluate: (holeCards, board) => evaluateHand([...holeCards, ...board])
+  },
+  omaha: {
+    name: 'Omaha',
+    pokerStars: 'Omaha',
+    ranks: RANKS,
+    holeCards: 4,
+    bettingStructure: 'pot-limit',
+    evaluate: (holeCards, board) => evaluateOmaha(holeCards, board)
+  },
+  'short-deck': {
+    name: "Short Deck Hold'em",
+    pokerStars: "6+ Hold'em",
+    ranks: RANKS.slice(RANKS.indexOf('6')),
+    holeCards: 2,
+    bettingStructure: 'no-limit',
+    evaluate: (holeCards, board) => evaluateHand([...holeCards, ...board], { shortDeck: true })
+  }
+};
+
+const BETTING_STRUCTURES = {
+  'no-limit': { name: 'No-Limit', pokerStars: 'No Limit' },
+  'pot-limit': { name: 'Pot-Limit', pokerStars: 'Pot Limit' },
+  'fixed-limit': { name: 'Fixed-Limit', pokerStars: 'Limit' }
+};
+
+// Tables from before variants existed are no-limit Hold'em
+const DEFAULT_VARIANT = 'holdem';
+
+function variantOf(gameState) {
+  return VARIANTS[gameState.variant || DEFAULT_VARIANT];
+}
+
+function bettingStructureOf(gameState) {
+  return gameState.bettingStructure || variantOf(gameState).bettingStructure;
+}
+
+/**
+ * The variant's deck, unshuffled
+ */
+function orderedDeck(variant = DEFAULT_VARIANT) {
+  const deck = [];
+  for (const suit of SUITS) {
+    for (const rank of VARIANTS[variant].ranks) {
+      deck.push({ suit, rank });
+    }
+  }
+  return deck;
+}
+
+/**
+ * A player's best hand at showdown under the table's rules
+ */
+function evaluateShowdownHand(gameState, holeCards, board) {
+  return variantOf(gameState).evaluate(holeCards, board);
+}
+
+module.exports = {
+  VARIANTS,
+  BETTING_STRUCTURES,
+  DEFAULT_VARIANT,
+  variantOf,
+  bettingStructureOf,
+  orderedDeck,
+  evaluateShowdownHand
+};
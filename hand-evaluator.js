@@ -0,0 +1,222 @@
+/**
+ * Poker hand evaluation
+ *
+ * Hands are scored as { category, strength, values } where `category`
+ * indexes HAND_CATEGORIES, `strength` orders the categories (the category
+ * itself, except in short deck) and `values` holds the rank values that
+ * break ties within a category, most significant first. Two scores compare
+ * strength first, then values left to right.
+ *
+ * Short deck (6 through ace) changes two rules: A-6-7-8-9 is the lowest
+ * straight, and a flush beats a full house. Omaha hands are made of
+ * exactly two hole cards and three board cards.
+ */
+
+const RANK_VALUES = {
+  '2': 2, '3': 3, '4': 4, '5': 5, '6': 6, '7': 7, '8': 8,
+  '9': 9, '10': 10, 'J': 11, 'Q': 12, 'K': 13, 'A': 14
+};
+
+const RANK_NAMES = {
+  2: 'Two', 3: 'Three', 4: 'Four', 5: 'Five', 6: 'Six', 7: 'Seven', 8: 'Eight',
+  9: 'Nine', 10: 'Ten', 11: 'Jack', 12: 'Queen', 13: 'King', 14: 'Ace'
+};
+
+const HAND_CATEGORIES = [
+  'High Card',
+  'One Pair',
+  'Two Pair',
+  'Three of a Kind',
+  'Straight',
+  'Flush',
+  'Full House',
+  'Four of a Kind',
+  'Straight Flush'
+];
+
+const CATEGORY = {
+  HIGH_CARD: 0,
+  ONE_PAIR: 1,
+  TWO_PAIR: 2,
+  THREE_OF_A_KIND: 3,
+  STRAIGHT: 4,
+  FLUSH: 5,
+  FULL_HOUSE: 6,
+  FOUR_OF_A_KIND: 7,
+  STRAIGHT_FLUSH: 8
+};
+
+// Short deck: flushes are rarer than full houses with 36 cards
+const SHORT_DECK_STRENGTH = {
+  [CATEGORY.FULL_HOUSE]: CATEGORY.FLUSH,
+  [CATEGORY.FLUSH]: CATEGORY.FULL_HOUSE
+};
+
+function plural(value) {
+  return value === 6 ? 'Sixes' : `${RANK_NAMES[value]}s`;
+}
+
+/**
+ * Highest card of a straight in `values` (sorted descending, unique),
+ * or 0 if there is none. The wheel (A-2-3-4-5) counts as five-high; in
+ * short deck the ace plays low below the six instead (A-6-7-8-9).
+ */
+function straightHigh(values, shortDeck = false) {
+  const unique = [...new Set(values)];
+  if (unique.includes(14)) unique.push(shortDeck ? 5 : 1);
+  for (let i = 0; i + 4 < unique.length; i++) {
+    if (unique[i] - unique[i + 4] === 4) return unique[i];
+  }
+  return 0;
+}
+
+/**
+ * Score exactly five cards
+ */
+function scoreFive(cards, { shortDeck = false } = {}) {
+  const { category, values } = categorize(cards, shortDeck);
+  const strength = shortDeck ? SHORT_DECK_STRENGTH[category] ?? category : category;
+  return { category, strength, values };
+}
+
+function categorize(cards, shortDeck) {
+  const values = cards.map(c => RANK_VALUES[c.rank]).sort((a, b) => b - a);
+  const isFlush = cards.every(c => c.suit === cards[0].suit);
+  const high = straightHigh(values, shortDeck);
+
+  // Group by rank, largest groups first, then by rank value
+  const counts = new Map();
+  for (const v of values) counts.set(v, (counts.get(v) || 0) + 1);
+  const groups = [...counts.entries()].sort((a, b) => b[1] - a[1] || b[0] - a[0]);
+  const grouped = groups.map(([v]) => v);
+
+  if (isFlush && high) return { category: CATEGORY.STRAIGHT_FLUSH, values: [high] };
+  if (groups[0][1] === 4) return { category: CATEGORY.FOUR_OF_A_KIND, values: grouped };
+  if (groups[0][1] === 3 && groups[1][1] === 2) return { category: CATEGORY.FULL_HOUSE, values: grouped };
+  if (isFlush) return { category: CATEGORY.FLUSH, values };
+  if (high) return { category: CATEGORY.STRAIGHT, values: [high] };
+  if (groups[0][1] === 3) return { category: CATEGORY.THREE_OF_A_KIND, values: grouped };
+  if (groups[0][1] === 2 && groups[1][1] === 2) return { category: CATEGORY.TWO_PAIR, values: grouped };
+  if (groups[0][1] === 2) return { category: CATEGORY.ONE_PAIR, values: grouped };
+  return { category: CATEGORY.HIGH_CARD, values };
+}
+
+/**
+ * Compare two scores. Positive if `a` wins, negative if `b` wins, 0 on a tie.
+ */
+function compareHands(a, b) {
+  if (a.strength !== b.strength) return a.strength - b.strength;
+  for (let i = 0; i < a.values.length; i++) {
+    if (a.values[i] !== b.values[i]) return a.values[i] - b.values[i];
+  }
+  return 0;
+}
+
+function* combinations(cards, k, start = 0, picked = []) {
+  if (picked.length === k) {
+    yield picked.slice();
+    return;
+  }
+  for (let i = start; i <= cards.length - (k - picked.length); i++) {
+    picked.push(cards[i]);
+    yield* combinations(cards, k, i + 1, picked);
+    picked.pop();
+  }
+}
+
+/**
+ * Human readable name for a score, e.g. "Full House, Kings full of Fours"
+ */
+function describeHand({ category, values }) {
+  const [a, b, c] = values;
+  switch (category) {
+    case CATEGORY.STRAIGHT_FLUSH:
+      return a === 14 ? 'Royal Flush' : `Straight Flush, ${RANK_NAMES[a]} high`;
+    case CATEGORY.FOUR_OF_A_KIND:
+      return `Four of a Kind, ${plural(a)}`;
+    case CATEGORY.FULL_HOUSE:
+      return `Full House, ${plural(a)} full of ${plural(b)}`;
+    case CATEGORY.FLUSH:
+      return `Flush, ${RANK_NAMES[a]} high`;
+    case CATEGORY.STRAIGHT:
+      return `Straight, ${RANK_NAMES[a]} high`;
+    case CATEGORY.THREE_OF_A_KIND:
+      return `Three of a Kind, ${plural(a)}`;
+    case CATEGORY.TWO_PAIR:
+      return `Two Pair, ${plural(a)} and ${plural(b)}`;
+    case CATEGORY.ONE_PAIR:
+      return `Pair of ${plural(a)}`;
+    default:
+      return `High Card, ${RANK_NAMES[a]}${b ? ` (${RANK_NAMES[b]}${c ? `, ${RANK_NAMES[c]}` : ''} kicker)` : ''}`;
+  }
+}
+
+// Best score among candidate five-card hands, named
+function bestOf(fives, options) {
+  let best = null;
+  for (const five of fives) {
+    const score = scoreFive(five, options);
+    if (!best || compareHands(score, best) > 0) {
+      best = { ...score, cards: five };
+    }
+  }
+
+  best.name = describeHand(best);
+  return best;
+}
+
+/**
+ * Evaluate the best five-card hand out of 5-7 cards (hole cards + board).
+ * `shortDeck` applies the short deck rankings.
+ * Returns { category, strength, values, name, cards }
+ */
+function evaluateHand(cards, options = {}) {
+  if (!cards || cards.length < 5) {
+    throw new Error('At least 5 cards are required to evaluate a hand');
+  }
+  return bestOf(combinations(cards, 5), options);
+}
+
+/**
+ * Evaluate an Omaha hand: the best five cards using exactly two of the
+ * hole cards and three of the board
+ */
+function evaluateOmaha(holeCards, board, options = {}) {
+  if (!holeCards || holeCards.length < 2 || !board || board.length < 3) {
+    throw new Error('Omaha hands need two hole cards and three board cards');
+  }
+
+  function* fives() {
+    for (const hole of combinations(holeCards, 2)) {
+      for (const fromBoard of combinations(board, 3)) yield [...hole, ...fromBoard];
+    }
+  }
+  return bestOf(fives(), options);
+}
+
+/**
+ * Pick the winning entries from a list of { hand, ... }.
+ * More than one entry is returned on a tie.
+ */
+function findWinners(entries) {
+  let winners = [];
+  for (const entry of entries) {
+    const cmp = winners.length ? compareHands(entry.hand, winners[0].hand) : 1;
+    if (cmp > 0) winners = [entry];
+    else if (cmp === 0) winners.push(entry);
+  }
+  return winners;
+}
+
+module.exports = {
+  RANK_VALUES,
+  HAND_CATEGORIES,
+  CATEGORY,
+  evaluateHand,
+  evaluateOmaha,
+  compareHands,
+  describeHand,
+  findWinners,
+  scoreFive,
+  combinations
+};
@@ -0,0 +1,276 @@
+/**
+ * Hand histories
+ *
+ * While a hand is played the server keeps a record on gameState.handRecord;
+ * when it ends the record is archived in the state store. A record holds
+ * everything needed to replay the hand:
+ *
+ *   seats     seat number, address, name and starting stack
+ *   actions   every blind and action with its street, chips put in and
+ *             the bet level before it
+ *   board, shown hands, pots and each player's result
+ *
+ * Every hole card is stored, but exports only show cards that were shown
+ * down, plus the viewer's own. formatPokerStars() renders a record as
+ * PokerStars hand history text for existing tools and trackers.
+ */
+
+const { VARIANTS, BETTING_STRUCTURES, DEFAULT_VARIANT } = require('./game-variants');
+
+const SUIT_LETTERS = { hearts: 'h', diamonds: 'd', clubs: 'c', spades: 's' };
+
+const STREETS = ['pre-flop', 'flop', 'turn', 'river'];
+
+const FORCED_BETS = ['ante', 'small-blind', 'big-blind'];
+
+function beginHandRecord(gameState) {
+  return {
+    handId: `${gameState.id}-${gameState.handNumber}`,
+    gameId: gameState.id,
+    handNumber: gameState.handNumber,
+    variant: gameState.variant,
+    bettingStructure: gameState.bettingStructure,
+    smallBlind: gameState.smallBlind,
+    bigBlind: gameState.bigBlind,
+    ante: gameState.ante || 0,
+    maxPlayers: gameState.maxPlayers,
+    startedAt: Date.now(),
+    endedAt: null,
+    button: gameState.players[gameState.dealerIndex].address,
+    seats: gameState.players.map((p, index) => ({
+      seat: index + 1,
+      address: p.address,
+      name: p.name,
+      stack: p.chips,
+      inHand: p.inHand
+    })),
+    holeCards: Object.fromEntries(gameState.players.filter(p => p.inHand).map(p => [p.address, p.holeCards])),
+    commitment: gameState.fairness.current.commitment,
+    actions: [],
+    board: [],
+    shown: [],
+    pots: [],
+    results: []
+  };
+}
+
+/**
+ * Close the record once the pots are paid
+ */
+function finishHandRecord(record, gameState, { shown, pots }) {
+  record.endedAt = Date.now();
+  record.board = gameState.communityCards.slice();
+  record.shown = shown;
+  record.pots = pots;
+
+  const collected = new Map();
+  for (const pot of pots) {
+    for (const { address, amount } of pot.winners) {
+      collected.set(address, (collected.get(address) || 0) + amount);
+    }
+  }
+
+  record.results = record.seats.map(seat => {
+    const player = gameState.players.find(p => p.address === seat.address);
+    const stack = player ? player.chips : 0;
+    return {
+      address: seat.address,
+      collected: collected.get(seat.address) || 0,
+      stack,
+      net: stack - seat.stack
+    };
+  });
+  return record;
+}
+
+/**
+ * A record as `viewer` (an address, or null) may see it
+ */
+function redactHandRecord(record, viewer) {
+  const visible = new Set(record.shown.map(s => s.address.toLowerCase()));
+  if (viewer) visible.add(viewer.toLowerCase());
+
+  const { holeCards, ...rest } = record;
+  return {
+    ...rest,
+    seats: record.seats.map(seat => ({
+      ...seat,
+      holeCards: visible.has(seat.address.toLowerCase()) ? holeCards[seat.address] || null : null
+    }))
+  };
+}
+
+function handSummary(record) {
+  return {
+    handId: record.handId,
+    handNumber: record.handNumber,
+    startedAt: record.startedAt,
+    endedAt: record.endedAt,
+    players: record.seats.filter(s => s.inHand).length,
+    pot: record.pots.reduce((total, pot) => total + pot.amount, 0),
+    board: record.board,
+    winners: [...new Set(record.pots.flatMap(pot => pot.winners.map(w => w.address)))]
+  };
+}
+
+// { rank: '10', suit: 'hearts' } -> 'Th'
+function cardCode(card) {
+  return `${card.rank === '10' ? 'T' : card.rank}${SUIT_LETTERS[card.suit]}`;
+}
+
+function cardList(cards) {
+  return `[${cards.map(cardCode).join(' ')}]`;
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function psDate(ms) {
+  const d = new Date(ms);
+  return `${d.getUTCFullYear()}/${pad(d.getUTCMonth() + 1)}/${pad(d.getUTCDate())} ` +
+    `${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}:${pad(d.getUTCSeconds())} UTC`;
+}
+
+// Action as PokerStars words it; all-ins become bets, raises or calls
+function psAction(entry) {
+  const allIn = entry.allIn ? ' and is all-in' : '';
+  switch (entry.action) {
+    case 'ante':
+      return `posts the ante ${entry.amount}${allIn}`;
+    case 'small-blind':
+      return `posts small blind ${entry.amount}${allIn}`;
+    case 'big-blind':
+      return `posts big blind ${entry.amount}${allIn}`;
+    case 'fold':
+      return 'folds';
+    case 'check':
+      return 'checks';
+    case 'call':
+      return `calls ${entry.amount}${allIn}`;
+    default: {
+      // bet, raise or all-in
+      if (entry.totalBet <= entry.betBefore) return `calls ${entry.amount}${allIn}`;
+      if (entry.betBefore === 0) return `bets ${entry.amount}${allIn}`;
+      return `raises ${entry.totalBet - entry.betBefore} to ${entry.totalBet}${allIn}`;
+    }
+  }
+}
+
+/**
+ * PokerStars-style hand history text. `viewer` gets a "Dealt to" line.
+ */
+function formatPokerStars(record, { viewer = null } = {}) {
+  const seatOf = new Map(record.seats.map(s => [s.address, s]));
+  const name = address => {
+    const seat = seatOf.get(address);
+    return (seat && seat.name) || address.slice(0, 10);
+  };
+  const psHandNumber = `${record.gameId}${String(record.handNumber).padStart(6, '0')}`;
+  // Records from before variants were added are no-limit Hold'em
+  const variant = VARIANTS[record.variant || DEFAULT_VARIANT];
+  const structure = BETTING_STRUCTURES[record.bettingStructure || variant.bettingStructure];
+  const lines = [];
+
+  lines.push(`PokerStars Hand #${psHandNumber}: ${variant.pokerStars} ${structure.pokerStars} (${record.smallBlind}/${record.bigBlind}) - ${psDate(record.startedAt)}`);
+  lines.push(`Table 'Agent Poker ${record.gameId}' ${record.maxPlayers}-max Seat #${seatOf.get(record.button).seat} is the button`);
+  for (const seat of record.seats) {
+    lines.push(`Seat ${seat.seat}: ${name(seat.address)} (${seat.stack} in chips)${seat.inHand ? '' : ' is sitting out'}`);
+  }
+
+  const byStreet = street => record.actions.filter(a => a.street === street);
+  const blinds = byStreet('pre-flop').filter(a => FORCED_BETS.includes(a.action));
+  for (const entry of blinds) {
+    lines.push(`${name(entry.player)}: ${psAction(entry)}`);
+  }
+
+  lines.push('*** HOLE CARDS ***');
+  const hero = viewer && record.seats.find(s => s.address.toLowerCase() === viewer.toLowerCase());
+  if (hero && record.holeCards[hero.address]) {
+    lines.push(`Dealt to ${name(hero.address)} ${cardList(record.holeCards[hero.address])}`);
+  }
+
+  const boardAt = { flop: 3, turn: 4, river: 5 };
+  for (const street of STREETS) {
+    if (street !== 'pre-flop') {
+      const dealt = boardAt[street];
+      if (record.board.length < dealt) break;
+      const header = street === 'flop'
+        ? `*** FLOP *** ${cardList(record.board.slice(0, 3))}`
+        : `*** ${street.toUpperCase()} *** ${cardList(record.board.slice(0, dealt - 1))} ${cardList(record.board.slice(dealt - 1, dealt))}`;
+      lines.push(header);
+    }
+    for (const entry of byStreet(street)) {
+      if (FORCED_BETS.includes(entry.action)) continue;
+      if (entry.timedOut) lines.push(`${name(entry.player)} has timed out`);
+      lines.push(`${name(entry.player)}: ${psAction(entry)}`);
+    }
+  }
+
+  // The top bettor's unmatched chips go straight back to them
+  const totals = record.seats.map(seat => ({
+    address: seat.address,
+    total: record.actions.filter(a => a.player === seat.address).reduce((sum, a) => sum + a.amount, 0)
+  })).sort((a, b) => b.total - a.total);
+  const uncalled = totals.length > 1 ? totals[0].total - totals[1].total : 0;
+  if (uncalled > 0) {
+    lines.push(`Uncalled bet (${uncalled}) returned to ${name(totals[0].address)}`);
+  }
+
+  if (record.shown.length > 0) {
+    lines.push('*** SHOW DOWN ***');
+    for (const shown of record.shown) {
+      lines.push(`${name(shown.address)}: shows ${cardList(shown.cards)} (${shown.handName})`);
+    }
+  }
+
+  const collected = new Map(record.results.map(r => [r.address, r.collected]));
+  if (uncalled > 0) collected.set(totals[0].address, collected.get(totals[0].address) - uncalled);
+  for (const [address, amount] of collected) {
+    if (amount > 0) lines.push(`${name(address)} collected ${amount} from pot`);
+  }
+
+  const totalPot = record.pots.reduce((sum, pot) => sum + pot.amount, 0) - uncalled;
+  const shownBy = new Map(record.shown.map(s => [s.address, s]));
+  lines.push('*** SUMMARY ***');
+  lines.push(`Total pot ${totalPot} | Rake 0`);
+  if (record.board.length > 0) lines.push(`Board ${cardList(record.board)}`);
+  for (const seat of record.seats) {
+    if (!seat.inHand) continue;
+    const tags = [
+      seat.address === record.button ? ' (button)' : '',
+      blinds.find(b => b.player === seat.address && b.action === 'small-blind') ? ' (small blind)' : '',
+      blinds.find(b => b.player === seat.address && b.action === 'big-blind') ? ' (big blind)' : ''
+    ].join('');
+    const won = collected.get(seat.address) || 0;
+    const shown = shownBy.get(seat.address);
+    const folded = record.actions.find(a => a.player === seat.address && a.action === 'fold');
+
+    let outcome;
+    if (shown) {
+      outcome = won > 0
+        ? `showed ${cardList(shown.cards)} and won (${won}) with ${shown.handName}`
+        : `showed ${cardList(shown.cards)} and lost with ${shown.handName}`;
+    } else if (folded) {
+      outcome = folded.street === 'pre-flop' ? 'folded before Flop' : `folded on the ${capitalize(folded.street)}`;
+    } else {
+      outcome = `collected (${won})`;
+    }
+    lines.push(`Seat ${seat.seat}: ${name(seat.address)}${tags} ${outcome}`);
+  }
+
+  return lines.join('\n');
+}
+
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+module.exports = {
+  beginHandRecord,
+  finishHandRecord,
+  redactHandRecord,
+  handSummary,
+  formatPokerStars,
+  cardCode
+};
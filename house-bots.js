@@ -0,0 +1,125 @@
+/**
+ * House bots - reference strategies
+ *
+ * Each strategy looks at a player's view of the table (the state response
+ * of GET /api/games/:id/state: yourCards, communityCards, pot, limits,
+ * availableActions, ...) and returns { action, amount }. The server seats
+ * them at tables on request; agents can pass one to the client SDK's
+ * play() as an onTurn callback to run the same bot themselves.
+ *
+ *   random            any legal action, never folding when it can check
+ *   calling-station   checks or calls everything
+ *   tight-aggressive  plays strong starting hands and bets made hands
+ *
+ * They play every variant and betting structure, judging Omaha starting
+ * hands by their best two cards.
+ */
+
+const { RANK_VALUES, CATEGORY, combinations } = require('./hand-evaluator');
+const { VARIANTS, DEFAULT_VARIANT } = require('./game-variants');
+
+/**
+ * Starting hand score on the Chen scale, from -1 (72o) to 20 (AA)
+ */
+function preflopStrength([first, second]) {
+  const high = Math.max(RANK_VALUES[first.rank], RANK_VALUES[second.rank]);
+  const low = Math.min(RANK_VALUES[first.rank], RANK_VALUES[second.rank]);
+  const points = value => ({ 14: 10, 13: 8, 12: 7, 11: 6 }[value] || value / 2);
+
+  if (high === low) return Math.max(5, points(high) * 2);
+
+  const gap = high - low - 1;
+  let score = points(high);
+  if (first.suit === second.suit) score += 2;
+  score -= [0, 1, 2, 4][gap] ?? 5;
+  // Connected low cards make straights
+  if (gap <= 1 && high < RANK_VALUES.Q) score += 1;
+  return Math.ceil(score);
+}
+
+// Best Chen score among the two-card starting hands in the hole cards
+function startingStrength(holeCards) {
+  return Math.max(...[...combinations(holeCards, 2)].map(preflopStrength));
+}
+
+/**
+ * Made-hand category with the board under the table's rules, or null before the flop
+ */
+function madeHand(state) {
+  if (state.communityCards.length === 0) return null;
+  return VARIANTS[state.variant || DEFAULT_VARIANT].evaluate(state.yourCards, state.communityCards).category;
+}
+
+// Bet or raise to about `target`, within the legal range - all-in if that is
+// the whole stack; call if raising is closed
+function betTo(state, target) {
+  const { availableActions, limits } = state;
+  const action = availableActions.find(a => a === 'bet' || a === 'raise');
+  if (!action) return passive(state);
+  const amount = Math.min(limits.maxRaiseTo, Math.max(limits.minRaiseTo, Math.round(target)));
+  if (amount >= limits.stackTo && availableActions.includes('all-in')) return { action: 'all-in' };
+  return { action, amount };
+}
+
+// Check if free, otherwise call
+function passive(state) {
+  return { action: state.availableActions.includes('check') ? 'check' : 'call' };
+}
+
+// Check if free, otherwise fold
+function giveUp(state) {
+  return { action: state.availableActions.includes('check') ? 'check' : 'fold' };
+}
+
+function randomBot(state, { random = Math.random } = {}) {
+  const choices = state.availableActions.filter(a => a !== 'fold' || !state.availableActions.includes('check'));
+  const action = choices[Math.floor(random() * choices.length)];
+
+  if (action === 'bet' || action === 'raise') {
+    const { minRaiseTo, maxRaiseTo } = state.limits;
+    return { action, amount: minRaiseTo + Math.floor(random() * (maxRaiseTo - minRaiseTo + 1)) };
+  }
+  return { action };
+}
+
+function callingStation(state) {
+  return passive(state);
+}
+
+function tightAggressive(state) {
+  const { toCall } = state.limits;
+  const pot = state.pot;
+
+  if (state.phase === 'pre-flop') {
+    const strength = startingStrength(state.yourCards);
+    if (strength >= 10) return betTo(state, state.currentBet * 3);
+    // Speculative hands see a flop if it's cheap
+    if (strength >= 7 && toCall <= state.yourChips / 10) return passive(state);
+    return giveUp(state);
+  }
+
+  const category = madeHand(state);
+  if (category >= CATEGORY.TWO_PAIR) return betTo(state, state.currentBet + pot * 0.75);
+  if (category === CATEGORY.ONE_PAIR && toCall <= pot / 2) return passive(state);
+  return giveUp(state);
+}
+
+const HOUSE_BOTS = {
+  'random': {
+    description: 'Any legal action at random, never folding when it can check',
+    decide: randomBot
+  },
+  'calling-station': {
+    description: 'Checks or calls every bet',
+    decide: callingStation
+  },
+  'tight-aggressive': {
+    description: 'Raises strong starting hands, bets two pair or better, folds weak hands to a bet',
+    decide: tightAggressive
+  }
+};
+
+module.exports = {
+  HOUSE_BOTS,
+  preflopStrength
+};
@@ -0,0 +1,142 @@
+/**
+ * Lobby - table listings, filters and quick-seat matching
+ *
+ * Works on plain table summaries so it stays independent of the engine:
+ *   { gameId, variant, bettingStructure, phase, smallBlind, bigBlind,
+ *     minBuyIn, maxBuyIn, maxPlayers, seatedPlayers, freeSeats, handNumber,
+ *     tournamentId }
+ */
+
+class LobbyError extends Error {}
+
+// Quick-seat plays no-limit Hold'em; stake defaults for its tables are in big blinds
+const QUICK_SEAT_TABLE = {
+  variant: 'holdem',
+  bettingStructure: 'no-limit',
+  minBuyInBigBlinds: 20,
+  maxBuyInBigBlinds: 100,
+  maxPlayers: 6
+};
+
+function tableSummary(gameState) {
+  const seatedPlayers = gameState.players.length;
+  return {
+    gameId: gameState.id,
+    variant: gameState.variant,
+    bettingStructure: gameState.bettingStructure,
+    phase: gameState.phase,
+    smallBlind: gameState.smallBlind,
+    bigBlind: gameState.bigBlind,
+    minBuyIn: gameState.minBuyIn,
+    maxBuyIn: gameState.maxBuyIn,
+    maxPlayers: gameState.maxPlayers,
+    seatedPlayers,
+    freeSeats: Math.max(0, gameState.maxPlayers - seatedPlayers),
+    handNumber: gameState.handNumber,
+    tournamentId: gameState.tournamentId || null
+  };
+}
+
+const NUMERIC_FILTERS = ['bigBlind', 'minBigBlind', 'maxBigBlind', 'buyIn', 'minBuyIn', 'maxBuyIn', 'freeSeats'];
+
+const EXACT_FILTERS = ['variant', 'bettingStructure'];
+
+/**
+ * Read lobby filters from a query string:
+ *   phase=waiting,pre-flop   bigBlind / minBigBlind / maxBigBlind
+ *   buyIn=100                table accepts this buy-in
+ *   minBuyIn / maxBuyIn      table's buy-in range overlaps this one
+ *   freeSeats=2              at least this many open seats
+ *   variant=omaha            game variant / betting structure
+ *   bettingStructure=pot-limit
+ */
+function parseLobbyFilters(query) {
+  const filters = {};
+
+  if (query.phase) {
+    filters.phases = String(query.phase).split(',').map(p => p.trim()).filter(Boolean);
+  }
+
+  for (const name of NUMERIC_FILTERS) {
+    if (query[name] === undefined || query[name] === '') continue;
+    const value = Number(query[name]);
+    if (!Number.isFinite(value) || value < 0) {
+      throw new LobbyError(`Invalid filter: ${name}`);
+    }
+    filters[name] = value;
+  }
+
+  for (const name of EXACT_FILTERS) {
+    if (query[name]) filters[name] = String(query[name]);
+  }
+
+  return filters;
+}
+
+function matchesFilters(table, filters) {
+  // Finished tables only show up when asked for by phase
+  if (filters.phases ? !filters.phases.includes(table.phase) : table.phase === 'finished') return false;
+
+  if (filters.bigBlind !== undefined && table.bigBlind !== filters.bigBlind) return false;
+  if (filters.minBigBlind !== undefined && table.bigBlind < filters.minBigBlind) return false;
+  if (filters.maxBigBlind !== undefined && table.bigBlind > filters.maxBigBlind) return false;
+
+  if (filters.buyIn !== undefined && !acceptsBuyIn(table, filters.buyIn)) return false;
+  if (filters.minBuyIn !== undefined && table.maxBuyIn < filters.minBuyIn) return false;
+  if (filters.maxBuyIn !== undefined && table.minBuyIn > filters.maxBuyIn) return false;
+
+  if (filters.freeSeats !== undefined && table.freeSeats < filters.freeSeats) return false;
+
+  if (EXACT_FILTERS.some(name => filters[name] !== undefined && table[name] !== filters[name])) return false;
+  return true;
+}
+
+function acceptsBuyIn(table, buyIn) {
+  return buyIn >= table.minBuyIn && buyIn <= table.maxBuyIn;
+}
+
+/**
+ * Best open table for a stake level: no-limit Hold'em, same big blind, a
+ * free seat and a buy-in range that fits. Fuller tables win (more action, sooner start);
+ * ties go to the oldest table.
+ */
+function pickQuickSeatTable(tables, { bigBlind, buyIn }) {
+  const candidates = tables.filter(table =>
+    table.phase !== 'finished' &&
+    !table.tournamentId &&
+    table.variant === QUICK_SEAT_TABLE.variant &&
+    table.bettingStructure === QUICK_SEAT_TABLE.bettingStructure &&
+    table.bigBlind === bigBlind &&
+    table.freeSeats > 0 &&
+    acceptsBuyIn(table, buyIn)
+  );
+
+  candidates.sort((a, b) => b.seatedPlayers - a.seatedPlayers || a.gameId - b.gameId);
+  return candidates[0] || null;
+}
+
+/**
+ * Config for a new table at a stake level, widened so `buyIn` always fits
+ */
+function quickSeatTableConfig({ bigBlind, buyIn }) {
+  return {
+    variant: QUICK_SEAT_TABLE.variant,
+    bettingStructure: QUICK_SEAT_TABLE.bettingStructure,
+    smallBlind: bigBlind / 2,
+    bigBlind,
+    minBuyIn: Math.min(bigBlind * QUICK_SEAT_TABLE.minBuyInBigBlinds, buyIn),
+    maxBuyIn: Math.max(bigBlind * QUICK_SEAT_TABLE.maxBuyInBigBlinds, buyIn),
+    maxPlayers: QUICK_SEAT_TABLE.maxPlayers
+  };
+}
+
+module.exports = {
+  LobbyError,
+  QUICK_SEAT_TABLE,
+  tableSummary,
+  parseLobbyFilters,
+  matchesFilters,
+  acceptsBuyIn,
+  pickQuickSeatTable,
+  quickSeatTableConfig
+};
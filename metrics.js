@@ -0,0 +1,156 @@
+/**
+ * Operator metrics and health checks
+ *
+ * GET /metrics serves the Prometheus text format, built at scrape time from
+ * metric families:
+ *
+ *   { name, help, type: 'gauge' | 'counter' | 'histogram', samples }
+ *
+ * where each sample is { labels, value }, and a histogram's value is a
+ * Histogram. Families without samples (say, the wallet balance while the
+ * RPC is down) are left out rather than reported as zero.
+ *
+ * checkChain() is shared with GET /health: whether the RPC answers, and
+ * whether the server wallet holds enough ETH to keep paying for gas.
+ */
+
+// Seconds, for action latency
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+class Histogram {
+  constructor(buckets = DEFAULT_BUCKETS) {
+    this.buckets = buckets;
+    this.counts = buckets.map(() => 0); // cumulative, like Prometheus buckets
+    this.sum = 0;
+    this.count = 0;
+  }
+
+  observe(value) {
+    this.buckets.forEach((le, i) => {
+      if (value <= le) this.counts[i]++;
+    });
+    this.sum += value;
+    this.count++;
+  }
+}
+
+/**
+ * Events over a sliding window, e.g. hands finished in the last five minutes
+ */
+class RateWindow {
+  constructor(windowMs, now = Date.now) {
+    this.windowMs = windowMs;
+    this.now = now;
+    this.times = [];
+  }
+
+  record() {
+    this.times.push(this.now());
+    this.prune();
+  }
+
+  perMinute() {
+    this.prune();
+    return this.times.length / (this.windowMs / 60000);
+  }
+
+  prune() {
+    const since = this.now() - this.windowMs;
+    while (this.times.length > 0 && this.times[0] <= since) this.times.shift();
+  }
+}
+
+/**
+ * A metric family; `samples` may be a single value. A null value is no sample.
+ */
+function metric(type, name, help, samples) {
+  const list = Array.isArray(samples) ? samples : [{ value: samples }];
+  return { name, help, type, samples: list.filter(s => s.value !== null && s.value !== undefined) };
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelString(labels = {}) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatNumber(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(Number(value));
+}
+
+/**
+ * Metric families as Prometheus text exposition format 0.0.4
+ */
+function formatMetrics(families) {
+  const lines = [];
+  for (const family of families) {
+    if (family.samples.length === 0) continue;
+    lines.push(`# HELP ${family.name} ${family.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+    lines.push(`# TYPE ${family.name} ${family.type}`);
+
+    for (const { labels, value } of family.samples) {
+      if (family.type !== 'histogram') {
+        lines.push(`${family.name}${labelString(labels)} ${formatNumber(value)}`);
+        continue;
+      }
+      value.buckets.forEach((le, i) => {
+        lines.push(`${family.name}_bucket${labelString({ ...labels, le })} ${value.counts[i]}`);
+      });
+      lines.push(`${family.name}_bucket${labelString({ ...labels, le: '+Inf' })} ${value.count}`);
+      lines.push(`${family.name}_sum${labelString(labels)} ${formatNumber(value.sum)}`);
+      lines.push(`${family.name}_count${labelString(labels)} ${value.count}`);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+function withTimeout(promise, timeoutMs) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error('Timed out')), timeoutMs);
+    timer.unref();
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Probe the RPC and the server wallet, each within `timeoutMs`. Errors are
+ * summarised - RPC messages can carry the provider URL, which may hold a key.
+ * Returns { rpc: { connected, blockNumber, latencyMs, error },
+ *           wallet: { address, ethBalance, minEth, funded } }
+ */
+async function checkChain(chain, { minEth, timeoutMs = 3000 }) {
+  const rpc = { connected: false, blockNumber: null, latencyMs: null, error: null };
+  const wallet = { address: chain.serverAddress, ethBalance: null, minEth, funded: false };
+
+  const startedAt = Date.now();
+  try {
+    rpc.blockNumber = await withTimeout(chain.getBlockNumber(), timeoutMs);
+    rpc.connected = true;
+    rpc.latencyMs = Date.now() - startedAt;
+  } catch (error) {
+    rpc.error = error.message === 'Timed out' ? 'RPC timed out' : 'RPC unreachable';
+    return { rpc, wallet };
+  }
+
+  try {
+    wallet.ethBalance = await withTimeout(chain.getGasBalance(), timeoutMs);
+    wallet.funded = wallet.ethBalance >= minEth;
+  } catch (error) {
+    rpc.error = 'Wallet balance unavailable';
+  }
+  return { rpc, wallet };
+}
+
+module.exports = {
+  Histogram,
+  RateWindow,
+  metric,
+  formatMetrics,
+  checkChain
+};
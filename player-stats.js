@@ -0,0 +1,215 @@
+/**
+ * Player statistics and ratings
+ *
+ * Collected per address from every finished hand record (see
+ * hand-history.js) and kept in the state store across games:
+ *
+ *   hands             hands dealt in
+ *   vpip / pfr        share of hands the player put chips in pre-flop
+ *                     voluntarily / raised pre-flop
+ *   aggressionFactor  (bets + raises) / calls, all streets; null with no calls
+ *   showdownWinRate   share of showdowns reached that won chips
+ *   netChips          chips won at cash tables, hand by hand
+ *   netFelt           FELT won once games are over: cash-outs after the
+ *                     server fee less buy-ins, and tournament prizes less
+ *                     entry fees
+ *
+ * An all-in counts as a bet or raise if it raised the bet, as a call if not.
+ *
+ * Ratings are multiplayer Elo: when a game ends every pair of its players
+ * is scored as a win, loss or draw - by net chips at a cash table, by
+ * finishing place in a tournament - and each player's rating moves by
+ * kFactor / (players - 1) times their total score over expectation.
+ */
+
+const { roundAmount } = require('./settlement');
+
+const STAT_SORTS = ['rating', 'netChips', 'netFelt', 'hands', 'games', 'vpip', 'pfr', 'aggressionFactor', 'showdownWinRate'];
+
+const VOLUNTARY_ACTIONS = ['call', 'bet', 'raise', 'all-in'];
+
+function emptyStats(address, rating) {
+  return {
+    address,
+    name: null,
+    bot: false,
+    hands: 0,
+    vpipHands: 0,
+    pfrHands: 0,
+    aggressive: 0, // bets and raises
+    calls: 0,
+    showdowns: 0,
+    showdownsWon: 0,
+    netChips: 0,
+    netFelt: 0,
+    games: 0,
+    rating,
+    lastPlayedAt: null
+  };
+}
+
+// Whether an action put in more than the bet it faced
+function isAggressive(entry) {
+  if (entry.action === 'bet' || entry.action === 'raise') return true;
+  return entry.action === 'all-in' && entry.totalBet > entry.betBefore;
+}
+
+function ratio(count, total) {
+  return total > 0 ? Math.round(count / total * 10000) / 10000 : null;
+}
+
+class PlayerStats {
+  constructor({ store, kFactor = 32, initialRating = 1500 }) {
+    this.store = store;
+    this.kFactor = kFactor;
+    this.initialRating = initialRating;
+    this.players = new Map(); // lowercased address -> stats
+    this.loaded = null;
+    this.writes = Promise.resolve();
+  }
+
+  load() {
+    if (!this.loaded) {
+      this.loaded = this.store.loadPlayerStats().then(all => {
+        for (const json of all) {
+          const stats = JSON.parse(json);
+          this.players.set(stats.address.toLowerCase(), stats);
+        }
+      });
+    }
+    return this.loaded;
+  }
+
+  statsFor(address) {
+    const key = address.toLowerCase();
+    if (!this.players.has(key)) {
+      this.players.set(key, emptyStats(address, this.initialRating));
+    }
+    return this.players.get(key);
+  }
+
+  get(address) {
+    return this.players.get(address.toLowerCase()) || null;
+  }
+
+  // Writes go out in order, one player at a time
+  persist(stats) {
+    const json = JSON.stringify(stats);
+    this.writes = this.writes
+      .then(() => this.store.savePlayerStats(stats.address.toLowerCase(), json))
+      .catch(error => console.error(`Save stats for ${stats.address} error:`, error));
+    return this.writes;
+  }
+
+  /**
+   * Count a finished hand. `bots` are the addresses of house bots at the table;
+   * `cash` is false at tournament tables, whose chips aren't FELT.
+   */
+  async recordHand(record, { bots = [], cash = true } = {}) {
+    await this.load();
+    const shown = new Set(record.shown.map(s => s.address));
+
+    for (const seat of record.seats.filter(s => s.inHand)) {
+      const stats = this.statsFor(seat.address);
+      const actions = record.actions.filter(a => a.player === seat.address);
+      const preflop = actions.filter(a => a.street === 'pre-flop');
+      const result = record.results.find(r => r.address === seat.address);
+
+      stats.name = seat.name;
+      stats.bot = bots.includes(seat.address);
+      stats.hands++;
+      if (preflop.some(a => VOLUNTARY_ACTIONS.includes(a.action))) stats.vpipHands++;
+      if (preflop.some(isAggressive)) stats.pfrHands++;
+      for (const action of actions) {
+        if (isAggressive(action)) stats.aggressive++;
+        else if (action.action === 'call' || action.action === 'all-in') stats.calls++;
+      }
+      if (shown.has(seat.address)) {
+        stats.showdowns++;
+        if (result && result.collected > 0) stats.showdownsWon++;
+      }
+      if (cash && result) stats.netChips = roundAmount(stats.netChips + result.net);
+      stats.lastPlayedAt = record.endedAt;
+      this.persist(stats);
+    }
+  }
+
+  /**
+   * Close a game: `results` are { address, score, felt } where a higher
+   * score beat a lower one and `felt` is what the game won or lost in FELT.
+   * Returns each player's rating change.
+   */
+  async recordGame(results) {
+    await this.load();
+    const players = results.map(result => ({ ...result, stats: this.statsFor(result.address) }));
+    const changes = new Map();
+
+    if (players.length > 1) {
+      const k = this.kFactor / (players.length - 1);
+      for (const a of players) {
+        let delta = 0;
+        for (const b of players) {
+          if (a === b) continue;
+          const expected = 1 / (1 + 10 ** ((b.stats.rating - a.stats.rating) / 400));
+          const score = a.score > b.score ? 1 : a.score < b.score ? 0 : 0.5;
+          delta += k * (score - expected);
+        }
+        changes.set(a.stats, delta);
+      }
+    }
+
+    // Ratings move together, from the ratings before this game
+    for (const { stats, felt } of players) {
+      stats.rating = Math.round((stats.rating + (changes.get(stats) || 0)) * 100) / 100;
+      stats.games++;
+      stats.netFelt = roundAmount(stats.netFelt + (felt || 0));
+      this.persist(stats);
+    }
+    return players.map(({ address, stats }) => ({ address, rating: stats.rating, change: Math.round((changes.get(stats) || 0) * 100) / 100 }));
+  }
+
+  /**
+   * Players as the leaderboard lists them: filtered, sorted (descending,
+   * unknown values last) and paged. Returns { total, players }.
+   */
+  async leaderboard({ sort = 'rating', minHands = 0, minGames = 0, bots = true, limit = 50, offset = 0 } = {}) {
+    await this.load();
+    const rows = [...this.players.values()]
+      .filter(s => s.hands >= minHands && s.games >= minGames && (bots || !s.bot))
+      .map(publicStats)
+      .sort((a, b) => (b[sort] ?? -Infinity) - (a[sort] ?? -Infinity) || b.hands - a.hands);
+
+    return {
+      total: rows.length,
+      players: rows.slice(offset, offset + limit).map((row, i) => ({ rank: offset + i + 1, ...row }))
+    };
+  }
+}
+
+/**
+ * A player's stats as the API shows them
+ */
+function publicStats(stats) {
+  return {
+    address: stats.address,
+    name: stats.name,
+    bot: stats.bot,
+    rating: stats.rating,
+    games: stats.games,
+    hands: stats.hands,
+    vpip: ratio(stats.vpipHands, stats.hands),
+    pfr: ratio(stats.pfrHands, stats.hands),
+    aggressionFactor: stats.calls > 0 ? Math.round(stats.aggressive / stats.calls * 100) / 100 : null,
+    showdowns: stats.showdowns,
+    showdownWinRate: ratio(stats.showdownsWon, stats.showdowns),
+    netChips: stats.netChips,
+    netFelt: stats.netFelt,
+    lastPlayedAt: stats.lastPlayedAt
+  };
+}
+
+module.exports = {
+  STAT_SORTS,
+  PlayerStats,
+  publicStats
+};
@@ -0,0 +1,366 @@
+const WebSocket = require('ws');
+const { solveProofOfWork, verifySignature } = require('./shared-crypto');
+
+/**
+ * Agent Poker client SDK
+ *
+ * Wraps the HTTP routes and the WebSocket feed so an agent only has to
+ * decide what to do on its turn:
+ *
+ *   const client = new PokerClient({ baseUrl, wallet });
+ *   await client.signIn();
+ *   const gameId = await client.createGame({ smallBlind: 1, bigBlind: 2, ... });
+ *   // buy in with joinGame on-chain, then
+ *   await client.joinGame(gameId, { playerName: 'my-agent' });
+ *   const session = client.play(gameId, state => ({ action: 'call' }));
+ *   await session.finished;
+ *
+ * `wallet` is anything with `address` and `signMessage` (an ethers Wallet).
+ * play() follows the table over a WebSocket (`transport: 'websocket'`, the
+ * default) or by polling the state route (`'polling'`), and calls onTurn
+ * with the player's view of the table whenever it is their turn. onTurn
+ * returns { action, amount } or just the action name, sync or async.
+ *
+ * Agents that can't stay connected join with a webhook instead and answer
+ * each POSTed turn, after checking it with PokerClient.verifyWebhook():
+ *
+ *   await client.joinGame(gameId, { webhook: { url, secret } });
+ */
+
+// `code` is the server's error code (NOT_YOUR_TURN, INVALID_RAISE, ...; see api-errors.js)
+class PokerClientError extends Error {
+  constructor(message, status = null, code = null, details = undefined) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const TRANSPORTS = ['websocket', 'polling'];
+
+// Close codes the server uses for sockets that will never be accepted
+const FATAL_CLOSE_CODES = [4001, 4003, 4004];
+
+class PokerClient {
+  constructor({ baseUrl, wallet = null, token = null, transport = 'websocket', pollIntervalMs = 1000 }) {
+    if (!TRANSPORTS.includes(transport)) {
+      throw new PokerClientError(`transport must be one of ${TRANSPORTS.join(', ')}`);
+    }
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.wallet = wallet;
+    this.token = token;
+    this.transport = transport;
+    this.pollIntervalMs = pollIntervalMs;
+  }
+
+  get address() {
+    return this.wallet ? this.wallet.address : null;
+  }
+
+  /**
+   * Call a route; resolves with the response body, throws PokerClientError
+   * with the HTTP status and error code when the server reports a failure
+   */
+  async request(method, path, body) {
+    const res = await fetch(this.baseUrl + path, {
+      method,
+      headers: {
+        'content-type': 'application/json',
+        ...(this.token ? { authorization: `Bearer ${this.token}` } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok || data.success === false) {
+      throw new PokerClientError(data.error || `${method} ${path} failed with ${res.status}`, res.status, data.code || null, data.details);
+    }
+    return data;
+  }
+
+  /**
+   * Sign the server's challenge with the wallet and keep the session token
+   */
+  async signIn() {
+    if (!this.wallet) throw new PokerClientError('A wallet is needed to sign in');
+
+    const challenge = await this.request('POST', '/api/auth/challenge', { address: this.wallet.address });
+    const signature = await this.wallet.signMessage(challenge.message);
+    const { token } = await this.request('POST', '/api/auth/verify', {
+      address: this.wallet.address,
+      signature,
+      nonce: challenge.nonce
+    });
+    this.token = token;
+    return token;
+  }
+
+  async createGame(config) {
+    return (await this.request('POST', '/api/games', config)).gameId;
+  }
+
+  async listGames(filters = {}) {
+    const query = new URLSearchParams(filters).toString();
+    return (await this.request('GET', `/api/games${query ? `?${query}` : ''}`)).games;
+  }
+
+  async getGame(gameId) {
+    return (await this.request('GET', `/api/games/${gameId}`)).game;
+  }
+
+  async quickSeat({ bigBlind, buyIn, playerName }) {
+    return this.request('POST', '/api/games/quick-seat', { bigBlind, buyIn, playerName });
+  }
+
+  // webhook: { url, secret } to have turns POSTed there (see turn-webhooks.js)
+  async joinGame(gameId, { playerName, webhook } = {}) {
+    return this.request('POST', `/api/games/${gameId}/join`, { playerName, webhook });
+  }
+
+  async startGame(gameId) {
+    return this.request('POST', `/api/games/${gameId}/start`);
+  }
+
+  async getState(gameId) {
+    return (await this.request('GET', `/api/games/${gameId}/state`)).state;
+  }
+
+  async act(gameId, action, amount) {
+    return this.request('POST', `/api/games/${gameId}/action`, { action, amount });
+  }
+
+  // Cash out now, or when the current hand ends (`pending`)
+  async leaveGame(gameId) {
+    return this.request('POST', `/api/games/${gameId}/leave`);
+  }
+
+  async setWebhook(gameId, { url, secret }) {
+    return this.request('POST', `/api/games/${gameId}/webhook`, { url, secret });
+  }
+
+  async removeWebhook(gameId) {
+    return this.request('DELETE', `/api/games/${gameId}/webhook`);
+  }
+
+  // filters: { gameId, limit }
+  async webhookDeliveries(filters = {}) {
+    const query = new URLSearchParams(filters).toString();
+    return (await this.request('GET', `/api/webhooks/deliveries${query ? `?${query}` : ''}`)).deliveries;
+  }
+
+  /**
+   * Whether a turn POSTed to your webhook came from the server: `headers`
+   * as received (lowercased names) and `body` the raw request body
+   */
+  static verifyWebhook(secret, headers, body, options) {
+    return verifySignature(secret, {
+      timestamp: headers['x-webhook-timestamp'],
+      signature: headers['x-webhook-signature'],
+      body
+    }, options);
+  }
+
+  async settlements(gameId) {
+    return (await this.request('GET', `/api/games/${gameId}/settlements`)).settlements;
+  }
+
+  async playerStats(address = this.address) {
+    return (await this.request('GET', `/api/players/${address}/stats`)).stats;
+  }
+
+  // filters: { sort, minHands, minGames, bots, limit, offset }
+  async leaderboard(filters = {}) {
+    const query = new URLSearchParams(filters).toString();
+    return this.request('GET', `/api/leaderboard${query ? `?${query}` : ''}`);
+  }
+
+  /**
+   * Claim from the faucet, answering its challenge if it sets one
+   */
+  async claimFaucet() {
+    const { challenge } = await this.request('GET', '/api/faucet/challenge');
+    const proof = { nonce: challenge.nonce };
+    if (challenge.type === 'pow') proof.solution = solveProofOfWork(challenge.nonce, challenge.difficulty);
+    if (challenge.type === 'signature') proof.signature = await this.wallet.signMessage(challenge.message);
+    return this.request('POST', '/api/faucet/claim', proof);
+  }
+
+  async faucetStatus(address = this.address) {
+    return this.request('GET', `/api/faucet/status?address=${address}`);
+  }
+
+  async listBots() {
+    return (await this.request('GET', '/api/bots')).bots;
+  }
+
+  /**
+   * Seat a house bot at the table: { strategy, buyIn, name }
+   */
+  async addBot(gameId, options = {}) {
+    return this.request('POST', `/api/games/${gameId}/bots`, options);
+  }
+
+  /**
+   * Play a table with `onTurn(state) => action` until it finishes or stop()
+   * is called. Options: transport, onEvent(event) for every WebSocket event,
+   * onError(error) for failed turns - without it the first one ends play.
+   * Returns { stop(), finished } where `finished` resolves with the
+   * gameFinished event - when polling, the final state, or the public table
+   * view once the player has lost their seat - or null if stopped.
+   */
+  play(gameId, onTurn, { transport = this.transport, onEvent = () => {}, onError = null } = {}) {
+    if (!this.token || !this.address) throw new PokerClientError('Sign in with a wallet before playing');
+    if (!TRANSPORTS.includes(transport)) {
+      throw new PokerClientError(`transport must be one of ${TRANSPORTS.join(', ')}`);
+    }
+
+    const session = new PlaySession(this, gameId, onTurn, { onEvent, onError });
+    if (transport === 'websocket') session.connect();
+    else session.poll();
+    return session;
+  }
+}
+
+/**
+ * One player's run at one table, driven by either transport
+ */
+class PlaySession {
+  constructor(client, gameId, onTurn, { onEvent, onError }) {
+    this.client = client;
+    this.gameId = gameId;
+    this.onTurn = onTurn;
+    this.onEvent = onEvent;
+    this.onError = onError;
+    this.stopped = false;
+    this.acting = false;
+    this.lastSeq = null;
+    this.latest = null; // newest state frame
+    this.handledSeq = 0; // state frames up to here have been acted on
+    this.awaitingOwnAction = false; // states are stale until our action's event arrives
+    this.socket = null;
+    this.timer = null;
+    this.finished = new Promise((resolve, reject) => {
+      this.resolve = resolve;
+      this.reject = reject;
+    });
+  }
+
+  stop(result = null) {
+    if (this.stopped) return;
+    this.shutdown();
+    this.resolve(result);
+  }
+
+  fail(error) {
+    if (this.stopped) return;
+    if (this.onError) {
+      this.onError(error);
+      return;
+    }
+    this.shutdown();
+    this.reject(error);
+  }
+
+  shutdown() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    if (this.socket) this.socket.close();
+  }
+
+  isMyTurn(state) {
+    return Boolean(state && state.currentTurn && state.availableActions && state.availableActions.length > 0 &&
+      state.currentTurn.toLowerCase() === this.client.address.toLowerCase());
+  }
+
+  // Ask onTurn for a decision and send it
+  async takeTurn(state) {
+    const decision = await this.onTurn(state);
+    const { action, amount } = typeof decision === 'string' ? { action: decision } : decision;
+    await this.client.act(this.gameId, action, amount);
+  }
+
+  connect() {
+    const url = new URL('/ws', this.client.baseUrl.replace(/^http/, 'ws'));
+    url.searchParams.set('gameId', this.gameId);
+    url.searchParams.set('token', this.client.token);
+    if (this.lastSeq !== null) url.searchParams.set('lastSeq', this.lastSeq);
+
+    const socket = new WebSocket(url);
+    this.socket = socket;
+    socket.on('message', data => this.onFrame(JSON.parse(data)));
+    socket.on('error', () => {}); // followed by 'close'
+    socket.on('close', code => {
+      if (this.stopped) return;
+      if (FATAL_CLOSE_CODES.includes(code)) {
+        this.fail(new PokerClientError(`WebSocket closed by the server (${code})`, code));
+        return;
+      }
+      // Reconnect and pick up missed events from lastSeq
+      this.timer = setTimeout(() => this.connect(), this.client.pollIntervalMs);
+    });
+  }
+
+  onFrame(frame) {
+    if (frame.type === 'state') {
+      this.latest = frame;
+      this.maybeAct();
+      return;
+    }
+
+    if (frame.seq !== undefined) this.lastSeq = frame.seq;
+    if (frame.type === 'action' && frame.player.toLowerCase() === this.client.address.toLowerCase()) {
+      this.awaitingOwnAction = false;
+    }
+    this.onEvent(frame);
+    if (frame.type === 'gameFinished') this.stop(frame);
+  }
+
+  maybeAct() {
+    const frame = this.latest;
+    if (this.stopped || this.acting || this.awaitingOwnAction || !frame) return;
+    if (frame.seq <= this.handledSeq || !this.isMyTurn(frame.state)) return;
+
+    this.handledSeq = frame.seq;
+    this.acting = true;
+    this.awaitingOwnAction = true;
+    this.takeTurn(frame.state)
+      .catch(error => {
+        this.awaitingOwnAction = false;
+        this.fail(error);
+      })
+      .finally(() => {
+        this.acting = false;
+        this.maybeAct();
+      });
+  }
+
+  async poll() {
+    while (!this.stopped) {
+      try {
+        const state = await this.client.getState(this.gameId);
+        if (state.phase === 'finished') {
+          this.stop(state);
+          return;
+        }
+        if (this.isMyTurn(state)) {
+          await this.takeTurn(state);
+          continue;
+        }
+      } catch (error) {
+        // No seat any more - busted, or the table is gone
+        if (error.status === 403) {
+          this.stop(await this.client.getGame(this.gameId).catch(() => null));
+          return;
+        }
+        this.fail(error);
+      }
+      await new Promise(resolve => { this.timer = setTimeout(resolve, this.client.pollIntervalMs); });
+    }
+  }
+}
+
+module.exports = {
+  PokerClient,
+  PokerClientError
+};
@@ -2,35 +2,154 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const { ethers } = require('ethers');
+const { findWinners } = require('./hand-evaluator');
+const { buildPots, splitPot } = require('./side-pots');
+const { GameSocketHub } = require('./game-socket');
+const { SessionAuth, createAuthRouter, requireAdminToken, bearerToken } = require('./auth');
+const { createChainAdapter } = require('./chain-adapter');
+const { createStateStore } = require('./state-store');
+const { ChipReconciler } = require('./chip-reconciler');
+const { ChainIndexer, playerSummary, filterEvents } = require('./chain-indexer');
+const { PlayerStats, publicStats } = require('./player-stats');
+const { TxQueue, TX_STATUS, publicTx } = require('./tx-queue');
+const { Histogram, RateWindow, metric, formatMetrics, checkChain } = require('./metrics');
+const { TurnWebhooks } = require('./turn-webhooks');
+const { HOUSE_BOTS } = require('./house-bots');
+const { Faucet, createFaucetRouter } = require('./faucet');
+const { ApiError, sendError } = require('./api-errors');
+const { validate, openApiDocument } = require('./api-schema');
+const {
+  VARIANTS,
+  DEFAULT_VARIANT,
+  variantOf,
+  orderedDeck,
+  evaluateShowdownHand
+} = require('./game-variants');
+const {
+  SETTLEMENT_TYPES,
+  roundAmount,
+  payoutFor,
+  settlementPlan,
+  settlementEntry,
+  publicSettlement
+} = require('./settlement');
+const {
+  startEntry,
+  actionEntry,
+  finishEntry,
+  verifyTranscript
+} = require('./action-transcript');
+const {
+  beginHandRecord,
+  finishHandRecord,
+  redactHandRecord,
+  handSummary,
+  formatPokerStars
+} = require('./hand-history');
+const {
+  tableSummary,
+  parseLobbyFilters,
+  matchesFilters,
+  pickQuickSeatTable,
+  quickSeatTableConfig
+} = require('./lobby');
+const {
+  TOURNAMENT_STATUS,
+  createTournament,
+  findEntrant,
+  registrationError,
+  prizePool,
+  payoutPercents,
+  prizeAmounts,
+  currentLevel,
+  nextLevelAt,
+  advanceLevel,
+  seatEntrants,
+  planBalance,
+  recordEliminations,
+  remainingEntrants,
+  tournamentSummary,
+  publicTournament
+} = require('./tournament');
+const {
+  createSeedSource,
+  commitToSeed,
+  combineSeeds,
+  shuffleCards,
+  verifyShuffle
+} = require('./fair-shuffle');
+const {
+  ActionError,
+  startStreet,
+  playersAbleToAct,
+  getBettingLimits,
+  getAvailableActions,
+  applyAction,
+  isBettingRoundComplete,
+  nextToAct
+} = require('./betting');
+
+// TRUST_PROXY: 'true', a hop count, or addresses/subnets as Express takes them
+function trustProxySetting(value) {
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return Number(value);
+  return value;
+}
 
 const app = express();
+// Behind a proxy, per-IP limits need the client address from X-Forwarded-For
+if (process.env.TRUST_PROXY) app.set('trust proxy', trustProxySetting(process.env.TRUST_PROXY));
 app.use(cors());
 app.use(express.json());
 
-// Contract ABIs (will be loaded from JSON)
-const POKER_TOKEN_ABI = require('./abis/PokerToken.json');
-const POKER_GAME_ABI = require('./abis/PokerGame.json');
+// PokerGame / PokerToken contracts (CHAIN_ADAPTER=memory runs without a chain)
+const chain = createChainAdapter();
 
-// Provider and Wallet
-const provider = new ethers.JsonRpcProvider(process.env.BASE_RPC_URL);
-const serverWallet = new ethers.Wallet(process.env.SERVER_PRIVATE_KEY, provider);
-
-// Contract instances
-const pokerToken = new ethers.Contract(
-  process.env.TOKEN_ADDRESS,
-  POKER_TOKEN_ABI,
-  serverWallet
-);
+// Turns POSTed to agents that registered a webhook for their seat; public hosts only
+// unless WEBHOOK_ALLOW_PRIVATE=true (local development)
+const turnWebhooks = new TurnWebhooks({
+  maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS || 4),
+  retryDelayMs: Number(process.env.WEBHOOK_RETRY_DELAY_MS || 1000),
+  timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS || 5000),
+  allowPrivate: process.env.WEBHOOK_ALLOW_PRIVATE === 'true'
+});
 
-const pokerGame = new ethers.Contract(
-  process.env.GAME_ADDRESS,
-  POKER_GAME_ABI,
-  serverWallet
-);
+// Server seeds for the commit-reveal shuffle; DECK_SEED makes them reproducible - tests only
+const nextServerSeed = createSeedSource(process.env.DECK_SEED);
 
-// In-memory game state (will use Redis in production)
+// Live game state, backed by a durable store (STATE_STORE=file|redis|memory)
 const gameStates = new Map();
+const stateStore = createStateStore();
+const saveQueues = new Map(); // store key -> last pending write
 const playerSessions = new Map();
+const handTimers = new Map(); // gameId -> pending auto-start timeout
+const turnTimers = new Map(); // gameId -> pending action clock timeout
+const botTimers = new Map(); // gameId -> house bot about to act
+const botJoins = new Map(); // `${gameId}:${n}` -> who added the house bot still buying in
+const tournaments = new Map();
+const tournamentTimers = new Map(); // tournamentId -> scheduled start
+
+// Game transactions are sent in the background; play never waits on the chain
+const txQueue = new TxQueue({
+  chain,
+  store: stateStore,
+  maxAttempts: Number(process.env.TX_MAX_ATTEMPTS || 5),
+  retryDelayMs: Number(process.env.TX_RETRY_DELAY_MS || 2000),
+  coalesceActions: process.env.TX_COALESCE_ACTIONS !== 'false'
+});
+
+// Counted for GET /metrics; hands per minute are over the last five minutes
+const serverMetrics = {
+  hands: 0,
+  recentHands: new RateWindow(5 * 60 * 1000),
+  actionLatency: new Histogram()
+};
+
+// Wallet-signature sessions - player routes take the address from the session, never the payload
+const auth = new SessionAuth({ sessions: playerSessions });
+const requireSession = auth.requireSession();
+const requireAdmin = requireAdminToken();
+app.use('/api/auth', createAuthRouter(auth));
 
 /**
  * Game State Management (Off-chain)
@@ -43,31 +162,19 @@ const playerSessions = new Map();
  * Only betting and settlement happen on-chain
  */
 
-// Standard 52-card deck
-const SUITS = ['hearts', 'diamonds', 'clubs', 'spades'];
-const RANKS = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
-
 class PokerEngine {
   constructor() {
     this.deck = [];
-    this.resetDeck();
   }
 
-  resetDeck() {
-    this.deck = [];
-    for (const suit of SUITS) {
-      for (const rank of RANKS) {
-        this.deck.push({ suit, rank });
-      }
-    }
-    this.shuffle();
+  // Shuffle a fresh deck for the variant from the hand's combined seed (see fair-shuffle.js)
+  resetDeck(combinedSeed, variant) {
+    this.deck = orderedDeck(variant);
+    this.shuffle(combinedSeed);
   }
 
-  shuffle() {
-    for (let i = this.deck.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [this.deck[i], this.deck[j]] = [this.deck[j], this.deck[i]];
-    }
+  shuffle(combinedSeed) {
+    this.deck = shuffleCards(this.deck, combinedSeed);
   }
 
   deal(n) {
@@ -75,6 +182,34 @@ class PokerEngine {
   }
 }
 
+// Turn timer defaults, overridable per table at creation
+const DEFAULT_ACTION_TIMEOUT_MS = Number(process.env.ACTION_TIMEOUT_MS ?? 30000);
+const DEFAULT_TIME_BANK_MS = Number(process.env.TIME_BANK_MS ?? 0);
+const DEFAULT_MAX_MISSED_TURNS = Number(process.env.MAX_MISSED_TURNS || 3);
+
+// How far the spectator feed lags the table; 0 is live with hole cards hidden
+const DEFAULT_SPECTATOR_DELAY_MS = Number(process.env.SPECTATOR_DELAY_MS ?? 0);
+
+// House bots take this long to act, so humans can follow the table
+const BOT_THINK_MS = Number(process.env.BOT_THINK_MS ?? 1000);
+
+// Bot wallets are derived from this, so the same bot seat gets the same address
+const HOUSE_BOT_SECRET = process.env.HOUSE_BOT_SECRET || process.env.SERVER_PRIVATE_KEY || 'agent-poker-house-bots';
+
+// The server mints every bot's buy-in, so bots are limited per table, per
+// player across the tables still open, and in what each may buy in for
+const HOUSE_BOT_TABLE_LIMIT = Number(process.env.HOUSE_BOT_TABLE_LIMIT || 3);
+const HOUSE_BOT_USER_LIMIT = Number(process.env.HOUSE_BOT_USER_LIMIT || 6);
+const HOUSE_BOT_MAX_BUY_IN = Number(process.env.HOUSE_BOT_MAX_BUY_IN || 200);
+
+// GET /health reports the server wallet unfunded below this much ETH, and
+// gives the RPC this long to answer
+const SERVER_WALLET_MIN_ETH = Number(process.env.SERVER_WALLET_MIN_ETH ?? 0.001);
+const HEALTH_TIMEOUT_MS = Number(process.env.HEALTH_TIMEOUT_MS || 3000);
+
+// Tournament tables are off-chain only; their ids start here, clear of contract game ids
+const TOURNAMENT_TABLE_ID_BASE = 1000000000;
+
 // Game phases
 const PHASES = {
   WAITING: 'waiting',
@@ -90,53 +225,135 @@ const PHASES = {
  * Create a new game
  * POST /api/games
  */
-app.post('/api/games', async (req, res) => {
+app.post('/api/games', requireSession, validate('POST /api/games'), async (req, res) => {
   try {
-    const { playerAddress, playerName, smallBlind, bigBlind, minBuyIn, maxBuyIn, maxPlayers } = req.body;
+    const { playerAddress } = req;
+    const {
+      smallBlind, bigBlind, minBuyIn, maxBuyIn, maxPlayers, variant, bettingStructure,
+      autoStartDelayMs, actionTimeoutMs, timeBankMs, maxMissedTurns, spectatorDelayMs
+    } = req.body;
     
-    // Call on-chain createGame
-    const tx = await pokerGame.createGame(
-      ethers.parseEther(smallBlind.toString()),
-      ethers.parseEther(bigBlind.toString()),
-      ethers.parseEther(minBuyIn.toString()),
-      ethers.parseEther(maxBuyIn.toString()),
-      maxPlayers
+    const gameId = await openTable(
+      {
+        smallBlind, bigBlind, minBuyIn, maxBuyIn, maxPlayers, variant, bettingStructure,
+        autoStartDelayMs, actionTimeoutMs, timeBankMs, maxMissedTurns, spectatorDelayMs
+      },
+      playerAddress
     );
     
-    const receipt = await tx.wait();
-    
-    // Extract gameId from event
-    const event = receipt.logs.find(
-      log => log.topics[0] === pokerGame.interface.getEvent('GameCreated').topicHash
-    );
-    const gameId = event ? Number(event.topics[1]) : null;
-    
-    // Initialize off-chain game state
-    gameStates.set(gameId, {
-      id: gameId,
-      creator: playerAddress,
-      players: [{ address: playerAddress, name: playerName, chips: 0 }],
-      phase: PHASES.WAITING,
-      deck: new PokerEngine(),
-      communityCards: [],
-      pot: 0,
-      currentBet: 0,
-      currentTurn: null,
-      dealerIndex: 0,
-      smallBlind,
-      bigBlind,
-      actionHistory: [],
-      handsDealt: false
+    res.json({
+      success: true,
+      gameId,
+      message: 'Game created - buy in with joinGame on-chain, then POST /api/games/:id/join'
     });
+  } catch (error) {
+    sendError(res, error, 'Create game');
+  }
+});
+
+/**
+ * List tables, optionally filtered
+ * GET /api/games?phase=waiting&bigBlind=2&buyIn=100&freeSeats=1
+ */
+app.get('/api/games', validate('GET /api/games'), (req, res) => {
+  try {
+    const filters = parseLobbyFilters(req.query);
+    const games = [...gameStates.values()]
+      .map(gameState => ({ ...tableSummary(gameState), spectatorCount: gameSocket.spectatorCount(gameState.id) }))
+      .filter(table => matchesFilters(table, filters));
+    
+    res.json({ success: true, games });
+  } catch (error) {
+    sendError(res, error, 'List games');
+  }
+});
+
+/**
+ * Take a seat at the best open table for a stake level, or open one
+ * POST /api/games/quick-seat
+ */
+app.post('/api/games/quick-seat', requireSession, validate('POST /api/games/quick-seat'), async (req, res) => {
+  try {
+    const { playerAddress } = req;
+    const { playerName, bigBlind, buyIn } = req.body;
+    
+    const open = [...gameStates.values()]
+      .filter(gameState => !joinError(gameState, playerAddress))
+      .map(tableSummary);
+    const table = pickQuickSeatTable(open, { bigBlind, buyIn });
+    const gameId = table ? table.gameId : await openTable(quickSeatTableConfig({ bigBlind, buyIn }), playerAddress);
+    const gameState = gameStates.get(gameId);
+    
+    // Seat straight away if the player already bought in here; otherwise
+    // they buy in on-chain and then join
+    const verified = await verifyBuyIn(gameState, playerAddress);
+    // Checked again: the seat may have gone while we were on-chain
+    const seated = !verified.error && !joinError(gameState, playerAddress);
+    if (seated) {
+      await seatPlayer(gameState, playerAddress, playerName, verified);
+    }
     
     res.json({
       success: true,
       gameId,
-      message: 'Game created successfully'
+      created: !table,
+      seated,
+      game: tableSummary(gameState)
+    });
+  } catch (error) {
+    sendError(res, error, 'Quick seat');
+  }
+});
+
+/**
+ * Public view of a table - seats, stacks and board, never hole cards
+ * GET /api/games/:id
+ */
+app.get('/api/games/:id', validate('GET /api/games/:id'), async (req, res) => {
+  try {
+    const gameId = req.params.id;
+    
+    const gameState = gameStates.get(gameId);
+    if (!gameState) {
+      return sendError(res, new ApiError('GAME_NOT_FOUND', 'Game not found'));
+    }
+    
+    // On-chain config is best effort - the table view still works if RPC is down
+    let onChain = null;
+    if (isOnChain(gameState)) {
+      try {
+        const [info, players] = await Promise.all([chain.getGameInfo(gameId), chain.getGamePlayers(gameId)]);
+        onChain = { ...info, players };
+      } catch (error) {
+        console.error(`On-chain lookup for game ${gameId} failed:`, error.message);
+      }
+    }
+    
+    res.json({
+      success: true,
+      game: {
+        ...tableSummary(gameState),
+        creator: gameState.creator,
+        communityCards: gameState.communityCards,
+        pot: gameState.pot,
+        currentBet: gameState.currentBet,
+        currentTurn: gameState.currentTurn,
+        turnDeadline: gameState.turnDeadline,
+        players: publicPlayers(gameState),
+        spectatorCount: gameSocket.spectatorCount(gameId),
+        tournamentId: gameState.tournamentId || null,
+        ante: gameState.ante || 0,
+        serverFeeRate: gameState.serverFeeRate || 0,
+        reconciliation: gameState.reconciliation || null,
+        fairness: {
+          commitment: gameState.fairness.current ? gameState.fairness.current.commitment : null,
+          nextCommitment: gameState.fairness.next.commitment
+        },
+        onChain
+      }
     });
   } catch (error) {
-    console.error('Create game error:', error);
-    res.status(500).json({ success: false, error: error.message });
+    sendError(res, error, 'Get game');
   }
 });
 
@@ -144,477 +361,2925 @@ app.post('/api/games', async (req, res) => {
  * Join an existing game
  * POST /api/games/:id/join
  */
-app.post('/api/games/:id/join', async (req, res) => {
+app.post('/api/games/:id/join', requireSession, validate('POST /api/games/:id/join'), async (req, res) => {
   try {
-    const gameId = parseInt(req.params.id);
-    const { playerAddress, playerName } = req.body;
+    const gameId = req.params.id;
+    const { playerAddress } = req;
+    const { playerName, webhook } = req.body;
     
     const gameState = gameStates.get(gameId);
     if (!gameState) {
-      return res.status(404).json({ success: false, error: 'Game not found' });
+      return sendError(res, new ApiError('GAME_NOT_FOUND', 'Game not found'));
     }
     
-    if (gameState.phase !== PHASES.WAITING) {
-      return res.status(400).json({ success: false, error: 'Game already started' });
+    const error = joinError(gameState, playerAddress);
+    if (error) {
+      return sendError(res, error);
     }
     
-    if (gameState.players.length >= gameState.maxPlayers) {
-      return res.status(400).json({ success: false, error: 'Game full' });
+    const blocked = webhook && await turnWebhooks.urlError(webhook.url);
+    if (blocked) {
+      return sendError(res, new ApiError('VALIDATION_ERROR', blocked));
     }
     
-    // Add player to off-chain state
-    gameState.players.push({
-      address: playerAddress,
-      name: playerName,
-      chips: 0,
-      holeCards: null,
-      hasFolded: false,
-      currentBet: 0
-    });
+    // Chips come from the player's own joinGame transaction
+    const verified = await verifyBuyIn(gameState, playerAddress);
+    if (verified.error) {
+      return sendError(res, new ApiError('BUY_IN_REQUIRED', verified.error));
+    }
+    
+    // Checked again with nothing awaited before the seat is taken: other
+    // joins may have landed while we were on-chain
+    const taken = joinError(gameState, playerAddress);
+    if (taken) {
+      return sendError(res, taken);
+    }
+    
+    await seatPlayer(gameState, playerAddress, playerName, verified, { webhook });
     
     res.json({
       success: true,
       gameId,
+      chips: verified.buyIn,
+      txHash: verified.txHash,
       playerCount: gameState.players.length,
       maxPlayers: gameState.maxPlayers
     });
   } catch (error) {
-    console.error('Join game error:', error);
-    res.status(500).json({ success: false, error: error.message });
+    sendError(res, error, 'Join game');
   }
 });
 
 /**
- * Start the game (deal cards)
- * POST /api/games/:id/start
+ * House bot strategies that can be seated
+ * GET /api/bots
  */
-app.post('/api/games/:id/start', async (req, res) => {
+app.get('/api/bots', (req, res) => {
+  const bots = Object.entries(HOUSE_BOTS).map(([strategy, { description }]) => ({ strategy, description }));
+  res.json({ success: true, bots });
+});
+
+/**
+ * Seat a house bot, for players at the table or its creator
+ * POST /api/games/:id/bots
+ *
+ * The bot buys in on-chain like anyone else, with tokens the server mints
+ * to its wallet, and plays its turns from then on.
+ */
+app.post('/api/games/:id/bots', requireSession, validate('POST /api/games/:id/bots'), async (req, res) => {
   try {
-    const gameId = parseInt(req.params.id);
-    const gameState = gameStates.get(gameId);
+    const gameId = req.params.id;
+    const { playerAddress } = req;
+    const { strategy, name } = req.body;
     
+    const gameState = gameStates.get(gameId);
     if (!gameState) {
-      return res.status(404).json({ success: false, error: 'Game not found' });
+      return sendError(res, new ApiError('GAME_NOT_FOUND', 'Game not found'));
     }
     
-    if (gameState.players.length < 2) {
-      return res.status(400).json({ success: false, error: 'Need at least 2 players' });
+    if (!findPlayer(gameState, playerAddress) && gameState.creator.toLowerCase() !== playerAddress.toLowerCase()) {
+      return sendError(res, new ApiError('FORBIDDEN', 'Only players at this table or its creator can add bots'));
     }
     
-    // Reset and shuffle deck
-    gameState.deck.resetDeck();
-    
-    // Deal hole cards to each player
-    for (const player of gameState.players) {
-      player.holeCards = gameState.deck.deal(2);
-      player.hasFolded = false;
-      player.currentBet = 0;
+    const buyIn = req.body.buyIn ?? gameState.minBuyIn;
+    const maxBuyIn = Math.min(gameState.maxBuyIn, HOUSE_BOT_MAX_BUY_IN);
+    if (!(buyIn >= gameState.minBuyIn && buyIn <= maxBuyIn)) {
+      return sendError(res, new ApiError(
+        'INVALID_BUY_IN',
+        gameState.minBuyIn > maxBuyIn
+          ? `House bots buy in for at most ${HOUSE_BOT_MAX_BUY_IN}, below this table's minimum`
+          : `Buy-in must be between ${gameState.minBuyIn} and ${maxBuyIn}`
+      ));
     }
     
-    // Set blinds
-    const sbIndex = (gameState.dealerIndex + 1) % gameState.players.length;
-    const bbIndex = (gameState.dealerIndex + 2) % gameState.players.length;
+    // Bots still buying in hold their seat and count against the limits
+    const buying = [...botJoins].filter(([key]) => key.startsWith(`${gameId}:`)).length;
+    if (gameState.players.length + buying >= gameState.maxPlayers) {
+      return sendError(res, new ApiError('GAME_FULL', 'Game full'));
+    }
+    if (gameState.players.filter(p => p.bot).length + buying >= HOUSE_BOT_TABLE_LIMIT) {
+      return sendError(res, new ApiError('FORBIDDEN', `A table seats at most ${HOUSE_BOT_TABLE_LIMIT} house bots`));
+    }
+    if (botsAddedBy(playerAddress) >= HOUSE_BOT_USER_LIMIT) {
+      return sendError(res, new ApiError('FORBIDDEN', `You can have at most ${HOUSE_BOT_USER_LIMIT} house bots at open tables`));
+    }
     
-    gameState.players[sbIndex].currentBet = gameState.smallBlind;
-    gameState.players[bbIndex].currentBet = gameState.bigBlind;
-    gameState.currentBet = gameState.bigBlind;
+    // The next bot wallet not already buying in; counted once it is seated
+    let n = (gameState.botsSeated || 0) + 1;
+    while (botJoins.has(`${gameId}:${n}`)) n++;
+    const wallet = houseBotWallet(gameId, n);
+    const error = joinError(gameState, wallet.address);
+    if (error) {
+      return sendError(res, error);
+    }
     
-    // First to act is after BB
-    const firstToActIndex = (bbIndex + 1) % gameState.players.length;
-    gameState.currentTurn = gameState.players[firstToActIndex].address;
-    gameState.phase = PHASES.PREFLOP;
-    gameState.handsDealt = true;
+    let verified;
+    botJoins.set(`${gameId}:${n}`, playerAddress.toLowerCase());
+    try {
+      await chain.houseBuyIn(wallet, gameId, buyIn);
+      verified = await verifyBuyIn(gameState, wallet.address);
+      if (verified.error) throw new Error(`House bot buy-in failed: ${verified.error}`);
+      gameState.botsSeated = Math.max(gameState.botsSeated || 0, n);
+    } finally {
+      botJoins.delete(`${gameId}:${n}`);
+    }
     
-    // Call on-chain startGame
-    const gameHash = ethers.keccak256(ethers.toUtf8Bytes(JSON.stringify({
-      players: gameState.players.map(p => p.address),
-      timestamp: Date.now()
-    })));
+    // Checked again with nothing awaited before the seat is taken: players
+    // may have joined while the bot was buying in
+    const taken = joinError(gameState, wallet.address);
+    if (taken) {
+      return sendError(res, taken);
+    }
     
-    const tx = await pokerGame.startGame(gameId, gameHash);
-    await tx.wait();
+    const seatName = name || `${strategy} bot ${n}`;
+    await seatPlayer(gameState, wallet.address, seatName, verified, { bot: strategy, botOwner: playerAddress.toLowerCase() });
     
-    // Notify all players
-    broadcastToGame(gameId, {
-      type: 'gameStarted',
+    res.json({
+      success: true,
       gameId,
-      phase: gameState.phase,
-      currentTurn: gameState.currentTurn,
-      dealer: gameState.players[gameState.dealerIndex].address
+      address: wallet.address,
+      name: seatName,
+      strategy,
+      chips: verified.buyIn,
+      txHash: verified.txHash,
+      playerCount: gameState.players.length,
+      maxPlayers: gameState.maxPlayers
     });
+  } catch (error) {
+    sendError(res, error, 'Add bot');
+  }
+});
+
+/**
+ * Start the game / deal the next hand (players at the table or its creator)
+ * POST /api/games/:id/start
+ */
+app.post('/api/games/:id/start', requireSession, validate('POST /api/games/:id/start'), async (req, res) => {
+  try {
+    const gameId = req.params.id;
+    const gameState = gameStates.get(gameId);
+    
+    if (!gameState) {
+      return sendError(res, new ApiError('GAME_NOT_FOUND', 'Game not found'));
+    }
+    
+    const { playerAddress } = req;
+    if (!findPlayer(gameState, playerAddress) && gameState.creator.toLowerCase() !== playerAddress.toLowerCase()) {
+      return sendError(res, new ApiError('FORBIDDEN', 'Only players at this table or its creator can start it'));
+    }
+    
+    if (gameState.phase !== PHASES.WAITING) {
+      return sendError(res, new ApiError('HAND_IN_PROGRESS', 'Hand already in progress'));
+    }
+    
+    if (gameState.paused) {
+      return sendError(res, new ApiError('TABLE_PAUSED', 'Table is paused'));
+    }
+    
+    if (getSeatedPlayers(gameState).length < 2) {
+      return sendError(res, new ApiError('NOT_ENOUGH_PLAYERS', 'Need at least 2 players'));
+    }
+    
+    await startHand(gameState);
+    await saveGame(gameState);
     
     res.json({
       success: true,
       gameId,
+      handNumber: gameState.handNumber,
       phase: gameState.phase,
       currentTurn: gameState.currentTurn
     });
   } catch (error) {
-    console.error('Start game error:', error);
-    res.status(500).json({ success: false, error: error.message });
+    sendError(res, error, 'Start game');
   }
 });
 
 /**
- * Get game state (for a specific player)
- * GET /api/games/:id/state?playerAddress=...
+ * Sit out from the next hand (the current hand is played out)
+ * POST /api/games/:id/sit-out
  */
-app.get('/api/games/:id/state', async (req, res) => {
+app.post('/api/games/:id/sit-out', requireSession, validate('POST /api/games/:id/sit-out'), async (req, res) => {
   try {
-    const gameId = parseInt(req.params.id);
-    const playerAddress = req.query.playerAddress;
-    
-    const gameState = gameStates.get(gameId);
+    const gameState = gameStates.get(req.params.id);
     if (!gameState) {
-      return res.status(404).json({ success: false, error: 'Game not found' });
+      return sendError(res, new ApiError('GAME_NOT_FOUND', 'Game not found'));
     }
     
-    // Find player
-    const player = gameState.players.find(p => p.address.toLowerCase() === playerAddress.toLowerCase());
+    const player = findPlayer(gameState, req.playerAddress);
     if (!player) {
-      return res.status(403).json({ success: false, error: 'Not a player in this game' });
+      return sendError(res, new ApiError('NOT_A_PLAYER', 'Not a player in this game'));
     }
     
-    // Build visible state
-    const visibleState = {
-      gameId: gameState.id,
-      phase: gameState.phase,
-      communityCards: gameState.communityCards,
-      pot: gameState.pot,
-      currentBet: gameState.currentBet,
-      currentTurn: gameState.currentTurn,
-      yourCards: player.holeCards,
-      yourChips: player.chips,
-      yourBet: player.currentBet,
-      yourPosition: gameState.players.indexOf(player),
-      players: gameState.players.map(p => ({
-        address: p.address,
-        name: p.name,
-        chips: p.chips,
-        currentBet: p.currentBet,
-        hasFolded: p.hasFolded,
-        isDealer: gameState.players[gameState.dealerIndex].address === p.address
-      })),
-      actionHistory: gameState.actionHistory.slice(-20), // Last 20 actions
-      availableActions: getAvailableActions(gameState, player)
-    };
+    if (gameState.tournamentId) {
+      return sendError(res, new ApiError('TOURNAMENT_TABLE', 'Tournament players cannot sit out'));
+    }
+    
+    player.sittingOut = true;
+    broadcastToGame(gameState.id, { type: 'sitOut', player: player.address });
+    await saveGame(gameState);
     
-    res.json({ success: true, state: visibleState });
+    res.json({ success: true, sittingOut: true });
   } catch (error) {
-    console.error('Get state error:', error);
-    res.status(500).json({ success: false, error: error.message });
+    sendError(res, error, 'Sit out');
   }
 });
 
 /**
- * Submit player action
- * POST /api/games/:id/action
+ * Sit back in from the next hand
+ * POST /api/games/:id/sit-in
  */
-app.post('/api/games/:id/action', async (req, res) => {
+app.post('/api/games/:id/sit-in', requireSession, validate('POST /api/games/:id/sit-in'), async (req, res) => {
   try {
-    const gameId = parseInt(req.params.id);
-    const { playerAddress, action, amount } = req.body;
+    const gameState = gameStates.get(req.params.id);
+    if (!gameState) {
+      return sendError(res, new ApiError('GAME_NOT_FOUND', 'Game not found'));
+    }
     
-    const gameState = gameStates.get(gameId);
+    const player = findPlayer(gameState, req.playerAddress);
+    if (!player) {
+      return sendError(res, new ApiError('NOT_A_PLAYER', 'Not a player in this game'));
+    }
+    
+    player.sittingOut = false;
+    player.missedTurns = 0;
+    broadcastToGame(gameState.id, { type: 'sitIn', player: player.address });
+    scheduleNextHand(gameState);
+    await saveGame(gameState);
+    
+    res.json({ success: true, sittingOut: false });
+  } catch (error) {
+    sendError(res, error, 'Sit in');
+  }
+});
+
+/**
+ * Leave the table with your stack, less your share of the server fee.
+ * Between hands you are paid at once; during a hand you were dealt into,
+ * when it ends.
+ * POST /api/games/:id/leave
+ */
+app.post('/api/games/:id/leave', requireSession, validate('POST /api/games/:id/leave'), async (req, res) => {
+  try {
+    const gameState = gameStates.get(req.params.id);
     if (!gameState) {
-      return res.status(404).json({ success: false, error: 'Game not found' });
+      return sendError(res, new ApiError('GAME_NOT_FOUND', 'Game not found'));
     }
     
-    // Verify it's player's turn
-    if (gameState.currentTurn.toLowerCase() !== playerAddress.toLowerCase()) {
-      return res.status(400).json({ success: false, error: 'Not your turn' });
+    const player = findPlayer(gameState, req.playerAddress);
+    if (!player) {
+      return sendError(res, new ApiError('NOT_A_PLAYER', 'Not a player in this game'));
     }
     
-    const player = gameState.players.find(p => p.address.toLowerCase() === playerAddress.toLowerCase());
-    if (!player || player.hasFolded) {
-      return res.status(400).json({ success: false, error: 'Cannot act' });
+    if (gameState.tournamentId) {
+      return sendError(res, new ApiError('TOURNAMENT_TABLE', 'Tournament players cannot leave the table'));
     }
     
-    // Process action
-    await processAction(gameState, player, action, amount);
+    if (gameState.phase !== PHASES.WAITING && player.inHand) {
+      player.leaving = true;
+      await saveGame(gameState);
+      return res.json({ success: true, pending: true, message: 'You will be cashed out when this hand ends' });
+    }
     
-    // Check if betting round complete
-    if (isBettingRoundComplete(gameState)) {
-      await advancePhase(gameState);
-    } else {
-      // Move to next player
-      advanceTurn(gameState);
+    const entry = cashOut(gameState, player);
+    if (tableIsOver(gameState)) {
+      await finishTable(gameState);
     }
+    await saveGame(gameState);
     
-    // Update on-chain state
-    const gameHash = ethers.keccak256(ethers.toUtf8Bytes(JSON.stringify({
-      gameId,
-      action,
-      player: playerAddress,
-      timestamp: Date.now()
-    })));
+    res.json({ success: true, pending: false, cashOut: publicSettlement(entry, lookupTx) });
+  } catch (error) {
+    sendError(res, error, 'Leave');
+  }
+});
+
+/**
+ * Add your own seed to the next hand's shuffle
+ * POST /api/games/:id/seed
+ */
+app.post('/api/games/:id/seed', requireSession, validate('POST /api/games/:id/seed'), async (req, res) => {
+  try {
+    const gameState = gameStates.get(req.params.id);
+    if (!gameState) {
+      return sendError(res, new ApiError('GAME_NOT_FOUND', 'Game not found'));
+    }
     
-    const tx = await pokerGame.submitAction(
-      gameId,
-      playerAddress,
-      action,
-      amount ? ethers.parseEther(amount.toString()) : 0,
-      gameHash
-    );
-    await tx.wait();
+    const player = findPlayer(gameState, req.playerAddress);
+    if (!player) {
+      return sendError(res, new ApiError('NOT_A_PLAYER', 'Not a player in this game'));
+    }
     
-    // Broadcast update
-    broadcastToGame(gameId, {
-      type: 'action',
-      player: playerAddress,
-      action,
-      amount,
-      currentTurn: gameState.currentTurn,
-      phase: gameState.phase,
-      pot: gameState.pot
-    });
+    const { seed } = req.body;
+    const { next } = gameState.fairness;
+    next.playerSeeds[player.address] = seed;
+    await saveGame(gameState);
     
-    res.json({
-      success: true,
-      action,
-      newPhase: gameState.phase,
-      currentTurn: gameState.currentTurn
-    });
+    res.json({ success: true, handNumber: gameState.handNumber + 1, commitment: next.commitment });
   } catch (error) {
-    console.error('Action error:', error);
-    res.status(500).json({ success: false, error: error.message });
+    sendError(res, error, 'Seed');
   }
 });
 
-// Helper functions
-function getAvailableActions(gameState, player) {
-  if (gameState.phase === PHASES.FINISHED) return [];
-  if (player.hasFolded) return [];
-  if (gameState.currentTurn !== player.address) return [];
-  
-  const actions = ['fold'];
-  const toCall = gameState.currentBet - player.currentBet;
-  
-  if (toCall === 0) {
-    actions.push('check');
-  } else {
-    actions.push('call');
+/**
+ * Seed commitments for the current and next hand, and every revealed hand
+ * GET /api/games/:id/fairness
+ */
+app.get('/api/games/:id/fairness', validate('GET /api/games/:id/fairness'), async (req, res) => {
+  const gameState = gameStates.get(req.params.id);
+  if (!gameState) {
+    return sendError(res, new ApiError('GAME_NOT_FOUND', 'Game not found'));
   }
   
-  if (player.chips > toCall) {
-    actions.push('raise');
+  const { current, next, revealed } = gameState.fairness;
+  res.json({
+    success: true,
+    current: publicFairness(current),
+    next: publicFairness(next),
+    revealed
+  });
+});
+
+/**
+ * Verify a finished hand: seed vs commitment, and the deal vs the rebuilt deck
+ * GET /api/games/:id/fairness/:handNumber
+ */
+app.get('/api/games/:id/fairness/:handNumber', validate('GET /api/games/:id/fairness/:handNumber'), async (req, res) => {
+  const gameState = gameStates.get(req.params.id);
+  if (!gameState) {
+    return sendError(res, new ApiError('GAME_NOT_FOUND', 'Game not found'));
   }
   
-  if (player.chips > 0) {
-    actions.push('all-in');
+  const record = gameState.fairness.revealed.find(r => r.handNumber === req.params.handNumber);
+  if (!record) {
+    return sendError(res, new ApiError('HAND_NOT_FOUND', 'Hand not revealed'));
   }
   
-  return actions;
-}
-
-async function processAction(gameState, player, action, amount) {
-  const toCall = gameState.currentBet - player.currentBet;
+  const { commitmentValid, combinedSeed, deck } = verifyShuffle(record, orderedDeck(gameState.variant));
   
-  switch (action) {
-    case 'fold':
-      player.hasFolded = true;
-      break;
-      
-    case 'check':
-      if (toCall !== 0) throw new Error('Cannot check');
-      break;
-      
-    case 'call':
-      if (toCall === 0) throw new Error('Cannot call');
-      const callAmount = Math.min(toCall, player.chips);
-      player.chips -= callAmount;
-      player.currentBet += callAmount;
-      gameState.pot += callAmount;
-      break;
-      
-    case 'bet':
-    case 'raise':
-      const raiseAmount = amount || gameState.currentBet * 2;
-      if (raiseAmount < gameState.currentBet * 2) throw new Error('Raise too small');
-      const totalBet = raiseAmount;
-      const additional = totalBet - player.currentBet;
-      if (additional > player.chips) throw new Error('Insufficient chips');
-      player.chips -= additional;
-      player.currentBet = totalBet;
-      gameState.currentBet = totalBet;
-      gameState.pot += additional;
-      break;
-      
-    case 'all-in':
-      const allInAmount = player.chips;
-      player.currentBet += allInAmount;
-      gameState.pot += allInAmount;
-      if (player.currentBet > gameState.currentBet) {
-        gameState.currentBet = player.currentBet;
-      }
-      player.chips = 0;
-      break;
-  }
+  // Walk the rebuilt deck in deal order: each seat's hole cards, then the board
+  const expected = deck.slice();
+  const { holeCards } = variantOf(gameState);
+  const dealMatches = record.dealt.seats.every(seat => sameCards(seat.holeCards, expected.splice(0, holeCards))) &&
+    sameCards(record.dealt.board, expected.splice(0, record.dealt.board.length));
   
-  gameState.actionHistory.push({
-    player: player.address,
-    action,
-    amount,
-    timestamp: Date.now()
+  res.json({
+    success: true,
+    handNumber: record.handNumber,
+    commitmentValid,
+    combinedSeedValid: combinedSeed === record.combinedSeed,
+    dealMatches,
+    deck
   });
+});
+
+/**
+ * Rebuild a deck from revealed seeds
+ * POST /api/fairness/verify
+ */
+app.post('/api/fairness/verify', validate('POST /api/fairness/verify'), (req, res) => {
+  const { serverSeed, commitment, playerSeeds, variant } = req.body;
+  res.json({ success: true, ...verifyShuffle({ serverSeed, commitment, playerSeeds }, orderedDeck(variant)) });
+});
+
+/**
+ * Get game state (for a specific player)
+ * GET /api/games/:id/state
+ */
+app.get('/api/games/:id/state', requireSession, validate('GET /api/games/:id/state'), async (req, res) => {
+  try {
+    const gameId = req.params.id;
+    const { playerAddress } = req;
+    
+    const gameState = gameStates.get(gameId);
+    if (!gameState) {
+      return sendError(res, new ApiError('GAME_NOT_FOUND', 'Game not found'));
+    }
+    
+    // Find player
+    const player = findPlayer(gameState, playerAddress);
+    if (!player) {
+      return sendError(res, new ApiError('NOT_A_PLAYER', 'Not a player in this game'));
+    }
+    
+    res.json({ success: true, state: buildVisibleState(gameState, player) });
+  } catch (error) {
+    sendError(res, error, 'Get state');
+  }
+});
+
+/**
+ * Watch a game without a seat
+ * GET /api/games/:id/spectate
+ *
+ * Same feed as spectator sockets get: delayed by the table's spectator
+ * delay, with hole cards only from hands that went to showdown.
+ */
+app.get('/api/games/:id/spectate', validate('GET /api/games/:id/spectate'), async (req, res) => {
+  try {
+    const gameId = req.params.id;
+    
+    const gameState = gameStates.get(gameId);
+    if (!gameState) {
+      return sendError(res, new ApiError('GAME_NOT_FOUND', 'Game not found'));
+    }
+    
+    const view = gameSocket.spectatorView(gameId);
+    res.json({
+      success: true,
+      delayMs: spectatorDelay(gameState),
+      spectatorCount: gameSocket.spectatorCount(gameId),
+      seq: view ? view.seq : 0,
+      state: view ? view.state : null
+    });
+  } catch (error) {
+    sendError(res, error, 'Spectate');
+  }
+});
+
+/**
+ * The part of the game state anyone at or watching the table may see
+ */
+function buildPublicState(gameState) {
+  return {
+    gameId: gameState.id,
+    variant: gameState.variant,
+    bettingStructure: gameState.bettingStructure,
+    phase: gameState.phase,
+    communityCards: gameState.communityCards.slice(),
+    pot: gameState.pot,
+    currentBet: gameState.currentBet,
+    currentTurn: gameState.currentTurn,
+    turnDeadline: gameState.turnDeadline,
+    handNumber: gameState.handNumber,
+    fairness: {
+      commitment: gameState.fairness.current ? gameState.fairness.current.commitment : null,
+      nextCommitment: gameState.fairness.next.commitment
+    },
+    players: publicPlayers(gameState),
+    actionHistory: gameState.actionHistory.slice(-20) // Last 20 actions
+  };
 }
 
-function isBettingRoundComplete(gameState) {
-  const activePlayers = gameState.players.filter(p => !p.hasFolded);
-  if (activePlayers.length <= 1) return true;
-  
-  // Check if all active players have matched the current bet
-  return activePlayers.every(p => p.currentBet === gameState.currentBet);
+/**
+ * Game state as seen by one player - only their own hole cards
+ */
+function buildVisibleState(gameState, player) {
+  const state = buildPublicState(gameState);
+  return {
+    ...state,
+    yourCards: player.holeCards,
+    yourTimeBank: player.timeBank,
+    yourChips: player.chips,
+    yourBet: player.currentBet,
+    limits: getBettingLimits(gameState, player),
+    fairness: {
+      ...state.fairness,
+      yourSeed: gameState.fairness.next.playerSeeds[player.address] || null
+    },
+    yourPosition: gameState.players.indexOf(player),
+    availableActions: getAvailableActions(gameState, player)
+  };
 }
 
-function advanceTurn(gameState) {
-  const activePlayers = gameState.players.filter(p => !p.hasFolded);
-  if (activePlayers.length <= 1) return;
-  
-  const currentIndex = gameState.players.findIndex(p => p.address === gameState.currentTurn);
-  let nextIndex = (currentIndex + 1) % gameState.players.length;
-  
-  while (gameState.players[nextIndex].hasFolded) {
-    nextIndex = (nextIndex + 1) % gameState.players.length;
+/**
+ * Game state for spectators. A delayed feed shows the hole cards shown down
+ * in a hand that has finished; a hand still being played never shows any,
+ * since a seated player could watch their own table.
+ */
+function buildSpectatorState(gameState, { revealHoleCards = false } = {}) {
+  const state = buildPublicState(gameState);
+  const handOver = gameState.phase === PHASES.WAITING || gameState.phase === PHASES.FINISHED;
+  const shownDown = gameState.players.filter(p => p.inHand && !p.hasFolded).length > 1;
+  if (revealHoleCards && handOver && shownDown) {
+    state.players = state.players.map((p, index) => {
+      const seat = gameState.players[index];
+      return { ...p, holeCards: seat.inHand && !seat.hasFolded ? seat.holeCards : null };
+    });
   }
-  
-  gameState.currentTurn = gameState.players[nextIndex].address;
+  return state;
 }
 
-async function advancePhase(gameState) {
-  // Reset bets for new round
-  gameState.players.forEach(p => p.currentBet = 0);
-  gameState.currentBet = 0;
+function spectatorDelay(gameState) {
+  return gameState.spectatorDelayMs ?? 0;
+}
+
+/**
+ * Submit player action
+ * POST /api/games/:id/action
+ */
+app.post('/api/games/:id/action', requireSession, validate('POST /api/games/:id/action'), async (req, res) => {
+  try {
+    const gameId = req.params.id;
+    const { playerAddress } = req;
+    const { action, amount } = req.body;
+    
+    const gameState = gameStates.get(gameId);
+    if (!gameState) {
+      return sendError(res, new ApiError('GAME_NOT_FOUND', 'Game not found'));
+    }
+    
+    if (gameState.paused) {
+      return sendError(res, new ApiError('TABLE_PAUSED', 'Table is paused'));
+    }
+    
+    // Verify it's player's turn
+    if (!gameState.currentTurn) {
+      return sendError(res, new ApiError('NO_HAND_IN_PROGRESS', 'No hand in progress'));
+    }
+    
+    if (gameState.currentTurn.toLowerCase() !== playerAddress.toLowerCase()) {
+      return sendError(res, new ApiError('NOT_YOUR_TURN', 'Not your turn'));
+    }
+    
+    const player = findPlayer(gameState, playerAddress);
+    if (!player || player.hasFolded || player.isAllIn) {
+      return sendError(res, new ApiError('CANNOT_ACT', 'Cannot act'));
+    }
+    
+    // Illegal actions throw ActionError, sent as INVALID_ACTION, INVALID_RAISE, ...
+    const tx = await playTurn(gameState, player, action, amount);
+    
+    res.json({
+      success: true,
+      action,
+      txId: tx ? tx.id : null,
+      newPhase: gameState.phase,
+      currentTurn: gameState.currentTurn,
+      turnDeadline: gameState.turnDeadline
+    });
+  } catch (error) {
+    sendError(res, error, 'Action');
+  }
+});
+
+/**
+ * Have your turns POSTed to a URL, signed with `secret` (see turn-webhooks.js).
+ * Replaces any webhook already set for your seat.
+ * POST /api/games/:id/webhook
+ */
+app.post('/api/games/:id/webhook', requireSession, validate('POST /api/games/:id/webhook'), async (req, res) => {
+  try {
+    const gameState = gameStates.get(req.params.id);
+    if (!gameState) {
+      return sendError(res, new ApiError('GAME_NOT_FOUND', 'Game not found'));
+    }
+    
+    const player = findPlayer(gameState, req.playerAddress);
+    if (!player) {
+      return sendError(res, new ApiError('NOT_A_PLAYER', 'Not a player in this game'));
+    }
+    
+    const blocked = await turnWebhooks.urlError(req.body.url);
+    if (blocked) {
+      return sendError(res, new ApiError('VALIDATION_ERROR', blocked));
+    }
+    
+    player.webhook = { url: req.body.url, secret: req.body.secret };
+    await saveGame(gameState);
+    // Already your turn: it goes out now
+    sendTurnWebhook(gameState);
+    
+    res.json({ success: true, gameId: gameState.id, url: player.webhook.url });
+  } catch (error) {
+    sendError(res, error, 'Set webhook');
+  }
+});
+
+/**
+ * Stop POSTing your turns
+ * DELETE /api/games/:id/webhook
+ */
+app.delete('/api/games/:id/webhook', requireSession, validate('DELETE /api/games/:id/webhook'), async (req, res) => {
+  try {
+    const gameState = gameStates.get(req.params.id);
+    if (!gameState) {
+      return sendError(res, new ApiError('GAME_NOT_FOUND', 'Game not found'));
+    }
+    
+    const player = findPlayer(gameState, req.playerAddress);
+    if (!player) {
+      return sendError(res, new ApiError('NOT_A_PLAYER', 'Not a player in this game'));
+    }
+    
+    player.webhook = null;
+    await saveGame(gameState);
+    res.json({ success: true, gameId: gameState.id });
+  } catch (error) {
+    sendError(res, error, 'Remove webhook');
+  }
+});
+
+/**
+ * Your webhook deliveries, newest first, with every attempt and the reply
+ * GET /api/webhooks/deliveries
+ */
+app.get('/api/webhooks/deliveries', requireSession, validate('GET /api/webhooks/deliveries'), (req, res) => {
+  const { gameId, limit } = req.query;
+  const deliveries = turnWebhooks.deliveriesFor(req.playerAddress, { gameId: gameId ?? null, limit });
+  res.json({ success: true, deliveries });
+});
+
+// Helper functions
+// Seats as anyone may see them - no hole cards
+function publicPlayers(gameState) {
+  return gameState.players.map((p, index) => ({
+    address: p.address,
+    name: p.name,
+    chips: p.chips,
+    currentBet: p.currentBet,
+    hasFolded: p.hasFolded,
+    isAllIn: p.isAllIn,
+    inHand: p.inHand,
+    sittingOut: p.sittingOut,
+    bot: p.bot || null,
+    isDealer: index === gameState.dealerIndex
+  }));
+}
+
+function sameCards(a, b) {
+  return a.length === b.length && a.every((card, i) => card.rank === b[i].rank && card.suit === b[i].suit);
+}
+
+function findPlayer(gameState, playerAddress) {
+  return gameState.players.find(p => p.address.toLowerCase() === playerAddress.toLowerCase());
+}
+
+function newSeat(address, name, buyIn) {
+  return {
+    address,
+    name,
+    chips: Number(buyIn),
+    holeCards: null,
+    hasFolded: true,
+    isAllIn: false,
+    inHand: false,
+    sittingOut: false,
+    currentBet: 0,
+    totalBet: 0,
+    timeBank: 0,
+    missedTurns: 0,
+    webhook: null // { url, secret } to POST this player's turns to
+  };
+}
+
+/**
+ * Create the table on-chain. Nobody is seated until they buy in.
+ */
+async function openTable(config, creator) {
+  const { smallBlind, bigBlind, minBuyIn, maxBuyIn, maxPlayers } = config;
+  const { gameId } = await chain.createGame({ smallBlind, bigBlind, minBuyIn, maxBuyIn, maxPlayers });
+  const serverFeeRate = await chain.getServerFeeRate(gameId);
+  
+  await newTable(gameId, { ...config, serverFeeRate }, creator);
+  return gameId;
+}
+
+// Cash tables are escrowed by the contract; tournament tables only exist here
+function isOnChain(gameState) {
+  return !gameState.tournamentId;
+}
+
+async function newTable(gameId, config, creator) {
+  const { smallBlind, bigBlind, minBuyIn, maxBuyIn, maxPlayers, autoStartDelayMs } = config;
+  const variant = config.variant || DEFAULT_VARIANT;
+  const gameState = {
+    id: gameId,
+    creator,
+    variant,
+    bettingStructure: config.bettingStructure || VARIANTS[variant].bettingStructure,
+    players: [],
+    phase: PHASES.WAITING,
+    deck: new PokerEngine(),
+    communityCards: [],
+    pot: 0,
+    currentBet: 0,
+    currentTurn: null,
+    dealerIndex: 0,
+    smallBlind,
+    bigBlind,
+    minBuyIn,
+    maxBuyIn,
+    maxPlayers,
+    buyIns: {}, // lowercased address -> { amount, txHash } verified on-chain
+    // Share of the escrow settleGame keeps; chips cashed out so far, and cash-outs owed at close
+    serverFeeRate: config.serverFeeRate || 0,
+    cashedOut: 0,
+    deferredCashOuts: [],
+    // Head of the hash-chained action transcript, opened with the first hand
+    transcript: null, // { head, length }
+    netChips: {}, // address -> chips won here so far, for ratings
+    actionHistory: [],
+    handsDealt: false,
+    handNumber: 0,
+    autoStartDelayMs: autoStartDelayMs || 0,
+    // Action clock: 0 disables it. The time bank is a one-off reserve per player.
+    actionTimeoutMs: config.actionTimeoutMs ?? DEFAULT_ACTION_TIMEOUT_MS,
+    timeBankMs: config.timeBankMs ?? DEFAULT_TIME_BANK_MS,
+    maxMissedTurns: config.maxMissedTurns || DEFAULT_MAX_MISSED_TURNS,
+    spectatorDelayMs: config.spectatorDelayMs ?? DEFAULT_SPECTATOR_DELAY_MS,
+    tournamentId: config.tournamentId || null,
+    ante: config.ante || 0,
+    turnDeadline: null,
+    paused: null, // { reason, at } while an operator holds the table
+    fairness: { next: null, current: null, revealed: [] }
+  };
+  gameStates.set(gameId, gameState);
+  commitNextHand(gameState);
+  await saveGame(gameState);
+  
+  return gameState;
+}
+
+// Why a player can't take a seat at this table, or null if they can
+function joinError(gameState, playerAddress) {
+  if (gameState.phase === PHASES.FINISHED) return new ApiError('GAME_FINISHED', 'Game finished');
+  if (gameState.tournamentId) {
+    return new ApiError('TOURNAMENT_TABLE', 'Tournament table - register for the tournament instead');
+  }
+  if (gameState.players.length >= gameState.maxPlayers) return new ApiError('GAME_FULL', 'Game full');
+  if (findPlayer(gameState, playerAddress)) return new ApiError('ALREADY_JOINED', 'Already joined');
+  // The contract takes one buy-in per player; a busted player can't reuse it
+  if (gameState.buyIns[playerAddress.toLowerCase()]) {
+    return new ApiError('BUY_IN_USED', 'Buy-in already used at this table');
+  }
+  return null;
+}
+
+/**
+ * Confirm a player's buy-in on-chain: active in getPlayerInfo, backed by a
+ * PlayerJoined event for the same amount, and within the table's range.
+ * Returns { buyIn, txHash } or { error }.
+ */
+async function verifyBuyIn(gameState, playerAddress) {
+  const info = await chain.getPlayerInfo(gameState.id, playerAddress);
+  if (!info.isActive || !(info.buyIn > 0)) {
+    return { error: 'No on-chain buy-in found - call joinGame on the PokerGame contract first' };
+  }
+  
+  const joined = (await chain.getPlayerJoins(gameState.id, playerAddress)).pop();
+  if (!joined || joined.buyIn !== info.buyIn) {
+    return { error: 'On-chain buy-in has no matching PlayerJoined event' };
+  }
+  
+  if (info.buyIn < gameState.minBuyIn || info.buyIn > gameState.maxBuyIn) {
+    return { error: `Buy-in must be between ${gameState.minBuyIn} and ${gameState.maxBuyIn}` };
+  }
+  
+  return { buyIn: info.buyIn, txHash: joined.txHash };
+}
+
+// Players joining mid-hand are dealt in next hand. `bot` names the house bot strategy playing the seat.
+async function seatPlayer(gameState, address, name, { buyIn, txHash }, { bot = null, botOwner = null, webhook = null } = {}) {
+  gameState.buyIns[address.toLowerCase()] = { amount: buyIn, txHash };
+  gameState.players.push({ ...newSeat(address, name, buyIn), timeBank: gameState.timeBankMs, bot, botOwner, webhook });
+  scheduleNextHand(gameState);
+  await saveGame(gameState);
+}
+
+// Players who will be dealt into the next hand
+function getSeatedPlayers(gameState) {
+  return gameState.players.filter(p => p.chips > 0 && !p.sittingOut);
+}
+
+// Index of the next seat after `fromIndex` that matches `predicate`
+function nextSeat(gameState, fromIndex, predicate) {
+  const count = gameState.players.length;
+  for (let i = 1; i <= count; i++) {
+    const index = (fromIndex + i) % count;
+    if (predicate(gameState.players[index])) return index;
+  }
+  return -1;
+}
+
+/**
+ * Move the button, post blinds and deal a new hand
+ */
+async function startHand(gameState) {
+  clearTimeout(handTimers.get(gameState.id));
+  handTimers.delete(gameState.id);
+  
+  if (gameState.tournamentId) applyTournamentLevel(gameState);
+  
+  const isDealtIn = p => p.chips > 0 && !p.sittingOut;
+  
+  // Button moves one seat per hand; the first hand keeps it where it is if that seat can play
+  gameState.dealerIndex = gameState.handNumber === 0 && isDealtIn(gameState.players[gameState.dealerIndex])
+    ? gameState.dealerIndex
+    : nextSeat(gameState, gameState.dealerIndex, isDealtIn);
+  
+  gameState.communityCards = [];
+  gameState.pot = 0;
+  gameState.currentBet = 0;
+  gameState.winner = null;
+  gameState.potResults = null;
+  gameState.handNumber += 1;
+  
+  // Shuffle with the seed committed to before the hand, plus any player seeds
+  const { fairness } = gameState;
+  fairness.current = { handNumber: gameState.handNumber, ...fairness.next };
+  commitNextHand(gameState);
+  gameState.deck.resetDeck(combineSeeds(fairness.current.serverSeed, fairness.current.playerSeeds), gameState.variant);
+  
+  // Deal hole cards to each player who is sitting in
+  const { holeCards } = variantOf(gameState);
+  for (const player of gameState.players) {
+    player.inHand = isDealtIn(player);
+    player.holeCards = player.inHand ? gameState.deck.deal(holeCards) : null;
+    player.hasFolded = !player.inHand;
+    player.isAllIn = false;
+    player.totalBet = 0;
+  }
+  startStreet(gameState);
+  gameState.handRecord = beginHandRecord(gameState);
+  
+  if (gameState.ante > 0) {
+    for (const player of gameState.players) {
+      if (player.inHand) postAnte(gameState, player);
+    }
+  }
+  
+  // Heads-up the dealer posts the small blind and acts first pre-flop
+  const headsUp = gameState.players.filter(p => p.inHand).length === 2;
+  const inHand = p => p.inHand;
+  const sbIndex = headsUp ? gameState.dealerIndex : nextSeat(gameState, gameState.dealerIndex, inHand);
+  const bbIndex = nextSeat(gameState, sbIndex, inHand);
+  
+  postBlind(gameState, gameState.players[sbIndex], 'small-blind', gameState.smallBlind);
+  postBlind(gameState, gameState.players[bbIndex], 'big-blind', gameState.bigBlind);
+  gameState.currentBet = gameState.bigBlind;
+  gameState.fullRaiseLevel = gameState.bigBlind;
+  gameState.bets = 1; // the big blind is the first bet
+  
+  // First to act is after BB
+  const firstToActIndex = nextToAct(gameState, bbIndex);
+  gameState.phase = PHASES.PREFLOP;
+  setTurn(gameState, firstToActIndex === -1 ? null : gameState.players[firstToActIndex].address);
+  
+  // The transcript opens with the first hand's seed commitment, as does the table on-chain
+  if (!gameState.transcript) {
+    const start = startEntry(gameState);
+    if (!gameState.handsDealt && isOnChain(gameState)) {
+      start.txId = txQueue.enqueue(gameState.id, 'startGame', [gameState.id, start.hash]).id;
+      gameState.handsDealt = true;
+    }
+    recordTranscript(gameState, start);
+  }
+  
+  // Notify all players
+  broadcastToGame(gameState.id, {
+    type: 'gameStarted',
+    gameId: gameState.id,
+    handNumber: gameState.handNumber,
+    phase: gameState.phase,
+    currentTurn: gameState.currentTurn,
+    turnDeadline: gameState.turnDeadline,
+    dealer: gameState.players[gameState.dealerIndex].address,
+    smallBlind: gameState.players[sbIndex].address,
+    bigBlind: gameState.players[bbIndex].address,
+    commitment: fairness.current.commitment,
+    playerSeeds: fairness.current.playerSeeds,
+    nextCommitment: fairness.next.commitment
+  });
+  
+  // Short stacks can be all-in from the blinds alone
+  if (isBettingRoundComplete(gameState)) {
+    await advancePhase(gameState);
+  }
+}
+
+// Antes are dead money: in the pot, but not part of anyone's bet this street
+function postAnte(gameState, player) {
+  const posted = Math.min(gameState.ante, player.chips);
+  player.chips -= posted;
+  player.totalBet += posted;
+  player.isAllIn = player.chips === 0;
+  gameState.pot += posted;
+  
+  gameState.actionHistory.push({
+    player: player.address,
+    action: 'ante',
+    amount: posted,
+    timestamp: Date.now()
+  });
+  gameState.handRecord.actions.push({
+    street: PHASES.PREFLOP,
+    player: player.address,
+    action: 'ante',
+    amount: posted,
+    totalBet: 0,
+    betBefore: 0,
+    allIn: player.isAllIn,
+    timestamp: Date.now()
+  });
+}
+
+function postBlind(gameState, player, action, amount) {
+  const posted = Math.min(amount, player.chips);
+  player.chips -= posted;
+  player.currentBet = posted;
+  player.totalBet += posted;
+  player.isAllIn = player.chips === 0;
+  gameState.pot += posted;
+  
+  gameState.actionHistory.push({
+    player: player.address,
+    action,
+    amount: posted,
+    timestamp: Date.now()
+  });
+  gameState.handRecord.actions.push({
+    street: PHASES.PREFLOP,
+    player: player.address,
+    action,
+    amount: posted,
+    totalBet: posted,
+    betBefore: 0,
+    allIn: player.isAllIn,
+    timestamp: Date.now()
+  });
+}
+
+/**
+ * Commit to a fresh server seed for the next hand; players can add seeds until it is dealt
+ */
+function commitNextHand(gameState) {
+  const serverSeed = nextServerSeed();
+  gameState.fairness.next = { commitment: commitToSeed(serverSeed), serverSeed, playerSeeds: {} };
+}
+
+/**
+ * Publish the finished hand's server seed together with what was dealt from it
+ */
+function revealHandSeed(gameState) {
+  const { current } = gameState.fairness;
+  const record = {
+    ...current,
+    combinedSeed: combineSeeds(current.serverSeed, current.playerSeeds),
+    dealt: {
+      seats: gameState.players.filter(p => p.inHand).map(p => ({ address: p.address, holeCards: p.holeCards })),
+      board: gameState.communityCards
+    }
+  };
+  
+  gameState.fairness.revealed.push(record);
+  gameState.fairness.current = null;
+  return record;
+}
+
+// Commitments and seeds everyone may see - never an unrevealed server seed
+function publicFairness(entry) {
+  if (!entry) return null;
+  const { serverSeed, ...visible } = entry;
+  return visible;
+}
+
+/**
+ * Between hands: drop busted players, then either close the table
+ * or line up the next hand
+ */
+async function endHand(gameState) {
+  const busted = gameState.players.filter(p => p.chips <= 0);
+  removePlayers(gameState, busted);
+  
+  if (gameState.tournamentId) {
+    await endTournamentHand(gameState, busted);
+    return;
+  }
+  
+  for (const player of busted) {
+    broadcastToGame(gameState.id, { type: 'playerBusted', player: player.address });
+  }
+  
+  // Players who asked to leave during the hand
+  for (const player of gameState.players.filter(p => p.leaving)) {
+    cashOut(gameState, player);
+  }
+  
+  if (tableIsOver(gameState)) {
+    await finishTable(gameState);
+    return;
+  }
+  
+  scheduleNextHand(gameState);
+}
+
+/**
+ * Whether the table should close: once it has dealt, when fewer than two
+ * players are left; at any time, when nobody but house bots is seated
+ */
+function tableIsOver(gameState) {
+  if (gameState.players.every(p => p.bot)) return true;
+  return gameState.handsDealt && gameState.players.length < 2;
+}
+
+/**
+ * Take a player off the table with their stack, less their share of the
+ * server fee (see settlement.js). Returns the settlement log entry.
+ */
+function cashOut(gameState, player) {
+  removePlayers(gameState, [player]);
+  gameState.cashedOut = roundAmount(gameState.cashedOut + player.chips);
+  broadcastToGame(gameState.id, { type: 'playerLeft', player: player.address, chips: player.chips });
+  
+  let entry;
+  if (gameState.handsDealt) {
+    const payout = payoutFor(player.address, player.chips, gameState.serverFeeRate);
+    if (payout.amount > 0) {
+      payout.txId = txQueue.enqueue(gameState.id, 'transfer', [player.address, payout.amount]).id;
+    }
+    entry = settlementEntry(SETTLEMENT_TYPES.CASH_OUT, gameState, { player: player.address, payouts: [payout] });
+  } else {
+    // Nothing on-chain to recoup a transfer from yet - paid when the table closes
+    gameState.deferredCashOuts.push({ player: player.address, chips: player.chips });
+    entry = settlementEntry(SETTLEMENT_TYPES.CASH_OUT, gameState, {
+      player: player.address,
+      deferred: true,
+      deferredChips: player.chips
+    });
+  }
+  
+  recordSettlement(entry);
+  return entry;
+}
+
+/**
+ * Take players off the table between hands. The button stays in place; if
+ * its seat goes, the next hand's button moves to the seat after it.
+ */
+function removePlayers(gameState, leaving) {
+  if (leaving.length === 0) return;
+  
+  const dealerIndex = gameState.dealerIndex;
+  const dealerLeaves = leaving.includes(gameState.players[dealerIndex]);
+  const removedBefore = gameState.players.filter((p, i) => leaving.includes(p) && i < dealerIndex).length;
+  gameState.players = gameState.players.filter(p => !leaving.includes(p));
+  
+  const count = gameState.players.length || 1;
+  const newIndex = dealerIndex - removedBefore - (dealerLeaves ? 1 : 0);
+  gameState.dealerIndex = ((newIndex % count) + count) % count;
+}
+
+/**
+ * Deal the next hand automatically after `autoStartDelayMs`, if the table uses it
+ */
+function scheduleNextHand(gameState) {
+  if (!gameState.autoStartDelayMs || gameState.handNumber === 0) return;
+  if (handTimers.has(gameState.id) || !canDealNextHand(gameState)) return;
+  
+  handTimers.set(gameState.id, setTimeout(() => {
+    handTimers.delete(gameState.id);
+    if (!canDealNextHand(gameState)) return;
+    startHand(gameState)
+      .then(() => saveGame(gameState))
+      .catch(error => console.error('Auto-start error:', error));
+  }, gameState.autoStartDelayMs));
+}
+
+// House bots only play on while somebody else is dealt in
+function canDealNextHand(gameState) {
+  const seated = getSeatedPlayers(gameState);
+  return gameState.phase === PHASES.WAITING && !gameState.paused && seated.length >= 2 && !seated.every(p => p.bot);
+}
+
+/**
+ * Close the table and settle it on-chain. `winner` is the biggest stack left.
+ */
+async function finishTable(gameState) {
+  clearTimeout(handTimers.get(gameState.id));
+  handTimers.delete(gameState.id);
+  
+  const winner = gameState.players.reduce(
+    (best, p) => (!best || p.chips > best.chips ? p : best),
+    null
+  );
+  
+  gameState.phase = PHASES.FINISHED;
+  setTurn(gameState, null);
+  gameState.winner = winner ? winner.address : null;
+  
+  if (isOnChain(gameState)) {
+    settleTable(gameState);
+    await rateCashTable(gameState);
+  }
+  
+  broadcastToGame(gameState.id, {
+    type: 'gameFinished',
+    winner: gameState.winner,
+    handsPlayed: gameState.handNumber
+  });
+}
+
+/**
+ * Queue the closing transactions (see settlement.js) and log them
+ */
+function settleTable(gameState) {
+  const gameId = gameState.id;
+  
+  if (!gameState.handsDealt) {
+    recordSettlement(refundTable(gameState, 'Table closed before its first hand'));
+    return;
+  }
+  
+  const plan = settlementPlan(gameState, chain.serverAddress);
+  const closing = finishEntry(gameState, plan.recipient);
+  const finish = txQueue.enqueue(gameId, 'finishGame', [gameId, plan.recipient, closing.hash]);
+  recordTranscript(gameState, { ...closing, txId: finish.id });
+  const settle = txQueue.enqueue(gameId, 'settleGame', [gameId]);
+  
+  // Paid by settleGame itself, or passed on from the server wallet
+  for (const payout of plan.payouts) {
+    if (plan.direct) {
+      payout.txId = settle.id;
+    } else if (payout.amount > 0) {
+      payout.txId = txQueue.enqueue(gameId, 'transfer', [payout.player, payout.amount]).id;
+    }
+  }
+  gameState.deferredCashOuts = [];
+  
+  recordSettlement(settlementEntry(SETTLEMENT_TYPES.SETTLEMENT, gameState, {
+    recipient: plan.recipient,
+    payouts: plan.payouts,
+    txIds: { finishGame: finish.id, settleGame: settle.id }
+  }));
+}
+
+/**
+ * Chips already paid out to players who left mid-table. The contract's
+ * emergency refund returns every buy-in, so it would pay them twice.
+ */
+function cashOutsPaid(gameState) {
+  const deferred = gameState.deferredCashOuts.reduce((total, c) => total + c.chips, 0);
+  return roundAmount(gameState.cashedOut - deferred);
+}
+
+/**
+ * Queue emergencyRefund: the contract returns every buy-in, fee free.
+ * Cash-outs already paid from the server wallet are refunded again, so
+ * the entry records them for the operator.
+ */
+function refundTable(gameState, reason) {
+  const paid = cashOutsPaid(gameState);
+  const refund = txQueue.enqueue(gameState.id, 'emergencyRefund', [gameState.id]);
+  const payouts = Object.entries(gameState.buyIns).map(([key, { amount }]) => ({
+    player: ethers.getAddress(key),
+    chips: amount,
+    fee: 0,
+    amount,
+    txId: refund.id
+  }));
+  gameState.deferredCashOuts = [];
+  
+  return settlementEntry(SETTLEMENT_TYPES.EMERGENCY_REFUND, gameState, {
+    reason,
+    payouts,
+    cashOutsPaid: paid,
+    txIds: { emergencyRefund: refund.id }
+  });
+}
+
+/**
+ * Stop a table where it stands and refund every buy-in (operators)
+ */
+async function emergencyRefundTable(gameState, reason) {
+  clearTimeout(handTimers.get(gameState.id));
+  handTimers.delete(gameState.id);
+  
+  gameState.phase = PHASES.FINISHED;
+  setTurn(gameState, null);
+  gameState.winner = null;
+  
+  const entry = refundTable(gameState, reason);
+  recordSettlement(entry);
+  broadcastToGame(gameState.id, { type: 'gameFinished', winner: null, refunded: true, reason });
+  await saveGame(gameState);
+  return entry;
+}
+
+// Transcript entries go to the store; the table keeps the head to chain the next one on
+function recordTranscript(gameState, entry) {
+  gameState.transcript = { head: entry.hash, length: entry.index + 1 };
+  const json = JSON.stringify(entry);
+  return queueWrite(`transcript-${gameState.id}`, () => stateStore.appendTranscript(gameState.id, json));
+}
+
+// Settlement log entries go to the store and outlive the table
+function recordSettlement(entry) {
+  const json = JSON.stringify(entry);
+  return queueWrite(`settlements-${entry.gameId}`, () => stateStore.appendSettlement(entry.gameId, json));
+}
+
+function lookupTx(id) {
+  const entry = txQueue.get(id);
+  return entry ? publicTx(entry) : null;
+}
+
+/**
+ * Apply the player's action and move the hand on: next player or next
+ * street, then persist, record on-chain and broadcast. Used for both
+ * submitted actions and ones the clock takes on a player's behalf.
+ */
+async function playTurn(gameState, player, action, amount, { timedOut = false } = {}) {
+  const gameId = gameState.id;
+  const startedAt = performance.now();
+  const wasTheirTurn = gameState.currentTurn === player.address;
+  
+  const committed = await processAction(gameState, player, action, amount, { timedOut });
+  if (!timedOut) player.missedTurns = 0;
+  
+  // Unused time bank is kept for later turns
+  if (gameState.usingTimeBank) {
+    player.timeBank = Math.max(0, gameState.turnDeadline - Date.now());
+  }
+  
+  // Chain the action onto the transcript and record it on-chain in the
+  // background - queued before anything the hand's end sends
+  let tx = null;
+  if (gameState.transcript) {
+    const entry = actionEntry(gameState, player, action, committed);
+    if (isOnChain(gameState)) {
+      tx = txQueue.enqueue(gameId, 'submitAction', [gameId, player.address, entry.code, committed, entry.hash]);
+      entry.txId = tx.id;
+    }
+    recordTranscript(gameState, entry);
+  }
+  
+  // Check if betting round complete
+  if (isBettingRoundComplete(gameState)) {
+    await advancePhase(gameState);
+  } else if (wasTheirTurn) {
+    // Move to next player (an operator may fold someone out of turn)
+    advanceTurn(gameState);
+  }
+  await saveGame(gameState);
+  serverMetrics.actionLatency.observe((performance.now() - startedAt) / 1000);
+  
+  // Broadcast update
+  broadcastToGame(gameId, {
+    type: 'action',
+    player: player.address,
+    action,
+    amount,
+    timedOut,
+    txId: tx ? tx.id : null,
+    currentTurn: gameState.currentTurn,
+    turnDeadline: gameState.turnDeadline,
+    phase: gameState.phase,
+    pot: gameState.pot
+  });
+  
+  return tx;
+}
+
+async function processAction(gameState, player, action, amount, { timedOut = false } = {}) {
+  const betBefore = gameState.currentBet;
+  const committed = applyAction(gameState, player, action, amount);
+  
+  gameState.actionHistory.push({
+    player: player.address,
+    action,
+    amount: committed,
+    totalBet: player.currentBet,
+    phase: gameState.phase,
+    timestamp: Date.now()
+  });
+  gameState.handRecord.actions.push({
+    street: gameState.phase,
+    player: player.address,
+    action,
+    amount: committed,
+    totalBet: player.currentBet,
+    betBefore,
+    allIn: player.isAllIn,
+    timedOut,
+    timestamp: Date.now()
+  });
+  return committed;
+}
+
+function advanceTurn(gameState) {
+  const currentIndex = gameState.players.findIndex(p => p.address === gameState.currentTurn);
+  const nextIndex = nextToAct(gameState, currentIndex);
+  setTurn(gameState, nextIndex === -1 ? null : gameState.players[nextIndex].address);
+}
+
+/**
+ * Turn clock
+ * Every change of turn restarts the clock. When it runs out the player's
+ * time bank is used first; after that the engine checks if it can and
+ * folds otherwise. maxMissedTurns timeouts in a row sit the player out.
+ */
+function setTurn(gameState, address) {
+  clearTimeout(turnTimers.get(gameState.id));
+  turnTimers.delete(gameState.id);
+  
+  gameState.currentTurn = address;
+  gameState.usingTimeBank = false;
+  gameState.turnDeadline = address && gameState.actionTimeoutMs > 0 && !gameState.paused
+    ? Date.now() + gameState.actionTimeoutMs
+    : null;
+  
+  armTurnClock(gameState);
+  scheduleBotTurn(gameState);
+  sendTurnWebhook(gameState);
+}
+
+function armTurnClock(gameState) {
+  if (!gameState.turnDeadline) return;
+  
+  const turn = { player: gameState.currentTurn, handNumber: gameState.handNumber };
+  const timer = setTimeout(() => {
+    turnTimers.delete(gameState.id);
+    onTurnTimeout(gameState, turn).catch(error => console.error('Turn timeout error:', error));
+  }, Math.max(0, gameState.turnDeadline - Date.now()));
+  // The HTTP server keeps the process alive; a pending clock shouldn't
+  timer.unref();
+  turnTimers.set(gameState.id, timer);
+}
+
+async function onTurnTimeout(gameState, turn) {
+  if (gameState.currentTurn !== turn.player || gameState.handNumber !== turn.handNumber) return;
+  const player = findPlayer(gameState, turn.player);
+  
+  if (!gameState.usingTimeBank && player.timeBank > 0) {
+    gameState.usingTimeBank = true;
+    gameState.turnDeadline = Date.now() + player.timeBank;
+    player.timeBank = 0;
+    armTurnClock(gameState);
+    await saveGame(gameState);
+    broadcastToGame(gameState.id, { type: 'timeBank', player: player.address, turnDeadline: gameState.turnDeadline });
+    return;
+  }
+  
+  player.missedTurns += 1;
+  // Tournament players are never sat out - they keep posting and folding
+  if (player.missedTurns >= gameState.maxMissedTurns && !player.sittingOut && !gameState.tournamentId) {
+    player.sittingOut = true;
+    broadcastToGame(gameState.id, { type: 'sitOut', player: player.address, reason: 'timeout' });
+  }
+  
+  const action = getAvailableActions(gameState, player).includes('check') ? 'check' : 'fold';
+  await playTurn(gameState, player, action, undefined, { timedOut: true });
+}
+
+/**
+ * House bots act on their own turns, after BOT_THINK_MS
+ */
+function scheduleBotTurn(gameState) {
+  clearTimeout(botTimers.get(gameState.id));
+  botTimers.delete(gameState.id);
+  
+  const player = gameState.currentTurn && findPlayer(gameState, gameState.currentTurn);
+  if (!player || !player.bot || gameState.paused) return;
+  
+  const turn = { player: player.address, handNumber: gameState.handNumber };
+  const timer = setTimeout(() => {
+    botTimers.delete(gameState.id);
+    playBotTurn(gameState, turn).catch(error => console.error('House bot error:', error));
+  }, BOT_THINK_MS);
+  timer.unref();
+  botTimers.set(gameState.id, timer);
+}
+
+async function playBotTurn(gameState, turn) {
+  if (gameState.currentTurn !== turn.player || gameState.handNumber !== turn.handNumber) return;
+  const player = findPlayer(gameState, turn.player);
+  
+  const { action, amount } = HOUSE_BOTS[player.bot].decide(buildVisibleState(gameState, player));
+  await playTurn(gameState, player, action, amount);
+}
+
+/**
+ * POST the turn to the player's webhook, if they registered one, and play
+ * the action it answers with while it is still their turn. A turn is the
+ * hand's state after a given number of actions at the table.
+ */
+function sendTurnWebhook(gameState) {
+  const player = gameState.currentTurn && findPlayer(gameState, gameState.currentTurn);
+  if (!player || !player.webhook || gameState.paused) return;
+  
+  const seq = gameState.actionHistory.length;
+  const turnId = `${gameState.handNumber}-${seq}`;
+  const isCurrent = () => gameState.currentTurn === player.address && gameState.actionHistory.length === seq && !gameState.paused;
+  
+  turnWebhooks.deliver({
+    gameId: gameState.id,
+    player: player.address,
+    turnId,
+    webhook: player.webhook,
+    payload: {
+      type: 'turn',
+      gameId: gameState.id,
+      player: player.address,
+      handNumber: gameState.handNumber,
+      turnId,
+      turnDeadline: gameState.turnDeadline,
+      state: buildVisibleState(gameState, player)
+    },
+    isCurrent
+  }).then(delivery => {
+    if (delivery.reply) return playWebhookReply(gameState, player, delivery, isCurrent);
+  }).catch(error => console.error('Turn webhook error:', error));
+}
+
+async function playWebhookReply(gameState, player, delivery, isCurrent) {
+  const { reply } = delivery;
+  if (!isCurrent()) {
+    reply.result = 'stale';
+    return;
+  }
+  try {
+    await playTurn(gameState, player, reply.action, reply.amount ?? undefined);
+    reply.result = 'played';
+  } catch (error) {
+    if (!(error instanceof ActionError)) throw error;
+    // The agent can still act through the action route before the clock runs out
+    reply.result = 'rejected';
+    reply.error = error.message;
+  }
+}
+
+// Deterministic wallet for the nth house bot seated at a table
+function houseBotWallet(gameId, n) {
+  return new ethers.Wallet(ethers.id(`house-bot:${HOUSE_BOT_SECRET}:${gameId}:${n}`));
+}
+
+// House bots a player has seated at tables still open, or is buying in now
+function botsAddedBy(address) {
+  const owner = address.toLowerCase();
+  let count = [...botJoins.values()].filter(o => o === owner).length;
+  for (const gameState of gameStates.values()) {
+    if (gameState.phase === PHASES.FINISHED) continue;
+    count += gameState.players.filter(p => p.bot && p.botOwner === owner).length;
+  }
+  return count;
+}
+
+function dealNextStreet(gameState) {
+  switch (gameState.phase) {
+    case PHASES.PREFLOP:
+      gameState.communityCards = gameState.deck.deal(3); // Flop
+      gameState.phase = PHASES.FLOP;
+      break;
+      
+    case PHASES.FLOP:
+      gameState.communityCards.push(...gameState.deck.deal(1)); // Turn
+      gameState.phase = PHASES.TURN;
+      break;
+      
+    case PHASES.TURN:
+      gameState.communityCards.push(...gameState.deck.deal(1)); // River
+      gameState.phase = PHASES.RIVER;
+      break;
+  }
+}
+
+async function advancePhase(gameState) {
+  const livePlayers = gameState.players.filter(p => !p.hasFolded);
+  
+  // Deal the next street; when at most one player can still bet, run the board out
+  do {
+    // Everyone else folded, or the river betting is done
+    if (livePlayers.length <= 1 || gameState.phase === PHASES.RIVER) {
+      gameState.phase = PHASES.SHOWDOWN;
+      setTurn(gameState, null);
+      await showdown(gameState);
+      return;
+    }
+    
+    dealNextStreet(gameState);
+    startStreet(gameState);
+  } while (playersAbleToAct(gameState).length <= 1);
+  
+  // First to act after flop is first active player after dealer
+  const firstToAct = nextToAct(gameState, gameState.dealerIndex);
+  setTurn(gameState, gameState.players[firstToAct].address);
+}
+
+async function showdown(gameState) {
+  const activePlayers = gameState.players.filter(p => !p.hasFolded);
+  const seatOrder = gameState.players.map(p => p.address);
+  
+  // Evaluate every live hand (not needed when everyone else folded)
+  const hands = new Map();
+  if (activePlayers.length > 1) {
+    for (const player of activePlayers) {
+      hands.set(player.address, evaluateShowdownHand(gameState, player.holeCards, gameState.communityCards));
+    }
+  }
+  
+  // Award the main pot and each side pot to the best eligible hand(s)
+  const pots = buildPots(gameState.players);
+  const winnings = new Map();
+  const potResults = pots.map(pot => {
+    const contenders = pot.eligible.map(address => ({ address, hand: hands.get(address) }));
+    const winners = contenders.length > 1 ? findWinners(contenders) : contenders;
+    const payouts = splitPot(pot.amount, winners.map(w => w.address), seatOrder, gameState.dealerIndex);
+    
+    for (const [address, amount] of payouts) {
+      winnings.set(address, (winnings.get(address) || 0) + amount);
+    }
+    
+    return {
+      amount: pot.amount,
+      winners: [...payouts].map(([address, amount]) => ({ address, amount })),
+      winningHand: winners[0].hand ? winners[0].hand.name : null
+    };
+  });
+  
+  // The hand's winner is whoever took the most chips
+  let winner = activePlayers[0];
+  for (const player of gameState.players) {
+    if ((winnings.get(player.address) || 0) > (winnings.get(winner.address) || 0)) {
+      winner = player;
+    }
+  }
+  
+  gameState.winner = winner.address;
+  gameState.phase = PHASES.WAITING;
+  setTurn(gameState, null);
+  
+  // Pay out every pot
+  for (const player of gameState.players) {
+    player.chips += winnings.get(player.address) || 0;
+  }
+  const potWon = gameState.pot;
+  gameState.pot = 0;
+  gameState.potResults = potResults;
+  
+  const revealed = revealHandSeed(gameState);
+  
+  const record = finishHandRecord(gameState.handRecord, gameState, {
+    shown: [...hands].map(([address, hand]) => ({
+      address,
+      cards: gameState.players.find(p => p.address === address).holeCards,
+      handName: hand.name
+    })),
+    pots: potResults
+  });
+  gameState.handRecord = null;
+  await archiveHand(record);
+  await recordHandStats(gameState, record);
+  serverMetrics.hands++;
+  serverMetrics.recentHands.record();
+  
+  broadcastToGame(gameState.id, {
+    type: 'showdown',
+    handNumber: gameState.handNumber,
+    handId: record.handId,
+    winner: winner.address,
+    winningHand: potResults[0] ? potResults[0].winningHand : null,
+    potWon,
+    pots: potResults,
+    hands: [...hands].map(([address, hand]) => ({
+      address,
+      holeCards: gameState.players.find(p => p.address === address).holeCards,
+      handName: hand.name,
+      bestFive: hand.cards
+    })),
+    fairness: revealed,
+    nextCommitment: gameState.fairness.next.commitment
+  });
+  
+  await endHand(gameState);
+}
+
+// Finished hands are kept in the store after the game is gone
+async function archiveHand(record) {
+  try {
+    await stateStore.saveHand(record.gameId, record.handNumber, JSON.stringify(record));
+  } catch (error) {
+    console.error(`Archive hand ${record.handId} error:`, error);
+  }
+}
+
+/**
+ * Count a finished hand in the players' stats, and keep each player's
+ * running result at the table to rate them on when it closes
+ */
+async function recordHandStats(gameState, record) {
+  const netChips = gameState.netChips || {};
+  for (const { address, net } of record.results) {
+    netChips[address] = roundAmount((netChips[address] || 0) + net);
+  }
+  gameState.netChips = netChips;
+  
+  try {
+    await playerStats.recordHand(record, {
+      bots: gameState.players.filter(p => p.bot).map(p => p.address),
+      cash: !gameState.tournamentId
+    });
+  } catch (error) {
+    console.error(`Stats for hand ${record.handId} error:`, error);
+  }
+}
+
+/**
+ * Rate a cash table's players on what they won there. FELT is what their
+ * chips paid out after the server fee, less the buy-in.
+ */
+async function rateCashTable(gameState) {
+  const results = Object.entries(gameState.netChips || {}).map(([address, net]) => {
+    const buyIn = gameState.buyIns[address.toLowerCase()];
+    const felt = buyIn ? roundAmount((buyIn.amount + net) * (1 - (gameState.serverFeeRate || 0)) - buyIn.amount) : 0;
+    return { address, score: net, felt };
+  });
+  
+  try {
+    await playerStats.recordGame(results);
+  } catch (error) {
+    console.error(`Ratings for game ${gameState.id} error:`, error);
+  }
+}
+
+/**
+ * Persistence
+ * Snapshots hold the full game, including the undealt deck and the
+ * secret seed for the next shuffle, so a restart can resume mid-hand.
+ */
+function serializeGame(gameState) {
+  return JSON.stringify({
+    version: 1,
+    savedAt: Date.now(),
+    state: { ...gameState, deck: gameState.deck.deck }
+  });
+}
+
+function restoreGame(json) {
+  const { version, state } = JSON.parse(json);
+  if (version !== 1 || !state || !Array.isArray(state.players) || !Array.isArray(state.deck) ||
+      !Object.values(PHASES).includes(state.phase)) {
+    throw new Error('Unrecognised game snapshot');
+  }
   
-  switch (gameState.phase) {
-    case PHASES.PREFLOP:
-      gameState.communityCards = gameState.deck.deal(3); // Flop
-      gameState.phase = PHASES.FLOP;
-      break;
-      
-    case PHASES.FLOP:
-      gameState.communityCards.push(...gameState.deck.deal(1)); // Turn
-      gameState.phase = PHASES.TURN;
-      break;
-      
-    case PHASES.TURN:
-      gameState.communityCards.push(...gameState.deck.deal(1)); // River
-      gameState.phase = PHASES.RIVER;
-      break;
-      
-    case PHASES.RIVER:
-      gameState.phase = PHASES.SHOWDOWN;
-      await showdown(gameState);
-      return;
+  const deck = new PokerEngine();
+  deck.deck = state.deck;
+  // Snapshots from before variants were added are no-limit Hold'em
+  const variant = state.variant || DEFAULT_VARIANT;
+  const bettingStructure = state.bettingStructure || VARIANTS[variant].bettingStructure;
+  return { ...state, variant, bettingStructure, deck };
+}
+
+/**
+ * Write the game to the store; finished games are dropped from it.
+ * Writes are queued per game so they land in order.
+ */
+function saveGame(gameState) {
+  const gameId = gameState.id;
+  const json = gameState.phase === PHASES.FINISHED ? null : serializeGame(gameState);
+  
+  return queueWrite(gameId, () => (json ? stateStore.save(gameId, json) : stateStore.remove(gameId)));
+}
+
+function queueWrite(key, write) {
+  const queued = (saveQueues.get(key) || Promise.resolve())
+    .then(write)
+    .catch(error => console.error(`Save ${key} error:`, error));
+  
+  saveQueues.set(key, queued);
+  queued.then(() => {
+    if (saveQueues.get(key) === queued) saveQueues.delete(key);
+  });
+  return queued;
+}
+
+/**
+ * Reload unfinished games after a restart. A game that can't be restored
+ * has its funds released on-chain with emergencyRefund.
+ */
+async function recoverGames() {
+  const recovered = [];
+  const refunded = [];
+  
+  // A key rotation may have finished after SERVER_PRIVATE_KEY was last set
+  const signing = chain.serverAddress;
+  const gameServer = await chain.syncGameServer();
+  if (gameServer !== signing) {
+    console.log(`Game server is already ${gameServer} - set SERVER_PRIVATE_KEY to SERVER_NEXT_PRIVATE_KEY`);
+  }
+  
+  // Transactions queued before the restart go out again
+  await txQueue.load();
+  
+  // Tournaments first, so their tables find them when they deal again
+  for (const json of await stateStore.loadTournaments()) {
+    try {
+      const { tournament } = JSON.parse(json);
+      if (tournaments.has(tournament.id)) continue;
+      // Saved before accepted fees were tracked apart from the entrants
+      tournament.entryTxHashes = tournament.entryTxHashes ||
+        tournament.entrants.filter(e => e.entryTxHash).map(e => e.entryTxHash.toLowerCase());
+      tournaments.set(tournament.id, tournament);
+      armTournamentStart(tournament);
+    } catch (error) {
+      console.error('Tournament could not be recovered:', error);
+    }
+  }
+  
+  for (const { gameId, json } of await stateStore.loadAll()) {
+    if (gameStates.has(gameId)) continue;
+    try {
+      const gameState = restoreGame(json);
+      gameStates.set(gameId, gameState);
+      scheduleNextHand(gameState);
+      // Whoever is to act gets a fresh clock after the restart
+      if (gameState.currentTurn) setTurn(gameState, gameState.currentTurn);
+      recovered.push(gameId);
+      console.log(`Recovered game ${gameId} (${gameState.phase}, hand ${gameState.handNumber})`);
+    } catch (error) {
+      if (gameId >= TOURNAMENT_TABLE_ID_BASE) {
+        console.error(`Tournament table ${gameId} could not be recovered:`, error);
+        continue;
+      }
+      console.error(`Game ${gameId} could not be recovered:`, error);
+      try {
+        // A refund returns every buy-in, including those of players already cashed out
+        const log = (await stateStore.loadSettlements(gameId)).map(json => JSON.parse(json));
+        if (log.some(entry => entry.type === SETTLEMENT_TYPES.CASH_OUT && !entry.deferred)) {
+          console.error(`Game ${gameId} has paid cash-outs, so it is not refunded on-chain - settle it by hand`);
+          continue;
+        }
+        console.error(`Refunding game ${gameId} on-chain`);
+        const { txHash } = await chain.emergencyRefund(gameId);
+        await stateStore.remove(gameId);
+        await recordSettlement(settlementEntry(SETTLEMENT_TYPES.EMERGENCY_REFUND, { id: gameId, handNumber: null }, {
+          reason: 'Game state could not be recovered',
+          txHash
+        }));
+        refunded.push(gameId);
+      } catch (refundError) {
+        console.error(`Emergency refund for game ${gameId} failed:`, refundError);
+      }
+    }
+  }
+  
+  return { recovered, refunded };
+}
+
+// Periodic off-chain vs on-chain chip ledger check - flags drift, never corrects it
+const reconciler = new ChipReconciler({
+  chain,
+  gameStates,
+  intervalMs: Number(process.env.RECONCILE_INTERVAL_MS || 60000),
+  onDrift: report => console.warn(`Chip drift in game ${report.gameId}:`, JSON.stringify(report.drift))
+});
+
+// Stats and ratings from finished hands and games, kept across restarts
+const playerStats = new PlayerStats({
+  store: stateStore,
+  kFactor: Number(process.env.RATING_K_FACTOR || 32),
+  initialRating: Number(process.env.RATING_INITIAL || 1500)
+});
+
+// Background index of the contracts' events, behind the /api/chain routes
+const indexer = new ChainIndexer({
+  chain,
+  store: stateStore,
+  startBlock: Number(process.env.INDEXER_START_BLOCK || process.env.EVENTS_FROM_BLOCK || 0),
+  intervalMs: Number(process.env.INDEXER_INTERVAL_MS ?? 5000),
+  batchBlocks: Number(process.env.INDEXER_BATCH_BLOCKS || 2000),
+  reorgDepth: Number(process.env.INDEXER_REORG_DEPTH || 64)
+});
+
+// WebSocket push channel - every player gets events plus their own state snapshot
+const gameSocket = new GameSocketHub({
+  authenticate: token => {
+    const session = auth.getSession(token);
+    return session ? session.address : null;
+  },
+  canConnect: (gameId, playerAddress) => {
+    const gameState = gameStates.get(gameId);
+    return Boolean(gameState && findPlayer(gameState, playerAddress));
+  },
+  getSnapshot: (gameId, playerAddress) => {
+    const gameState = gameStates.get(gameId);
+    const player = gameState && findPlayer(gameState, playerAddress);
+    return player ? buildVisibleState(gameState, player) : null;
+  },
+  canSpectate: gameId => gameStates.has(gameId),
+  spectatorDelay: gameId => {
+    const gameState = gameStates.get(gameId);
+    return gameState ? spectatorDelay(gameState) : 0;
+  },
+  getSpectatorSnapshot: (gameId, delayed) => {
+    const gameState = gameStates.get(gameId);
+    return gameState ? buildSpectatorState(gameState, { revealHoleCards: delayed }) : null;
+  }
+});
+
+function broadcastToGame(gameId, message) {
+  gameSocket.publish(gameId, message);
+}
+
+/**
+ * Finished hands at a table, oldest first
+ * GET /api/games/:id/hands[?format=pokerstars]
+ */
+app.get('/api/games/:id/hands', validate('GET /api/games/:id/hands'), async (req, res) => {
+  try {
+    const gameId = req.params.id;
+    const records = (await stateStore.loadHands(gameId)).map(json => JSON.parse(json));
+    if (records.length === 0 && !gameStates.has(gameId)) {
+      return sendError(res, new ApiError('GAME_NOT_FOUND', 'Game not found'));
+    }
+    
+    if (req.query.format === 'pokerstars') {
+      const viewer = viewerAddress(req);
+      return res.type('text/plain').send(records.map(r => formatPokerStars(r, { viewer })).join('\n\n\n') + '\n');
+    }
+    
+    res.json({ success: true, hands: records.map(handSummary) });
+  } catch (error) {
+    sendError(res, error, 'List hands');
+  }
+});
+
+/**
+ * One finished hand, by hand number. Hole cards are shown for hands that
+ * reached showdown, and your own with a session.
+ * GET /api/games/:id/hands/:handId[?format=pokerstars]
+ */
+app.get('/api/games/:id/hands/:handId', validate('GET /api/games/:id/hands/:handId'), async (req, res) => {
+  try {
+    const gameId = req.params.id;
+    const json = await stateStore.loadHand(gameId, req.params.handId);
+    if (!json) {
+      return sendError(res, new ApiError('HAND_NOT_FOUND', 'Hand not found'));
+    }
+    
+    const record = JSON.parse(json);
+    const viewer = viewerAddress(req);
+    if (req.query.format === 'pokerstars') {
+      return res.type('text/plain').send(formatPokerStars(record, { viewer }) + '\n');
+    }
+    
+    res.json({ success: true, hand: redactHandRecord(record, viewer) });
+  } catch (error) {
+    sendError(res, error, 'Get hand');
+  }
+});
+
+// Address of the caller if they sent a valid session, for optional-auth routes
+function viewerAddress(req) {
+  const session = auth.getSession(bearerToken(req));
+  return session ? session.address : null;
+}
+
+/**
+ * Chain transactions queued for a game, oldest first
+ * GET /api/games/:id/transactions
+ */
+app.get('/api/games/:id/transactions', validate('GET /api/games/:id/transactions'), (req, res) => {
+  const gameId = req.params.id;
+  if (!gameStates.has(gameId)) {
+    return sendError(res, new ApiError('GAME_NOT_FOUND', 'Game not found'));
+  }
+  
+  res.json({ success: true, transactions: txQueue.forGame(gameId).map(publicTx) });
+});
+
+/**
+ * Status of one queued transaction
+ * GET /api/transactions/:txId
+ */
+app.get('/api/transactions/:txId', validate('GET /api/transactions/:txId'), (req, res) => {
+  const entry = txQueue.get(req.params.txId);
+  if (!entry) {
+    return sendError(res, new ApiError('TRANSACTION_NOT_FOUND', 'Transaction not found'));
+  }
+  
+  res.json({ success: true, transaction: publicTx(entry) });
+});
+
+/**
+ * A table's settlement log - cash-outs, the closing payout or an emergency
+ * refund - oldest first, with each transaction's current status
+ * GET /api/games/:id/settlements[?player=0x...]
+ */
+app.get('/api/games/:id/settlements', validate('GET /api/games/:id/settlements'), async (req, res) => {
+  try {
+    const gameId = req.params.id;
+    const entries = (await stateStore.loadSettlements(gameId)).map(json => JSON.parse(json));
+    if (entries.length === 0 && !gameStates.has(gameId)) {
+      return sendError(res, new ApiError('GAME_NOT_FOUND', 'Game not found'));
+    }
+    
+    const { player } = req.query;
+    const settlements = entries
+      .filter(entry => !player || entry.payouts.some(p => p.player.toLowerCase() === player.toLowerCase()))
+      .map(entry => publicSettlement(entry, lookupTx));
+    
+    res.json({ success: true, gameId, settlements });
+  } catch (error) {
+    sendError(res, error, 'Settlements');
+  }
+});
+
+async function loadTranscript(gameId) {
+  return (await stateStore.loadTranscript(gameId)).map(json => JSON.parse(json));
+}
+
+/**
+ * A table's hash-chained action transcript, oldest first, with each
+ * transaction's current status
+ * GET /api/games/:id/transcript
+ */
+app.get('/api/games/:id/transcript', validate('GET /api/games/:id/transcript'), async (req, res) => {
+  try {
+    const gameId = req.params.id;
+    const entries = await loadTranscript(gameId);
+    if (entries.length === 0 && !gameStates.has(gameId)) {
+      return sendError(res, new ApiError('GAME_NOT_FOUND', 'Game not found'));
+    }
+    
+    res.json({
+      success: true,
+      gameId,
+      head: entries.length > 0 ? entries[entries.length - 1].hash : null,
+      entries: entries.map(entry => ({ ...entry, tx: entry.txId ? lookupTx(entry.txId) : null }))
+    });
+  } catch (error) {
+    sendError(res, error, 'Transcript');
+  }
+});
+
+/**
+ * Recompute a table's transcript and check it against the indexed
+ * GameStarted, ActionSubmitted and GameFinished events
+ * GET /api/games/:id/transcript/verify
+ */
+app.get('/api/games/:id/transcript/verify', validate('GET /api/games/:id/transcript/verify'), async (req, res) => {
+  try {
+    const gameId = req.params.id;
+    const entries = await loadTranscript(gameId);
+    if (entries.length === 0 && !gameStates.has(gameId)) {
+      return sendError(res, new ApiError('GAME_NOT_FOUND', 'Game not found'));
+    }
+    
+    await indexer.runOnce();
+    res.json({
+      success: true,
+      gameId,
+      verification: verifyTranscript(entries, indexer.gameEvents(gameId)),
+      indexer: indexer.status()
+    });
+  } catch (error) {
+    sendError(res, error, 'Verify transcript');
+  }
+});
+
+/**
+ * A player's stats and rating, from every finished hand and game
+ * GET /api/players/:address/stats
+ */
+app.get('/api/players/:address/stats', validate('GET /api/players/:address/stats'), async (req, res) => {
+  try {
+    await playerStats.load();
+    const stats = playerStats.get(req.params.address);
+    if (!stats) {
+      return sendError(res, new ApiError('PLAYER_NOT_FOUND', 'No finished hands for this address'));
+    }
+    
+    res.json({ success: true, stats: publicStats(stats) });
+  } catch (error) {
+    sendError(res, error, 'Player stats');
+  }
+});
+
+/**
+ * Players ranked by rating or any stat, best first
+ * GET /api/leaderboard[?sort=rating&minHands=N&minGames=N&bots=false&limit=50&offset=0]
+ */
+app.get('/api/leaderboard', validate('GET /api/leaderboard'), async (req, res) => {
+  try {
+    res.json({ success: true, sort: req.query.sort, ...await playerStats.leaderboard(req.query) });
+  } catch (error) {
+    sendError(res, error, 'Leaderboard');
+  }
+});
+
+/**
+ * How far the chain event indexer has got
+ * GET /api/chain/status
+ */
+app.get('/api/chain/status', (req, res) => {
+  res.json({ success: true, indexer: indexer.status() });
+});
+
+/**
+ * A table's indexed contract events, oldest first
+ * GET /api/chain/games/:id/events[?event=PlayerJoined&fromBlock=N]
+ */
+app.get('/api/chain/games/:id/events', validate('GET /api/chain/games/:id/events'), async (req, res) => {
+  try {
+    await indexer.load();
+    const events = filterEvents(indexer.gameEvents(req.params.id), req.query);
+    res.json({ success: true, gameId: req.params.id, events, indexer: indexer.status() });
+  } catch (error) {
+    sendError(res, error, 'Game events');
+  }
+});
+
+/**
+ * A player's indexed contract and token events, oldest first, with totals
+ * GET /api/chain/players/:address/events[?event=Transfer&fromBlock=N]
+ */
+app.get('/api/chain/players/:address/events', validate('GET /api/chain/players/:address/events'), async (req, res) => {
+  try {
+    await indexer.load();
+    const { address } = req.params;
+    const all = indexer.playerEvents(address);
+    res.json({
+      success: true,
+      address,
+      summary: playerSummary(address, all),
+      events: filterEvents(all, req.query),
+      indexer: indexer.status()
+    });
+  } catch (error) {
+    sendError(res, error, 'Player events');
+  }
+});
+
+/**
+ * Stop a table and refund every buy-in on-chain (admin)
+ * POST /api/admin/games/:id/emergency-refund
+ */
+app.post('/api/admin/games/:id/emergency-refund', requireAdmin, validate('POST /api/admin/games/:id/emergency-refund'), async (req, res) => {
+  try {
+    const gameState = gameStates.get(req.params.id);
+    if (!gameState) {
+      return sendError(res, new ApiError('GAME_NOT_FOUND', 'Game not found'));
+    }
+    
+    if (!isOnChain(gameState)) {
+      return sendError(res, new ApiError('TOURNAMENT_TABLE', 'Tournament tables hold no on-chain buy-ins'));
+    }
+    
+    if (gameState.phase === PHASES.FINISHED) {
+      return sendError(res, new ApiError('GAME_FINISHED', 'Game finished'));
+    }
+    
+    if (cashOutsPaid(gameState) > 0) {
+      return sendError(res, new ApiError('GAME_STATE_CONFLICT',
+        'Players have already been cashed out of this table and a refund would pay them twice - end the table instead'));
+    }
+    
+    const entry = await emergencyRefundTable(gameState, req.body.reason || 'Refunded by an operator');
+    res.json({ success: true, refund: publicSettlement(entry, lookupTx) });
+  } catch (error) {
+    sendError(res, error, 'Emergency refund');
+  }
+});
+
+/**
+ * Every table, finished ones included, with what operators need to see (admin)
+ * GET /api/admin/games
+ */
+app.get('/api/admin/games', requireAdmin, validate('GET /api/admin/games'), (req, res) => {
+  const games = [...gameStates.values()].map(adminTableView);
+  res.json({ success: true, total: games.length, games });
+});
+
+/**
+ * Hold a table: no actions, clocks or new hands until it is resumed (admin)
+ * POST /api/admin/games/:id/pause
+ */
+app.post('/api/admin/games/:id/pause', requireAdmin, validate('POST /api/admin/games/:id/pause'), async (req, res) => {
+  try {
+    const gameState = gameStates.get(req.params.id);
+    if (!gameState) {
+      return sendError(res, new ApiError('GAME_NOT_FOUND', 'Game not found'));
+    }
+    
+    if (gameState.phase === PHASES.FINISHED) {
+      return sendError(res, new ApiError('GAME_FINISHED', 'Game finished'));
+    }
+    
+    if (gameState.paused) {
+      return sendError(res, new ApiError('TABLE_PAUSED', 'Table is already paused'));
+    }
+    
+    pauseTable(gameState, req.body.reason || 'Paused by an operator');
+    await saveGame(gameState);
+    res.json({ success: true, gameId: gameState.id, paused: gameState.paused });
+  } catch (error) {
+    sendError(res, error, 'Pause table');
+  }
+});
+
+/**
+ * Pick a paused table up where it stopped (admin)
+ * POST /api/admin/games/:id/resume
+ */
+app.post('/api/admin/games/:id/resume', requireAdmin, validate('POST /api/admin/games/:id/resume'), async (req, res) => {
+  try {
+    const gameState = gameStates.get(req.params.id);
+    if (!gameState) {
+      return sendError(res, new ApiError('GAME_NOT_FOUND', 'Game not found'));
+    }
+    
+    if (!gameState.paused) {
+      return sendError(res, new ApiError('GAME_STATE_CONFLICT', 'Table is not paused'));
+    }
+    
+    resumeTable(gameState);
+    await saveGame(gameState);
+    res.json({
+      success: true,
+      gameId: gameState.id,
+      phase: gameState.phase,
+      currentTurn: gameState.currentTurn,
+      turnDeadline: gameState.turnDeadline
+    });
+  } catch (error) {
+    sendError(res, error, 'Resume table');
+  }
+});
+
+/**
+ * Close a table now and settle it (admin). A hand in progress is called
+ * off and every chip bet in it goes back to the player who bet it.
+ * POST /api/admin/games/:id/end
+ */
+app.post('/api/admin/games/:id/end', requireAdmin, validate('POST /api/admin/games/:id/end'), async (req, res) => {
+  try {
+    const gameState = gameStates.get(req.params.id);
+    if (!gameState) {
+      return sendError(res, new ApiError('GAME_NOT_FOUND', 'Game not found'));
+    }
+    
+    if (!isOnChain(gameState)) {
+      return sendError(res, new ApiError('TOURNAMENT_TABLE', 'Tournament tables close with their tournament'));
+    }
+    
+    if (gameState.phase === PHASES.FINISHED) {
+      return sendError(res, new ApiError('GAME_FINISHED', 'Game finished'));
+    }
+    
+    const reason = req.body.reason || 'Closed by an operator';
+    const voidedHand = gameState.phase !== PHASES.WAITING ? gameState.handNumber : null;
+    if (voidedHand !== null) voidHand(gameState, reason);
+    gameState.paused = null;
+    
+    await finishTable(gameState);
+    await saveGame(gameState);
+    
+    res.json({ success: true, gameId: gameState.id, reason, voidedHand, winner: gameState.winner });
+  } catch (error) {
+    sendError(res, error, 'End table');
+  }
+});
+
+/**
+ * Take a player off a table (admin). A player in the hand is folded, or
+ * plays it out if all-in, and cashed out when it ends; anyone else is
+ * cashed out now, as if they had left.
+ * DELETE /api/admin/games/:id/players/:address
+ */
+app.delete('/api/admin/games/:id/players/:address', requireAdmin, validate('DELETE /api/admin/games/:id/players/:address'), async (req, res) => {
+  try {
+    const gameState = gameStates.get(req.params.id);
+    if (!gameState) {
+      return sendError(res, new ApiError('GAME_NOT_FOUND', 'Game not found'));
+    }
+    
+    if (!isOnChain(gameState)) {
+      return sendError(res, new ApiError('TOURNAMENT_TABLE', 'Tournament players are only removed by busting out'));
+    }
+    
+    if (gameState.phase === PHASES.FINISHED) {
+      return sendError(res, new ApiError('GAME_FINISHED', 'Game finished'));
+    }
+    
+    const player = findPlayer(gameState, req.params.address);
+    if (!player) {
+      return sendError(res, new ApiError('PLAYER_NOT_FOUND', 'Player is not at this table'));
+    }
+    
+    player.sittingOut = true;
+    let cashOutEntry = null;
+    if (gameState.phase !== PHASES.WAITING && player.inHand) {
+      player.leaving = true;
+      if (!player.hasFolded && !player.isAllIn) {
+        await playTurn(gameState, player, 'fold');
+      }
+    } else {
+      cashOutEntry = cashOut(gameState, player);
+      if (tableIsOver(gameState)) await finishTable(gameState);
+    }
+    await saveGame(gameState);
+    
+    const seated = gameState.players.includes(player);
+    broadcastToGame(gameState.id, { type: 'playerRemoved', player: player.address, pending: seated });
+    res.json({
+      success: true,
+      gameId: gameState.id,
+      player: player.address,
+      // Still seated while an all-in hand plays out; cashed out when it ends
+      pending: seated,
+      cashOut: cashOutEntry ? publicSettlement(cashOutEntry, lookupTx) : null
+    });
+  } catch (error) {
+    sendError(res, error, 'Remove player');
   }
-  
-  // First to act after flop is first active player after dealer
-  const dealerIndex = gameState.dealerIndex;
-  let firstToAct = (dealerIndex + 1) % gameState.players.length;
-  while (gameState.players[firstToAct].hasFolded) {
-    firstToAct = (firstToAct + 1) % gameState.players.length;
+});
+
+/**
+ * Make the key configured as SERVER_NEXT_PRIVATE_KEY the contract's game
+ * server (admin). `address` must be that key's, so the operator confirms
+ * which wallet takes over. Queued transactions wait while the role moves;
+ * everything after is signed with the new key.
+ * POST /api/admin/server-key
+ */
+app.post('/api/admin/server-key', requireAdmin, validate('POST /api/admin/server-key'), async (req, res) => {
+  try {
+    const { address, fundEth } = req.body;
+    const next = chain.nextServerAddress;
+    if (!next) {
+      return sendError(res, new ApiError('VALIDATION_ERROR', 'Set SERVER_NEXT_PRIVATE_KEY to the new key and restart first'));
+    }
+    if (next.toLowerCase() !== address.toLowerCase()) {
+      return sendError(res, new ApiError('VALIDATION_ERROR', `SERVER_NEXT_PRIVATE_KEY is the key for ${next}, not ${address}`));
+    }
+    
+    const rotated = await txQueue.exclusive(() => chain.rotateGameServer({ fundEth }));
+    console.log(`Game server rotated from ${rotated.previous} to ${rotated.gameServer} - set SERVER_PRIVATE_KEY to the new key`);
+    res.json({ success: true, ...rotated });
+  } catch (error) {
+    sendError(res, error, 'Rotate server key');
   }
-  gameState.currentTurn = gameState.players[firstToAct].address;
-}
+});
 
-async function showdown(gameState) {
-  // Evaluate hands and determine winner
-  const activePlayers = gameState.players.filter(p => !p.hasFolded);
-  
-  // Simple winner selection (first player for now)
-  // In real implementation, evaluate poker hands
-  const winner = activePlayers[0];
-  
-  gameState.winner = winner.address;
-  gameState.phase = PHASES.FINISHED;
-  
-  // Call on-chain finishGame
-  const gameHash = ethers.keccak256(ethers.toUtf8Bytes(JSON.stringify({
-    winner: winner.address,
+// A table as the admin listing shows it
+function adminTableView(gameState) {
+  const transactions = txQueue.forGame(gameState.id);
+  return {
+    ...tableSummary(gameState),
+    paused: gameState.paused || null,
+    onChain: isOnChain(gameState),
+    handNumber: gameState.handNumber,
     pot: gameState.pot,
-    timestamp: Date.now()
-  })));
-  
-  const tx = await pokerGame.finishGame(gameState.id, winner.address, gameHash);
-  await tx.wait();
-  
-  // Award pot to winner
-  winner.chips += gameState.pot;
-  gameState.pot = 0;
-  
+    currentTurn: gameState.currentTurn,
+    turnDeadline: gameState.turnDeadline,
+    winner: gameState.winner || null,
+    players: gameState.players.map(p => ({
+      address: p.address,
+      name: p.name,
+      chips: p.chips,
+      bot: p.bot || null,
+      sittingOut: p.sittingOut,
+      leaving: Boolean(p.leaving),
+      missedTurns: p.missedTurns
+    })),
+    pendingTransactions: transactions.filter(e => e.status === TX_STATUS.PENDING || e.status === TX_STATUS.SENDING).length,
+    failedTransactions: transactions.filter(e => e.status === TX_STATUS.FAILED).length
+  };
+}
+
+/**
+ * Stop the clocks and hold the table (operators)
+ */
+function pauseTable(gameState, reason) {
+  gameState.paused = { reason, at: Date.now() };
+  for (const timers of [handTimers, turnTimers, botTimers]) {
+    clearTimeout(timers.get(gameState.id));
+    timers.delete(gameState.id);
+  }
+  gameState.turnDeadline = null;
+  gameState.usingTimeBank = false;
+  broadcastToGame(gameState.id, { type: 'paused', reason });
+}
+
+// Whoever is to act gets a full clock again
+function resumeTable(gameState) {
+  gameState.paused = null;
+  if (gameState.currentTurn) setTurn(gameState, gameState.currentTurn);
+  scheduleNextHand(gameState);
   broadcastToGame(gameState.id, {
-    type: 'showdown',
-    winner: winner.address,
-    winningHand: 'Royal Flush', // Placeholder
-    potWon: gameState.pot
+    type: 'resumed',
+    currentTurn: gameState.currentTurn,
+    turnDeadline: gameState.turnDeadline
   });
 }
 
-function broadcastToGame(gameId, message) {
-  // WebSocket broadcast would go here
-  console.log(`Broadcast to game ${gameId}:`, message);
+/**
+ * Call off the hand in progress: bets go back, the hand's seed is revealed
+ * and nothing is archived or rated
+ */
+function voidHand(gameState, reason) {
+  for (const player of gameState.players) {
+    player.chips += player.totalBet;
+    player.totalBet = 0;
+    player.currentBet = 0;
+  }
+  gameState.pot = 0;
+  gameState.currentBet = 0;
+  gameState.phase = PHASES.WAITING;
+  setTurn(gameState, null);
+  
+  const revealed = revealHandSeed(gameState);
+  gameState.handRecord = null;
+  broadcastToGame(gameState.id, { type: 'handVoided', handNumber: gameState.handNumber, reason, fairness: revealed });
 }
 
-// Health check
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: Date.now() });
+/**
+ * Tournaments
+ * Sit-and-gos and multi-table tournaments play on ordinary tables marked
+ * with tournamentId. Those tables are never opened on-chain: entry fees are
+ * token transfers to the server wallet and prizes are paid back with token
+ * transfers. The rules live in tournament.js.
+ */
+
+/**
+ * Create a tournament
+ * POST /api/tournaments
+ */
+app.post('/api/tournaments', requireSession, validate('POST /api/tournaments'), async (req, res) => {
+  try {
+    const tournamentId = Math.max(0, ...tournaments.keys()) + 1;
+    const tournament = createTournament(tournamentId, req.body, req.playerAddress);
+    tournaments.set(tournamentId, tournament);
+    armTournamentStart(tournament);
+    await saveTournament(tournament);
+    
+    res.json({
+      success: true,
+      tournamentId,
+      tournament: publicTournament(tournament),
+      message: tournament.entryFee > 0
+        ? `Send the ${tournament.entryFee} token entry fee to ${chain.serverAddress}, then POST /api/tournaments/${tournamentId}/register with its txHash`
+        : `Register with POST /api/tournaments/${tournamentId}/register`
+    });
+  } catch (error) {
+    sendError(res, error, 'Create tournament');
+  }
+});
+
+/**
+ * List tournaments, optionally by status
+ * GET /api/tournaments?status=registering,running
+ */
+app.get('/api/tournaments', validate('GET /api/tournaments'), (req, res) => {
+  const statuses = req.query.status ? String(req.query.status).split(',') : null;
+  const list = [...tournaments.values()]
+    .filter(tournament => !statuses || statuses.includes(tournament.status))
+    .map(tournamentSummary);
+  
+  res.json({ success: true, tournaments: list });
 });
 
-// Start server
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`🦞 Agent Poker Server running on port ${PORT}`);
-  console.log(`Token: ${process.env.TOKEN_ADDRESS}`);
-  console.log(`Game: ${process.env.GAME_ADDRESS}`);
+/**
+ * Tournament details - level, payouts, tables and every entrant's standing
+ * GET /api/tournaments/:id
+ */
+app.get('/api/tournaments/:id', validate('GET /api/tournaments/:id'), (req, res) => {
+  const tournament = tournaments.get(req.params.id);
+  if (!tournament) {
+    return sendError(res, new ApiError('TOURNAMENT_NOT_FOUND', 'Tournament not found'));
+  }
+  
+  const view = publicTournament(tournament);
+  view.players = view.players.map(entrant => {
+    const table = entrant.tableId && gameStates.get(entrant.tableId);
+    const seat = table && findPlayer(table, entrant.address);
+    return { ...entrant, chips: seat ? seat.chips : 0 };
+  });
+  
+  res.json({ success: true, tournament: view });
 });
 
 /**
- * Server-side faucet - mints tokens to user (server pays gas)
- * POST /api/faucet/claim
+ * Register for a tournament. With an entry fee, pass the txHash of your
+ * token transfer of the fee to the server wallet.
+ * POST /api/tournaments/:id/register
  */
-app.post('/api/faucet/claim', async (req, res) => {
+app.post('/api/tournaments/:id/register', requireSession, validate('POST /api/tournaments/:id/register'), async (req, res) => {
   try {
-    const { playerAddress } = req.body;
+    const { playerAddress } = req;
+    const { playerName, txHash } = req.body;
     
-    if (!playerAddress || !playerAddress.startsWith('0x')) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Invalid player address' 
-      });
+    const tournament = tournaments.get(req.params.id);
+    if (!tournament) {
+      return sendError(res, new ApiError('TOURNAMENT_NOT_FOUND', 'Tournament not found'));
     }
     
-    // Check if user can claim
-    const canClaim = await pokerToken.canClaim(playerAddress);
-    if (!canClaim) {
-      const nextClaim = await pokerToken.nextClaimTime(playerAddress);
-      const timeUntil = Number(nextClaim) - Math.floor(Date.now() / 1000);
-      const hours = Math.floor(timeUntil / 3600);
-      const minutes = Math.floor((timeUntil % 3600) / 60);
-      
-      return res.status(429).json({
-        success: false,
-        error: `Please wait ${hours}h ${minutes}m before next claim`,
-        nextClaimTime: Number(nextClaim)
-      });
+    const notAllowed = registrationError(tournament, playerAddress);
+    if (notAllowed) {
+      return sendError(res, notAllowed);
+    }
+    
+    let entryTxHash = null;
+    if (tournament.entryFee > 0) {
+      const verified = await verifyEntryFee(tournament, playerAddress, txHash);
+      if (verified.error) {
+        return sendError(res, new ApiError('ENTRY_FEE_REQUIRED', verified.error));
+      }
+      entryTxHash = verified.txHash;
+    }
+    
+    // Checked again: other registrations may have landed while we were on-chain
+    const closed = registrationError(tournament, playerAddress);
+    if (closed) {
+      return sendError(res, closed);
+    }
+    
+    if (entryTxHash) {
+      if (entryFeeUsed(entryTxHash)) {
+        return sendError(res, new ApiError('ENTRY_FEE_REQUIRED', 'Entry fee transaction already used'));
+      }
+      // Never removed, so a refunded fee can't buy a second entry
+      tournament.entryTxHashes.push(entryTxHash.toLowerCase());
     }
     
-    // Server mints tokens directly to user (server pays gas)
-    const CLAIM_AMOUNT = ethers.parseEther('10000'); // 10,000 FELT
+    tournament.entrants.push({
+      address: playerAddress,
+      name: playerName || null,
+      entryTxHash,
+      registeredAt: Date.now(),
+      tableId: null,
+      place: null,
+      prize: null,
+      payoutTxId: null
+    });
     
-    const tx = await pokerToken.mint(playerAddress, CLAIM_AMOUNT);
-    const receipt = await tx.wait();
+    // A sit-and-go starts as soon as it fills up
+    if (tournament.type === 'sng' && tournament.entrants.length === tournament.maxEntrants) {
+      await startTournament(tournament);
+    } else {
+      await saveTournament(tournament);
+    }
     
     res.json({
       success: true,
-      message: '10,000 $FELT minted to your wallet!',
-      txHash: receipt.hash,
-      amount: '10000'
+      tournamentId: tournament.id,
+      entrants: tournament.entrants.length,
+      status: tournament.status
     });
   } catch (error) {
-    console.error('Faucet error:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: error.message || 'Faucet failed' 
-    });
+    sendError(res, error, 'Register');
+  }
+});
+
+/**
+ * Withdraw before the tournament starts; any entry fee is refunded
+ * POST /api/tournaments/:id/unregister
+ */
+app.post('/api/tournaments/:id/unregister', requireSession, validate('POST /api/tournaments/:id/unregister'), async (req, res) => {
+  try {
+    const tournament = tournaments.get(req.params.id);
+    if (!tournament) {
+      return sendError(res, new ApiError('TOURNAMENT_NOT_FOUND', 'Tournament not found'));
+    }
+    
+    if (tournament.status !== TOURNAMENT_STATUS.REGISTERING) {
+      return sendError(res, new ApiError('TOURNAMENT_STARTED', 'Tournament already started'));
+    }
+    
+    const entrant = findEntrant(tournament, req.playerAddress);
+    if (!entrant) {
+      return sendError(res, new ApiError('NOT_REGISTERED', 'Not registered'));
+    }
+    
+    tournament.entrants = tournament.entrants.filter(e => e !== entrant);
+    const refund = refundEntry(tournament, entrant);
+    await saveTournament(tournament);
+    
+    res.json({ success: true, refundTxId: refund ? refund.id : null });
+  } catch (error) {
+    sendError(res, error, 'Unregister');
+  }
+});
+
+/**
+ * Start now (creator only), if enough players have registered
+ * POST /api/tournaments/:id/start
+ */
+app.post('/api/tournaments/:id/start', requireSession, validate('POST /api/tournaments/:id/start'), async (req, res) => {
+  try {
+    const tournament = tournaments.get(req.params.id);
+    if (!tournament) {
+      return sendError(res, new ApiError('TOURNAMENT_NOT_FOUND', 'Tournament not found'));
+    }
+    
+    if (tournament.creator.toLowerCase() !== req.playerAddress.toLowerCase()) {
+      return sendError(res, new ApiError('FORBIDDEN', 'Only the creator can start the tournament'));
+    }
+    
+    if (tournament.status !== TOURNAMENT_STATUS.REGISTERING) {
+      return sendError(res, new ApiError('TOURNAMENT_STARTED', 'Tournament already started'));
+    }
+    
+    if (tournament.entrants.length < tournament.minEntrants) {
+      return sendError(res, new ApiError('NOT_ENOUGH_PLAYERS', `Need at least ${tournament.minEntrants} entrants`));
+    }
+    
+    await startTournament(tournament);
+    res.json({ success: true, tournament: publicTournament(tournament) });
+  } catch (error) {
+    sendError(res, error, 'Start tournament');
+  }
+});
+
+/**
+ * Set the house money added to the prize pool, paid from the server wallet (admin)
+ * POST /api/admin/tournaments/:id/added-prize
+ */
+app.post('/api/admin/tournaments/:id/added-prize', requireAdmin, validate('POST /api/admin/tournaments/:id/added-prize'), async (req, res) => {
+  try {
+    const tournament = tournaments.get(req.params.id);
+    if (!tournament) {
+      return sendError(res, new ApiError('TOURNAMENT_NOT_FOUND', 'Tournament not found'));
+    }
+    
+    if (tournament.status !== TOURNAMENT_STATUS.REGISTERING) {
+      return sendError(res, new ApiError('TOURNAMENT_STARTED', 'Tournament already started'));
+    }
+    
+    tournament.addedPrize = req.body.addedPrize;
+    await saveTournament(tournament);
+    res.json({ success: true, tournament: publicTournament(tournament) });
+  } catch (error) {
+    sendError(res, error, 'Set added prize');
+  }
+});
+
+/**
+ * An entry fee is a mined token transfer of at least the fee from the
+ * player to the server wallet, used for one registration only.
+ * Returns { txHash } or { error }.
+ */
+async function verifyEntryFee(tournament, playerAddress, txHash) {
+  if (!txHash) {
+    return { error: `Entry fee is ${tournament.entryFee} - send it to ${chain.serverAddress} and pass the txHash` };
+  }
+  
+  if (entryFeeUsed(txHash)) {
+    return { error: 'Entry fee transaction already used' };
+  }
+  
+  const transfer = await chain.getTokenTransfer(txHash);
+  if (!transfer ||
+      transfer.from.toLowerCase() !== playerAddress.toLowerCase() ||
+      transfer.to.toLowerCase() !== chain.serverAddress.toLowerCase()) {
+    return { error: 'No token transfer from you to the server wallet in that transaction' };
+  }
+  
+  if (transfer.amount < tournament.entryFee) {
+    return { error: `Entry fee is ${tournament.entryFee}, got ${transfer.amount}` };
+  }
+  
+  return { txHash };
+}
+
+// Whether any tournament has already accepted this transaction as an entry fee
+function entryFeeUsed(txHash) {
+  const hash = txHash.toLowerCase();
+  return [...tournaments.values()].some(t => t.entryTxHashes.includes(hash));
+}
+
+function refundEntry(tournament, entrant) {
+  if (!entrant.entryTxHash) return null;
+  return txQueue.enqueue(null, 'transfer', [entrant.address, tournament.entryFee]);
+}
+
+/**
+ * Start (or cancel, if too few registered) a multi-table tournament at startAt
+ */
+function armTournamentStart(tournament) {
+  clearTimeout(tournamentTimers.get(tournament.id));
+  tournamentTimers.delete(tournament.id);
+  if (tournament.status !== TOURNAMENT_STATUS.REGISTERING || !tournament.startAt) return;
+  
+  // setTimeout can't wait longer than ~24 days; far-off starts re-arm on the way
+  const delay = Math.min(Math.max(0, tournament.startAt - Date.now()), 2 ** 31 - 1);
+  const timer = setTimeout(() => {
+    tournamentTimers.delete(tournament.id);
+    if (tournament.status !== TOURNAMENT_STATUS.REGISTERING) return;
+    if (Date.now() < tournament.startAt) {
+      armTournamentStart(tournament);
+      return;
+    }
+    
+    const run = tournament.entrants.length >= tournament.minEntrants
+      ? startTournament(tournament)
+      : cancelTournament(tournament);
+    run.catch(error => console.error(`Tournament ${tournament.id} start error:`, error));
+  }, delay);
+  timer.unref();
+  tournamentTimers.set(tournament.id, timer);
+}
+
+/**
+ * Draw seats, open the tables and deal everyone's first hand
+ */
+async function startTournament(tournament) {
+  clearTimeout(tournamentTimers.get(tournament.id));
+  tournamentTimers.delete(tournament.id);
+  
+  tournament.status = TOURNAMENT_STATUS.RUNNING;
+  tournament.startedAt = Date.now();
+  tournament.levelStartedAt = tournament.startedAt;
+  
+  const tables = [];
+  for (const addresses of seatEntrants(tournament.entrants.map(e => e.address), tournament.tableSize)) {
+    const gameState = await openTournamentTable(tournament);
+    for (const address of addresses) {
+      seatTournamentPlayer(gameState, findEntrant(tournament, address), tournament.startingStack);
+    }
+    tables.push(gameState);
+  }
+  await saveTournament(tournament);
+  
+  for (const gameState of tables) {
+    await startHand(gameState);
+    await saveGame(gameState);
+  }
+}
+
+async function cancelTournament(tournament) {
+  tournament.status = TOURNAMENT_STATUS.CANCELLED;
+  tournament.finishedAt = Date.now();
+  for (const entrant of tournament.entrants) {
+    refundEntry(tournament, entrant);
+  }
+  await saveTournament(tournament);
+}
+
+async function openTournamentTable(tournament) {
+  const usedIds = [...tournaments.values()].flatMap(t => t.tableIds);
+  const gameId = Math.max(TOURNAMENT_TABLE_ID_BASE, ...usedIds) + 1;
+  
+  const gameState = await newTable(gameId, {
+    ...currentLevel(tournament),
+    minBuyIn: tournament.startingStack,
+    maxBuyIn: tournament.startingStack,
+    maxPlayers: tournament.tableSize,
+    autoStartDelayMs: tournament.handDelayMs,
+    actionTimeoutMs: tournament.actionTimeoutMs,
+    timeBankMs: tournament.timeBankMs,
+    tournamentId: tournament.id
+  }, tournament.creator);
+  
+  tournament.tables.push(gameId);
+  tournament.tableIds.push(gameId);
+  return gameState;
+}
+
+// Players seated mid-hand are dealt in next hand
+function seatTournamentPlayer(gameState, entrant, chips, webhook = null) {
+  gameState.players.push({ ...newSeat(entrant.address, entrant.name, chips), timeBank: gameState.timeBankMs, webhook });
+  entrant.tableId = gameState.id;
+}
+
+/**
+ * Before each hand: raise the blinds if the level is up, and take the
+ * current level's blinds and ante
+ */
+function applyTournamentLevel(gameState) {
+  const tournament = tournaments.get(gameState.tournamentId);
+  
+  if (advanceLevel(tournament)) {
+    const event = {
+      type: 'blindLevel',
+      tournamentId: tournament.id,
+      level: tournament.level + 1,
+      ...currentLevel(tournament),
+      nextLevelAt: nextLevelAt(tournament)
+    };
+    for (const tableId of tournament.tables) {
+      broadcastToGame(tableId, event);
+    }
+  }
+  
+  const { smallBlind, bigBlind, ante } = currentLevel(tournament);
+  Object.assign(gameState, { smallBlind, bigBlind, ante });
+  saveTournament(tournament);
+}
+
+/**
+ * Between hands at a tournament table: place busted players, then finish
+ * the tournament or balance the tables and play on
+ */
+async function endTournamentHand(gameState, busted) {
+  const tournament = tournaments.get(gameState.tournamentId);
+  
+  // Busted players put their whole stack in, so totalBet is what they started the hand with
+  const placed = recordEliminations(tournament, busted.map(p => ({ address: p.address, startStack: p.totalBet })));
+  for (const entrant of placed) {
+    broadcastToGame(gameState.id, { type: 'playerBusted', player: entrant.address, place: entrant.place });
+  }
+  
+  if (remainingEntrants(tournament).length === 1) {
+    await finishTournament(tournament, gameState);
+    return;
+  }
+  
+  await balanceTables(tournament, gameState);
+  scheduleNextHand(gameState);
+  await saveTournament(tournament);
+}
+
+/**
+ * Move players off a table that has just finished a hand, to even out
+ * table sizes or to break it up (see planBalance). Players due to post
+ * the big blind next are moved first.
+ */
+async function balanceTables(tournament, gameState) {
+  const running = tournament.tables.map(id => ({ gameId: id, players: gameStates.get(id).players.length }));
+  const { breakTable, destinations } = planBalance(running, tournament.tableSize, gameState.id);
+  if (destinations.length === 0) return;
+  
+  const count = gameState.players.length;
+  const byBlindOrder = gameState.players.map((p, i) => gameState.players[(gameState.dealerIndex + 2 + i) % count]);
+  const moving = byBlindOrder.slice(0, destinations.length);
+  removePlayers(gameState, moving);
+  
+  moving.forEach((player, i) => {
+    const target = gameStates.get(destinations[i]);
+    seatTournamentPlayer(target, findEntrant(tournament, player.address), player.chips, player.webhook);
+    
+    const event = { type: 'playerMoved', player: player.address, from: gameState.id, to: target.id };
+    broadcastToGame(gameState.id, event);
+    broadcastToGame(target.id, event);
+  });
+  
+  if (breakTable) {
+    tournament.tables = tournament.tables.filter(id => id !== gameState.id);
+    await finishTable(gameState);
+  }
+  
+  for (const tableId of new Set(destinations)) {
+    const target = gameStates.get(tableId);
+    scheduleNextHand(target);
+    await saveGame(target);
+  }
+}
+
+/**
+ * Last player standing: close the final table and pay the prizes
+ */
+async function finishTournament(tournament, gameState) {
+  const [winner] = remainingEntrants(tournament);
+  winner.place = 1;
+  winner.tableId = null;
+  tournament.status = TOURNAMENT_STATUS.FINISHED;
+  tournament.finishedAt = Date.now();
+  tournament.tables = [];
+  
+  const prizes = prizeAmounts(prizePool(tournament), payoutPercents(tournament));
+  const standings = tournament.entrants.slice().sort((a, b) => a.place - b.place);
+  for (const entrant of standings) {
+    const prize = prizes[entrant.place - 1] || 0;
+    if (prize > 0) {
+      entrant.prize = prize;
+      entrant.payoutTxId = txQueue.enqueue(gameState.id, 'transfer', [entrant.address, prize]).id;
+    }
+  }
+  
+  await finishTable(gameState);
+  await playerStats.recordGame(standings.map(entrant => ({
+    address: entrant.address,
+    score: -entrant.place,
+    felt: roundAmount((entrant.prize || 0) - tournament.entryFee)
+  }))).catch(error => console.error(`Ratings for tournament ${tournament.id} error:`, error));
+  broadcastToGame(gameState.id, {
+    type: 'tournamentFinished',
+    tournamentId: tournament.id,
+    results: standings.map(({ address, place, prize, payoutTxId }) => ({ address, place, prize, payoutTxId }))
+  });
+  await saveTournament(tournament);
+}
+
+function saveTournament(tournament) {
+  const json = JSON.stringify({ version: 1, savedAt: Date.now(), tournament });
+  return queueWrite(`tournament-${tournament.id}`, () => stateStore.saveTournament(tournament.id, json));
+}
+
+/**
+ * Health check: whether the RPC answers and the server wallet can pay for
+ * gas. 503 with status 'degraded' when either fails.
+ * GET /health
+ */
+app.get('/health', async (req, res) => {
+  const { rpc, wallet } = await checkChain(chain, { minEth: SERVER_WALLET_MIN_ETH, timeoutMs: HEALTH_TIMEOUT_MS });
+  const healthy = rpc.connected && wallet.funded;
+  
+  res.status(healthy ? 200 : 503).json({
+    status: healthy ? 'ok' : 'degraded',
+    timestamp: Date.now(),
+    chain: rpc,
+    wallet,
+    transactions: txQueue.counts()
+  });
+});
+
+// Faucet: claims, challenges, status and the operators' claim log
+const faucet = new Faucet({ chain });
+app.use('/api/faucet', createFaucetRouter(faucet, { requireSession, requireAdmin }));
+
+/**
+ * Prometheus metrics; set METRICS_TOKEN to require it as a bearer token
+ * GET /metrics
+ */
+const requireMetricsToken = process.env.METRICS_TOKEN
+  ? requireAdminToken(process.env.METRICS_TOKEN)
+  : (req, res, next) => next();
+app.get('/metrics', requireMetricsToken, async (req, res) => {
+  try {
+    const health = await checkChain(chain, { minEth: SERVER_WALLET_MIN_ETH, timeoutMs: HEALTH_TIMEOUT_MS });
+    res.type('text/plain; version=0.0.4').send(formatMetrics(collectMetrics(health)));
+  } catch (error) {
+    sendError(res, error, 'Metrics');
   }
 });
+
+function collectMetrics({ rpc, wallet }) {
+  const open = [...gameStates.values()].filter(g => g.phase !== PHASES.FINISHED);
+  const methods = [...txQueue.totals];
+  const confirmed = methods.reduce((total, [, counts]) => total + counts.confirmed, 0);
+  const failed = methods.reduce((total, [, counts]) => total + counts.failed, 0);
+  const queued = txQueue.counts();
+  
+  return [
+    metric('gauge', 'poker_active_tables', 'Tables not yet finished', open.length),
+    metric('gauge', 'poker_paused_tables', 'Tables held by an operator', open.filter(g => g.paused).length),
+    metric('gauge', 'poker_seated_players', 'Players seated at unfinished tables', open.reduce((total, g) => total + g.players.length, 0)),
+    metric('counter', 'poker_hands_total', 'Hands played to the end since the server started', serverMetrics.hands),
+    metric('gauge', 'poker_hands_per_minute', 'Hands finished per minute over the last five minutes', serverMetrics.recentHands.perMinute()),
+    metric('histogram', 'poker_action_latency_seconds', 'Time to apply an action and move the table on', serverMetrics.actionLatency),
+    metric('counter', 'poker_chain_transactions_total', 'Chain transactions finished, by contract method and outcome', methods.flatMap(([method, counts]) => [
+      { labels: { method, status: 'confirmed' }, value: counts.confirmed },
+      { labels: { method, status: 'failed' }, value: counts.failed }
+    ])),
+    metric('gauge', 'poker_chain_tx_success_ratio', 'Share of finished chain transactions that confirmed', confirmed + failed > 0 ? confirmed / (confirmed + failed) : null),
+    metric('gauge', 'poker_chain_tx_queued', 'Chain transactions waiting or in flight', [
+      { labels: { status: TX_STATUS.PENDING }, value: queued[TX_STATUS.PENDING] },
+      { labels: { status: TX_STATUS.SENDING }, value: queued[TX_STATUS.SENDING] }
+    ]),
+    metric('gauge', 'poker_chain_up', 'Whether the RPC answered', rpc.connected ? 1 : 0),
+    metric('gauge', 'poker_chain_block_number', 'Latest block the RPC reported', rpc.blockNumber),
+    metric('gauge', 'poker_server_wallet_eth', 'ETH the server wallet holds for gas', wallet.ethBalance),
+    metric('counter', 'poker_faucet_mints_total', 'Faucet claims paid', faucet.totals.claims),
+    metric('counter', 'poker_faucet_minted_tokens_total', 'FELT minted by the faucet', faucet.totals.minted),
+    metric('counter', 'poker_faucet_mint_failures_total', 'Faucet mints that failed', faucet.totals.failures)
+  ];
+}
+
+/**
+ * This API as an OpenAPI 3.1 document, generated from the request schemas
+ * GET /api/openapi.json
+ */
+const openApi = openApiDocument();
+app.get('/api/openapi.json', (req, res) => {
+  res.json(openApi);
+});
+
+// Unknown routes, then errors raised outside the handlers (malformed JSON bodies)
+app.use((req, res) => {
+  sendError(res, new ApiError('NOT_FOUND', `No route for ${req.method} ${req.path}`));
+});
+app.use((error, req, res, next) => {
+  sendError(res, error);
+});
+
+/**
+ * Start listening (HTTP + WebSocket). Tests use the exported app without this.
+ */
+function startServer(port = process.env.PORT || 3000) {
+  const server = app.listen(port, () => {
+    console.log(`🦞 Agent Poker Server running on port ${server.address().port}`);
+    console.log(`Token: ${process.env.TOKEN_ADDRESS}`);
+    console.log(`Game: ${process.env.GAME_ADDRESS}`);
+  });
+  gameSocket.attach(server);
+  reconciler.start();
+  indexer.start();
+  return server;
+}
+
+if (require.main === module) {
+  recoverGames()
+    .then(() => startServer())
+    .catch(error => {
+      console.error('Startup error:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  app,
+  chain,
+  faucet,
+  gameStates,
+  tournaments,
+  stateStore,
+  reconciler,
+  indexer,
+  playerStats,
+  txQueue,
+  PHASES,
+  PokerEngine,
+  saveGame,
+  recoverGames,
+  startServer
+};
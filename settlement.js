@@ -0,0 +1,99 @@
+/**
+ * Table settlement
+ *
+ * The PokerGame contract escrows every buy-in in the table's pot and pays it
+ * out once, to one address: finishGame(gameId, winner) then settleGame(gameId),
+ * which keeps the table's server fee. Payouts are built on that:
+ *
+ *   one player holds every chip   finishGame(player) + settleGame, paid directly
+ *   anything else                 finishGame(server wallet) + settleGame, then a
+ *                                 token transfer to each player with chips
+ *   cash-out between hands        a transfer from the server wallet straight
+ *                                 away, recouped when the table settles
+ *   table never dealt a hand      emergencyRefund - every buy-in back, no fee
+ *
+ * The fee is shared pro rata, so however a player leaves they receive
+ * chips * (1 - serverFeeRate). A player leaving before the first hand has
+ * nothing to recoup a transfer from, so their cash-out waits for the table
+ * to close. Each of these is one entry in the table's settlement log.
+ */
+
+const SETTLEMENT_TYPES = {
+  CASH_OUT: 'cashOut',
+  SETTLEMENT: 'settlement',
+  EMERGENCY_REFUND: 'emergencyRefund'
+};
+
+// Token amounts are kept to 6 decimals so fees don't leave float dust
+function roundAmount(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+/**
+ * What a player with `chips` is paid: { player, chips, fee, amount }
+ */
+function payoutFor(player, chips, serverFeeRate = 0) {
+  const fee = roundAmount(chips * serverFeeRate);
+  return { player, chips, fee, amount: roundAmount(chips - fee) };
+}
+
+/**
+ * How a closing table pays out. Seated players with chips and any cash-outs
+ * still waiting are paid; `recipient` is who finishGame names.
+ */
+function settlementPlan(gameState, serverAddress) {
+  const rate = gameState.serverFeeRate || 0;
+  const payouts = [
+    ...gameState.players.filter(p => p.chips > 0).map(p => payoutFor(p.address, p.chips, rate)),
+    ...(gameState.deferredCashOuts || []).map(c => payoutFor(c.player, c.chips, rate))
+  ];
+  const direct = payouts.length === 1 && !(gameState.cashedOut > 0);
+  return { direct, recipient: direct ? payouts[0].player : serverAddress, payouts };
+}
+
+/**
+ * A settlement log entry. `payouts` carry the txId of the transfer (or
+ * settleGame) paying them, if any; totals are summed from them.
+ */
+function settlementEntry(type, gameState, fields) {
+  const payouts = fields.payouts || [];
+  return {
+    type,
+    gameId: gameState.id,
+    handNumber: gameState.handNumber,
+    serverFeeRate: gameState.serverFeeRate || 0,
+    createdAt: Date.now(),
+    ...fields,
+    payouts,
+    totals: {
+      chips: roundAmount(payouts.reduce((total, p) => total + p.chips, 0)),
+      fee: roundAmount(payouts.reduce((total, p) => total + p.fee, 0)),
+      amount: roundAmount(payouts.reduce((total, p) => total + p.amount, 0))
+    }
+  };
+}
+
+/**
+ * An entry as the API shows it, each txId replaced by the transaction's
+ * current status from `lookupTx` (null once it has aged out)
+ */
+function publicSettlement(entry, lookupTx) {
+  const tx = id => (id ? lookupTx(id) : null);
+  const view = {
+    ...entry,
+    payouts: entry.payouts.map(({ txId, ...payout }) => ({ ...payout, txId: txId || null, tx: tx(txId) }))
+  };
+  if (entry.txIds) {
+    view.transactions = Object.fromEntries(Object.entries(entry.txIds).map(([method, id]) => [method, tx(id)]));
+  }
+  return view;
+}
+
+module.exports = {
+  SETTLEMENT_TYPES,
+  roundAmount,
+  payoutFor,
+  settlementPlan,
+  settlementEntry,
+  publicSettlement
+};
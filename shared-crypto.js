@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+
+/**
+ * Checks shared by the server and the client SDK
+ *
+ * Faucet proofs of work and turn webhook signatures are computed on both
+ * sides, so they live here, on Node's crypto alone: poker-client.js can
+ * require this without pulling in the server's modules.
+ */
+
+function leadingZeroBits(hex) {
+  let bits = 0;
+  for (const digit of hex) {
+    const value = parseInt(digit, 16);
+    if (value === 0) {
+      bits += 4;
+      continue;
+    }
+    return bits + Math.clz32(value) - 28;
+  }
+  return bits;
+}
+
+function powHash(nonce, solution) {
+  return crypto.createHash('sha256').update(`${nonce}:${solution}`).digest('hex');
+}
+
+/**
+ * Find a proof-of-work solution by brute force (clients and tests)
+ */
+function solveProofOfWork(nonce, difficulty) {
+  for (let solution = 0; ; solution++) {
+    if (leadingZeroBits(powHash(nonce, solution)) >= difficulty) return String(solution);
+  }
+}
+
+function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Check a delivery on the agent's side: `body` is the raw request body and
+ * the timestamp may be at most `toleranceMs` old, against replays
+ */
+function verifySignature(secret, { timestamp, signature, body }, { toleranceMs = 5 * 60 * 1000, now = Date.now() } = {}) {
+  if (!timestamp || !signature || !(Math.abs(now - Number(timestamp)) <= toleranceMs)) return false;
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const actual = Buffer.from(String(signature));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = {
+  leadingZeroBits,
+  powHash,
+  solveProofOfWork,
+  signPayload,
+  verifySignature
+};
@@ -0,0 +1,68 @@
+/**
+ * Main pot / side pot construction and pot splitting
+ *
+ * Pots are built from what every player put in over the whole hand
+ * (`player.totalBet`). Each all-in amount caps a pot; players who
+ * folded still contribute chips but are never eligible to win.
+ */
+
+/**
+ * Build the main pot and any side pots
+ * Returns [{ amount, eligible: [address] }], main pot first
+ */
+function buildPots(players) {
+  const contenders = players.filter(p => !p.hasFolded && p.totalBet > 0);
+  const levels = [...new Set(contenders.map(p => p.totalBet))].sort((a, b) => a - b);
+
+  const pots = [];
+  let previous = 0;
+
+  for (const level of levels) {
+    let amount = 0;
+    for (const p of players) {
+      amount += Math.max(0, Math.min(p.totalBet || 0, level) - previous);
+    }
+
+    const eligible = contenders.filter(p => p.totalBet >= level).map(p => p.address);
+    pots.push({ amount, eligible });
+    previous = level;
+  }
+
+  // Chips folded players put in above the highest live bet
+  const total = players.reduce((sum, p) => sum + (p.totalBet || 0), 0);
+  const assigned = pots.reduce((sum, pot) => sum + pot.amount, 0);
+  if (pots.length && total > assigned) {
+    pots[pots.length - 1].amount += total - assigned;
+  }
+
+  return pots;
+}
+
+/**
+ * Split `amount` between `winners` (addresses).
+ * Odd chips go one at a time to the winners closest to the left of the
+ * button, per the usual card room rule.
+ * Returns Map<address, amount>
+ */
+function splitPot(amount, winners, seatOrder, dealerIndex) {
+  const share = Math.floor(amount / winners.length);
+  let remainder = amount - share * winners.length;
+
+  const payouts = new Map(winners.map(address => [address, share]));
+
+  for (let i = 1; remainder > 0 && i <= seatOrder.length; i++) {
+    const address = seatOrder[(dealerIndex + i) % seatOrder.length];
+    if (payouts.has(address)) {
+      const chip = Math.min(1, remainder);
+      payouts.set(address, payouts.get(address) + chip);
+      remainder -= chip;
+    }
+  }
+
+  return payouts;
+}
+
+module.exports = {
+  buildPots,
+  splitPot
+};
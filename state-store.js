@@ -0,0 +1,552 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Game state stores
+ *
+ * A store keeps one serialized snapshot (a JSON string) per game:
+ *   save(gameId, json)   write or replace the snapshot
+ *   loadAll()            [{ gameId, json }] for every stored game
+ *   remove(gameId)       forget a game
+ *
+ * and the archive of finished hands, which outlives the game:
+ *   saveHand(gameId, handNumber, json)
+ *   loadHands(gameId)              [json] oldest first
+ *   loadHand(gameId, handNumber)   json or null
+ *
+ * and tournaments, kept after they finish for their results:
+ *   saveTournament(tournamentId, json)
+ *   loadTournaments()              [json]
+ *
+ * and each table's settlement log (cash-outs, payouts, refunds), append only:
+ *   appendSettlement(gameId, json)
+ *   loadSettlements(gameId)        [json] oldest first
+ *
+ * and each table's hash-chained action transcript, append only:
+ *   appendTranscript(gameId, json)
+ *   loadTranscript(gameId)         [json] oldest first
+ *
+ * and each player's stats and rating, keyed by lowercased address:
+ *   savePlayerStats(address, json)
+ *   loadPlayerStats()              [json]
+ *
+ * and the chain event index: one record per block that had events, and the
+ * indexer's cursor
+ *   saveChainBlock(blockNumber, json)
+ *   loadChainBlocks()                    [json] lowest block first
+ *   removeChainBlocksAfter(blockNumber)  drop orphaned blocks after a reorg
+ *   saveChainCursor(json)
+ *   loadChainCursor()                    json or null
+ *
+ * and the outbound transaction queue, written through as entries change:
+ *   saveTx(txId, json)
+ *   loadTxs()                            [json]
+ *   removeTx(txId)                       once it falls out of the history
+ *
+ * Serialization and recovery live in server.js; stores only move strings.
+ */
+
+// Names of the files in `dir`, none if it hasn't been created yet
+async function listDir(dir) {
+  try {
+    return await fs.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+/**
+ * The files in `dir` whose names match `pattern`, read as
+ * [{ match, json }] in directory order
+ */
+async function readJsonDir(dir, pattern) {
+  const entries = [];
+  for (const name of await listDir(dir)) {
+    const match = pattern.exec(name);
+    if (match) entries.push({ match, json: await fs.readFile(path.join(dir, name), 'utf8') });
+  }
+  return entries;
+}
+
+// Write to a temp file and rename it into place, so readers never see half a file
+async function writeJsonAtomic(file, json) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+  await fs.writeFile(tmp, json);
+  await fs.rename(tmp, file);
+}
+
+/**
+ * One JSON file per game under `dir`. Writes go to a temp file and are
+ * renamed into place, so a crash mid-write never leaves a torn snapshot.
+ */
+class FileStateStore {
+  constructor({ dir }) {
+    this.dir = dir;
+  }
+
+  file(gameId) {
+    return path.join(this.dir, `game-${gameId}.json`);
+  }
+
+  async save(gameId, json) {
+    await writeJsonAtomic(this.file(gameId), json);
+  }
+
+  async loadAll() {
+    const files = await readJsonDir(this.dir, /^game-(\d+)\.json$/);
+    return files.map(({ match, json }) => ({ gameId: Number(match[1]), json }));
+  }
+
+  async remove(gameId) {
+    await fs.rm(this.file(gameId), { force: true });
+  }
+
+  handDir(gameId) {
+    return path.join(this.dir, 'hands', `game-${gameId}`);
+  }
+
+  async saveHand(gameId, handNumber, json) {
+    await fs.mkdir(this.handDir(gameId), { recursive: true });
+    await fs.writeFile(path.join(this.handDir(gameId), `hand-${handNumber}.json`), json);
+  }
+
+  async loadHands(gameId) {
+    const files = await readJsonDir(this.handDir(gameId), /^hand-(\d+)\.json$/);
+    return files
+      .sort((a, b) => Number(a.match[1]) - Number(b.match[1]))
+      .map(({ json }) => json);
+  }
+
+  async loadHand(gameId, handNumber) {
+    try {
+      return await fs.readFile(path.join(this.handDir(gameId), `hand-${handNumber}.json`), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  tournamentDir() {
+    return path.join(this.dir, 'tournaments');
+  }
+
+  async saveTournament(tournamentId, json) {
+    await writeJsonAtomic(path.join(this.tournamentDir(), `tournament-${tournamentId}.json`), json);
+  }
+
+  async loadTournaments() {
+    const files = await readJsonDir(this.tournamentDir(), /^tournament-\d+\.json$/);
+    return files.map(({ json }) => json);
+  }
+
+  settlementFile(gameId) {
+    return path.join(this.dir, 'settlements', `game-${gameId}.jsonl`);
+  }
+
+  // One entry per line; JSON.stringify never writes a raw newline
+  async appendSettlement(gameId, json) {
+    await fs.mkdir(path.dirname(this.settlementFile(gameId)), { recursive: true });
+    await fs.appendFile(this.settlementFile(gameId), `${json}\n`);
+  }
+
+  async loadSettlements(gameId) {
+    let text;
+    try {
+      text = await fs.readFile(this.settlementFile(gameId), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    return text.split('\n').filter(Boolean);
+  }
+
+  transcriptFile(gameId) {
+    return path.join(this.dir, 'transcripts', `game-${gameId}.jsonl`);
+  }
+
+  async appendTranscript(gameId, json) {
+    await fs.mkdir(path.dirname(this.transcriptFile(gameId)), { recursive: true });
+    await fs.appendFile(this.transcriptFile(gameId), `${json}\n`);
+  }
+
+  async loadTranscript(gameId) {
+    let text;
+    try {
+      text = await fs.readFile(this.transcriptFile(gameId), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    return text.split('\n').filter(Boolean);
+  }
+
+  playerDir() {
+    return path.join(this.dir, 'players');
+  }
+
+  async savePlayerStats(address, json) {
+    await writeJsonAtomic(path.join(this.playerDir(), `${address}.json`), json);
+  }
+
+  async loadPlayerStats() {
+    const files = await readJsonDir(this.playerDir(), /^0x[0-9a-f]{40}\.json$/);
+    return files.map(({ json }) => json);
+  }
+
+  chainDir() {
+    return path.join(this.dir, 'chain');
+  }
+
+  async saveChainBlock(blockNumber, json) {
+    await fs.mkdir(this.chainDir(), { recursive: true });
+    await fs.writeFile(path.join(this.chainDir(), `block-${blockNumber}.json`), json);
+  }
+
+  async chainBlockNumbers() {
+    return (await listDir(this.chainDir()))
+      .map(name => /^block-(\d+)\.json$/.exec(name))
+      .filter(Boolean)
+      .map(match => Number(match[1]))
+      .sort((a, b) => a - b);
+  }
+
+  async loadChainBlocks() {
+    const numbers = await this.chainBlockNumbers();
+    return Promise.all(numbers.map(n => fs.readFile(path.join(this.chainDir(), `block-${n}.json`), 'utf8')));
+  }
+
+  async removeChainBlocksAfter(blockNumber) {
+    for (const n of await this.chainBlockNumbers()) {
+      if (n > blockNumber) await fs.rm(path.join(this.chainDir(), `block-${n}.json`), { force: true });
+    }
+  }
+
+  async saveChainCursor(json) {
+    await writeJsonAtomic(path.join(this.chainDir(), 'cursor.json'), json);
+  }
+
+  async loadChainCursor() {
+    try {
+      return await fs.readFile(path.join(this.chainDir(), 'cursor.json'), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  txDir() {
+    return path.join(this.dir, 'transactions');
+  }
+
+  async saveTx(txId, json) {
+    await writeJsonAtomic(path.join(this.txDir(), `${txId}.json`), json);
+  }
+
+  async loadTxs() {
+    const files = await readJsonDir(this.txDir(), /^[0-9a-z]+-\d+\.json$/);
+    return files.map(({ json }) => json);
+  }
+
+  async removeTx(txId) {
+    await fs.rm(path.join(this.txDir(), `${txId}.json`), { force: true });
+  }
+}
+
+/**
+ * Snapshots in a single Redis hash. Works with node-redis v4 (hSet/hGetAll/hDel)
+ * and ioredis (hset/hgetall/hdel) clients.
+ */
+class RedisStateStore {
+  constructor({ client, key = 'agent-poker:games', ready = Promise.resolve() }) {
+    this.client = client;
+    this.key = key;
+    this.ready = ready;
+  }
+
+  async command(camel, lower, ...args) {
+    await this.ready;
+    const fn = this.client[camel] || this.client[lower];
+    return fn.call(this.client, this.key, ...args);
+  }
+
+  async save(gameId, json) {
+    await this.command('hSet', 'hset', String(gameId), json);
+  }
+
+  async loadAll() {
+    const all = await this.command('hGetAll', 'hgetall') || {};
+    return Object.entries(all).map(([gameId, json]) => ({ gameId: Number(gameId), json }));
+  }
+
+  async remove(gameId) {
+    await this.command('hDel', 'hdel', String(gameId));
+  }
+
+  async handCommand(gameId, camel, lower, ...args) {
+    await this.ready;
+    const fn = this.client[camel] || this.client[lower];
+    return fn.call(this.client, `${this.key}:hands:${gameId}`, ...args);
+  }
+
+  async tournamentCommand(camel, lower, ...args) {
+    await this.ready;
+    const fn = this.client[camel] || this.client[lower];
+    return fn.call(this.client, `${this.key}:tournaments`, ...args);
+  }
+
+  async saveHand(gameId, handNumber, json) {
+    await this.handCommand(gameId, 'hSet', 'hset', String(handNumber), json);
+  }
+
+  async loadHands(gameId) {
+    const all = await this.handCommand(gameId, 'hGetAll', 'hgetall') || {};
+    return Object.entries(all)
+      .sort(([a], [b]) => Number(a) - Number(b))
+      .map(([, json]) => json);
+  }
+
+  async loadHand(gameId, handNumber) {
+    return (await this.handCommand(gameId, 'hGet', 'hget', String(handNumber))) ?? null;
+  }
+
+  async saveTournament(tournamentId, json) {
+    await this.tournamentCommand('hSet', 'hset', String(tournamentId), json);
+  }
+
+  async loadTournaments() {
+    return Object.values(await this.tournamentCommand('hGetAll', 'hgetall') || {});
+  }
+
+  async appendSettlement(gameId, json) {
+    await this.ready;
+    const fn = this.client.rPush || this.client.rpush;
+    await fn.call(this.client, `${this.key}:settlements:${gameId}`, json);
+  }
+
+  async loadSettlements(gameId) {
+    await this.ready;
+    const fn = this.client.lRange || this.client.lrange;
+    return (await fn.call(this.client, `${this.key}:settlements:${gameId}`, 0, -1)) || [];
+  }
+
+  async appendTranscript(gameId, json) {
+    await this.ready;
+    const fn = this.client.rPush || this.client.rpush;
+    await fn.call(this.client, `${this.key}:transcripts:${gameId}`, json);
+  }
+
+  async loadTranscript(gameId) {
+    await this.ready;
+    const fn = this.client.lRange || this.client.lrange;
+    return (await fn.call(this.client, `${this.key}:transcripts:${gameId}`, 0, -1)) || [];
+  }
+
+  async playerCommand(camel, lower, ...args) {
+    await this.ready;
+    const fn = this.client[camel] || this.client[lower];
+    return fn.call(this.client, `${this.key}:players`, ...args);
+  }
+
+  async savePlayerStats(address, json) {
+    await this.playerCommand('hSet', 'hset', address, json);
+  }
+
+  async loadPlayerStats() {
+    return Object.values(await this.playerCommand('hGetAll', 'hgetall') || {});
+  }
+
+  // Blocks in one hash keyed by block number, the cursor in another
+  async chainCommand(name, camel, lower, ...args) {
+    await this.ready;
+    const fn = this.client[camel] || this.client[lower];
+    return fn.call(this.client, `${this.key}:chain:${name}`, ...args);
+  }
+
+  async saveChainBlock(blockNumber, json) {
+    await this.chainCommand('blocks', 'hSet', 'hset', String(blockNumber), json);
+  }
+
+  async loadChainBlocks() {
+    const all = await this.chainCommand('blocks', 'hGetAll', 'hgetall') || {};
+    return Object.entries(all)
+      .sort(([a], [b]) => Number(a) - Number(b))
+      .map(([, json]) => json);
+  }
+
+  async removeChainBlocksAfter(blockNumber) {
+    const numbers = (await this.chainCommand('blocks', 'hKeys', 'hkeys') || []).filter(n => Number(n) > blockNumber);
+    if (numbers.length > 0) await this.chainCommand('blocks', 'hDel', 'hdel', ...numbers);
+  }
+
+  async saveChainCursor(json) {
+    await this.chainCommand('index', 'hSet', 'hset', 'cursor', json);
+  }
+
+  async loadChainCursor() {
+    return (await this.chainCommand('index', 'hGet', 'hget', 'cursor')) ?? null;
+  }
+
+  async txCommand(camel, lower, ...args) {
+    await this.ready;
+    const fn = this.client[camel] || this.client[lower];
+    return fn.call(this.client, `${this.key}:transactions`, ...args);
+  }
+
+  async saveTx(txId, json) {
+    await this.txCommand('hSet', 'hset', txId, json);
+  }
+
+  async loadTxs() {
+    return Object.values(await this.txCommand('hGetAll', 'hgetall') || {});
+  }
+
+  async removeTx(txId) {
+    await this.txCommand('hDel', 'hdel', txId);
+  }
+}
+
+/**
+ * Process-local store, for tests and throwaway servers
+ */
+class MemoryStateStore {
+  constructor() {
+    this.snapshots = new Map();
+    this.hands = new Map(); // gameId -> Map(handNumber -> json)
+    this.tournaments = new Map();
+    this.settlements = new Map(); // gameId -> [json]
+    this.transcripts = new Map(); // gameId -> [json]
+    this.playerStats = new Map(); // address -> json
+    this.chainBlocks = new Map(); // blockNumber -> json
+    this.chainCursor = null;
+    this.txs = new Map(); // txId -> json
+  }
+
+  async save(gameId, json) {
+    this.snapshots.set(gameId, json);
+  }
+
+  async loadAll() {
+    return [...this.snapshots].map(([gameId, json]) => ({ gameId, json }));
+  }
+
+  async remove(gameId) {
+    this.snapshots.delete(gameId);
+  }
+
+  async saveHand(gameId, handNumber, json) {
+    if (!this.hands.has(gameId)) this.hands.set(gameId, new Map());
+    this.hands.get(gameId).set(handNumber, json);
+  }
+
+  async loadHands(gameId) {
+    const hands = this.hands.get(gameId) || new Map();
+    return [...hands.keys()].sort((a, b) => a - b).map(n => hands.get(n));
+  }
+
+  async loadHand(gameId, handNumber) {
+    const hands = this.hands.get(gameId);
+    return (hands && hands.get(handNumber)) || null;
+  }
+
+  async saveTournament(tournamentId, json) {
+    this.tournaments.set(tournamentId, json);
+  }
+
+  async loadTournaments() {
+    return [...this.tournaments.values()];
+  }
+
+  async appendSettlement(gameId, json) {
+    if (!this.settlements.has(gameId)) this.settlements.set(gameId, []);
+    this.settlements.get(gameId).push(json);
+  }
+
+  async loadSettlements(gameId) {
+    return (this.settlements.get(gameId) || []).slice();
+  }
+
+  async appendTranscript(gameId, json) {
+    if (!this.transcripts.has(gameId)) this.transcripts.set(gameId, []);
+    this.transcripts.get(gameId).push(json);
+  }
+
+  async loadTranscript(gameId) {
+    return (this.transcripts.get(gameId) || []).slice();
+  }
+
+  async savePlayerStats(address, json) {
+    this.playerStats.set(address, json);
+  }
+
+  async loadPlayerStats() {
+    return [...this.playerStats.values()];
+  }
+
+  async saveChainBlock(blockNumber, json) {
+    this.chainBlocks.set(blockNumber, json);
+  }
+
+  async loadChainBlocks() {
+    return [...this.chainBlocks.keys()].sort((a, b) => a - b).map(n => this.chainBlocks.get(n));
+  }
+
+  async removeChainBlocksAfter(blockNumber) {
+    for (const n of this.chainBlocks.keys()) {
+      if (n > blockNumber) this.chainBlocks.delete(n);
+    }
+  }
+
+  async saveChainCursor(json) {
+    this.chainCursor = json;
+  }
+
+  async loadChainCursor() {
+    return this.chainCursor;
+  }
+
+  async saveTx(txId, json) {
+    this.txs.set(txId, json);
+  }
+
+  async loadTxs() {
+    return [...this.txs.values()];
+  }
+
+  async removeTx(txId) {
+    this.txs.delete(txId);
+  }
+}
+
+/**
+ * Pick a store from the environment:
+ *   STATE_STORE=file (default, STATE_DIR=./data) | redis (REDIS_URL) | memory
+ */
+function createStateStore(env = process.env) {
+  switch (env.STATE_STORE || 'file') {
+    case 'memory':
+      return new MemoryStateStore();
+
+    case 'redis': {
+      // Optional dependency - `npm install redis` to use this store
+      const { createClient } = require('redis');
+      const client = createClient({ url: env.REDIS_URL });
+      client.on('error', error => console.error('Redis error:', error));
+      return new RedisStateStore({ client, ready: client.connect() });
+    }
+
+    case 'file':
+      return new FileStateStore({ dir: env.STATE_DIR || path.join(__dirname, 'data') });
+
+    default:
+      throw new Error(`Unknown STATE_STORE: ${env.STATE_STORE}`);
+  }
+}
+
+module.exports = {
+  FileStateStore,
+  RedisStateStore,
+  MemoryStateStore,
+  createStateStore
+};
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { ACTION_CODES, encodeAction, decodeAction, verifyTranscript } = require('../action-transcript');
+const { startTestServer, loadServer } = require('./helpers');
+
+let t;
+test.before(async () => { t = await startTestServer(); });
+test.after(() => t.close());
+
+const { chain, gameStates, txQueue } = loadServer();
+
+// Play one hand to a fold, then the first player cashes out so the table settles
+async function playAndClose(players) {
+  const gameId = await t.createTable(players);
+  const gameState = gameStates.get(gameId);
+  const turn = () => players.find(p => p.address === gameState.currentTurn);
+
+  await t.start(gameId);
+  await t.act(gameId, turn(), 'call');
+  await t.act(gameId, turn(), 'check');
+  await t.act(gameId, turn(), 'bet', 4);
+  await t.act(gameId, turn(), 'raise', 12);
+  await t.act(gameId, turn(), 'fold');
+  await t.api('POST', `/api/games/${gameId}/leave`, null, players[0].token);
+  assert.equal(gameState.phase, 'finished');
+  await txQueue.idle();
+  return gameId;
+}
+
+test('actions have one uint8 code each', () => {
+  assert.deepEqual(Object.values(ACTION_CODES), [0, 1, 2, 3, 4, 5]);
+  assert.equal(encodeAction('all-in'), 5);
+  assert.equal(decodeAction(2), 'call');
+  assert.equal(decodeAction(9), null);
+  assert.throws(() => encodeAction('muck'), /Unknown action/);
+});
+
+test('every hash chains onto the last and the transcript checks out on-chain', async () => {
+  const [alice, bob] = await Promise.all([t.signIn('alice'), t.signIn('bob')]);
+  const gameId = await playAndClose([alice, bob]);
+
+  const { body } = await t.api('GET', `/api/games/${gameId}/transcript`);
+  const { entries } = body;
+  assert.deepEqual(entries.map(e => e.type), ['start', 'action', 'action', 'action', 'action', 'action', 'finish']);
+  assert.deepEqual(entries.map(e => e.action).filter(Boolean), ['call', 'check', 'bet', 'raise', 'fold']);
+  assert.equal(body.head, entries.at(-1).hash);
+  entries.slice(1).forEach((entry, i) => assert.equal(entry.prevHash, entries[i].hash));
+  assert.deepEqual(entries[2].state.board, []);
+  assert.equal(entries[3].state.board.length, 3);
+
+  // The contract gets the canonical code and the same hashes
+  const submitted = chain.callsFor('submitAction').filter(c => c.args[0] === gameId);
+  assert.ok(submitted.every(c => Number.isInteger(c.args[2])));
+  assert.ok(submitted.every(c => entries.some(e => e.hash === c.args[4])));
+  assert.equal(chain.callsFor('finishGame').find(c => c.args[0] === gameId).args[2], entries.at(-1).hash);
+  assert.ok(entries.slice(1, -1).every(e => ['confirmed', 'superseded'].includes(e.tx.status)));
+
+  const verified = await t.api('GET', `/api/games/${gameId}/transcript/verify`);
+  const { verification } = verified.body;
+  assert.equal(verification.valid, true, verification.errors.join('; '));
+  assert.equal(verification.entries, 7);
+  // start, finish and every action that wasn't coalesced away
+  assert.equal(verification.anchored, submitted.length + 2);
+});
+
+test('tampered entries and stray on-chain actions fail verification', async () => {
+  const [alice, bob] = await Promise.all([t.signIn('alice'), t.signIn('bob')]);
+  const gameId = await playAndClose([alice, bob]);
+  const { entries } = (await t.api('GET', `/api/games/${gameId}/transcript`)).body;
+  const { indexer } = loadServer();
+  await indexer.runOnce();
+  const events = indexer.gameEvents(gameId);
+
+  const edited = structuredClone(entries);
+  edited[2].state.pot += 10;
+  assert.deepEqual(verifyTranscript(edited, events).errors, ['Entry 2 hash does not match its contents']);
+
+  const dropped = entries.filter(e => e.index !== 3);
+  assert.equal(verifyTranscript(dropped, events).valid, false);
+
+  await chain.submitAction(gameId, alice.address, 0, 0, ethers.id('not on the transcript'));
+  const verified = await t.api('GET', `/api/games/${gameId}/transcript/verify`);
+  assert.equal(verified.body.verification.valid, false);
+  assert.match(verified.body.verification.errors[0], /^ActionSubmitted in block \d+ is not on the transcript$/);
+
+  assert.equal((await t.api('GET', '/api/games/999/transcript')).body.code, 'GAME_NOT_FOUND');
+});
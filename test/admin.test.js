@@ -0,0 +1,123 @@
+process.env.ADMIN_TOKEN = 'admin-test-admin';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { Histogram, metric, formatMetrics } = require('../metrics');
+const { startTestServer, loadServer } = require('./helpers');
+
+let t;
+test.before(async () => { t = await startTestServer(); });
+test.after(() => t.close());
+
+const { chain, gameStates } = loadServer();
+const ADMIN = 'admin-test-admin';
+
+test('operators pause, resume and list tables, remove players and force-end a hand', async () => {
+  const players = await Promise.all(['alice', 'bob', 'carol'].map(name => t.signIn(name)));
+  const gameId = await t.createTable(players);
+  await t.start(gameId);
+  const gameState = gameStates.get(gameId);
+  const turn = players.find(p => p.address === gameState.currentTurn);
+  const other = players.find(p => p !== turn);
+
+  assert.equal((await t.api('POST', `/api/admin/games/${gameId}/pause`, {}, turn.token)).status, 401);
+  const paused = await t.api('POST', `/api/admin/games/${gameId}/pause`, { reason: 'Investigating' }, ADMIN);
+  assert.equal(paused.body.paused.reason, 'Investigating');
+  assert.equal(gameState.turnDeadline, null);
+  assert.equal((await t.act(gameId, turn, 'fold')).body.code, 'TABLE_PAUSED');
+
+  const listed = (await t.api('GET', '/api/admin/games', null, ADMIN)).body.games.find(g => g.gameId === gameId);
+  assert.equal(listed.paused.reason, 'Investigating');
+  assert.deepEqual([listed.pot, listed.currentTurn, listed.players.length], [3, turn.address, 3]);
+
+  const resumed = await t.api('POST', `/api/admin/games/${gameId}/resume`, {}, ADMIN);
+  assert.equal(resumed.body.currentTurn, turn.address);
+  assert.ok(resumed.body.turnDeadline > Date.now());
+  assert.equal((await t.api('POST', `/api/admin/games/${gameId}/resume`, {}, ADMIN)).body.code, 'GAME_STATE_CONFLICT');
+
+  // Folded out of turn: the turn stays put and they leave when the hand ends
+  const removed = await t.api('DELETE', `/api/admin/games/${gameId}/players/${other.address}`, null, ADMIN);
+  assert.equal(removed.body.pending, true);
+  assert.equal(gameState.currentTurn, turn.address);
+  assert.equal(gameState.players.find(p => p.address === other.address).hasFolded, true);
+
+  // The blinds go back and the table settles from there
+  const ended = await t.api('POST', `/api/admin/games/${gameId}/end`, { reason: 'Bad deal' }, ADMIN);
+  assert.deepEqual([ended.body.voidedHand, gameState.phase, gameState.pot], [1, 'finished', 0]);
+  assert.deepEqual(gameState.players.map(p => p.chips), [100, 100, 100]);
+  assert.equal((await t.api('POST', `/api/admin/games/${gameId}/end`, {}, ADMIN)).body.code, 'GAME_FINISHED');
+  assert.equal(
+    (await t.api('DELETE', `/api/admin/games/${gameId}/players/${ethers.ZeroAddress}`, null, ADMIN)).body.code,
+    'GAME_FINISHED'
+  );
+});
+
+test('metrics are Prometheus text and health reports the chain and wallet', async () => {
+  const latency = new Histogram([0.1, 1]);
+  latency.observe(0.05);
+  latency.observe(0.5);
+  assert.equal(formatMetrics([
+    metric('counter', 'x_total', 'Xs', [{ labels: { method: 'a"b' }, value: 2 }]),
+    metric('gauge', 'unknown', 'Skipped', null),
+    metric('histogram', 'latency_seconds', 'Latency', latency)
+  ]), [
+    '# HELP x_total Xs',
+    '# TYPE x_total counter',
+    'x_total{method="a\\"b"} 2',
+    '# HELP latency_seconds Latency',
+    '# TYPE latency_seconds histogram',
+    'latency_seconds_bucket{le="0.1"} 1',
+    'latency_seconds_bucket{le="1"} 2',
+    'latency_seconds_bucket{le="+Inf"} 2',
+    'latency_seconds_sum 0.55',
+    'latency_seconds_count 2',
+    ''
+  ].join('\n'));
+
+  const res = await fetch(`${t.base}/metrics`);
+  assert.match(res.headers.get('content-type'), /^text\/plain/);
+  const text = await res.text();
+  assert.match(text, /^poker_chain_up 1$/m);
+  assert.match(text, /^poker_server_wallet_eth \d/m);
+  assert.match(text, /^poker_action_latency_seconds_count [1-9]/m);
+  assert.match(text, /^poker_chain_transactions_total\{method="startGame",status="confirmed"\} [1-9]/m);
+  assert.match(text, /^poker_faucet_mints_total 0$/m);
+
+  const healthy = await t.api('GET', '/health');
+  assert.equal(healthy.status, 200);
+  assert.deepEqual([healthy.body.status, healthy.body.chain.connected, healthy.body.wallet.funded], ['ok', true, true]);
+
+  const gasBalance = chain.gasBalance;
+  chain.gasBalance = 0;
+  try {
+    const degraded = await t.api('GET', '/health');
+    assert.deepEqual([degraded.status, degraded.body.status, degraded.body.wallet.ethBalance], [503, 'degraded', 0]);
+  } finally {
+    chain.gasBalance = gasBalance;
+  }
+});
+
+test('the game server key rotates to the configured next key', async () => {
+  const next = ethers.Wallet.createRandom();
+  const unset = await t.api('POST', '/api/admin/server-key', { address: next.address }, ADMIN);
+  assert.equal(unset.body.code, 'VALIDATION_ERROR');
+  assert.match(unset.body.error, /SERVER_NEXT_PRIVATE_KEY/);
+
+  // Keys are configured, never sent: a key in the body is dropped unread
+  chain.nextWallet = next;
+  const other = await t.api('POST', '/api/admin/server-key', { address: ethers.Wallet.createRandom().address }, ADMIN);
+  assert.equal(other.body.code, 'VALIDATION_ERROR');
+  assert.equal((await t.api('POST', '/api/admin/server-key', { privateKey: next.privateKey }, ADMIN)).body.code, 'VALIDATION_ERROR');
+  assert.equal(chain.callsFor('setGameServer').length, 0);
+
+  const previous = chain.serverAddress;
+  const rotated = await t.api('POST', '/api/admin/server-key', { address: next.address, fundEth: 0.5 }, ADMIN);
+  assert.deepEqual([rotated.body.previous, rotated.body.gameServer], [previous, next.address]);
+  assert.equal(chain.serverAddress, next.address);
+  assert.equal(chain.nextServerAddress, null);
+  assert.deepEqual(chain.callsFor('setGameServer').map(c => c.args), [[next.address]]);
+  assert.ok(!JSON.stringify(rotated.body).includes(next.privateKey.slice(2)));
+
+  assert.equal((await t.api('GET', '/health')).body.wallet.address, next.address);
+});
@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { ROUTES, checkRequest } = require('../api-schema');
+const { ApiError, ERROR_CODES, chainError } = require('../api-errors');
+const { startTestServer, loadServer } = require('./helpers');
+
+let t;
+test.before(async () => { t = await startTestServer(); });
+test.after(() => t.close());
+
+// An ethers v6 revert, as contract calls throw them
+function revert(reason, revertInfo = null) {
+  return ethers.makeError(`execution reverted: ${reason}`, 'CALL_EXCEPTION', {
+    action: 'sendTransaction', data: null, reason, revert: revertInfo, transaction: {}, invocation: null
+  });
+}
+
+test('requests are coerced, defaulted and stripped to their schema', () => {
+  const hands = checkRequest(ROUTES['GET /api/games/:id/hands'], { params: { id: '7' }, query: {} });
+  assert.deepEqual(hands.input, { params: { id: 7 }, query: { format: 'json' }, body: {} });
+
+  const address = ethers.Wallet.createRandom().address;
+  const claims = checkRequest(ROUTES['GET /api/faucet/claims'], { query: { address: address.toLowerCase(), limit: '5' } });
+  assert.deepEqual(claims.input.query, { address, limit: 5 });
+
+  const action = checkRequest(ROUTES['POST /api/games/:id/action'], {
+    params: { id: '1' },
+    body: { action: 'raise', amount: '12', playerAddress: '0xspoofed' }
+  });
+  assert.deepEqual(action.input.body, { action: 'raise', amount: 12 });
+
+  const { errors } = checkRequest(ROUTES['POST /api/games'], { body: { bigBlind: 2, maxPlayers: 11 } });
+  assert.deepEqual(errors.map(e => `${e.in} ${e.path} ${e.message}`), [
+    'body smallBlind is required',
+    'body minBuyIn is required',
+    'body maxBuyIn is required',
+    'body maxPlayers must be at most 10'
+  ]);
+
+  const badChecksum = address.slice(0, 2) + [...address.slice(2)].map(c => (c === c.toUpperCase() ? c.toLowerCase() : c.toUpperCase())).join('');
+  const auth = checkRequest(ROUTES['POST /api/auth/challenge'], { body: { address: badChecksum } });
+  assert.equal(auth.errors[0].message, 'has an invalid checksum');
+});
+
+test('bad input is a 400 with a code and every problem listed, never a crash', async () => {
+  const alice = await t.signIn('alice');
+
+  const missing = await t.api('POST', '/api/games', { bigBlind: 2, minBuyIn: 20, maxBuyIn: 200, maxPlayers: 6 }, alice.token);
+  assert.equal(missing.status, 400);
+  assert.equal(missing.body.code, 'VALIDATION_ERROR');
+  assert.equal(missing.body.error, 'smallBlind is required');
+  assert.deepEqual(missing.body.details, [{ in: 'body', path: 'smallBlind', message: 'is required' }]);
+
+  const inverted = await t.api('POST', '/api/games', { smallBlind: 5, bigBlind: 2, minBuyIn: 20, maxBuyIn: 200, maxPlayers: 6 }, alice.token);
+  assert.equal(inverted.body.error, 'bigBlind must be at least smallBlind');
+
+  const badId = await t.api('GET', '/api/games/abc');
+  assert.equal(badId.status, 400);
+  assert.deepEqual(badId.body.details, [{ in: 'params', path: 'id', message: 'must be an integer' }]);
+
+  assert.equal((await t.api('POST', '/api/auth/challenge', {})).body.error, 'address is required');
+  assert.equal((await t.api('GET', '/api/games/999')).body.code, 'GAME_NOT_FOUND');
+  assert.equal((await t.api('GET', '/api/nope')).body.code, 'NOT_FOUND');
+  assert.equal((await t.api('GET', '/api/games/1/state')).body.code, 'UNAUTHORIZED');
+
+  const res = await fetch(`${t.base}/api/games`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', authorization: `Bearer ${alice.token}` },
+    body: '{"smallBlind": 1,'
+  });
+  assert.equal(res.status, 400);
+  assert.equal((await res.json()).code, 'INVALID_JSON');
+});
+
+test('game rule failures carry their own codes', async () => {
+  const [alice, bob, carol] = await Promise.all(['alice', 'bob', 'carol'].map(name => t.signIn(name)));
+  const gameId = await t.createTable([alice, bob], { maxPlayers: 2 });
+
+  assert.equal((await t.join(gameId, carol)).body.code, 'GAME_FULL');
+  assert.equal((await t.join(gameId, bob)).body.code, 'GAME_FULL');
+  assert.equal((await t.act(gameId, alice, 'check')).body.code, 'NO_HAND_IN_PROGRESS');
+
+  await t.start(gameId);
+  assert.equal((await t.start(gameId)).body.code, 'HAND_IN_PROGRESS');
+  assert.equal((await t.act(gameId, bob, 'call')).body.code, 'NOT_YOUR_TURN');
+  assert.equal((await t.act(gameId, carol, 'call')).body.code, 'NOT_YOUR_TURN');
+
+  const raise = await t.act(gameId, alice, 'raise', 3);
+  assert.equal(raise.status, 400);
+  assert.equal(raise.body.code, 'INVALID_RAISE');
+  assert.equal((await t.act(gameId, alice, 'check')).body.code, 'INVALID_ACTION');
+  assert.equal((await t.act(gameId, alice, 'shove')).body.code, 'VALIDATION_ERROR');
+  assert.equal((await t.act(gameId, alice, 'call')).status, 200);
+});
+
+test('contract reverts become 4xx answers and other failures hide their details', async () => {
+  const { chain } = loadServer();
+  const alice = await t.signIn('alice');
+  const table = { smallBlind: 1, bigBlind: 2, minBuyIn: 20, maxBuyIn: 200, maxPlayers: 6 };
+
+  chain.failNext('createGame', revert('Too many active games'));
+  const busy = await t.api('POST', '/api/games', table, alice.token);
+  assert.equal(busy.status, 429);
+  assert.equal(busy.body.code, 'TOO_MANY_GAMES');
+
+  chain.failNext('createGame', revert(null, { name: 'OwnableUnauthorizedAccount', args: [] }));
+  const unauthorized = await t.api('POST', '/api/games', table, alice.token);
+  assert.equal(unauthorized.status, 503);
+  assert.equal(unauthorized.body.code, 'CHAIN_UNAUTHORIZED');
+
+  chain.failNext('createGame', new Error('could not coalesce error (rpc key 0xsecret)'));
+  const failed = await t.api('POST', '/api/games', table, alice.token);
+  assert.equal(failed.status, 500);
+  assert.deepEqual(failed.body, { success: false, error: 'Internal server error', code: 'INTERNAL_ERROR' });
+
+  assert.equal(chainError(revert('Some new require')).code, 'CONTRACT_REVERTED');
+  assert.equal(chainError(ethers.makeError('insufficient funds', 'INSUFFICIENT_FUNDS', {})).status, 503);
+  assert.equal(chainError(new Error('plain')), null);
+  assert.throws(() => new ApiError('NO_SUCH_CODE', 'x'), /Unknown error code/);
+});
+
+test('the OpenAPI document is generated from the route schemas', async () => {
+  const { status, body } = await t.api('GET', '/api/openapi.json');
+  assert.equal(status, 200);
+  assert.equal(body.openapi, '3.1.0');
+  assert.equal(Object.values(body.paths).reduce((n, ops) => n + Object.keys(ops).length, 0), Object.keys(ROUTES).length);
+
+  const action = body.paths['/api/games/{id}/action'].post;
+  assert.deepEqual(action.security, [{ session: [] }]);
+  assert.deepEqual(action.parameters.map(p => [p.name, p.in, p.schema.type]), [['id', 'path', 'integer']]);
+  const schema = action.requestBody.content['application/json'].schema;
+  assert.deepEqual(schema.required, ['action']);
+  assert.deepEqual(schema.properties.amount.type, ['number', 'null']);
+
+  assert.deepEqual(body.paths['/api/faucet/claims'].get.security, [{ adminToken: [] }]);
+  assert.deepEqual(body.components.schemas.Error.properties.code.enum, Object.keys(ERROR_CODES));
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { SessionAuth } = require('../auth');
+const { startTestServer } = require('./helpers');
+
+let t;
+test.before(async () => { t = await startTestServer(); });
+test.after(() => t.close());
+
+test('signs in with a personal_sign signature', async () => {
+  const wallet = ethers.Wallet.createRandom();
+  const challenge = await t.api('POST', '/api/auth/challenge', { address: wallet.address });
+  assert.match(challenge.body.message, new RegExp(`Nonce: ${challenge.body.nonce}`));
+
+  const signature = await wallet.signMessage(challenge.body.message);
+  const verified = await t.api('POST', '/api/auth/verify', { address: wallet.address, signature });
+  assert.equal(verified.status, 200);
+  assert.equal(verified.body.address, wallet.address);
+  assert.ok(verified.body.token);
+
+  // Challenges are single use
+  const replay = await t.api('POST', '/api/auth/verify', { address: wallet.address, signature });
+  assert.equal(replay.status, 401);
+});
+
+test('signs in with EIP-712 typed data', async () => {
+  const wallet = ethers.Wallet.createRandom();
+  const { body } = await t.api('POST', '/api/auth/challenge', { address: wallet.address });
+  const { domain, types, message } = body.typedData;
+
+  const signature = await wallet.signTypedData(domain, types, message);
+  const verified = await t.api('POST', '/api/auth/verify', { address: wallet.address, signature, signatureType: 'eip712' });
+  assert.equal(verified.status, 200);
+});
+
+test('rejects a signature from another wallet', async () => {
+  const wallet = ethers.Wallet.createRandom();
+  const impostor = ethers.Wallet.createRandom();
+  const { body } = await t.api('POST', '/api/auth/challenge', { address: wallet.address });
+
+  const signature = await impostor.signMessage(body.message);
+  const verified = await t.api('POST', '/api/auth/verify', { address: wallet.address, signature });
+  assert.equal(verified.status, 401);
+});
+
+test('logout revokes the session', async () => {
+  const player = await t.signIn('alice');
+  assert.equal((await t.api('POST', '/api/auth/logout', null, player.token)).status, 200);
+  assert.equal((await t.api('GET', '/api/games/1/state', null, player.token)).status, 401);
+});
+
+test('several challenges per address stay valid and issuing is rate limited', () => {
+  const wallet = ethers.Wallet.createRandom();
+  const auth = new SessionAuth({ sessions: new Map(), maxChallenges: 4, ipLimit: 3 });
+
+  // Someone else asking for challenges for the same address voids nothing
+  const mine = auth.createChallenge(wallet.address, { ip: '10.0.0.1' });
+  auth.createChallenge(wallet.address, { ip: '10.0.0.2' });
+  auth.createChallenge(wallet.address, { ip: '10.0.0.2' });
+  const signature = wallet.signMessageSync(mine.message);
+  assert.ok(auth.verifyChallenge(wallet.address, signature, 'personal', mine.nonce).token);
+  assert.throws(() => auth.verifyChallenge(wallet.address, signature, 'personal', mine.nonce), /No active challenge/);
+
+  // Without a nonce every outstanding challenge is tried
+  const other = auth.createChallenge(wallet.address, { ip: '10.0.0.1' });
+  assert.ok(auth.verifyChallenge(wallet.address, wallet.signMessageSync(other.message)).token);
+
+  auth.createChallenge(wallet.address, { ip: '10.0.0.2' });
+  assert.throws(() => auth.createChallenge(wallet.address, { ip: '10.0.0.2' }), err => err.code === 'RATE_LIMITED' && /this IP/.test(err.message));
+
+  // Outstanding challenges are never evicted; past the cap new ones are refused
+  auth.createChallenge(wallet.address, { ip: '10.0.0.3' });
+  assert.throws(() => auth.createChallenge(wallet.address, { ip: '10.0.0.4' }), err => err.code === 'RATE_LIMITED');
+  assert.equal(auth.challenges.size, 4);
+
+  // Expired ones make room
+  for (const challenge of auth.challenges.values()) challenge.expiresAt = Date.now() - 1;
+  auth.createChallenge(wallet.address, { ip: '10.0.0.4' });
+  assert.equal(auth.challenges.size, 1);
+});
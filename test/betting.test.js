@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  ActionError,
+  MAX_LIMIT_BETS,
+  startStreet,
+  getBettingLimits,
+  applyAction,
+  getAvailableActions,
+  isBettingRoundComplete
+} = require('../betting');
+
+function table(stacks, bettingStructure) {
+  const gameState = {
+    bettingStructure,
+    bigBlind: 10,
+    pot: 0,
+    players: stacks.map((chips, i) => ({
+      address: `p${i}`,
+      chips,
+      currentBet: 0,
+      totalBet: 0,
+      hasFolded: false,
+      isAllIn: false
+    }))
+  };
+  startStreet(gameState);
+  return gameState;
+}
+
+function act(gameState, index, action, amount) {
+  const player = gameState.players[index];
+  gameState.currentTurn = player.address;
+  return applyAction(gameState, player, action, amount);
+}
+
+test('checking does not end the round until everyone has acted', () => {
+  const gameState = table([100, 100, 100]);
+  act(gameState, 0, 'check');
+  assert.equal(isBettingRoundComplete(gameState), false);
+  act(gameState, 1, 'check');
+  assert.equal(isBettingRoundComplete(gameState), false);
+  act(gameState, 2, 'check');
+  assert.equal(isBettingRoundComplete(gameState), true);
+});
+
+test('minimum raise is the size of the last raise', () => {
+  const gameState = table([1000, 1000, 1000]);
+  act(gameState, 0, 'bet', 20);
+  act(gameState, 1, 'raise', 50); // raise of 30
+
+  assert.throws(() => act(gameState, 2, 'raise', 70), /minimum is 80/);
+  act(gameState, 2, 'raise', 80);
+  assert.equal(gameState.currentBet, 80);
+});
+
+test('bet and raise are distinct actions', () => {
+  const gameState = table([100, 100]);
+  assert.throws(() => act(gameState, 0, 'raise', 20), ActionError);
+  act(gameState, 0, 'bet', 20);
+  assert.throws(() => act(gameState, 1, 'bet', 40), ActionError);
+});
+
+test('a short all-in does not reopen raising', () => {
+  const gameState = table([1000, 1000, 25]);
+  act(gameState, 0, 'bet', 20);
+  act(gameState, 1, 'call');
+  act(gameState, 2, 'all-in'); // 25 total, a raise of only 5
+
+  gameState.currentTurn = 'p0';
+  assert.deepEqual(getAvailableActions(gameState, gameState.players[0]), ['fold', 'call']);
+  assert.throws(() => act(gameState, 0, 'raise', 60), /not open/);
+
+  act(gameState, 0, 'call');
+  act(gameState, 1, 'call');
+  assert.equal(isBettingRoundComplete(gameState), true);
+});
+
+test('a full all-in raise reopens raising', () => {
+  const gameState = table([1000, 1000, 60]);
+  act(gameState, 0, 'bet', 20);
+  act(gameState, 1, 'call');
+  act(gameState, 2, 'all-in'); // raise of 40
+
+  gameState.currentTurn = 'p0';
+  assert.ok(getAvailableActions(gameState, gameState.players[0]).includes('raise'));
+});
+
+test('all-in players are skipped and never asked to act', () => {
+  const gameState = table([100, 30]);
+  act(gameState, 0, 'bet', 50);
+  act(gameState, 1, 'all-in');
+
+  assert.equal(gameState.players[1].isAllIn, true);
+  assert.deepEqual(getAvailableActions(gameState, gameState.players[1]), []);
+  assert.equal(isBettingRoundComplete(gameState), true);
+});
+
+test('pot-limit raises go up to the pot after calling', () => {
+  const gameState = table([1000, 1000, 1000], 'pot-limit');
+  gameState.pot = 30; // from earlier streets
+  assert.throws(() => act(gameState, 0, 'bet', 40), /maximum is 30/);
+  act(gameState, 0, 'bet', 20);
+  act(gameState, 1, 'call');
+
+  // Call 20 into 70, then raise by 90
+  gameState.currentTurn = 'p2';
+  assert.equal(getBettingLimits(gameState, gameState.players[2]).maxRaiseTo, 110);
+  assert.throws(() => act(gameState, 2, 'raise', 120), /maximum is 110/);
+  assert.throws(() => act(gameState, 2, 'all-in'), /over the limit, raise to 110/);
+  assert.ok(!getAvailableActions(gameState, gameState.players[2]).includes('all-in'));
+  act(gameState, 2, 'raise', 110);
+  assert.equal(gameState.pot, 180);
+});
+
+test('fixed-limit bets are one size and capped each street', () => {
+  const gameState = table([1000, 1000, 1000], 'fixed-limit');
+  act(gameState, 0, 'bet');
+  assert.equal(gameState.currentBet, 10);
+  assert.throws(() => act(gameState, 1, 'raise', 30), /maximum is 20/);
+  act(gameState, 1, 'raise');
+  act(gameState, 2, 'raise');
+  act(gameState, 0, 'raise');
+  assert.equal(gameState.bets, MAX_LIMIT_BETS);
+  assert.equal(gameState.currentBet, 40);
+
+  gameState.currentTurn = 'p1';
+  assert.deepEqual(getAvailableActions(gameState, gameState.players[1]), ['fold', 'call']);
+
+  // Double bets from the turn
+  gameState.phase = 'turn';
+  startStreet(gameState);
+  act(gameState, 0, 'bet');
+  assert.equal(gameState.currentBet, 20);
+});
+
+test('a fixed-limit all-in for less than a bet is allowed', () => {
+  const gameState = table([1000, 15], 'fixed-limit');
+  act(gameState, 0, 'bet');
+  gameState.currentTurn = 'p1';
+  assert.deepEqual(getAvailableActions(gameState, gameState.players[1]), ['fold', 'call', 'all-in']);
+  act(gameState, 1, 'all-in');
+  assert.equal(gameState.currentBet, 15);
+});
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ChipReconciler } = require('../chip-reconciler');
+const { startTestServer, loadServer } = require('./helpers');
+
+let t;
+test.before(async () => { t = await startTestServer(); });
+test.after(() => t.close());
+
+const { gameStates, chain, reconciler } = loadServer();
+
+async function players(...names) {
+  return Promise.all(names.map(name => t.signIn(name)));
+}
+
+test('concurrent joins during a slow RPC take one seat per buy-in and respect maxPlayers', async () => {
+  const [alice, bob, carol] = await players('alice', 'bob', 'carol');
+  const gameId = await t.createTable([alice], { maxPlayers: 2 });
+  const join = player => t.api('POST', `/api/games/${gameId}/join`, { playerName: player.name }, player.token);
+
+  const getPlayerInfo = chain.getPlayerInfo;
+  chain.getPlayerInfo = async (...args) => {
+    await new Promise(resolve => setTimeout(resolve, 50));
+    return getPlayerInfo.apply(chain, args);
+  };
+  try {
+    chain.joinGame(gameId, bob.address, 100);
+    const same = await Promise.all([join(bob), join(bob), join(bob)]);
+    assert.deepEqual(same.map(r => r.status).sort(), [200, 400, 400]);
+    assert.deepEqual(gameStates.get(gameId).players.map(p => p.chips), [100, 100]);
+
+    const other = await t.createTable([alice], { maxPlayers: 2 });
+    chain.joinGame(other, bob.address, 100);
+    chain.joinGame(other, carol.address, 100);
+    const racing = await Promise.all([bob, carol].map(p =>
+      t.api('POST', `/api/games/${other}/join`, { playerName: p.name }, p.token)));
+    assert.deepEqual(racing.map(r => r.body.code || 'seated').sort(), ['GAME_FULL', 'seated']);
+    assert.equal(gameStates.get(other).players.length, 2);
+  } finally {
+    chain.getPlayerInfo = getPlayerInfo;
+  }
+});
+
+test('join requires an on-chain buy-in and takes chips from it', async () => {
+  const [alice, bob] = await players('alice', 'bob');
+  const gameId = await t.createTable([alice]);
+
+  const unpaid = await t.api('POST', `/api/games/${gameId}/join`, { playerName: 'bob' }, bob.token);
+  assert.equal(unpaid.status, 402);
+  assert.match(unpaid.body.error, /joinGame/);
+
+  bob.buyIn = 150;
+  const joined = await t.join(gameId, bob);
+  assert.equal(joined.status, 200);
+  assert.equal(joined.body.chips, 150);
+  assert.ok(joined.body.txHash);
+
+  const game = gameStates.get(gameId);
+  assert.deepEqual(game.players.map(p => p.chips), [100, 150]);
+  assert.equal(game.buyIns[bob.address.toLowerCase()].amount, 150);
+});
+
+test('buy-ins outside the table range are refused', async () => {
+  const [alice, bob] = await players('alice', 'bob');
+  const gameId = await t.createTable([alice]);
+
+  bob.buyIn = 500;
+  const res = await t.join(gameId, bob);
+  assert.equal(res.status, 402);
+  assert.equal(res.body.error, 'Buy-in must be between 20 and 200');
+});
+
+test('a busted player cannot reuse their buy-in', async () => {
+  const [alice, bob, carol] = await players('alice', 'bob', 'carol');
+  carol.buyIn = 20;
+  const gameId = await t.createTable([alice, bob, carol]);
+  const game = gameStates.get(gameId);
+
+  await t.start(gameId);
+  game.players.find(p => p.address === carol.address).chips = 0;
+  game.players = game.players.filter(p => p.chips > 0);
+
+  const res = await t.api('POST', `/api/games/${gameId}/join`, { playerName: 'carol' }, carol.token);
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error, 'Buy-in already used at this table');
+});
+
+test('the reconciler flags drift between stacks and the contract', async () => {
+  const [alice, bob, carol] = await players('alice', 'bob', 'carol');
+  const gameId = await t.createTable([alice, bob]);
+  const game = gameStates.get(gameId);
+
+  await t.start(gameId);
+  let report = await reconciler.reconcileGame(game);
+  assert.deepEqual(report.drift, []);
+
+  // Chips appear from nowhere, and carol paid in without taking a seat
+  game.players[0].chips += 5;
+  chain.joinGame(gameId, carol.address, 50);
+  report = await reconciler.reconcileGame(game);
+
+  assert.deepEqual(report.drift.map(d => d.type).sort(), ['chipTotal', 'escrow', 'unseated']);
+  assert.deepEqual(report.drift.find(d => d.type === 'chipTotal'), { type: 'chipTotal', offChain: 205, expected: 200 });
+  assert.equal(report.drift.find(d => d.type === 'unseated').player, carol.address);
+
+  const view = await t.api('GET', `/api/games/${gameId}`);
+  assert.equal(view.body.game.reconciliation.drift.length, 3);
+});
+
+test('the reconciler ignores float dust in fractional stacks', async () => {
+  const player = '0x' + '11'.repeat(20);
+  const gameState = {
+    id: 1,
+    players: [{ address: player, chips: 0.1 }],
+    pot: 0.2,
+    cashedOut: 0,
+    buyIns: { [player]: { amount: 0.3 } }
+  };
+  const stub = {
+    getGameInfo: async () => ({ pot: 0.30000000000000004 }),
+    getGamePlayers: async () => [player],
+    getPlayerInfo: async () => ({ isActive: true, buyIn: 0.1 + 0.2 })
+  };
+  const report = await new ChipReconciler({ chain: stub, gameStates: new Map() }).reconcileGame(gameState);
+  assert.deepEqual(report.drift, []);
+});
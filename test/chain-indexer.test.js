@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { MemoryChainAdapter } = require('../chain-adapter');
+const { ChainIndexer } = require('../chain-indexer');
+const { FileStateStore, MemoryStateStore } = require('../state-store');
+const { startTestServer, loadServer } = require('./helpers');
+
+let t;
+test.before(async () => { t = await startTestServer(); });
+test.after(() => t.close());
+
+const alice = ethers.Wallet.createRandom().address;
+const bob = ethers.Wallet.createRandom().address;
+
+// A table played out on the memory contracts: created, joined, started, one action, settled
+async function playTable(chain) {
+  const { gameId } = await chain.createGame({ smallBlind: 1, bigBlind: 2, minBuyIn: 20, maxBuyIn: 200, maxPlayers: 6 });
+  chain.joinGame(gameId, alice, 100);
+  chain.joinGame(gameId, bob, 50);
+  await chain.startGame(gameId, ethers.ZeroHash);
+  await chain.submitAction(gameId, bob, 0, 0, ethers.ZeroHash);
+  await chain.finishGame(gameId, alice, ethers.ZeroHash);
+  await chain.settleGame(gameId);
+  return gameId;
+}
+
+const names = events => events.map(e => e.name);
+
+test('indexes game and token events in batches and resumes from the store', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'agent-poker-'));
+  const chain = new MemoryChainAdapter({ serverFeeRate: 0.1 });
+  const store = new FileStateStore({ dir });
+  const indexer = new ChainIndexer({ chain, store, batchBlocks: 3 });
+
+  const gameId = await playTable(chain);
+  chain.claimTokens(bob, 500);
+  const status = await indexer.runOnce();
+  assert.equal(status.indexedBlock, await chain.getBlockNumber());
+  assert.equal(status.lag, 0);
+
+  assert.deepEqual(names(indexer.gameEvents(gameId)), [
+    'GameCreated', 'PlayerJoined', 'PlayerJoined', 'GameStarted', 'ActionSubmitted', 'GameFinished', 'GameSettled'
+  ]);
+  assert.deepEqual(names(indexer.playerEvents(bob.toLowerCase())), [
+    'Transfer', 'PlayerJoined', 'GameStarted', 'ActionSubmitted', 'Transfer', 'TokensClaimed'
+  ]);
+  const settled = indexer.gameEvents(gameId).at(-1);
+  assert.deepEqual(settled.args, { gameId, winner: alice, winAmount: 135, serverFeeAmount: 15 });
+  assert.deepEqual(settled.players, [alice]);
+
+  // A fresh indexer over the same store picks up where this one stopped
+  const restarted = new ChainIndexer({ chain, store, batchBlocks: 3 });
+  await restarted.load();
+  assert.deepEqual(restarted.gameEvents(gameId), indexer.gameEvents(gameId));
+  assert.equal(restarted.status().indexedBlock, status.indexedBlock);
+
+  await chain.transfer(bob, 5);
+  await restarted.runOnce();
+  assert.deepEqual(names(restarted.playerEvents(bob)).slice(-2), ['TokensClaimed', 'Transfer']);
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('drops events from orphaned blocks after a reorg', async () => {
+  const chain = new MemoryChainAdapter();
+  const store = new MemoryStateStore();
+  const indexer = new ChainIndexer({ chain, store });
+
+  const gameId = await playTable(chain);
+  await indexer.runOnce();
+
+  // settleGame and finishGame are orphaned; the replacement fork refunds instead
+  chain.reorg(2);
+  await chain.emergencyRefund(gameId);
+  const status = await indexer.runOnce();
+  assert.equal(status.reorgs, 1);
+  assert.deepEqual(names(indexer.gameEvents(gameId)).slice(-3), ['ActionSubmitted', 'PlayerLeft', 'PlayerLeft']);
+  assert.deepEqual(indexer.events.map(e => e.blockHash), chain.logs.map(e => e.blockHash));
+
+  const restarted = new ChainIndexer({ chain, store });
+  await restarted.load();
+  assert.deepEqual(restarted.events, indexer.events);
+});
+
+test('a reorg deeper than the hashes kept re-indexes from the start block', async () => {
+  const chain = new MemoryChainAdapter();
+  const indexer = new ChainIndexer({ chain, store: new MemoryStateStore(), reorgDepth: 2 });
+
+  const gameId = await playTable(chain);
+  await indexer.runOnce();
+  chain.reorg(6);
+  chain.joinGame(gameId, bob, 20);
+
+  const status = await indexer.runOnce();
+  assert.equal(status.reorgs, 1);
+  assert.deepEqual(names(indexer.gameEvents(gameId)), ['GameCreated', 'PlayerJoined']);
+  assert.deepEqual(indexer.events.map(e => e.txHash), chain.logs.map(e => e.txHash));
+});
+
+test('per-game and per-player routes serve the index', async () => {
+  const { indexer } = loadServer();
+  const [carol, dave] = await Promise.all([t.signIn('carol'), t.signIn('dave')]);
+  const gameId = await t.createTable([carol, dave]);
+  await indexer.runOnce();
+
+  const game = await t.api('GET', `/api/chain/games/${gameId}/events`);
+  assert.equal(game.status, 200);
+  assert.deepEqual(names(game.body.events), ['GameCreated', 'PlayerJoined', 'PlayerJoined']);
+  assert.equal(game.body.indexer.lag, 0);
+
+  const joins = await t.api('GET', `/api/chain/games/${gameId}/events?event=PlayerJoined`);
+  assert.deepEqual(joins.body.events.map(e => e.args.player), [carol.address, dave.address]);
+
+  const player = await t.api('GET', `/api/chain/players/${carol.address.toLowerCase()}/events`);
+  assert.equal(player.body.address, carol.address);
+  assert.deepEqual(player.body.summary, { games: [gameId], boughtIn: 100, won: 0, refunded: 0, claimed: 0 });
+  assert.deepEqual(names(player.body.events), ['Transfer', 'PlayerJoined']);
+
+  assert.equal((await t.api('GET', '/api/chain/players/0x1234/events')).body.code, 'VALIDATION_ERROR');
+  assert.equal((await t.api('GET', `/api/chain/games/${gameId}/events?event=Approval`)).body.code, 'VALIDATION_ERROR');
+  assert.equal((await t.api('GET', '/api/chain/status')).body.indexer.events > 0, true);
+});
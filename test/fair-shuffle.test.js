@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, loadServer } = require('./helpers');
+const {
+  createSeedSource,
+  commitToSeed,
+  combineSeeds,
+  shuffleCards,
+  verifyShuffle
+} = require('../fair-shuffle');
+
+const ordered = Array.from({ length: 52 }, (_, i) => i);
+
+test('the same seeds always give the same deck', () => {
+  const serverSeed = createSeedSource()();
+  const a = shuffleCards(ordered, combineSeeds(serverSeed, { '0xA': 'x' }));
+  const b = shuffleCards(ordered, combineSeeds(serverSeed, { '0xa': 'x' }));
+  const c = shuffleCards(ordered, combineSeeds(serverSeed, { '0xa': 'y' }));
+
+  assert.deepEqual(a, b);
+  assert.notDeepEqual(a, c);
+  assert.deepEqual([...a].sort((x, y) => x - y), ordered);
+});
+
+test('player seed order does not matter', () => {
+  const serverSeed = createSeedSource('fixed')();
+  assert.equal(
+    combineSeeds(serverSeed, { '0x1': 'a', '0x2': 'b' }),
+    combineSeeds(serverSeed, { '0x2': 'b', '0x1': 'a' })
+  );
+});
+
+test('a revealed seed is checked against its commitment', () => {
+  const next = createSeedSource();
+  const serverSeed = next();
+  const commitment = commitToSeed(serverSeed);
+
+  assert.equal(verifyShuffle({ serverSeed, commitment }, ordered).commitmentValid, true);
+  assert.equal(verifyShuffle({ serverSeed: next(), commitment }, ordered).commitmentValid, false);
+});
+
+test('hands are dealt from the committed seed and can be verified afterwards', async () => {
+  const t = await startTestServer();
+  const { gameStates, chain } = loadServer();
+
+  try {
+    const [alice, bob] = await Promise.all([t.signIn('alice'), t.signIn('bob')]);
+    const gameId = await t.createTable([alice, bob]);
+
+    const before = (await t.api('GET', `/api/games/${gameId}/fairness`)).body;
+    assert.ok(before.next.commitment);
+    assert.equal(before.next.serverSeed, undefined);
+
+    await t.api('POST', `/api/games/${gameId}/seed`, { seed: 'alice-entropy' }, alice.token);
+    await t.start(gameId);
+
+    // The table's initialGameHash on-chain is the first hand's commitment
+    const startCall = chain.callsFor('startGame').find(c => c.args[0] === gameId);
+    assert.equal(startCall.args[1], before.next.commitment);
+
+    const during = (await t.api('GET', `/api/games/${gameId}/fairness`)).body;
+    assert.equal(during.current.serverSeed, undefined);
+    assert.deepEqual(during.current.playerSeeds, { [alice.address]: 'alice-entropy' });
+
+    await t.act(gameId, alice, 'fold');
+
+    const verified = (await t.api('GET', `/api/games/${gameId}/fairness/1`)).body;
+    assert.equal(verified.commitmentValid, true);
+    assert.equal(verified.combinedSeedValid, true);
+    assert.equal(verified.dealMatches, true);
+
+    const revealed = gameStates.get(gameId).fairness.revealed[0];
+    const rebuilt = (await t.api('POST', '/api/fairness/verify', revealed)).body;
+    assert.deepEqual(rebuilt.deck.slice(0, 2), revealed.dealt.seats[0].holeCards);
+  } finally {
+    t.close();
+  }
+});
@@ -0,0 +1,176 @@
+process.env.ADMIN_TOKEN = 'faucet-test-admin';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { Faucet, FaucetError, normalizeAddress, solveProofOfWork } = require('../faucet');
+const { MemoryChainAdapter } = require('../chain-adapter');
+const { PokerClient } = require('../poker-client');
+const { startTestServer, loadServer } = require('./helpers');
+
+let t;
+test.before(async () => { t = await startTestServer(); });
+test.after(() => t.close());
+
+const HOUR = 3600 * 1000;
+
+function testFaucet(options = {}) {
+  const clock = { now: Date.parse('2025-06-01T12:00:00Z') };
+  const chain = new MemoryChainAdapter();
+  const faucet = new Faucet({ chain, ipLimit: 2, dailyCap: 30000, now: () => clock.now, ...options });
+  return { faucet, chain, clock };
+}
+
+const address = () => ethers.Wallet.createRandom().address;
+
+function rejectsWith(promise, status, pattern) {
+  return assert.rejects(promise, err => err instanceof FaucetError && err.status === status && pattern.test(err.message));
+}
+
+test('addresses must be well formed and correctly checksummed', () => {
+  const checksummed = address();
+  assert.equal(normalizeAddress(checksummed.toLowerCase()), checksummed);
+  assert.throws(() => normalizeAddress('0x1234'), /Invalid address/);
+  assert.throws(() => normalizeAddress('0xnot-an-address'), /Invalid address/);
+
+  // Flip the case of one letter to break the checksum
+  const broken = checksummed.replace(/[a-f]/, c => c.toUpperCase());
+  assert.throws(() => normalizeAddress(broken), /checksum/);
+});
+
+test('each address claims once per cooldown, each IP a few times per window', async () => {
+  const { faucet, chain, clock } = testFaucet();
+  const alice = address();
+
+  const claim = await faucet.claim(alice, { ip: '10.0.0.1' });
+  assert.equal(claim.amount, 10000);
+  assert.deepEqual(chain.callsFor('mint').at(-1).args, [alice, 10000]);
+
+  await rejectsWith(faucet.claim(alice, { ip: '10.0.0.2' }), 429, /wait 4h 0m/);
+  clock.now += 4 * HOUR;
+  await faucet.claim(alice, { ip: '10.0.0.2' });
+
+  // Two claims per IP in 24 hours
+  await faucet.claim(address(), { ip: '10.0.0.1' });
+  await rejectsWith(faucet.claim(address(), { ip: '10.0.0.1' }), 429, /this IP/);
+  clock.now += 24 * HOUR;
+  await faucet.claim(address(), { ip: '10.0.0.1' });
+});
+
+test('concurrent claims cannot slip past the limits together', async () => {
+  const { faucet, chain } = testFaucet();
+  const alice = address();
+
+  const results = await Promise.allSettled([
+    faucet.claim(alice, { ip: '10.0.0.3' }),
+    faucet.claim(alice, { ip: '10.0.0.4' }),
+    faucet.claim(address(), { ip: '10.0.0.3' }),
+    faucet.claim(address(), { ip: '10.0.0.3' })
+  ]);
+  assert.deepEqual(results.map(r => r.status), ['fulfilled', 'rejected', 'fulfilled', 'rejected']);
+  assert.equal(chain.callsFor('mint').length, 2);
+});
+
+test('the token contract cooldown still applies', async () => {
+  const { faucet, chain } = testFaucet();
+  const alice = address();
+  const claimedAt = Math.floor(Date.now() / 1000) - 3600;
+  chain.lastClaims.set(alice.toLowerCase(), claimedAt);
+
+  const status = await faucet.status(alice);
+  assert.equal(status.canClaim, false);
+  assert.equal(status.nextClaimAt, (claimedAt + 4 * 3600) * 1000);
+});
+
+test('daily mint caps and gas budgets reset at UTC midnight', async () => {
+  const { faucet, chain, clock } = testFaucet({ ipLimit: 100, dailyGasBudget: 0.002 });
+  chain.gasCost = 0.001;
+
+  await faucet.claim(address());
+  await faucet.claim(address());
+  await rejectsWith(faucet.claim(address()), 503, /gas budget/);
+
+  clock.now += 12 * HOUR;
+  chain.gasCost = 0;
+  await faucet.claim(address());
+  await faucet.claim(address());
+  await faucet.claim(address());
+  await rejectsWith(faucet.claim(address()), 429, /daily limit/);
+
+  const report = await faucet.report();
+  assert.equal(report.today.minted, 30000);
+  assert.equal(report.claims.length, 5);
+  assert.equal(report.serverGasBalance, 1 - 0.002);
+});
+
+test('a failed mint gives back the reserved allowance', async () => {
+  const { faucet, chain } = testFaucet();
+  chain.failNext('mint');
+  const alice = address();
+
+  await assert.rejects(faucet.claim(alice, { ip: '10.0.0.1' }), /mint failed/);
+  assert.equal(faucet.today().minted, 0);
+  await faucet.claim(alice, { ip: '10.0.0.1' });
+  await faucet.claim(address(), { ip: '10.0.0.1' });
+});
+
+test('proof-of-work and signed challenges', async () => {
+  const pow = testFaucet({ challenge: 'pow', powDifficulty: 8 }).faucet;
+  const alice = ethers.Wallet.createRandom();
+
+  await rejectsWith(pow.claim(alice.address), 403, /challenge/);
+  const challenge = pow.createChallenge(alice.address);
+  assert.equal(challenge.difficulty, 8);
+  await rejectsWith(pow.claim(alice.address, { proof: { nonce: challenge.nonce, solution: 'nope' } }), 403, /difficulty/);
+
+  const solution = solveProofOfWork(challenge.nonce, 8);
+  await pow.claim(alice.address, { proof: { nonce: challenge.nonce, solution } });
+  // Challenges are single use
+  assert.ok(!pow.challenges.has(alice.address.toLowerCase()));
+
+  const signed = testFaucet({ challenge: 'signature' }).faucet;
+  const { nonce, message } = signed.createChallenge(alice.address);
+  const mallory = ethers.Wallet.createRandom();
+  await rejectsWith(signed.claim(alice.address, { proof: { nonce, signature: await mallory.signMessage(message) } }), 403, /signature/);
+  await signed.claim(alice.address, { proof: { nonce, signature: await alice.signMessage(message) } });
+});
+
+test('claim, status and admin routes', async () => {
+  const { faucet } = loadServer();
+  const alice = await t.signIn('alice');
+
+  const claimed = await t.api('POST', '/api/faucet/claim', null, alice.token);
+  assert.equal(claimed.status, 200);
+  assert.equal(claimed.body.amount, String(faucet.claimAmount));
+
+  const again = await t.api('POST', '/api/faucet/claim', null, alice.token);
+  assert.equal(again.status, 429);
+  assert.ok(again.body.details.nextClaimAt > Date.now());
+
+  const status = await t.api('GET', `/api/faucet/status?address=${alice.address.toLowerCase()}`);
+  assert.equal(status.status, 200);
+  assert.equal(status.body.canClaim, false);
+  assert.equal(status.body.balance, faucet.claimAmount);
+  assert.equal((await t.api('GET', '/api/faucet/status?address=0xabc')).status, 400);
+
+  assert.equal((await t.api('GET', '/api/faucet/claims')).status, 401);
+  assert.equal((await t.api('GET', '/api/faucet/claims', null, alice.token)).status, 401);
+  const report = await t.api('GET', `/api/faucet/claims?address=${alice.address}`, null, 'faucet-test-admin');
+  assert.equal(report.status, 200);
+  assert.deepEqual(report.body.claims.map(c => c.address), [alice.address]);
+  assert.equal(report.body.claims[0].txHash, claimed.body.txHash);
+});
+
+test('the client SDK answers the faucet challenge', async () => {
+  const { faucet } = loadServer();
+  faucet.challengeType = 'pow';
+  faucet.powDifficulty = 6;
+  try {
+    const client = new PokerClient({ baseUrl: t.base, wallet: ethers.Wallet.createRandom() });
+    await client.signIn();
+    assert.equal((await client.claimFaucet()).amount, String(faucet.claimAmount));
+    assert.equal((await client.faucetStatus()).canClaim, false);
+  } finally {
+    faucet.challengeType = 'none';
+  }
+});
@@ -0,0 +1,167 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, stackDeck, loadServer } = require('./helpers');
+
+let t;
+test.before(async () => { t = await startTestServer(); });
+test.after(() => t.close());
+
+const { gameStates, chain, txQueue } = loadServer();
+
+async function players(...names) {
+  return Promise.all(names.map(name => t.signIn(name)));
+}
+
+test('player routes require a session', async () => {
+  const res = await t.api('GET', '/api/games/1/state');
+  assert.equal(res.status, 401);
+});
+
+test('heads-up hand checked down to showdown', async () => {
+  const [alice, bob] = await players('alice', 'bob');
+  const gameId = await t.createTable([alice, bob]);
+  stackDeck(gameStates.get(gameId), 'Ah Ad Kh Kd 2c 7s 9d Jc 3h');
+
+  // Only the table's players or its creator deal
+  assert.equal((await t.api('POST', `/api/games/${gameId}/start`)).status, 401);
+  const [mallory] = await players('mallory');
+  assert.equal((await t.start(gameId, mallory)).body.code, 'FORBIDDEN');
+
+  const started = await t.start(gameId, bob);
+  assert.equal(started.status, 200);
+  await txQueue.idle();
+  assert.equal(chain.callsFor('startGame').length, 1);
+
+  // Heads-up the dealer (alice) posts the small blind and acts first
+  let state = await t.stateFor(gameId, alice);
+  assert.equal(state.currentTurn, alice.address);
+  assert.equal(state.yourBet, 1);
+  assert.equal(state.pot, 3);
+  assert.deepEqual(state.availableActions, ['fold', 'call', 'raise', 'all-in']);
+
+  assert.equal((await t.act(gameId, alice, 'call')).status, 200);
+  assert.equal((await t.act(gameId, bob, 'check')).status, 200);
+
+  // Post-flop the big blind acts first
+  for (const street of ['flop', 'turn', 'river']) {
+    state = await t.stateFor(gameId, bob);
+    assert.equal(state.phase, street);
+    assert.equal(state.currentTurn, bob.address);
+    await t.act(gameId, bob, 'check');
+    await t.act(gameId, alice, 'check');
+  }
+
+  state = await t.stateFor(gameId, alice);
+  assert.equal(state.phase, 'waiting');
+  assert.equal(state.yourChips, 102);
+  assert.equal(gameStates.get(gameId).potResults[0].winningHand, 'Pair of Aces');
+});
+
+test('players only see their own hole cards', async () => {
+  const [alice, bob] = await players('alice', 'bob');
+  const gameId = await t.createTable([alice, bob]);
+  await t.start(gameId);
+
+  const state = await t.stateFor(gameId, alice);
+  assert.equal(state.yourCards.length, 2);
+  assert.ok(state.players.every(p => !('holeCards' in p)));
+});
+
+test('a shared board splits the pot', async () => {
+  const [alice, bob] = await players('alice', 'bob');
+  const gameId = await t.createTable([alice, bob]);
+  stackDeck(gameStates.get(gameId), '2c 3d 2d 3c Ah Kh Qh Jh Th');
+
+  await t.start(gameId);
+  await t.act(gameId, alice, 'raise', 10);
+  await t.act(gameId, bob, 'call');
+  for (let i = 0; i < 3; i++) {
+    await t.act(gameId, bob, 'check');
+    await t.act(gameId, alice, 'check');
+  }
+
+  const game = gameStates.get(gameId);
+  assert.deepEqual(game.players.map(p => p.chips), [100, 100]);
+  assert.equal(game.potResults[0].winningHand, 'Royal Flush');
+  assert.equal(game.potResults[0].winners.length, 2);
+});
+
+test('all-ins build side pots and the board runs out', async () => {
+  const [alice, bob, carol] = await players('alice', 'bob', 'carol');
+  carol.buyIn = 30;
+  const gameId = await t.createTable([alice, bob, carol]);
+  stackDeck(gameStates.get(gameId), '2c 3d Kh Kd Ah Ad 9s 8s 4c Jh 5d');
+
+  await t.start(gameId);
+  await t.act(gameId, alice, 'all-in');
+  await t.act(gameId, bob, 'all-in');
+  await t.act(gameId, carol, 'all-in');
+
+  const game = gameStates.get(gameId);
+  assert.equal(game.communityCards.length, 5);
+  assert.deepEqual(game.potResults.map(p => p.amount), [90, 140]);
+  assert.deepEqual(game.potResults.map(p => p.winners[0].address), [carol.address, bob.address]);
+
+  // Alice busted and left the table; bob and carol play on
+  assert.deepEqual(game.players.map(p => [p.address, p.chips]), [[bob.address, 140], [carol.address, 90]]);
+  assert.equal(game.phase, 'waiting');
+});
+
+test('the button moves and the table finishes when one player has all the chips', async () => {
+  const [alice, bob] = await players('alice', 'bob');
+  const gameId = await t.createTable([alice, bob]);
+  const game = gameStates.get(gameId);
+
+  await t.start(gameId);
+  await t.act(gameId, alice, 'fold');
+  assert.deepEqual(game.players.map(p => p.chips), [99, 101]);
+
+  stackDeck(game, 'Kh Kd Ah Ad 2c 7s 9d Jc 3h');
+  await t.start(gameId);
+  let state = await t.stateFor(gameId, bob);
+  assert.equal(state.players.find(p => p.isDealer).address, bob.address);
+  assert.equal(state.currentTurn, bob.address);
+
+  await t.act(gameId, bob, 'all-in');
+  await t.act(gameId, alice, 'call');
+
+  state = await t.stateFor(gameId, bob);
+  assert.equal(state.phase, 'finished');
+  assert.equal(state.yourChips, 200);
+
+  await txQueue.idle();
+  const finish = chain.callsFor('finishGame').find(c => c.args[0] === gameId);
+  assert.equal(finish.args[1], bob.address);
+});
+
+test('rejects illegal actions with 400', async () => {
+  const [alice, bob] = await players('alice', 'bob');
+  const gameId = await t.createTable([alice, bob]);
+  await t.start(gameId);
+
+  assert.equal((await t.act(gameId, bob, 'check')).body.error, 'Not your turn');
+  assert.equal((await t.act(gameId, alice, 'check')).status, 400);
+  assert.match((await t.act(gameId, alice, 'raise', 3)).body.error, /minimum is 4/);
+  assert.equal((await t.act(gameId, alice, 'dance')).status, 400);
+});
+
+test('players who sit out or join mid-hand are dealt in later', async () => {
+  const [alice, bob, carol, dave] = await players('alice', 'bob', 'carol', 'dave');
+  const gameId = await t.createTable([alice, bob, carol]);
+  const game = gameStates.get(gameId);
+
+  await t.api('POST', `/api/games/${gameId}/sit-out`, null, carol.token);
+  await t.start(gameId);
+  assert.equal(game.players.find(p => p.address === carol.address).inHand, false);
+
+  dave.buyIn = 50;
+  await t.join(gameId, dave);
+  assert.equal(game.players.length, 4);
+  assert.equal(game.players[3].inHand, false);
+
+  await t.act(gameId, alice, 'fold');
+  await t.api('POST', `/api/games/${gameId}/sit-in`, null, carol.token);
+  await t.start(gameId);
+  assert.ok(game.players.every(p => p.inHand));
+});
+
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+const { startTestServer } = require('./helpers');
+
+let t;
+test.before(async () => { t = await startTestServer(); });
+test.after(() => t.close());
+
+// Open a socket and collect every frame it receives
+function connect(gameId, player, lastSeq) {
+  const query = `gameId=${gameId}&token=${player.token}${lastSeq !== undefined ? `&lastSeq=${lastSeq}` : ''}`;
+  const socket = new WebSocket(`${t.base.replace('http', 'ws')}/ws?${query}`);
+  socket.frames = [];
+  socket.on('message', data => socket.frames.push(JSON.parse(data)));
+  return new Promise((resolve, reject) => {
+    socket.once('open', () => resolve(socket));
+    socket.once('error', reject);
+  });
+}
+
+function waitFor(socket, predicate) {
+  return new Promise(resolve => {
+    const check = () => {
+      if (socket.frames.some(predicate)) resolve(socket.frames);
+      else setTimeout(check, 10);
+    };
+    check();
+  });
+}
+
+test('rejects sockets without a valid session or seat', async () => {
+  const [alice, bob, mallory] = await Promise.all(['alice', 'bob', 'mallory'].map(n => t.signIn(n)));
+  const gameId = await t.createTable([alice, bob]);
+
+  const closed = socket => new Promise(resolve => socket.once('close', code => resolve(code)));
+  assert.equal(await closed(await connect(gameId, { token: 'nope' })), 4001);
+  assert.equal(await closed(await connect(gameId, mallory)), 4003);
+});
+
+test('pushes events and per-player snapshots without leaking hole cards', async () => {
+  const [alice, bob] = await Promise.all([t.signIn('alice'), t.signIn('bob')]);
+  const gameId = await t.createTable([alice, bob]);
+  const aliceSocket = await connect(gameId, alice);
+  const bobSocket = await connect(gameId, bob);
+
+  await t.start(gameId);
+  await waitFor(aliceSocket, f => f.type === 'gameStarted');
+  await waitFor(bobSocket, f => f.type === 'gameStarted');
+  await waitFor(bobSocket, f => f.type === 'state' && f.state.yourCards);
+
+  const bobCards = (await t.stateFor(gameId, bob)).yourCards;
+  const started = aliceSocket.frames.find(f => f.type === 'gameStarted');
+  assert.equal(started.seq, 1);
+
+  const aliceStates = aliceSocket.frames.filter(f => f.type === 'state');
+  assert.ok(aliceStates.length >= 2);
+  for (const frame of aliceSocket.frames) {
+    assert.ok(!JSON.stringify(frame).includes(JSON.stringify(bobCards)));
+  }
+
+  aliceSocket.close();
+  bobSocket.close();
+});
+
+test('reconnecting with lastSeq replays missed events', async () => {
+  const [alice, bob] = await Promise.all([t.signIn('alice'), t.signIn('bob')]);
+  const gameId = await t.createTable([alice, bob]);
+
+  const first = await connect(gameId, alice);
+  await t.start(gameId);
+  await waitFor(first, f => f.type === 'gameStarted');
+  const lastSeq = first.frames.find(f => f.type === 'gameStarted').seq;
+  first.close();
+
+  await t.act(gameId, alice, 'call');
+  await t.act(gameId, bob, 'check');
+
+  const second = await connect(gameId, alice, lastSeq);
+  const frames = await waitFor(second, f => f.type === 'state');
+  const replayed = frames.filter(f => f.type === 'action');
+  assert.deepEqual(replayed.map(f => f.action), ['call', 'check']);
+  assert.deepEqual(replayed.map(f => f.seq), [lastSeq + 1, lastSeq + 2]);
+  second.close();
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { VARIANTS, orderedDeck } = require('../game-variants');
+const { startTestServer, stackDeck, loadServer } = require('./helpers');
+
+let t;
+test.before(async () => { t = await startTestServer(); });
+test.after(() => t.close());
+
+const { gameStates } = loadServer();
+
+test('each variant builds its own deck', () => {
+  assert.equal(orderedDeck('holdem').length, 52);
+  assert.equal(orderedDeck('omaha').length, 52);
+  const shortDeck = orderedDeck('short-deck');
+  assert.equal(shortDeck.length, 36);
+  assert.ok(shortDeck.every(card => !['2', '3', '4', '5'].includes(card.rank)));
+  assert.deepEqual(Object.values(VARIANTS).map(v => [v.holeCards, v.bettingStructure]), [
+    [2, 'no-limit'], [4, 'pot-limit'], [2, 'no-limit']
+  ]);
+});
+
+test('Pot-Limit Omaha deals four cards, caps raises at the pot and shows down two-card hands', async () => {
+  const [alice, bob] = await Promise.all([t.signIn('alice'), t.signIn('bob')]);
+  const gameId = await t.createTable([alice, bob], { variant: 'omaha' });
+  stackDeck(gameStates.get(gameId), 'Ah Kh Qh Jh 2c 2d 3c 3d Th 9c 8d 4s 5s');
+  await t.start(gameId);
+
+  const state = await t.stateFor(gameId, alice);
+  assert.deepEqual([state.variant, state.bettingStructure, state.yourCards.length], ['omaha', 'pot-limit', 4]);
+  // Blinds 1/2: call 1, then raise by the 4 in the pot
+  assert.deepEqual([state.limits.maxRaiseTo, state.limits.capTo], [6, 6]);
+  assert.equal((await t.act(gameId, alice, 'raise', 10)).body.code, 'INVALID_RAISE');
+
+  await t.act(gameId, alice, 'raise', 6);
+  await t.act(gameId, bob, 'call');
+  for (let i = 0; i < 3; i++) {
+    await t.act(gameId, bob, 'check');
+    await t.act(gameId, alice, 'check');
+  }
+
+  // Four hearts in hand but one on the board: Q-J plays for a straight
+  const { hand } = (await t.api('GET', `/api/games/${gameId}/hands/1`, null, alice.token)).body;
+  assert.deepEqual(hand.shown.map(s => s.handName), ['Straight, Queen high', 'Pair of Threes']);
+  assert.equal(hand.results.find(r => r.address === alice.address).net, 6);
+});
+
+test('Fixed-Limit Short Deck deals from 36 cards in fixed bet sizes', async () => {
+  const [alice, bob] = await Promise.all([t.signIn('alice'), t.signIn('bob')]);
+  const gameId = await t.createTable([alice, bob], { variant: 'short-deck', bettingStructure: 'fixed-limit' });
+  await t.start(gameId);
+
+  const gameState = gameStates.get(gameId);
+  assert.equal(gameState.deck.deck.length, 36 - 4);
+  const state = await t.stateFor(gameId, alice);
+  assert.ok(state.yourCards.every(card => !['2', '3', '4', '5'].includes(card.rank)));
+  assert.deepEqual([state.limits.minRaiseTo, state.limits.maxRaiseTo], [4, 4]);
+  assert.equal((await t.act(gameId, alice, 'raise', 6)).body.code, 'INVALID_RAISE');
+  assert.equal((await t.act(gameId, alice, 'raise')).status, 200);
+  assert.equal(gameState.currentBet, 4);
+  await t.act(gameId, bob, 'fold');
+
+  // The deal checks out against a rebuilt 36-card deck
+  const fairness = (await t.api('GET', `/api/games/${gameId}/fairness/1`)).body;
+  assert.deepEqual([fairness.deck.length, fairness.dealMatches], [36, true]);
+
+  const { games } = (await t.api('GET', '/api/games?variant=short-deck&bettingStructure=fixed-limit')).body;
+  assert.deepEqual(games.map(g => g.gameId), [gameId]);
+  const rejected = await t.api('POST', '/api/games', { smallBlind: 1, bigBlind: 2, minBuyIn: 20, maxBuyIn: 200, maxPlayers: 6, variant: 'stud' }, alice.token);
+  assert.equal(rejected.body.code, 'VALIDATION_ERROR');
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { cards } = require('./helpers');
+const { evaluateHand, evaluateOmaha, compareHands, findWinners, CATEGORY } = require('../hand-evaluator');
+
+const evaluate = codes => evaluateHand(cards(codes));
+
+test('recognises every hand category from seven cards', () => {
+  const examples = [
+    ['Ah Kh Qh Jh Th 2c 3d', CATEGORY.STRAIGHT_FLUSH, 'Royal Flush'],
+    ['9s 8s 7s 6s 5s Ad Ac', CATEGORY.STRAIGHT_FLUSH, 'Straight Flush, Nine high'],
+    ['Qh Qd Qc Qs 2h 3d 9c', CATEGORY.FOUR_OF_A_KIND, 'Four of a Kind, Queens'],
+    ['Kh Kd Kc 4s 4h 4d 2c', CATEGORY.FULL_HOUSE, 'Full House, Kings full of Fours'],
+    ['Ah 9h 7h 4h 2h Kd Kc', CATEGORY.FLUSH, 'Flush, Ace high'],
+    ['Ah 2d 3c 4s 5h Kd Kc', CATEGORY.STRAIGHT, 'Straight, Five high'],
+    ['7h 7d 7c Ks 2h 3d 9c', CATEGORY.THREE_OF_A_KIND, 'Three of a Kind, Sevens'],
+    ['6h 6d 2c 2s 9h 9d Ac', CATEGORY.TWO_PAIR, 'Two Pair, Nines and Sixes'],
+    ['Jh Jd 2c 5s 9h Kd Ac', CATEGORY.ONE_PAIR, 'Pair of Jacks'],
+    ['Ah Kd 9c 7s 5h 3d 2c', CATEGORY.HIGH_CARD, 'High Card, Ace (King, Nine kicker)']
+  ];
+
+  for (const [codes, category, name] of examples) {
+    const hand = evaluate(codes);
+    assert.equal(hand.category, category, codes);
+    assert.equal(hand.name, name, codes);
+    assert.equal(hand.cards.length, 5);
+  }
+});
+
+test('breaks ties on kickers', () => {
+  const board = 'Ks Kd 8c 5h 2s';
+  const aceKicker = evaluate(`Ah 3c ${board}`);
+  const queenKicker = evaluate(`Qh 3d ${board}`);
+  assert.ok(compareHands(aceKicker, queenKicker) > 0);
+});
+
+test('the wheel loses to a six-high straight', () => {
+  assert.ok(compareHands(evaluate('Ah 2d 3c 4s 5h Jd Qc'), evaluate('6h 2d 3c 4s 5h Jd Qc')) < 0);
+});
+
+test('playing the board is a tie', () => {
+  const board = 'Ah Kh Qh Jh Th';
+  const winners = findWinners([
+    { address: 'a', hand: evaluate(`2c 3d ${board}`) },
+    { address: 'b', hand: evaluate(`4c 5d ${board}`) }
+  ]);
+  assert.deepEqual(winners.map(w => w.address), ['a', 'b']);
+});
+
+test('uses only the best five cards', () => {
+  // Sixth and seventh cards cannot break a tie between two identical flushes
+  const a = evaluate('Ah Kh 9h 7h 4h 3h 2h');
+  const b = evaluate('Ah Kh 9h 7h 4h 2c 3c');
+  assert.equal(compareHands(a, b), 0);
+});
+
+test('short deck: A-6-7-8-9 is a straight and a flush beats a full house', () => {
+  const shortDeck = codes => evaluateHand(cards(codes), { shortDeck: true });
+  assert.equal(shortDeck('Ah 6d 7c 8s 9h Kd Kc').name, 'Straight, Nine high');
+  assert.ok(compareHands(shortDeck('Th 6d 7c 8s 9h Kd Kc'), shortDeck('Ah 6d 7c 8s 9h Kd Kc')) > 0);
+
+  const flush = 'Ah Jh 9h 7h 6h';
+  const fullHouse = 'Kc Kd Ks 6c 6d';
+  assert.ok(compareHands(evaluate(flush), evaluate(fullHouse)) < 0);
+  assert.ok(compareHands(shortDeck(flush), shortDeck(fullHouse)) > 0);
+  assert.equal(shortDeck(fullHouse).category, CATEGORY.FULL_HOUSE);
+});
+
+test('Omaha hands use exactly two hole cards and three board cards', () => {
+  // Four hole hearts and one on the board: no flush, but Q-J makes a straight
+  const hand = evaluateOmaha(cards('Ah Kh Qh Jh'), cards('Th 9c 8d 2s 3s'));
+  assert.equal(hand.name, 'Straight, Queen high');
+  assert.equal(evaluate('Ah Kh Qh Jh Th 9c 8d').name, 'Royal Flush');
+
+  // One hole card can't complete a straight with four on the board
+  assert.equal(evaluateOmaha(cards('9c 2d 2h 3s'), cards('5h 6d 7c 8s Kd')).name, 'Pair of Twos');
+});
+
+test('full houses and two pair compare part by part, then on the kicker', () => {
+  assert.ok(compareHands(evaluate('Kh Kd Kc 2s 2h 7d 8c'), evaluate('Qh Qd Qc As Ah 7d 8c')) > 0);
+  assert.ok(compareHands(evaluate('Ah Ad Kc Ks Qh 2c 3d'), evaluate('Ah Ad Kc Ks Jh 2c 3d')) > 0);
+  assert.ok(compareHands(evaluate('9h 9d 9c 9s Ah 2c 3d'), evaluate('9h 9d 9c 9s Kh 2c 3d')) > 0);
+  assert.equal(evaluate('6h 6d Ac Ks 9h 3d 2c').name, 'Pair of Sixes');
+});
+
+test('findWinners picks the single best hand out of several', () => {
+  const board = 'Kd 8c 5h 2s 3d';
+  const winners = findWinners([
+    { address: 'a', hand: evaluate(`Ah Qc ${board}`) },
+    { address: 'b', hand: evaluate(`8h 8d ${board}`) },
+    { address: 'c', hand: evaluate(`Kh Jc ${board}`) }
+  ]);
+  assert.deepEqual(winners.map(w => w.address), ['b']);
+  assert.equal(winners[0].hand.name, 'Three of a Kind, Eights');
+});
+
+test('too few cards are refused', () => {
+  assert.throws(() => evaluate('Ah Kh Qh Jh'), /At least 5 cards/);
+  assert.throws(() => evaluateOmaha(cards('Ah'), cards('Th 9c 8d')), /two hole cards and three board cards/);
+  assert.throws(() => evaluateOmaha(cards('Ah Kh'), cards('Th 9c')), /two hole cards and three board cards/);
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, stackDeck, loadServer } = require('./helpers');
+
+let t;
+test.before(async () => { t = await startTestServer(); });
+test.after(() => t.close());
+
+const { gameStates } = loadServer();
+
+async function players(...names) {
+  return Promise.all(names.map(name => t.signIn(name)));
+}
+
+test('a showdown hand is archived with every action, the board and the pots', async () => {
+  const [alice, bob] = await players('alice', 'bob');
+  const gameId = await t.createTable([alice, bob]);
+  stackDeck(gameStates.get(gameId), 'Ah Ad Kh Kd 2c 7s 9d Jc 3h');
+
+  await t.start(gameId);
+  await t.act(gameId, alice, 'raise', 6);
+  await t.act(gameId, bob, 'call');
+  for (let i = 0; i < 3; i++) {
+    await t.act(gameId, bob, 'check');
+    await t.act(gameId, alice, 'check');
+  }
+
+  const list = await t.api('GET', `/api/games/${gameId}/hands`);
+  assert.equal(list.status, 200);
+  assert.deepEqual(list.body.hands.map(h => [h.handNumber, h.pot, h.winners]), [[1, 12, [alice.address]]]);
+
+  const { hand } = (await t.api('GET', `/api/games/${gameId}/hands/1`)).body;
+  assert.equal(hand.handId, `${gameId}-1`);
+  assert.deepEqual(hand.seats.map(s => s.stack), [100, 100]);
+  assert.deepEqual(hand.actions.map(a => `${a.street} ${a.action} ${a.amount}`), [
+    'pre-flop small-blind 1',
+    'pre-flop big-blind 2',
+    'pre-flop raise 5',
+    'pre-flop call 4',
+    'flop check 0', 'flop check 0',
+    'turn check 0', 'turn check 0',
+    'river check 0', 'river check 0'
+  ]);
+  assert.equal(hand.board.length, 5);
+  assert.deepEqual(hand.shown.map(s => s.handName), ['Pair of Aces', 'Pair of Kings']);
+  assert.ok(hand.seats.every(s => s.holeCards.length === 2));
+  assert.deepEqual(hand.results.map(r => r.net), [6, -6]);
+});
+
+test('PokerStars export', async () => {
+  const [alice, bob] = await players('alice', 'bob');
+  const gameId = await t.createTable([alice, bob]);
+  stackDeck(gameStates.get(gameId), 'Ah Ad Kh Kd 2c 7s 9d Jc 3h');
+
+  await t.start(gameId);
+  await t.act(gameId, alice, 'raise', 6);
+  await t.act(gameId, bob, 'all-in');
+  await t.act(gameId, alice, 'call');
+
+  const res = await fetch(`${t.base}/api/games/${gameId}/hands/1?format=pokerstars`, {
+    headers: { authorization: `Bearer ${bob.token}` }
+  });
+  assert.match(res.headers.get('content-type'), /text\/plain/);
+  const text = await res.text();
+  const lines = text.trim().split('\n');
+
+  assert.match(lines[0], new RegExp(`^PokerStars Hand #${gameId}000001: Hold'em No Limit \\(1/2\\) - \\d{4}/\\d{2}/\\d{2} \\d{2}:\\d{2}:\\d{2} UTC$`));
+  assert.equal(lines[1], `Table 'Agent Poker ${gameId}' 6-max Seat #1 is the button`);
+  assert.deepEqual(lines.slice(2, 13), [
+    'Seat 1: alice (100 in chips)',
+    'Seat 2: bob (100 in chips)',
+    'alice: posts small blind 1',
+    'bob: posts big blind 2',
+    '*** HOLE CARDS ***',
+    'Dealt to bob [Kh Kd]',
+    'alice: raises 4 to 6',
+    'bob: raises 94 to 100 and is all-in',
+    'alice: calls 94 and is all-in',
+    '*** FLOP *** [2c 7s 9d]',
+    '*** TURN *** [2c 7s 9d] [Jc]'
+  ]);
+  assert.ok(lines.includes('alice: shows [Ah Ad] (Pair of Aces)'));
+  assert.ok(lines.includes('alice collected 200 from pot'));
+  assert.ok(lines.includes('Total pot 200 | Rake 0'));
+  assert.ok(lines.includes('Seat 1: alice (button) (small blind) showed [Ah Ad] and won (200) with Pair of Aces'));
+  assert.ok(lines.includes('Seat 2: bob (big blind) showed [Kh Kd] and lost with Pair of Kings'));
+});
+
+test('folded hands stay hidden except to their owner, and uncalled bets are returned', async () => {
+  const [alice, bob] = await players('alice', 'bob');
+  const gameId = await t.createTable([alice, bob]);
+  const game = gameStates.get(gameId);
+
+  await t.start(gameId);
+  await t.act(gameId, alice, 'raise', 10);
+  await t.act(gameId, bob, 'fold');
+
+  const publicView = (await t.api('GET', `/api/games/${gameId}/hands/1`)).body.hand;
+  assert.ok(publicView.seats.every(s => s.holeCards === null));
+
+  const own = (await t.api('GET', `/api/games/${gameId}/hands/1`, null, alice.token)).body.hand;
+  assert.equal(own.seats[0].holeCards.length, 2);
+  assert.equal(own.seats[1].holeCards, null);
+
+  const text = await (await fetch(`${t.base}/api/games/${gameId}/hands?format=pokerstars`)).text();
+  assert.ok(text.includes('Uncalled bet (8) returned to alice'));
+  assert.ok(text.includes('alice collected 4 from pot'));
+  assert.ok(text.includes('Seat 2: bob (big blind) folded before Flop'));
+  assert.ok(!text.includes('Dealt to'));
+  assert.equal(game.handRecord, null);
+
+  assert.equal((await t.api('GET', `/api/games/${gameId}/hands/7`)).status, 404);
+  assert.equal((await t.api('GET', '/api/games/9999/hands')).status, 404);
+});
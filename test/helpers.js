@@ -0,0 +1,131 @@
+/**
+ * Shared test setup
+ *
+ * The server is loaded against the in-memory chain adapter and state store
+ * with a fixed deck seed, so every test file is reproducible without Base RPC.
+ * House bots act almost at once, and every sign-in comes from 127.0.0.1, so
+ * the per-IP challenge limit is lifted.
+ */
+process.env.CHAIN_ADAPTER = 'memory';
+process.env.STATE_STORE = 'memory';
+process.env.DECK_SEED = process.env.DECK_SEED || 'agent-poker-tests';
+process.env.BOT_THINK_MS = process.env.BOT_THINK_MS || '5';
+process.env.AUTH_CHALLENGE_IP_LIMIT = process.env.AUTH_CHALLENGE_IP_LIMIT || '100000';
+
+const { once } = require('events');
+const { ethers } = require('ethers');
+
+// Loaded on first use so the pure unit tests don't boot the app
+function loadServer() {
+  return require('../server');
+}
+
+const SUIT_CODES = { h: 'hearts', d: 'diamonds', c: 'clubs', s: 'spades' };
+
+// 'Ah' -> { rank: 'A', suit: 'hearts' }, 'Td' / '10d' -> { rank: '10', suit: 'diamonds' }
+function card(code) {
+  const rank = code.slice(0, -1);
+  return { rank: rank === 'T' ? '10' : rank, suit: SUIT_CODES[code.slice(-1)] };
+}
+
+function cards(codes) {
+  return codes.split(' ').map(card);
+}
+
+async function startTestServer() {
+  const http = loadServer().startServer(0);
+  await once(http, 'listening');
+  const base = `http://127.0.0.1:${http.address().port}`;
+
+  async function api(method, path, body, token) {
+    const res = await fetch(base + path, {
+      method,
+      headers: {
+        'content-type': 'application/json',
+        ...(token ? { authorization: `Bearer ${token}` } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  // Sign in a fresh wallet and return a player handle
+  async function signIn(name) {
+    const wallet = ethers.Wallet.createRandom();
+    const challenge = await api('POST', '/api/auth/challenge', { address: wallet.address });
+    const signature = await wallet.signMessage(challenge.body.message);
+    const verified = await api('POST', '/api/auth/verify', { address: wallet.address, signature });
+    return { name, wallet, address: wallet.address, token: verified.body.token };
+  }
+
+  // Buy in on the (memory) contract, then take the seat
+  async function join(gameId, player) {
+    loadServer().chain.joinGame(gameId, player.address, player.buyIn || 100);
+    return api('POST', `/api/games/${gameId}/join`, { playerName: player.name }, player.token);
+  }
+
+  const creators = new Map(); // gameId -> player who created the table
+
+  // Create a table as `players[0]` and seat everyone in order
+  async function createTable(players, options = {}) {
+    const created = await api('POST', '/api/games', {
+      smallBlind: 1,
+      bigBlind: 2,
+      minBuyIn: 20,
+      maxBuyIn: 200,
+      maxPlayers: 6,
+      ...options
+    }, players[0].token);
+
+    const gameId = created.body.gameId;
+    creators.set(gameId, players[0]);
+    for (const player of players) {
+      await join(gameId, player);
+    }
+    return gameId;
+  }
+
+  // Deal the next hand, as the table's creator unless `player` is given
+  async function start(gameId, player = creators.get(gameId)) {
+    return api('POST', `/api/games/${gameId}/start`, null, player.token);
+  }
+
+  async function act(gameId, player, action, amount) {
+    return api('POST', `/api/games/${gameId}/action`, { action, amount }, player.token);
+  }
+
+  async function stateFor(gameId, player) {
+    return (await api('GET', `/api/games/${gameId}/state`, null, player.token)).body.state;
+  }
+
+  function close() {
+    http.closeAllConnections();
+    http.close();
+  }
+
+  return { http, base, api, signIn, join, createTable, start, act, stateFor, close };
+}
+
+/**
+ * Put `codes` on top of the deck for the next hands dealt at this table.
+ * Deal order: hole cards per seat in seat order (four each in Omaha, two
+ * otherwise), then flop, turn, river.
+ */
+function stackDeck(gameState, codes) {
+  const top = cards(codes);
+  const key = c => `${c.rank}${c.suit}`;
+  const stacked = new Set(top.map(key));
+
+  gameState.deck.resetDeck = function (...args) {
+    loadServer().PokerEngine.prototype.resetDeck.apply(this, args);
+    this.deck = [...top, ...this.deck.filter(c => !stacked.has(key(c)))];
+  };
+}
+
+module.exports = {
+  loadServer,
+  card,
+  cards,
+  startTestServer,
+  stackDeck
+};
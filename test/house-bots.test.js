@@ -0,0 +1,177 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { HOUSE_BOTS, preflopStrength } = require('../house-bots');
+const { cards, startTestServer, loadServer } = require('./helpers');
+
+let t;
+test.before(async () => { t = await startTestServer(); });
+test.after(() => t.close());
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// A player's view of the table, as the state route returns it
+function view({ hole, board = '', pot = 3, currentBet = 2, yourBet = 0, chips = 100, actions, limits = {} }) {
+  const toCall = Math.max(0, currentBet - yourBet);
+  return {
+    phase: board ? ['flop', 'turn', 'river'][board.split(' ').length - 3] : 'pre-flop',
+    yourCards: cards(hole),
+    communityCards: board ? cards(board) : [],
+    pot,
+    currentBet,
+    yourBet,
+    yourChips: chips,
+    limits: { toCall, minRaiseTo: currentBet * 2 || 2, maxRaiseTo: yourBet + chips, stackTo: yourBet + chips, canRaise: true, ...limits },
+    availableActions: actions || ['fold', toCall ? 'call' : 'check', currentBet ? 'raise' : 'bet', 'all-in']
+  };
+}
+
+const decide = (strategy, state) => HOUSE_BOTS[strategy].decide(state);
+
+test('starting hands are scored on the Chen scale', () => {
+  assert.equal(preflopStrength(cards('Ah As')), 20);
+  assert.equal(preflopStrength(cards('Ah Kh')), 12);
+  assert.equal(preflopStrength(cards('5d 5c')), 5);
+  assert.equal(preflopStrength(cards('7c 2d')), -1);
+});
+
+test('the calling station never folds or raises', () => {
+  assert.deepEqual(decide('calling-station', view({ hole: '7c 2d', currentBet: 50 })), { action: 'call' });
+  assert.deepEqual(decide('calling-station', view({ hole: '7c 2d', board: '2h 2s 2c', currentBet: 0, pot: 10 })), { action: 'check' });
+});
+
+test('the random bot picks legal actions and amounts', () => {
+  const state = view({ hole: '7c 2d', currentBet: 10, chips: 100 });
+  const picks = [0, 0.3, 0.6, 0.99].map(r => HOUSE_BOTS.random.decide(state, { random: () => r }));
+  for (const pick of picks) {
+    assert.ok(state.availableActions.includes(pick.action));
+    if (pick.action === 'raise') assert.ok(pick.amount >= 20 && pick.amount <= 100);
+  }
+
+  // Folding is never chosen when checking is free
+  const free = view({ hole: '7c 2d', currentBet: 0 });
+  for (const r of [0, 0.5, 0.99]) {
+    assert.notEqual(HOUSE_BOTS.random.decide(free, { random: () => r }).action, 'fold');
+  }
+});
+
+test('the tight-aggressive bot plays by hand strength', () => {
+  assert.deepEqual(decide('tight-aggressive', view({ hole: 'Ah As' })), { action: 'raise', amount: 6 });
+  assert.deepEqual(decide('tight-aggressive', view({ hole: '7c 2d' })), { action: 'fold' });
+  assert.deepEqual(decide('tight-aggressive', view({ hole: '7c 2d', yourBet: 2 })), { action: 'check' });
+  assert.deepEqual(decide('tight-aggressive', view({ hole: 'Ah As', currentBet: 60, chips: 100 })), { action: 'all-in' });
+
+  // Two pair bets; a pair calls a small bet and folds to a big one; air gives up
+  const twoPair = decide('tight-aggressive', view({ hole: 'Kh Qd', board: 'Kc Qs 4h', currentBet: 0, pot: 20 }));
+  assert.deepEqual(twoPair, { action: 'bet', amount: 15 });
+  assert.deepEqual(decide('tight-aggressive', view({ hole: 'Kh 9d', board: 'Kc Qs 4h', currentBet: 5, pot: 20 })), { action: 'call' });
+  assert.deepEqual(decide('tight-aggressive', view({ hole: 'Kh 9d', board: 'Kc Qs 4h', currentBet: 40, pot: 60 })), { action: 'fold' });
+  assert.deepEqual(decide('tight-aggressive', view({ hole: '7c 2d', board: 'Kc Qs 4h', currentBet: 0, pot: 20 })), { action: 'check' });
+});
+
+test('a bot turned away from a full table uses up no bot wallet', async () => {
+  const { gameStates } = loadServer();
+  const alice = await t.signIn('alice');
+  const gameId = await t.createTable([alice], { maxPlayers: 2 });
+
+  const first = await t.api('POST', `/api/games/${gameId}/bots`, { strategy: 'random' }, alice.token);
+  assert.equal(first.body.name, 'random bot 1');
+  assert.equal((await t.api('POST', `/api/games/${gameId}/bots`, {}, alice.token)).body.code, 'GAME_FULL');
+  assert.equal((await t.api('POST', `/api/games/${gameId}/bots`, {}, alice.token)).body.code, 'GAME_FULL');
+  assert.equal(gameStates.get(gameId).botsSeated, 1);
+});
+
+test('house bots are limited per table, per player and in their buy-in', async () => {
+  const alice = await t.signIn('alice');
+  const addBot = (gameId, body = {}) => t.api('POST', `/api/games/${gameId}/bots`, body, alice.token);
+
+  const first = await t.createTable([alice], { maxBuyIn: 500 });
+  const capped = await addBot(first, { buyIn: 300 });
+  assert.equal(capped.status, 400);
+  assert.equal(capped.body.error, 'Buy-in must be between 20 and 200');
+
+  for (let i = 0; i < 3; i++) assert.equal((await addBot(first)).status, 200);
+  const tableFull = await addBot(first);
+  assert.equal(tableFull.status, 403);
+  assert.match(tableFull.body.error, /at most 3 house bots/);
+
+  const second = await t.createTable([alice]);
+  for (let i = 0; i < 3; i++) assert.equal((await addBot(second)).status, 200);
+  const third = await t.createTable([alice]);
+  const userFull = await addBot(third);
+  assert.equal(userFull.status, 403);
+  assert.match(userFull.body.error, /at most 6 house bots at open tables/);
+});
+
+test('a bot that buys in while the table fills up is not seated past maxPlayers', async () => {
+  const { chain, gameStates } = loadServer();
+  const [alice, bob] = await Promise.all([t.signIn('alice'), t.signIn('bob')]);
+  const gameId = await t.createTable([alice], { maxPlayers: 2 });
+
+  const houseBuyIn = chain.houseBuyIn;
+  chain.houseBuyIn = async (...args) => {
+    await sleep(50);
+    return houseBuyIn.apply(chain, args);
+  };
+  try {
+    const bot = t.api('POST', `/api/games/${gameId}/bots`, {}, alice.token);
+    await sleep(10);
+    assert.equal((await t.join(gameId, bob)).status, 200);
+    assert.equal((await bot).body.code, 'GAME_FULL');
+    assert.deepEqual(gameStates.get(gameId).players.map(p => p.address), [alice.address, bob.address]);
+  } finally {
+    chain.houseBuyIn = houseBuyIn;
+  }
+});
+
+test('house bots are seated on request, buy in on-chain and play their turns', async () => {
+  const { chain, gameStates } = loadServer();
+  const [alice, mallory] = await Promise.all([t.signIn('alice'), t.signIn('mallory')]);
+  const gameId = await t.createTable([alice]);
+
+  const listed = await t.api('GET', '/api/bots');
+  assert.deepEqual(listed.body.bots.map(b => b.strategy), ['random', 'calling-station', 'tight-aggressive']);
+
+  assert.equal((await t.api('POST', `/api/games/${gameId}/bots`, {}, mallory.token)).status, 403);
+  assert.equal((await t.api('POST', `/api/games/${gameId}/bots`, { strategy: 'shark' }, alice.token)).status, 400);
+  assert.equal((await t.api('POST', `/api/games/${gameId}/bots`, { buyIn: 1000 }, alice.token)).status, 400);
+
+  const added = await t.api('POST', `/api/games/${gameId}/bots`, { strategy: 'calling-station', buyIn: 50 }, alice.token);
+  assert.equal(added.status, 200);
+  assert.equal(added.body.chips, 50);
+  const bot = added.body.address;
+  assert.ok(chain.callsFor('mint').some(c => c.args[0] === bot && c.args[1] === 50));
+  assert.ok(chain.callsFor('joinGame').some(c => c.args[1] === bot));
+
+  const seats = (await t.api('GET', `/api/games/${gameId}`)).body.game.players;
+  assert.deepEqual(seats.map(p => p.bot), [null, 'calling-station']);
+
+  // Heads-up alice is on the button and acts first; the bot calls, then opens the flop
+  await t.start(gameId);
+  await t.act(gameId, alice, 'raise', 10);
+  await sleep(50);
+
+  const gameState = gameStates.get(gameId);
+  const botActions = gameState.actionHistory.filter(a => a.player === bot).map(a => [a.phase, a.action]);
+  assert.deepEqual(botActions.slice(1), [['pre-flop', 'call'], ['flop', 'check']]);
+  assert.equal(gameState.currentTurn, alice.address);
+});
+
+test('bots stop dealing to each other once no human is dealt in', async () => {
+  const { gameStates } = loadServer();
+  const alice = await t.signIn('alice');
+  const gameId = await t.createTable([alice], { autoStartDelayMs: 5 });
+  await t.api('POST', `/api/games/${gameId}/bots`, { strategy: 'calling-station' }, alice.token);
+  await t.api('POST', `/api/games/${gameId}/bots`, { strategy: 'tight-aggressive' }, alice.token);
+  const gameState = gameStates.get(gameId);
+
+  // Alice sits out from the next hand and folds this one; the bots finish it
+  await t.start(gameId);
+  await t.api('POST', `/api/games/${gameId}/sit-out`, null, alice.token);
+  assert.equal(gameState.currentTurn, alice.address);
+  await t.act(gameId, alice, 'fold');
+
+  for (let i = 0; i < 100 && gameState.phase !== 'waiting'; i++) await sleep(5);
+  assert.equal(gameState.phase, 'waiting');
+  await sleep(50);
+  assert.equal(gameState.handNumber, 1);
+});
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseLobbyFilters, matchesFilters, pickQuickSeatTable } = require('../lobby');
+const { startTestServer, loadServer } = require('./helpers');
+
+let t;
+test.before(async () => { t = await startTestServer(); });
+test.after(() => t.close());
+
+const { chain } = loadServer();
+
+function table(overrides) {
+  return {
+    gameId: 1,
+    variant: 'holdem',
+    bettingStructure: 'no-limit',
+    phase: 'waiting',
+    smallBlind: 1,
+    bigBlind: 2,
+    minBuyIn: 40,
+    maxBuyIn: 200,
+    maxPlayers: 6,
+    seatedPlayers: 2,
+    freeSeats: 4,
+    handNumber: 0,
+    ...overrides
+  };
+}
+
+test('filters match on phase, stakes, buy-in and free seats', () => {
+  const t1 = table();
+  assert.ok(matchesFilters(t1, parseLobbyFilters({})));
+  assert.ok(matchesFilters(t1, parseLobbyFilters({ phase: 'waiting,flop', bigBlind: '2', buyIn: '100', freeSeats: '4' })));
+  assert.ok(!matchesFilters(t1, parseLobbyFilters({ freeSeats: '5' })));
+  assert.ok(!matchesFilters(t1, parseLobbyFilters({ buyIn: '300' })));
+  assert.ok(!matchesFilters(t1, parseLobbyFilters({ minBigBlind: '5' })));
+  assert.ok(matchesFilters(t1, parseLobbyFilters({ minBuyIn: '150', maxBuyIn: '500' })));
+  assert.ok(!matchesFilters(t1, parseLobbyFilters({ minBuyIn: '250' })));
+  assert.ok(!matchesFilters(t1, parseLobbyFilters({ variant: 'omaha' })));
+  assert.ok(matchesFilters(table({ variant: 'omaha', bettingStructure: 'pot-limit' }), parseLobbyFilters({ variant: 'omaha', bettingStructure: 'pot-limit' })));
+
+  // Finished tables are hidden unless asked for
+  assert.ok(!matchesFilters(table({ phase: 'finished' }), {}));
+  assert.ok(matchesFilters(table({ phase: 'finished' }), parseLobbyFilters({ phase: 'finished' })));
+
+  assert.throws(() => parseLobbyFilters({ bigBlind: 'lots' }), /Invalid filter: bigBlind/);
+});
+
+test('quick-seat prefers the fullest matching table', () => {
+  const tables = [
+    table({ gameId: 1, seatedPlayers: 2 }),
+    table({ gameId: 2, seatedPlayers: 5, freeSeats: 1 }),
+    table({ gameId: 3, seatedPlayers: 6, freeSeats: 0 }),
+    table({ gameId: 4, seatedPlayers: 5, bigBlind: 10 }),
+    table({ gameId: 5, seatedPlayers: 5, variant: 'omaha', bettingStructure: 'pot-limit' })
+  ];
+  assert.equal(pickQuickSeatTable(tables, { bigBlind: 2, buyIn: 100 }).gameId, 2);
+  assert.equal(pickQuickSeatTable(tables, { bigBlind: 2, buyIn: 20 }), null);
+  assert.equal(pickQuickSeatTable(tables, { bigBlind: 4, buyIn: 100 }), null);
+});
+
+test('GET /api/games lists and filters tables', async () => {
+  const [alice, bob, carol] = await Promise.all(['alice', 'bob', 'carol'].map(name => t.signIn(name)));
+  const small = await t.createTable([alice, bob]);
+  const big = await t.createTable([carol], { smallBlind: 5, bigBlind: 10, minBuyIn: 100, maxBuyIn: 1000, maxPlayers: 2 });
+
+  const all = await t.api('GET', '/api/games');
+  assert.equal(all.status, 200);
+  const listed = all.body.games.find(g => g.gameId === small);
+  assert.equal(listed.seatedPlayers, 2);
+  assert.equal(listed.freeSeats, 4);
+
+  const filtered = await t.api('GET', '/api/games?bigBlind=10&freeSeats=1');
+  assert.deepEqual(filtered.body.games.map(g => g.gameId), [big]);
+
+  assert.equal((await t.api('GET', '/api/games?freeSeats=-1')).status, 400);
+});
+
+test('public table view hides hole cards and includes on-chain config', async () => {
+  const [alice, bob] = await Promise.all([t.signIn('alice'), t.signIn('bob')]);
+  const gameId = await t.createTable([alice, bob]);
+  await t.start(gameId);
+
+  const res = await t.api('GET', `/api/games/${gameId}`);
+  assert.equal(res.status, 200);
+  const { game } = res.body;
+  assert.equal(game.phase, 'pre-flop');
+  assert.equal(game.players.length, 2);
+  assert.ok(game.players.every(p => !('holeCards' in p)));
+  assert.ok(!JSON.stringify(game).includes('holeCards'));
+  assert.equal(game.onChain.bigBlind, 2);
+  assert.equal(game.onChain.maxPlayers, 6);
+
+  assert.equal((await t.api('GET', '/api/games/9999')).status, 404);
+});
+
+test('quick-seat finds or opens a table and seats players who bought in', async () => {
+  const [alice, bob, carol] = await Promise.all(['alice', 'bob', 'carol'].map(name => t.signIn(name)));
+  const quickSeat = (player, buyIn) =>
+    t.api('POST', '/api/games/quick-seat', { playerName: player.name, bigBlind: 50, buyIn }, player.token);
+
+  // No table at this stake yet: one is opened, alice still has to buy in
+  const first = await quickSeat(alice, 2000);
+  assert.equal(first.status, 200);
+  assert.equal(first.body.created, true);
+  assert.equal(first.body.seated, false);
+  assert.equal(first.body.game.bigBlind, 50);
+  assert.equal(first.body.game.minBuyIn, 1000);
+
+  // Once alice has bought in on-chain, quick-seat seats alice at that table
+  chain.joinGame(first.body.gameId, alice.address, 2000);
+  const again = await quickSeat(alice, 2000);
+  assert.equal(again.body.gameId, first.body.gameId);
+  assert.equal(again.body.seated, true);
+  assert.equal(again.body.game.seatedPlayers, 1);
+
+  const second = await quickSeat(bob, 2500);
+  assert.equal(second.body.created, false);
+  assert.equal(second.body.gameId, first.body.gameId);
+
+  // A buy-in outside every open table's range gets a table of its own
+  const third = await quickSeat(carol, 100);
+  assert.equal(third.body.created, true);
+  assert.equal(third.body.game.minBuyIn, 100);
+
+  assert.equal((await t.api('POST', '/api/games/quick-seat', { buyIn: 100 }, carol.token)).status, 400);
+});
@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PlayerStats, publicStats } = require('../player-stats');
+const { MemoryStateStore } = require('../state-store');
+const { startTestServer, stackDeck, loadServer } = require('./helpers');
+
+let t;
+test.before(async () => { t = await startTestServer(); });
+test.after(() => t.close());
+
+const { gameStates } = loadServer();
+
+const A = '0x00000000000000000000000000000000000000aa';
+const B = '0x00000000000000000000000000000000000000bb';
+
+const act = (street, player, action, totalBet, betBefore) => ({ street, player, action, totalBet, betBefore });
+
+// A raises pre-flop and bets the flop; B check-raises all-in and A calls all-in
+const HAND = {
+  handId: '1-1',
+  endedAt: 1000,
+  seats: [
+    { address: A, name: 'a', stack: 100, inHand: true },
+    { address: B, name: 'b', stack: 100, inHand: true }
+  ],
+  actions: [
+    act('pre-flop', A, 'small-blind', 1, 0),
+    act('pre-flop', B, 'big-blind', 2, 1),
+    act('pre-flop', A, 'raise', 6, 2),
+    act('pre-flop', B, 'call', 6, 6),
+    act('flop', B, 'check', 0, 0),
+    act('flop', A, 'bet', 4, 0),
+    act('flop', B, 'all-in', 94, 4),
+    act('flop', A, 'all-in', 94, 94)
+  ],
+  shown: [{ address: A }, { address: B }],
+  results: [
+    { address: A, collected: 200, net: 100 },
+    { address: B, collected: 0, net: -100 }
+  ]
+};
+
+test('hands feed VPIP, PFR, aggression and showdown stats', async () => {
+  const stats = new PlayerStats({ store: new MemoryStateStore() });
+  await stats.recordHand(HAND, { bots: [B] });
+
+  const a = publicStats(stats.get(A));
+  assert.deepEqual(
+    [a.hands, a.vpip, a.pfr, a.aggressionFactor, a.showdowns, a.showdownWinRate, a.netChips],
+    [1, 1, 1, 2, 1, 1, 100]
+  );
+  const b = publicStats(stats.get(B));
+  assert.deepEqual(
+    [b.vpip, b.pfr, b.aggressionFactor, b.showdownWinRate, b.netChips, b.bot],
+    [1, 0, 1, 0, -100, true]
+  );
+
+  await stats.recordHand(HAND, { cash: false });
+  assert.equal(stats.get(A).netChips, 100);
+  assert.equal(stats.get(A).hands, 2);
+});
+
+test('games move Elo ratings pairwise and persist', async () => {
+  const store = new MemoryStateStore();
+  const stats = new PlayerStats({ store });
+  const C = '0x00000000000000000000000000000000000000cc';
+
+  const heads = await stats.recordGame([{ address: A, score: 10, felt: 9.5 }, { address: B, score: -10, felt: -10 }]);
+  assert.deepEqual(heads.map(r => [r.rating, r.change]), [[1516, 16], [1484, -16]]);
+
+  // Three-way: B beats A beats C, split across K / 2
+  await stats.recordGame([{ address: A, score: -2 }, { address: B, score: 5 }, { address: C, score: -3 }]);
+  const ratings = [A, B, C].map(address => stats.get(address).rating);
+  assert.ok(ratings[1] > 1484 && ratings[2] < 1500);
+  assert.equal(Math.round(ratings.reduce((total, r) => total + r, 0)), 4500);
+  assert.equal(stats.get(A).netFelt, 9.5);
+  assert.equal(stats.get(A).games, 2);
+
+  await stats.writes;
+  const reloaded = new PlayerStats({ store });
+  await reloaded.load();
+  assert.deepEqual(reloaded.get(C), stats.get(C));
+
+  const board = await reloaded.leaderboard({ sort: 'netFelt', limit: 2 });
+  assert.equal(board.total, 3);
+  assert.deepEqual(board.players.map(p => [p.rank, p.address]), [[1, A], [2, C]]);
+});
+
+test('finished hands and tables reach the stats and leaderboard routes', async () => {
+  const [alice, bob] = await Promise.all([t.signIn('alice'), t.signIn('bob')]);
+  const gameId = await t.createTable([alice, bob]);
+  stackDeck(gameStates.get(gameId), 'Ah Ad Kh Kd 2c 7s 9d Jc 3h');
+
+  await t.start(gameId);
+  await t.act(gameId, alice, 'raise', 10);
+  await t.act(gameId, bob, 'call');
+  for (let i = 0; i < 3; i++) {
+    await t.act(gameId, bob, 'check');
+    await t.act(gameId, alice, 'check');
+  }
+  await t.api('POST', `/api/games/${gameId}/leave`, null, alice.token);
+  assert.equal(gameStates.get(gameId).phase, 'finished');
+
+  const { stats } = (await t.api('GET', `/api/players/${alice.address.toLowerCase()}/stats`)).body;
+  assert.deepEqual(
+    [stats.address, stats.name, stats.hands, stats.games, stats.vpip, stats.pfr, stats.aggressionFactor, stats.showdownWinRate],
+    [alice.address, 'alice', 1, 1, 1, 1, null, 1]
+  );
+  assert.deepEqual([stats.netChips, stats.netFelt, stats.rating], [10, 10, 1516]);
+
+  const board = (await t.api('GET', '/api/leaderboard?minGames=1&bots=false')).body;
+  assert.equal(board.sort, 'rating');
+  assert.deepEqual(board.players.map(p => p.address), [alice.address, bob.address]);
+  assert.equal(board.players[1].aggressionFactor, 0);
+
+  const missing = await t.api('GET', '/api/players/0x0000000000000000000000000000000000000001/stats');
+  assert.equal(missing.body.code, 'PLAYER_NOT_FOUND');
+  assert.equal((await t.api('GET', '/api/leaderboard?sort=luck')).body.code, 'VALIDATION_ERROR');
+});
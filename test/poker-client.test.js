@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { ethers } = require('ethers');
+const { PokerClient, PokerClientError } = require('../poker-client');
+const { HOUSE_BOTS } = require('../house-bots');
+const { startTestServer, loadServer } = require('./helpers');
+
+let t;
+test.before(async () => { t = await startTestServer(); });
+test.after(() => t.close());
+
+const { chain, gameStates } = loadServer();
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function signedIn(options = {}) {
+  const client = new PokerClient({ baseUrl: t.base, wallet: ethers.Wallet.createRandom(), pollIntervalMs: 10, ...options });
+  await client.signIn();
+  return client;
+}
+
+async function until(predicate) {
+  for (let i = 0; i < 400; i++) {
+    if (predicate()) return;
+    await sleep(5);
+  }
+  throw new Error('Timed out waiting');
+}
+
+test('the client wraps the table routes and reports failures with their status', async () => {
+  const alice = await signedIn();
+  const gameId = await alice.createGame({ smallBlind: 1, bigBlind: 2, minBuyIn: 20, maxBuyIn: 200, maxPlayers: 6 });
+
+  await assert.rejects(alice.joinGame(gameId), err => err instanceof PokerClientError && err.status === 402);
+  chain.joinGame(gameId, alice.address, 100);
+  assert.equal((await alice.joinGame(gameId, { playerName: 'alice' })).chips, 100);
+
+  const game = await alice.getGame(gameId);
+  assert.equal(game.players[0].name, 'alice');
+  assert.ok((await alice.listGames({ phase: 'waiting' })).some(g => g.gameId === gameId));
+
+  await alice.addBot(gameId, { strategy: 'calling-station' });
+  assert.equal((await alice.getState(gameId)).players.length, 2);
+  assert.ok((await alice.listBots()).length >= 3);
+
+  const anonymous = new PokerClient({ baseUrl: t.base });
+  await assert.rejects(anonymous.getState(gameId), err => err.status === 401);
+  assert.throws(() => anonymous.play(gameId, () => 'fold'), /Sign in/);
+});
+
+for (const transport of ['websocket', 'polling']) {
+  test(`play() answers every turn over ${transport} until the table finishes`, async () => {
+    const [alice, bob] = await Promise.all([signedIn({ transport }), signedIn({ transport })]);
+    const gameId = await alice.createGame({ smallBlind: 5, bigBlind: 10, minBuyIn: 20, maxBuyIn: 200, maxPlayers: 2, autoStartDelayMs: 5 });
+    for (const [client, name] of [[alice, 'alice'], [bob, 'bob']]) {
+      chain.joinGame(gameId, client.address, 40);
+      await client.joinGame(gameId, { playerName: name });
+    }
+
+    const turns = { alice: 0, bob: 0 };
+    const shove = name => state => {
+      turns[name]++;
+      return state.availableActions.includes('all-in') ? { action: 'all-in' } : HOUSE_BOTS['calling-station'].decide(state);
+    };
+    const sessions = [alice.play(gameId, shove('alice')), bob.play(gameId, shove('bob'))];
+    await alice.startGame(gameId);
+
+    const results = await Promise.all(sessions.map(s => s.finished));
+    assert.equal(gameStates.get(gameId).phase, 'finished');
+    assert.ok(turns.alice > 0 && turns.bob > 0);
+    if (transport === 'websocket') {
+      assert.equal(results[0].type, 'gameFinished');
+    } else {
+      assert.equal(results[0].phase, 'finished');
+    }
+  });
+}
+
+test('stop() ends play, and a rejected action ends it unless onError handles it', async () => {
+  const [alice, bob] = await Promise.all([signedIn(), signedIn()]);
+  const gameId = await alice.createGame({ smallBlind: 1, bigBlind: 2, minBuyIn: 20, maxBuyIn: 200, maxPlayers: 2 });
+  for (const client of [alice, bob]) {
+    chain.joinGame(gameId, client.address, 100);
+    await client.joinGame(gameId);
+  }
+
+  const idle = bob.play(gameId, () => 'check');
+  const failing = alice.play(gameId, () => ({ action: 'raise', amount: 1 }));
+  await alice.startGame(gameId);
+
+  await assert.rejects(failing.finished, err => err instanceof PokerClientError && err.status === 400);
+
+  const errors = [];
+  let calls = 0;
+  const retrying = alice.play(gameId, () => (++calls === 1 ? 'check' : 'call'), {
+    transport: 'polling',
+    onError: error => errors.push(error.message)
+  });
+  await until(() => gameStates.get(gameId).currentTurn === bob.address);
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /Cannot check/);
+
+  retrying.stop();
+  idle.stop();
+  assert.equal(await retrying.finished, null);
+  assert.equal(await idle.finished, null);
+});
+
+test('the client loads none of the server modules', () => {
+  const root = path.join(__dirname, '..');
+  const script = "require('./poker-client'); console.log(JSON.stringify(Object.keys(require.cache)))";
+  const loaded = JSON.parse(execFileSync(process.execPath, ['-e', script], { cwd: root }))
+    .filter(file => !file.includes('node_modules'))
+    .map(file => path.relative(root, file));
+  assert.deepEqual(loaded.sort(), ['poker-client.js', 'shared-crypto.js']);
+});
@@ -0,0 +1,148 @@
+process.env.ADMIN_TOKEN = 'settlement-test-admin';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { payoutFor, settlementPlan } = require('../settlement');
+const { startTestServer, loadServer } = require('./helpers');
+
+let t;
+test.before(async () => { t = await startTestServer(); });
+test.after(() => t.close());
+
+const { chain, gameStates, txQueue } = loadServer();
+const ADMIN = 'settlement-test-admin';
+
+const settlements = async (gameId, query = '') => (await t.api('GET', `/api/games/${gameId}/settlements${query}`)).body.settlements;
+
+// Run `fn` at tables opened while the contract charges `rate`
+async function withServerFee(rate, fn) {
+  chain.serverFeeRate = rate;
+  try {
+    await fn();
+  } finally {
+    chain.serverFeeRate = 0;
+  }
+}
+
+test('payouts share the server fee pro rata and one player is paid directly', () => {
+  assert.deepEqual(payoutFor('0xa', 101, 0.05), { player: '0xa', chips: 101, fee: 5.05, amount: 95.95 });
+
+  const seat = (address, chips) => ({ address, chips });
+  const alone = { players: [seat('0xa', 200), seat('0xb', 0)], cashedOut: 0, deferredCashOuts: [] };
+  assert.deepEqual(settlementPlan(alone, '0xserver'), {
+    direct: true,
+    recipient: '0xa',
+    payouts: [{ player: '0xa', chips: 200, fee: 0, amount: 200 }]
+  });
+
+  const split = { players: [seat('0xa', 150), seat('0xb', 30)], cashedOut: 20, serverFeeRate: 0.1, deferredCashOuts: [] };
+  const plan = settlementPlan(split, '0xserver');
+  assert.equal(plan.recipient, '0xserver');
+  assert.deepEqual(plan.payouts.map(p => p.amount), [135, 27]);
+});
+
+test('players cash out between hands and the table settles through the server wallet', async () => {
+  await withServerFee(0.05, async () => {
+    const [alice, bob, carol] = await Promise.all(['alice', 'bob', 'carol'].map(name => t.signIn(name)));
+    const gameId = await t.createTable([alice, bob, carol]);
+    const gameState = gameStates.get(gameId);
+    assert.equal(gameState.serverFeeRate, 0.05);
+
+    // Carol is in the hand, so she leaves when it ends
+    await t.start(gameId);
+    const pending = await t.api('POST', `/api/games/${gameId}/leave`, null, carol.token);
+    assert.equal(pending.body.pending, true);
+    // Alice and Bob fold to her big blind
+    for (let i = 0; i < 2; i++) {
+      await t.act(gameId, [alice, bob].find(p => p.address === gameState.currentTurn), 'fold');
+    }
+    assert.equal(gameState.phase, 'waiting');
+    assert.equal(gameState.players.length, 2);
+
+    const aliceChips = gameState.players.find(p => p.address === alice.address).chips;
+    const left = await t.api('POST', `/api/games/${gameId}/leave`, null, alice.token);
+    assert.equal(left.body.pending, false);
+    assert.deepEqual(left.body.cashOut.payouts.map(p => [p.player, p.chips, p.amount]), [
+      [alice.address, aliceChips, Math.round(aliceChips * 0.95 * 1e6) / 1e6]
+    ]);
+
+    // Bob is alone, so the table closes
+    assert.equal(gameState.phase, 'finished');
+    await txQueue.idle();
+
+    const log = await settlements(gameId);
+    assert.deepEqual(log.map(e => e.type), ['cashOut', 'cashOut', 'settlement']);
+    const closing = log[2];
+    assert.equal(closing.recipient, chain.serverAddress);
+    assert.deepEqual(closing.payouts.map(p => p.player), [bob.address]);
+    assert.equal(closing.transactions.settleGame.status, 'confirmed');
+    assert.ok(log.every(e => e.payouts.every(p => p.tx.status === 'confirmed')));
+    assert.equal(log.reduce((total, e) => total + e.totals.chips, 0), 300);
+    assert.equal(Math.round(log.reduce((total, e) => total + e.totals.fee, 0) * 1e6) / 1e6, 15);
+
+    // The escrow less its fee pays back exactly what the server wallet sent
+    assert.equal(Math.round((await chain.balanceOf(chain.serverAddress)) * 1e6), 0);
+    assert.deepEqual(chain.callsFor('finishGame').filter(c => c.args[0] === gameId).map(c => c.args[1]), [chain.serverAddress]);
+
+    const mine = await settlements(gameId, `?player=${alice.address.toLowerCase()}`);
+    assert.deepEqual(mine.map(e => e.type), ['cashOut']);
+  });
+});
+
+test('a table that never dealt is refunded once everyone leaves', async () => {
+  const [alice, bob] = await Promise.all([t.signIn('alice'), t.signIn('bob')]);
+  const gameId = await t.createTable([alice, bob]);
+
+  const first = await t.api('POST', `/api/games/${gameId}/leave`, null, alice.token);
+  assert.equal(first.body.cashOut.deferred, true);
+  assert.equal(gameStates.get(gameId).phase, 'waiting');
+
+  await t.api('POST', `/api/games/${gameId}/leave`, null, bob.token);
+  assert.equal(gameStates.get(gameId).phase, 'finished');
+  await txQueue.idle();
+
+  const log = await settlements(gameId);
+  assert.deepEqual(log.map(e => e.type), ['cashOut', 'cashOut', 'emergencyRefund']);
+  assert.deepEqual(log[2].payouts.map(p => [p.player, p.amount]), [[alice.address, 100], [bob.address, 100]]);
+  assert.equal(log[2].cashOutsPaid, 0);
+  assert.equal(chain.callsFor('finishGame').filter(c => c.args[0] === gameId).length, 0);
+  assert.equal(chain.callsFor('emergencyRefund').filter(c => c.args[0] === gameId).length, 1);
+
+  assert.equal((await t.api('POST', `/api/games/${gameId}/leave`, null, alice.token)).body.code, 'NOT_A_PLAYER');
+});
+
+test('operators can stop a table mid-hand and refund every buy-in', async () => {
+  const [alice, bob] = await Promise.all([t.signIn('alice'), t.signIn('bob')]);
+  const gameId = await t.createTable([alice, bob]);
+  await t.start(gameId);
+
+  const path = `/api/admin/games/${gameId}/emergency-refund`;
+  assert.equal((await t.api('POST', path, {}, alice.token)).status, 401);
+
+  const refunded = await t.api('POST', path, { reason: 'RPC outage' }, ADMIN);
+  assert.equal(refunded.status, 200);
+  assert.equal(refunded.body.refund.reason, 'RPC outage');
+  assert.equal(refunded.body.refund.totals.amount, 200);
+
+  const gameState = gameStates.get(gameId);
+  assert.equal(gameState.phase, 'finished');
+  assert.equal(gameState.currentTurn, null);
+  assert.equal((await t.api('POST', path, {}, ADMIN)).body.code, 'GAME_FINISHED');
+  assert.equal((await t.api('POST', '/api/admin/games/999/emergency-refund', {}, ADMIN)).body.code, 'GAME_NOT_FOUND');
+});
+
+test('a table someone has been cashed out of is not emergency refunded', async () => {
+  const [alice, bob, carol] = await Promise.all([t.signIn('alice'), t.signIn('bob'), t.signIn('carol')]);
+  const gameId = await t.createTable([alice, bob, carol]);
+  const gameState = gameStates.get(gameId);
+  await t.start(gameId);
+  while (gameState.phase !== 'waiting') {
+    await t.act(gameId, [alice, bob, carol].find(p => p.address === gameState.currentTurn), 'fold');
+  }
+  await t.api('POST', `/api/games/${gameId}/leave`, null, carol.token);
+
+  const refused = await t.api('POST', `/api/admin/games/${gameId}/emergency-refund`, {}, ADMIN);
+  assert.equal(refused.body.code, 'GAME_STATE_CONFLICT');
+  assert.notEqual(gameState.phase, 'finished');
+  assert.equal(chain.callsFor('emergencyRefund').filter(c => c.args[0] === gameId).length, 0);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildPots, splitPot } = require('../side-pots');
+
+const player = (address, totalBet, hasFolded = false) => ({ address, totalBet, hasFolded });
+
+test('a single pot when nobody is all-in for less', () => {
+  const pots = buildPots([player('a', 50), player('b', 50), player('c', 20, true)]);
+  assert.deepEqual(pots, [{ amount: 120, eligible: ['a', 'b'] }]);
+});
+
+test('all-in amounts cap the main pot and create side pots', () => {
+  const pots = buildPots([
+    player('a', 50),
+    player('b', 200),
+    player('c', 300, true),
+    player('d', 200)
+  ]);
+
+  assert.deepEqual(pots, [
+    { amount: 200, eligible: ['a', 'b', 'd'] },
+    { amount: 550, eligible: ['b', 'd'] }
+  ]);
+});
+
+test('an uncalled bet comes back as a pot only its owner can win', () => {
+  const pots = buildPots([player('a', 100), player('b', 40)]);
+  assert.deepEqual(pots, [
+    { amount: 80, eligible: ['a', 'b'] },
+    { amount: 60, eligible: ['a'] }
+  ]);
+});
+
+test('odd chips go to the first winner left of the button', () => {
+  const seats = ['a', 'b', 'c', 'd'];
+  assert.deepEqual([...splitPot(101, ['b', 'd'], seats, 2)], [['b', 50], ['d', 51]]);
+  assert.deepEqual([...splitPot(101, ['b', 'd'], seats, 0)], [['b', 51], ['d', 50]]);
+});
+
+test('three-way split with two odd chips', () => {
+  const payouts = splitPot(32, ['a', 'b', 'c'], ['a', 'b', 'c'], 2);
+  assert.deepEqual([...payouts], [['a', 11], ['b', 11], ['c', 10]]);
+});
+
+test('chips folded above the highest live bet go to the last pot', () => {
+  const pots = buildPots([player('a', 50), player('b', 50), player('c', 80, true)]);
+  assert.deepEqual(pots, [{ amount: 180, eligible: ['a', 'b'] }]);
+  assert.deepEqual(buildPots([player('a', 10, true), player('b', 0)]), []);
+});
+
+test('a single odd chip, or a fraction of one, goes left of the button', () => {
+  assert.deepEqual([...splitPot(1, ['a', 'b'], ['a', 'b', 'c'], 0)], [['a', 0], ['b', 1]]);
+  assert.deepEqual([...splitPot(10.5, ['a', 'b'], ['a', 'b'], 1)], [['a', 5.5], ['b', 5]]);
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+const { startTestServer } = require('./helpers');
+
+let t;
+test.before(async () => { t = await startTestServer(); });
+test.after(() => t.close());
+
+function spectate(gameId) {
+  const socket = new WebSocket(`${t.base.replace('http', 'ws')}/ws?gameId=${gameId}&spectate=1`);
+  socket.frames = [];
+  socket.on('message', data => socket.frames.push(JSON.parse(data)));
+  return new Promise((resolve, reject) => {
+    socket.once('open', () => resolve(socket));
+    socket.once('error', reject);
+  });
+}
+
+function waitFor(socket, predicate) {
+  return new Promise(resolve => {
+    const check = () => {
+      if (socket.frames.some(predicate)) resolve(socket.frames);
+      else setTimeout(check, 10);
+    };
+    check();
+  });
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('live spectators see public state without hole cards', async () => {
+  const [alice, bob] = await Promise.all([t.signIn('alice'), t.signIn('bob')]);
+  const gameId = await t.createTable([alice, bob]);
+  const socket = await spectate(gameId);
+
+  await t.start(gameId);
+  await waitFor(socket, f => f.type === 'gameStarted');
+  await waitFor(socket, f => f.type === 'state' && f.state.phase === 'pre-flop');
+
+  const res = await t.api('GET', `/api/games/${gameId}/spectate`);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.delayMs, 0);
+  assert.equal(res.body.spectatorCount, 1);
+  assert.equal(res.body.state.phase, 'pre-flop');
+  assert.equal(res.body.state.players.length, 2);
+  assert.ok(!('yourCards' in res.body.state));
+
+  const aliceCards = (await t.stateFor(gameId, alice)).yourCards;
+  for (const frame of [...socket.frames, res.body]) {
+    assert.ok(!JSON.stringify(frame).includes('holeCards'));
+    assert.ok(!JSON.stringify(frame).includes(JSON.stringify(aliceCards)));
+  }
+
+  const listed = (await t.api('GET', '/api/games')).body.games.find(g => g.gameId === gameId);
+  assert.equal(listed.spectatorCount, 1);
+
+  socket.close();
+  await sleep(50);
+  assert.equal((await t.api('GET', `/api/games/${gameId}`)).body.game.spectatorCount, 0);
+});
+
+test('a delayed feed holds events back and reveals hole cards only after showdown', async () => {
+  const [alice, bob] = await Promise.all([t.signIn('alice'), t.signIn('bob')]);
+  const gameId = await t.createTable([alice, bob], { spectatorDelayMs: 200 });
+  const socket = await spectate(gameId);
+
+  await t.start(gameId);
+  await t.act(gameId, alice, 'call');
+  const aliceCards = (await t.stateFor(gameId, alice)).yourCards;
+
+  // Nothing from the hand has reached spectators yet
+  assert.ok(!socket.frames.some(f => f.type === 'gameStarted'));
+  const early = await t.api('GET', `/api/games/${gameId}/spectate`);
+  assert.equal(early.body.delayMs, 200);
+  assert.equal(early.body.state, null);
+
+  const frames = await waitFor(socket, f => f.type === 'action');
+  const started = frames.find(f => f.type === 'state' && f.state.phase === 'pre-flop');
+  assert.ok(started.state.players.every(p => !p.holeCards));
+
+  // Frames are snapshots of the moment they describe, not of the live table
+  assert.equal(started.state.currentTurn, alice.address);
+  assert.ok(!started.state.actionHistory.some(a => a.action === 'call'));
+
+  const late = await t.api('GET', `/api/games/${gameId}/spectate`);
+  assert.equal(late.body.state.phase, 'pre-flop');
+  assert.equal(late.body.state.currentTurn, bob.address);
+
+  // Checked down: the cards come out once the hand is over, and not before
+  await t.act(gameId, bob, 'check');
+  for (let i = 0; i < 3; i++) {
+    await t.act(gameId, bob, 'check');
+    await t.act(gameId, alice, 'check');
+  }
+  const all = await waitFor(socket, f => f.type === 'showdown');
+  const states = all.filter(f => f.type === 'state');
+  assert.ok(states.filter(f => f.state.phase !== 'waiting').every(f => f.state.players.every(p => !p.holeCards)));
+  const ended = states.at(-1).state;
+  assert.equal(ended.phase, 'waiting');
+  assert.deepEqual(ended.players.find(p => p.address === alice.address).holeCards, aliceCards);
+
+  socket.close();
+});
+
+test('spectating an unknown game is refused', async () => {
+  assert.equal((await t.api('GET', '/api/games/9999/spectate')).status, 404);
+
+  const socket = await spectate(9999);
+  const code = await new Promise(resolve => socket.once('close', resolve));
+  assert.equal(code, 4004);
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { FileStateStore } = require('../state-store');
+const { startTestServer, loadServer } = require('./helpers');
+
+let t;
+test.before(async () => { t = await startTestServer(); });
+test.after(() => t.close());
+
+const { gameStates, stateStore, chain, recoverGames } = loadServer();
+
+test('file store round-trips snapshots and ignores other files', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'agent-poker-'));
+  const store = new FileStateStore({ dir });
+
+  await store.save(7, '{"a":1}');
+  await store.save(7, '{"a":2}');
+  await store.save(8, '{"b":1}');
+  await fs.writeFile(path.join(dir, 'notes.txt'), 'hello');
+
+  const all = await store.loadAll();
+  assert.deepEqual(all.sort((a, b) => a.gameId - b.gameId), [
+    { gameId: 7, json: '{"a":2}' },
+    { gameId: 8, json: '{"b":1}' }
+  ]);
+
+  await store.remove(7);
+  assert.deepEqual((await store.loadAll()).map(g => g.gameId), [8]);
+
+  await store.saveTournament(1, '{"t":1}');
+  await store.saveTournament(1, '{"t":2}');
+  assert.deepEqual(await store.loadTournaments(), ['{"t":2}']);
+  assert.deepEqual((await store.loadAll()).map(g => g.gameId), [8]);
+
+  await store.saveHand(8, 10, '{"h":10}');
+  await store.saveHand(8, 9, '{"h":9}');
+  assert.deepEqual(await store.loadHands(8), ['{"h":9}', '{"h":10}']);
+  await store.saveTx('abc-1', '{"tx":1}');
+  assert.deepEqual(await store.loadTxs(), ['{"tx":1}']);
+
+  // Every write is renamed into place; no temp files are left behind
+  const names = await fs.readdir(dir, { recursive: true });
+  assert.deepEqual(names.filter(name => name.endsWith('.tmp')), []);
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('file store with no directory yet is empty', async () => {
+  const store = new FileStateStore({ dir: path.join(os.tmpdir(), 'agent-poker-missing', String(Date.now())) });
+  assert.deepEqual(await store.loadAll(), []);
+  assert.deepEqual(await store.loadHands(1), []);
+  assert.deepEqual(await store.loadTournaments(), []);
+  assert.deepEqual(await store.loadPlayerStats(), []);
+  assert.deepEqual(await store.loadChainBlocks(), []);
+  assert.deepEqual(await store.loadTxs(), []);
+});
+
+test('a hand in progress survives a restart', async () => {
+  const [alice, bob] = await Promise.all([t.signIn('alice'), t.signIn('bob')]);
+  const gameId = await t.createTable([alice, bob]);
+  await t.start(gameId);
+  await t.act(gameId, alice, 'call');
+
+  const before = gameStates.get(gameId);
+  const remaining = before.deck.deck.slice();
+
+  // Simulate a restart: drop live state and reload from the store
+  gameStates.delete(gameId);
+  const { recovered } = await recoverGames();
+  assert.ok(recovered.includes(gameId));
+
+  const after = gameStates.get(gameId);
+  assert.notEqual(after, before);
+  assert.deepEqual(after.deck.deck, remaining);
+  assert.equal(after.currentTurn, bob.address);
+  assert.equal(after.pot, 4);
+
+  // Play carries on where it stopped
+  assert.equal((await t.act(gameId, bob, 'check')).status, 200);
+  assert.equal(after.phase, 'flop');
+  assert.deepEqual(after.communityCards, remaining.slice(0, 3));
+});
+
+test('finished tables are dropped from the store', async () => {
+  const [alice, bob] = await Promise.all([t.signIn('alice'), t.signIn('bob')]);
+  const gameId = await t.createTable([alice, bob]);
+  await t.start(gameId);
+  await t.act(gameId, alice, 'all-in');
+  await t.act(gameId, bob, 'call');
+
+  assert.equal(gameStates.get(gameId).phase, 'finished');
+  const stored = (await stateStore.loadAll()).map(g => g.gameId);
+  assert.ok(!stored.includes(gameId));
+});
+
+test('games that cannot be restored are refunded on-chain', async () => {
+  await stateStore.save(999, '{"version":1,"state":{"players":"oops"}}');
+
+  const { refunded } = await recoverGames();
+  assert.deepEqual(refunded, [999]);
+  assert.deepEqual(chain.callsFor('emergencyRefund').map(c => c.args[0]), [999]);
+  assert.ok(!(await stateStore.loadAll()).some(g => g.gameId === 999));
+});
+
+test('unrestorable games with paid cash-outs are not refunded twice', async () => {
+  await stateStore.save(998, '{"version":1,"state":{"players":"oops"}}');
+  await stateStore.appendSettlement(998, JSON.stringify({ type: 'cashOut', gameId: 998, payouts: [{ amount: 50 }] }));
+
+  const { refunded } = await recoverGames();
+  assert.deepEqual(refunded, []);
+  assert.ok(!chain.callsFor('emergencyRefund').some(c => c.args[0] === 998));
+});
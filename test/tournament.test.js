@@ -0,0 +1,270 @@
+process.env.ADMIN_TOKEN = 'tournament-test-admin';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  createTournament,
+  payoutPercents,
+  prizeAmounts,
+  advanceLevel,
+  currentLevel,
+  seatEntrants,
+  planBalance,
+  recordEliminations
+} = require('../tournament');
+const { startTestServer, loadServer } = require('./helpers');
+
+let t;
+test.before(async () => { t = await startTestServer(); });
+test.after(() => t.close());
+
+const { chain, txQueue, gameStates, tournaments, recoverGames } = loadServer();
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function entrants(tournament, count) {
+  for (let i = 0; i < count; i++) {
+    tournament.entrants.push({ address: `0x${i}`, place: null });
+  }
+  return tournament;
+}
+
+test('config is validated and defaults follow the tournament type', () => {
+  const sng = createTournament(1, { tableSize: 6 }, '0xcreator');
+  assert.equal(sng.maxEntrants, 6);
+  assert.equal(sng.minEntrants, 6);
+  assert.equal(sng.levelHands, null);
+  assert.ok(sng.levelDurationMs > 0);
+
+  const mtt = createTournament(2, { type: 'mtt', levelHands: 10 }, '0xcreator');
+  assert.equal(mtt.minEntrants, 2);
+  assert.equal(mtt.levelDurationMs, null);
+
+  assert.throws(() => createTournament(3, { type: 'sng', tableSize: 6, maxEntrants: 9 }, '0x'), /cannot exceed tableSize/);
+  assert.throws(() => createTournament(3, { payouts: [60, 30] }, '0x'), /adding up to 100/);
+  assert.throws(() => createTournament(3, { blindSchedule: [{ smallBlind: 10, bigBlind: 5 }] }, '0x'), /blindSchedule/);
+  assert.throws(() => createTournament(3, { type: 'bounty' }, '0x'), /type must be/);
+});
+
+test('payouts follow the field size and never pay more places than entrants', () => {
+  assert.deepEqual(payoutPercents(entrants(createTournament(1, {}, '0x'), 9)), [50, 30, 20]);
+  assert.deepEqual(payoutPercents(entrants(createTournament(1, {}, '0x'), 3)), [100]);
+  assert.deepEqual(payoutPercents(entrants(createTournament(1, { payouts: [50, 30, 20] }, '0x'), 2)), [62.5, 37.5]);
+
+  // Rounding leftovers go to first place
+  assert.deepEqual(prizeAmounts(100, [50, 30, 20]), [50, 30, 20]);
+  assert.deepEqual(prizeAmounts(101, [65, 35]), [66, 35]);
+});
+
+test('levels move up by time or by hands per table', () => {
+  const timed = createTournament(1, { levelDurationMs: 1000 }, '0x');
+  timed.levelStartedAt = 0;
+  assert.equal(advanceLevel(timed, 999), false);
+  assert.equal(advanceLevel(timed, 2500), true);
+  assert.equal(timed.level, 2);
+  assert.deepEqual(currentLevel(timed), { smallBlind: 25, bigBlind: 50, ante: 0 });
+
+  const byHands = createTournament(2, { levelHands: 2 }, '0x');
+  byHands.tables = [1, 2];
+  byHands.levelStartedAt = 0;
+  const changes = [];
+  for (let hand = 0; hand < 9; hand++) changes.push(advanceLevel(byHands, 0));
+  // Two tables: four hands dealt per level
+  assert.deepEqual(changes.map((changed, hand) => changed && hand).filter(Boolean), [4, 8]);
+
+  // The last level repeats once the schedule runs out
+  timed.level = 99;
+  assert.deepEqual(currentLevel(timed), timed.blindSchedule.at(-1));
+});
+
+test('seating, balancing and breaking tables', () => {
+  assert.deepEqual(seatEntrants(['a', 'b', 'c', 'd', 'e'], 3), [['a', 'c', 'e'], ['b', 'd']]);
+
+  // 9, 6, 6 at 9-handed: the big table sheds players to the short ones
+  const tables = [{ gameId: 1, players: 9 }, { gameId: 2, players: 6 }, { gameId: 3, players: 6 }];
+  assert.deepEqual(planBalance(tables, 9, 1), { breakTable: false, destinations: [2, 3] });
+  assert.deepEqual(planBalance(tables, 9, 2), { breakTable: false, destinations: [] });
+
+  // 5, 4 and 4 players fit on two tables: whichever finishes a hand first breaks
+  const merging = [{ gameId: 1, players: 5 }, { gameId: 2, players: 4 }, { gameId: 3, players: 4 }];
+  assert.deepEqual(planBalance(merging, 9, 2), { breakTable: true, destinations: [3, 1, 3, 1] });
+});
+
+test('players out in the same hand are placed by starting stack', () => {
+  const tournament = entrants(createTournament(1, {}, '0x'), 5);
+  const placed = recordEliminations(tournament, [
+    { address: '0x1', startStack: 300 },
+    { address: '0x2', startStack: 100 }
+  ]);
+  assert.deepEqual(placed.map(e => [e.address, e.place]), [['0x2', 5], ['0x1', 4]]);
+});
+
+// Play every turn with the first of `preferred` that is allowed, until the tournament is over
+async function playOut(tournamentId, players, preferred = ['all-in', 'call', 'check']) {
+  for (let step = 0; step < 5000; step++) {
+    const { tournament } = (await t.api('GET', `/api/tournaments/${tournamentId}`)).body;
+    if (tournament.status === 'finished') return tournament;
+
+    let acted = false;
+    for (const tableId of tournament.tables) {
+      const table = gameStates.get(tableId);
+      if (!table || !table.currentTurn) continue;
+      const player = players.find(p => p.address === table.currentTurn);
+      const { availableActions } = await t.stateFor(tableId, player);
+      const action = [...preferred, 'all-in'].find(a => availableActions.includes(a));
+      await t.act(tableId, player, action);
+      acted = true;
+    }
+    if (!acted) await sleep(5);
+  }
+  throw new Error(`Tournament ${tournamentId} did not finish`);
+}
+
+test('a sit-and-go collects entry fees, starts when full and pays the top places', async () => {
+  const players = await Promise.all(['alice', 'bob', 'carol', 'dave'].map(name => t.signIn(name)));
+  const [alice, bob] = players;
+
+  const created = await t.api('POST', '/api/tournaments', {
+    name: 'Turbo',
+    tableSize: 4,
+    entryFee: 25,
+    startingStack: 200,
+    levelHands: 2,
+    handDelayMs: 5,
+    blindSchedule: [
+      { smallBlind: 5, bigBlind: 10 },
+      { smallBlind: 10, bigBlind: 20, ante: 5 },
+      { smallBlind: 25, bigBlind: 50, ante: 10 }
+    ]
+  }, alice.token);
+  assert.equal(created.status, 200);
+  const id = created.body.tournamentId;
+
+  // Registration needs a transfer of the fee to the server wallet
+  const noFee = await t.api('POST', `/api/tournaments/${id}/register`, { playerName: 'alice' }, alice.token);
+  assert.equal(noFee.status, 402);
+  const short = chain.transferTokens(alice.address, chain.serverAddress, 10);
+  assert.equal((await t.api('POST', `/api/tournaments/${id}/register`, { txHash: short.txHash }, alice.token)).status, 402);
+
+  const fees = new Map();
+  for (const player of players) {
+    const { txHash } = chain.transferTokens(player.address, chain.serverAddress, 25);
+    fees.set(player, txHash);
+    const res = await t.api('POST', `/api/tournaments/${id}/register`, { playerName: player.name, txHash }, player.token);
+    assert.equal(res.status, 200);
+  }
+
+  // A transfer only pays for one entry
+  const reused = await t.api('POST', `/api/tournaments/${id}/register`, { txHash: fees.get(bob) }, (await t.signIn('eve')).token);
+  assert.equal(reused.status, 400);
+
+  const started = (await t.api('GET', `/api/tournaments/${id}`)).body.tournament;
+  assert.equal(started.status, 'running');
+  assert.equal(started.tables.length, 1);
+  assert.equal(started.prizePool, 100);
+  assert.deepEqual(started.payouts.map(p => p.amount), [65, 35]);
+
+  // Tournament tables stay off-chain and can't be joined directly
+  const tableId = started.tables[0];
+  const frank = await t.signIn('frank');
+  assert.equal((await t.api('POST', `/api/games/${tableId}/join`, {}, frank.token)).status, 400);
+  assert.equal((await t.api('POST', `/api/games/${tableId}/sit-out`, null, alice.token)).status, 400);
+
+  // Calling every hand down lets the blinds and antes do the work
+  const finished = await playOut(id, players, ['check', 'call']);
+  const places = finished.players.map(p => p.place).sort();
+  assert.deepEqual(places, [1, 2, 3, 4]);
+
+  const first = finished.players.find(p => p.place === 1);
+  const second = finished.players.find(p => p.place === 2);
+  assert.equal(first.prize, 65);
+  assert.equal(second.prize, 35);
+
+  await txQueue.idle();
+  const paid = chain.callsFor('transfer').map(c => c.args);
+  assert.deepEqual(paid, [[first.address, 65], [second.address, 35]]);
+  assert.ok(!chain.callsFor('startGame').some(c => c.args[0] === tableId));
+
+  // Blinds went up and antes were posted on the way
+  const hands = (await t.api('GET', `/api/games/${tableId}/hands`)).body.hands;
+  assert.ok(hands.length >= 3);
+  const last = (await t.api('GET', `/api/games/${tableId}/hands/${hands.at(-1).handNumber}`)).body.hand;
+  assert.ok(last.bigBlind > 10);
+  assert.ok(last.actions.some(a => a.action === 'ante'));
+});
+
+test('a multi-table tournament balances and merges tables down to a final table', async () => {
+  const players = await Promise.all(['p1', 'p2', 'p3', 'p4', 'p5', 'p6', 'p7'].map(name => t.signIn(name)));
+  const [creator] = players;
+
+  const created = await t.api('POST', '/api/tournaments', {
+    type: 'mtt',
+    tableSize: 3,
+    startingStack: 100,
+    addedPrize: 70,
+    levelHands: 3,
+    handDelayMs: 5
+  }, creator.token);
+  const id = created.body.tournamentId;
+
+  // Players can't put up house money; an operator can
+  assert.equal(created.body.tournament.addedPrize, 0);
+  const prize = `/api/admin/tournaments/${id}/added-prize`;
+  assert.equal((await t.api('POST', prize, { addedPrize: 70 }, creator.token)).status, 401);
+  assert.equal((await t.api('POST', prize, { addedPrize: 70 }, process.env.ADMIN_TOKEN)).body.tournament.addedPrize, 70);
+
+  for (const player of players) {
+    await t.api('POST', `/api/tournaments/${id}/register`, { playerName: player.name }, player.token);
+  }
+  assert.equal((await t.api('POST', `/api/tournaments/${id}/start`, null, players[1].token)).status, 403);
+
+  const start = await t.api('POST', `/api/tournaments/${id}/start`, null, creator.token);
+  assert.equal(start.status, 200);
+  assert.equal(start.body.tournament.tables.length, 3);
+  const opening = start.body.tournament.tables;
+
+  const finished = await playOut(id, players);
+  assert.deepEqual(finished.players.map(p => p.place).sort(), [1, 2, 3, 4, 5, 6, 7]);
+  assert.deepEqual(finished.payouts.map(p => p.amount), [35, 21, 14]);
+
+  // Every opening table but one was broken up along the way
+  const closed = opening.filter(id => gameStates.get(id).phase === 'finished');
+  assert.equal(closed.length, opening.length);
+  assert.ok(finished.players.every(p => p.tableId === null));
+
+  const listed = (await t.api('GET', '/api/tournaments?status=finished')).body.tournaments;
+  assert.ok(listed.some(entry => entry.tournamentId === id));
+});
+
+test('unregistering refunds the entry fee', async () => {
+  const [alice, bob] = await Promise.all([t.signIn('alice'), t.signIn('bob')]);
+  const id = (await t.api('POST', '/api/tournaments', { type: 'mtt', entryFee: 5 }, alice.token)).body.tournamentId;
+
+  const { txHash } = chain.transferTokens(bob.address, chain.serverAddress, 5);
+  await t.api('POST', `/api/tournaments/${id}/register`, { txHash }, bob.token);
+
+  const res = await t.api('POST', `/api/tournaments/${id}/unregister`, null, bob.token);
+  assert.equal(res.status, 200);
+  await txQueue.idle();
+  assert.deepEqual(txQueue.get(res.body.refundTxId).args, [bob.address, 5]);
+  assert.equal((await t.api('GET', `/api/tournaments/${id}`)).body.tournament.entrants, 0);
+
+  // The refunded fee can't buy another entry, here or in another tournament
+  const again = await t.api('POST', `/api/tournaments/${id}/register`, { txHash }, bob.token);
+  assert.equal(again.status, 402);
+  const other = (await t.api('POST', '/api/tournaments', { type: 'mtt', entryFee: 5 }, alice.token)).body.tournamentId;
+  assert.equal((await t.api('POST', `/api/tournaments/${other}/register`, { txHash }, bob.token)).status, 402);
+});
+
+test('tournaments are reloaded after a restart', async () => {
+  const alice = await t.signIn('alice');
+  const id = (await t.api('POST', '/api/tournaments', { type: 'mtt', name: 'Nightly' }, alice.token)).body.tournamentId;
+  await t.api('POST', `/api/tournaments/${id}/register`, { playerName: 'alice' }, alice.token);
+
+  tournaments.delete(id);
+  await recoverGames();
+
+  const { tournament } = (await t.api('GET', `/api/tournaments/${id}`)).body;
+  assert.equal(tournament.name, 'Nightly');
+  assert.equal(tournament.entrants, 1);
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('timers/promises');
+const { startTestServer, loadServer } = require('./helpers');
+
+let t;
+test.before(async () => { t = await startTestServer(); });
+test.after(() => t.close());
+
+const { gameStates } = loadServer();
+
+async function players(...names) {
+  return Promise.all(names.map(name => t.signIn(name)));
+}
+
+test('the deadline is in the state response', async () => {
+  const [alice, bob] = await players('alice', 'bob');
+  const gameId = await t.createTable([alice, bob], { actionTimeoutMs: 5000 });
+
+  const before = Date.now();
+  await t.start(gameId);
+  const state = await t.stateFor(gameId, alice);
+  assert.ok(state.turnDeadline >= before + 5000 && state.turnDeadline <= Date.now() + 5000);
+
+  // Acting restarts the clock for the next player
+  const res = await t.act(gameId, alice, 'call');
+  assert.ok(res.body.turnDeadline >= state.turnDeadline);
+  assert.equal(gameStates.get(gameId).currentTurn, bob.address);
+});
+
+test('timeouts fold facing a bet and check otherwise', async () => {
+  const [alice, bob] = await players('alice', 'bob');
+  const gameId = await t.createTable([alice, bob], { actionTimeoutMs: 100 });
+  const game = gameStates.get(gameId);
+
+  await t.start(gameId);
+  await t.act(gameId, alice, 'call');
+
+  // The big blind option is checked when bob times out
+  await sleep(150);
+  const [bobAction] = game.actionHistory.filter(a => a.player === bob.address && a.phase === 'pre-flop' && a.action === 'check');
+  assert.ok(bobAction);
+  assert.equal(game.phase, 'flop');
+
+  // Facing a bet, alice is folded
+  await t.act(gameId, bob, 'bet', 10);
+  await sleep(150);
+  const last = game.actionHistory[game.actionHistory.length - 1];
+  assert.deepEqual([last.player, last.action], [alice.address, 'fold']);
+  assert.equal(game.phase, 'waiting');
+});
+
+test('the time bank extends the first timeout only', async () => {
+  const [alice, bob] = await players('alice', 'bob');
+  const gameId = await t.createTable([alice, bob], { actionTimeoutMs: 30, timeBankMs: 100 });
+  const game = gameStates.get(gameId);
+
+  await t.start(gameId);
+  await sleep(60);
+  assert.equal(game.currentTurn, alice.address);
+  assert.equal(game.players[0].timeBank, 0);
+
+  await sleep(120);
+  assert.equal(game.actionHistory[game.actionHistory.length - 1].action, 'fold');
+});
+
+test('players who keep timing out are sat out', async () => {
+  const [alice, bob] = await players('alice', 'bob');
+  const gameId = await t.createTable([alice, bob], { actionTimeoutMs: 20, maxMissedTurns: 2 });
+  const game = gameStates.get(gameId);
+  const aliceSeat = game.players[0];
+
+  await t.start(gameId);
+  await sleep(60);
+  assert.equal(aliceSeat.missedTurns, 1);
+  assert.equal(aliceSeat.sittingOut, false);
+
+  await t.start(gameId);
+  await t.act(gameId, bob, 'call');
+  await sleep(60);
+  assert.ok(aliceSeat.missedTurns >= 2);
+  assert.equal(aliceSeat.sittingOut, true);
+
+  // Sitting back in clears the count
+  await t.api('POST', `/api/games/${gameId}/sit-in`, null, alice.token);
+  assert.equal(aliceSeat.missedTurns, 0);
+});
@@ -0,0 +1,172 @@
+process.env.WEBHOOK_RETRY_DELAY_MS = '5';
+// The test agents listen on 127.0.0.1
+process.env.WEBHOOK_ALLOW_PRIVATE = 'true';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { once } = require('events');
+const { TurnWebhooks, isPublicAddress, pinnedFetch, signPayload, verifySignature } = require('../turn-webhooks');
+const { startTestServer, loadServer } = require('./helpers');
+
+let t;
+test.before(async () => { t = await startTestServer(); });
+test.after(() => t.close());
+
+const SECRET = 'turn-webhook-test-secret';
+
+// agent.example resolves to a public address
+const publicLookup = async () => [{ address: '93.184.216.34', family: 4 }];
+
+async function waitFor(check, timeoutMs = 2000) {
+  const until = Date.now() + timeoutMs;
+  while (!(await check())) {
+    if (Date.now() > until) throw new Error('Timed out waiting');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+// An agent answering each POSTed turn with the next of `replies`: [status, body]
+async function startAgent(replies) {
+  const received = [];
+  const server = http.createServer(async (req, res) => {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    received.push({ headers: req.headers, body, payload: JSON.parse(body) });
+    const [status, reply] = replies.shift() || [204, null];
+    res.writeHead(status, { 'content-type': 'application/json' });
+    res.end(reply ? JSON.stringify(reply) : undefined);
+  });
+  server.listen(0);
+  await once(server, 'listening');
+  return { url: `http://127.0.0.1:${server.address().port}/turn`, received, close: () => server.close() };
+}
+
+test('deliveries are signed, retried with backoff and dropped once the turn moves on', async () => {
+  const calls = [];
+  const responses = [
+    () => { throw Object.assign(new Error('fetch failed'), { cause: { code: 'ECONNREFUSED' } }); },
+    () => new Response('busy', { status: 503 }),
+    () => new Response(JSON.stringify({ action: 'raise', amount: '8' }), { status: 200 })
+  ];
+  const webhooks = new TurnWebhooks({ retryDelayMs: 1, lookup: publicLookup, fetch: async (url, init) => {
+    calls.push(init);
+    return responses.shift()();
+  } });
+
+  const webhook = { url: 'https://agent.example/turn', secret: SECRET };
+  const delivery = await webhooks.deliver({ gameId: 1, player: '0xAa', turnId: '1-2', webhook, payload: { type: 'turn' }, isCurrent: () => true });
+  assert.equal(delivery.status, 'delivered');
+  assert.deepEqual(delivery.attempts.map(a => a.error || a.status), ['Unreachable', 'HTTP 503', 200]);
+  assert.deepEqual(delivery.reply, { action: 'raise', amount: 8 });
+  assert.equal(JSON.parse(calls[0].body).deliveryId, delivery.id);
+  assert.deepEqual([calls[0].address, calls[0].family], ['93.184.216.34', 4]);
+
+  const { headers, body } = calls[2];
+  assert.equal(headers['x-webhook-signature'], signPayload(SECRET, headers['x-webhook-timestamp'], body));
+  assert.ok(verifySignature(SECRET, { timestamp: headers['x-webhook-timestamp'], signature: headers['x-webhook-signature'], body }));
+  assert.ok(!verifySignature('another-secret-entirely', { timestamp: headers['x-webhook-timestamp'], signature: headers['x-webhook-signature'], body }));
+  const old = Date.now() - 10 * 60 * 1000;
+  assert.ok(!verifySignature(SECRET, { timestamp: old, signature: signPayload(SECRET, old, body), body }));
+
+  let current = true;
+  const failing = new TurnWebhooks({ retryDelayMs: 1, lookup: publicLookup, fetch: async () => {
+    current = false;
+    return new Response('', { status: 500 });
+  } });
+  const stale = await failing.deliver({ gameId: 1, player: '0xAa', turnId: '1-3', webhook, payload: {}, isCurrent: () => current });
+  assert.deepEqual([stale.status, stale.attempts.length], ['stale', 1]);
+  assert.deepEqual(failing.deliveriesFor('0xaa').map(d => d.turnId), ['1-3']);
+});
+
+test('webhooks may only point at public addresses', async () => {
+  assert.deepEqual(
+    ['8.8.8.8', '2606:4700::1', '127.0.0.1', '10.0.0.1', '172.16.5.4', '192.168.0.1', '169.254.169.254', '100.64.0.1', '::1', 'fd12::1', 'fe80::1', '::ffff:7f00:1'].map(isPublicAddress),
+    [true, true, false, false, false, false, false, false, false, false, false, false]
+  );
+
+  const calls = [];
+  const webhooks = new TurnWebhooks({
+    retryDelayMs: 1,
+    maxAttempts: 2,
+    lookup: async host => [{ address: host === 'metadata.internal' ? '169.254.169.254' : '93.184.216.34', family: 4 }],
+    fetch: async url => { calls.push(url); return new Response(null, { status: 204 }); }
+  });
+  assert.equal(await webhooks.urlError('https://agent.example/turn'), null);
+  assert.equal(await webhooks.urlError('http://metadata.internal/latest'), 'Webhook URL must resolve to a public address');
+  assert.equal(await webhooks.urlError('http://[::ffff:127.0.0.1]:8080/'), 'Webhook URL must resolve to a public address');
+
+  // Blocked at send time too, without reaching the host
+  const webhook = { url: 'http://metadata.internal/latest', secret: SECRET };
+  const delivery = await webhooks.deliver({ gameId: 1, player: '0xAa', turnId: '1-1', webhook, payload: {}, isCurrent: () => true });
+  assert.deepEqual([delivery.status, delivery.error, calls.length], ['failed', 'Webhook URL must resolve to a public address', 0]);
+});
+
+test('deliveries connect to the address that was checked, not a fresh lookup', async () => {
+  const agent = await startAgent([[200, { action: 'check' }]]);
+  try {
+    // agent.invalid never resolves; only the pinned address gets there
+    const url = agent.url.replace('127.0.0.1', 'agent.invalid');
+    const res = await pinnedFetch(url, { method: 'POST', headers: { 'content-type': 'application/json' }, body: '{"type":"turn"}', address: '127.0.0.1', family: 4 });
+    assert.deepEqual([res.status, res.ok, JSON.parse(await res.text())], [200, true, { action: 'check' }]);
+    assert.equal(agent.received[0].headers.host, url.split('/')[2]);
+    assert.deepEqual(agent.received[0].payload, { type: 'turn' });
+  } finally {
+    agent.close();
+  }
+});
+
+test('turns reach the webhook and its reply is played, or rejected for the action route', async () => {
+  const { gameStates } = loadServer();
+  const [alice, bob] = await Promise.all([t.signIn('alice'), t.signIn('bob')]);
+  const gameId = await t.createTable([alice, bob]);
+  const gameState = gameStates.get(gameId);
+  const agent = await startAgent([[503, null], [200, { action: 'call' }], [200, { action: 'raise', amount: 1 }]]);
+
+  try {
+    const bad = await t.api('POST', `/api/games/${gameId}/webhook`, { url: 'ftp://x', secret: 'short' }, alice.token);
+    assert.deepEqual(bad.body.details.map(d => d.path).sort(), ['secret', 'url']);
+    const set = await t.api('POST', `/api/games/${gameId}/webhook`, { url: agent.url, secret: SECRET }, alice.token);
+    assert.equal(set.body.url, agent.url);
+    assert.equal(JSON.stringify((await t.api('GET', `/api/games/${gameId}`)).body).includes(SECRET), false);
+
+    // Heads-up alice is on the button and acts first: her webhook calls
+    await t.start(gameId);
+    await waitFor(() => gameState.currentTurn === bob.address);
+    const [first, retried] = agent.received;
+    assert.equal(first.headers['x-webhook-id'], retried.headers['x-webhook-id']);
+    assert.ok(verifySignature(SECRET, {
+      timestamp: retried.headers['x-webhook-timestamp'],
+      signature: retried.headers['x-webhook-signature'],
+      body: retried.body
+    }));
+    assert.deepEqual(
+      [retried.payload.type, retried.payload.player, retried.payload.state.availableActions.includes('call')],
+      ['turn', alice.address, true]
+    );
+    assert.equal(retried.payload.state.yourCards.length, 2);
+
+    // On the flop bob checks; the webhook's raise is too small, so alice acts herself
+    await t.act(gameId, bob, 'check');
+    await t.act(gameId, bob, 'check');
+    let deliveries;
+    await waitFor(async () => {
+      deliveries = (await t.api('GET', `/api/webhooks/deliveries?gameId=${gameId}`, null, alice.token)).body.deliveries;
+      return deliveries.length === 2 && deliveries[0].reply && deliveries[0].reply.result;
+    });
+    assert.equal(deliveries[0].reply.result, 'rejected');
+    assert.equal(gameState.currentTurn, alice.address);
+    assert.equal((await t.act(gameId, alice, 'check')).body.success, true);
+
+    assert.deepEqual(
+      deliveries.map(d => [d.status, d.attempts.length, d.reply && d.reply.result]),
+      [['delivered', 1, 'rejected'], ['delivered', 2, 'played']]
+    );
+    assert.deepEqual((await t.api('GET', '/api/webhooks/deliveries', null, bob.token)).body.deliveries, []);
+
+    await t.api('DELETE', `/api/games/${gameId}/webhook`, null, alice.token);
+    assert.equal(gameState.players[0].webhook, null);
+  } finally {
+    agent.close();
+  }
+});
@@ -0,0 +1,153 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryChainAdapter } = require('../chain-adapter');
+const { MemoryStateStore } = require('../state-store');
+const { TxQueue } = require('../tx-queue');
+const { startTestServer, loadServer } = require('./helpers');
+
+async function queue(options = {}) {
+  const chain = new MemoryChainAdapter();
+  await chain.createGame({ smallBlind: 1, bigBlind: 2, minBuyIn: 20, maxBuyIn: 200, maxPlayers: 6 });
+  chain.calls = [];
+  return { chain, txQueue: new TxQueue({ chain, retryDelayMs: 1, ...options }) };
+}
+
+const HASH = '0x' + '11'.repeat(32);
+
+test('transactions are sent in order and confirmed', async () => {
+  const { chain, txQueue } = await queue();
+  const start = txQueue.enqueue(1, 'startGame', [1, HASH]);
+  const action = txQueue.enqueue(1, 'submitAction', [1, '0xabc', 'call', 2, HASH]);
+  await txQueue.idle();
+
+  assert.deepEqual(chain.calls.map(c => c.method), ['startGame', 'submitAction']);
+  assert.equal(start.status, 'confirmed');
+  assert.equal(action.status, 'confirmed');
+  assert.ok(action.txHash);
+  assert.deepEqual(txQueue.counts(), { pending: 0, sending: 0, confirmed: 2, failed: 0, superseded: 0 });
+});
+
+test('waiting actions for a game are coalesced into the newest', async () => {
+  const { chain, txQueue } = await queue();
+  const first = txQueue.enqueue(1, 'submitAction', [1, '0xa', 'call', 2, HASH]); // already sending
+  const second = txQueue.enqueue(1, 'submitAction', [1, '0xb', 'check', 0, HASH]);
+  const other = txQueue.enqueue(2, 'submitAction', [2, '0xc', 'fold', 0, HASH]);
+  const third = txQueue.enqueue(1, 'submitAction', [1, '0xa', 'bet', 4, HASH]);
+  await txQueue.idle();
+
+  assert.equal(second.status, 'superseded');
+  assert.equal(second.supersededBy, third.id);
+  assert.deepEqual([first, other, third].map(e => e.status), ['confirmed', 'confirmed', 'confirmed']);
+  assert.equal(chain.callsFor('submitAction').length, 3);
+});
+
+test('failed sends are retried and reverts are not', async () => {
+  const { chain, txQueue } = await queue();
+  chain.failNext('startGame', new Error('timeout'));
+  const retried = txQueue.enqueue(1, 'startGame', [1, HASH]);
+
+  const revert = Object.assign(new Error('execution reverted'), { code: 'CALL_EXCEPTION' });
+  chain.failNext('finishGame', revert);
+  const reverted = txQueue.enqueue(1, 'finishGame', [1, '0xa', HASH]);
+  await txQueue.idle();
+
+  assert.equal(retried.status, 'confirmed');
+  assert.equal(retried.attempts, 2);
+  assert.equal(reverted.status, 'failed');
+  assert.equal(reverted.attempts, 1);
+  assert.equal(reverted.error, 'execution reverted');
+});
+
+test('a timed-out transaction that was mined is not sent again', async () => {
+  const { chain, txQueue } = await queue();
+  const { txHash } = chain.record('submitAction', [1, '0xa', 'call', 2, HASH]);
+  chain.failNext('submitAction', Object.assign(new Error('wait timeout'), { nonce: 0, txHash }));
+
+  const entry = txQueue.enqueue(1, 'submitAction', [1, '0xa', 'call', 2, HASH]);
+  await txQueue.idle();
+
+  assert.equal(entry.status, 'confirmed');
+  assert.equal(entry.txHash, txHash);
+  assert.equal(entry.attempts, 1);
+  assert.equal(chain.callsFor('submitAction').length, 1);
+});
+
+test('gives up after maxAttempts', async () => {
+  const { chain, txQueue } = await queue({ maxAttempts: 2 });
+  chain.failNext('startGame');
+  chain.failNext('startGame');
+  const entry = txQueue.enqueue(1, 'startGame', [1, HASH]);
+  await txQueue.idle();
+
+  assert.equal(entry.status, 'failed');
+  assert.equal(entry.attempts, 2);
+  assert.deepEqual(txQueue.totals.get('startGame'), { confirmed: 0, failed: 1 });
+});
+
+test('exclusive work runs between sends and holds the queue', async () => {
+  const { chain, txQueue } = await queue();
+  txQueue.enqueue(1, 'startGame', [1, HASH]);
+  const held = txQueue.exclusive(async () => {
+    txQueue.enqueue(1, 'finishGame', [1, '0xabc', HASH]);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    chain.calls.push({ method: 'exclusive' });
+    return 'done';
+  });
+
+  assert.equal(await held, 'done');
+  await txQueue.idle();
+  assert.deepEqual(chain.calls.map(c => c.method), ['startGame', 'exclusive', 'finishGame']);
+  assert.deepEqual(Object.fromEntries(txQueue.totals), {
+    startGame: { confirmed: 1, failed: 0 },
+    finishGame: { confirmed: 1, failed: 0 }
+  });
+});
+
+test('queued transactions survive a restart under new ids', async () => {
+  const { chain, txQueue } = await queue({ store: new MemoryStateStore() });
+  const store = txQueue.store;
+  const done = txQueue.enqueue(1, 'startGame', [1, HASH]);
+  await txQueue.idle();
+
+  // Crash with one transfer waiting, one broadcast unconfirmed and one mid-send
+  const waiting = { ...done, id: `${txQueue.epoch}-7`, method: 'transfer', args: ['0xa', 5], status: 'pending', attempts: 0, txHash: null };
+  const { txHash } = chain.record('finishGame', [1, '0xa', HASH]);
+  const broadcast = { ...waiting, id: `${txQueue.epoch}-8`, method: 'finishGame', args: [1, '0xa', HASH], status: 'sending', attempts: 1, nonce: 1, txHash };
+  const interrupted = { ...waiting, id: `${txQueue.epoch}-9`, status: 'sending', attempts: 1 };
+  for (const entry of [waiting, broadcast, interrupted]) await store.saveTx(entry.id, JSON.stringify(entry));
+
+  const restarted = new TxQueue({ chain, store, retryDelayMs: 1 });
+  chain.calls = [];
+  await restarted.load();
+  await restarted.idle();
+
+  assert.equal(restarted.get(done.id).status, 'confirmed');
+  assert.deepEqual([waiting, broadcast, interrupted].map(e => restarted.get(e.id).status), ['confirmed', 'confirmed', 'failed']);
+  assert.deepEqual(chain.calls.map(c => c.method), ['transfer']);
+  assert.equal(restarted.enqueue(1, 'settleGame', [1]).id, `${restarted.epoch}-1`);
+  assert.equal(JSON.parse((await store.loadTxs()).find(json => json.includes(waiting.id))).status, 'confirmed');
+});
+
+test('actions reply before settlement and report their transaction', async () => {
+  const t = await startTestServer();
+  try {
+    const { txQueue } = loadServer();
+    const [alice, bob] = await Promise.all([t.signIn('alice'), t.signIn('bob')]);
+    const gameId = await t.createTable([alice, bob]);
+    await t.start(gameId);
+
+    const res = await t.act(gameId, alice, 'call');
+    assert.equal(res.status, 200);
+    await txQueue.idle();
+
+    const tx = await t.api('GET', `/api/transactions/${res.body.txId}`);
+    assert.equal(tx.body.transaction.method, 'submitAction');
+    assert.equal(tx.body.transaction.status, 'confirmed');
+
+    const list = await t.api('GET', `/api/games/${gameId}/transactions`);
+    assert.deepEqual(list.body.transactions.map(e => e.method), ['startGame', 'submitAction']);
+    assert.equal((await t.api('GET', '/api/transactions/0-99999')).status, 404);
+  } finally {
+    t.close();
+  }
+});
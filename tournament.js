@@ -0,0 +1,399 @@
+/**
+ * Tournaments - sit-and-go (sng) and multi-table (mtt)
+ *
+ * A tournament is a plain object kept by server.js, which runs its tables
+ * as ordinary games marked with `tournamentId`. This module holds the rules:
+ *
+ *   registration   entrants, with an optional token entry fee
+ *   blind levels   { smallBlind, bigBlind, ante } steps that move up every
+ *                  levelDurationMs, or every levelHands hands per table
+ *   eliminations   finishing places in bust-out order
+ *   payouts        percentages of the prize pool by finishing place
+ *   seating        the opening draw, then balancing and breaking tables
+ *                  as players bust
+ *
+ * Sit-and-gos are a single table and start once full; multi-table
+ * tournaments start at `startAt` or when their creator starts them.
+ */
+
+/**
+ * A tournament rule broken. `code` is VALIDATION_ERROR for bad config, or
+ * why registration was refused (see api-errors.js).
+ */
+class TournamentError extends Error {
+  constructor(message, code = 'VALIDATION_ERROR') {
+    super(message);
+    this.code = code;
+  }
+}
+
+const TOURNAMENT_TYPES = ['sng', 'mtt'];
+
+const TOURNAMENT_STATUS = {
+  REGISTERING: 'registering',
+  RUNNING: 'running',
+  FINISHED: 'finished',
+  CANCELLED: 'cancelled'
+};
+
+// Sized for the default 1500 chip starting stack
+const DEFAULT_BLIND_SCHEDULE = [
+  { smallBlind: 10, bigBlind: 20, ante: 0 },
+  { smallBlind: 15, bigBlind: 30, ante: 0 },
+  { smallBlind: 25, bigBlind: 50, ante: 0 },
+  { smallBlind: 50, bigBlind: 100, ante: 0 },
+  { smallBlind: 75, bigBlind: 150, ante: 15 },
+  { smallBlind: 100, bigBlind: 200, ante: 25 },
+  { smallBlind: 150, bigBlind: 300, ante: 40 },
+  { smallBlind: 200, bigBlind: 400, ante: 50 },
+  { smallBlind: 300, bigBlind: 600, ante: 75 },
+  { smallBlind: 400, bigBlind: 800, ante: 100 },
+  { smallBlind: 600, bigBlind: 1200, ante: 150 },
+  { smallBlind: 800, bigBlind: 1600, ante: 200 },
+  { smallBlind: 1000, bigBlind: 2000, ante: 300 }
+];
+
+const DEFAULT_LEVEL_DURATION_MS = 5 * 60 * 1000;
+
+// Prize pool percentages by finishing place, for up to maxEntrants players
+const PAYOUT_STRUCTURES = [
+  { maxEntrants: 3, percents: [100] },
+  { maxEntrants: 6, percents: [65, 35] },
+  { maxEntrants: 10, percents: [50, 30, 20] },
+  { maxEntrants: 20, percents: [40, 25, 18, 10, 7] },
+  { maxEntrants: 50, percents: [30, 20, 14, 10, 8, 6.5, 5, 3.5, 3] },
+  {
+    maxEntrants: Infinity,
+    percents: [25, 15, 10, 8, 6.5, 5, 4, 3.5, 3, 2.5, 2.5, 2.5, 2.5, 2.5, 2.5, 1, 1, 1, 1, 1]
+  }
+];
+
+function positive(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+function validSchedule(levels) {
+  return Array.isArray(levels) && levels.length > 0 && levels.every(level =>
+    positive(level.smallBlind) &&
+    positive(level.bigBlind) &&
+    level.bigBlind >= level.smallBlind &&
+    (level.ante === undefined || (Number.isFinite(level.ante) && level.ante >= 0))
+  );
+}
+
+/**
+ * New tournament from a create request. Throws TournamentError on bad config.
+ */
+function createTournament(id, config, creator, now = Date.now()) {
+  const type = config.type || 'sng';
+  if (!TOURNAMENT_TYPES.includes(type)) {
+    throw new TournamentError(`type must be one of ${TOURNAMENT_TYPES.join(', ')}`);
+  }
+
+  const tableSize = config.tableSize ?? 9;
+  if (!Number.isInteger(tableSize) || tableSize < 2 || tableSize > 10) {
+    throw new TournamentError('tableSize must be between 2 and 10');
+  }
+
+  const maxEntrants = config.maxEntrants ?? (type === 'sng' ? tableSize : 1000);
+  if (!Number.isInteger(maxEntrants) || maxEntrants < 2) {
+    throw new TournamentError('maxEntrants must be at least 2');
+  }
+  if (type === 'sng' && maxEntrants > tableSize) {
+    throw new TournamentError('A sit-and-go has one table - maxEntrants cannot exceed tableSize');
+  }
+
+  const minEntrants = config.minEntrants ?? (type === 'sng' ? maxEntrants : 2);
+  if (!Number.isInteger(minEntrants) || minEntrants < 2 || minEntrants > maxEntrants) {
+    throw new TournamentError('minEntrants must be between 2 and maxEntrants');
+  }
+
+  const startingStack = config.startingStack ?? 1500;
+  const entryFee = config.entryFee ?? 0;
+  const addedPrize = config.addedPrize ?? 0;
+  if (!positive(startingStack)) throw new TournamentError('startingStack must be positive');
+  if (!(Number.isFinite(entryFee) && entryFee >= 0)) throw new TournamentError('entryFee cannot be negative');
+  if (!(Number.isFinite(addedPrize) && addedPrize >= 0)) throw new TournamentError('addedPrize cannot be negative');
+
+  const blindSchedule = config.blindSchedule ?? DEFAULT_BLIND_SCHEDULE;
+  if (!validSchedule(blindSchedule)) {
+    throw new TournamentError('blindSchedule must be a list of { smallBlind, bigBlind, ante } levels');
+  }
+
+  if (config.levelHands !== undefined && !(Number.isInteger(config.levelHands) && config.levelHands > 0)) {
+    throw new TournamentError('levelHands must be a positive integer');
+  }
+  if (config.levelDurationMs !== undefined && !positive(config.levelDurationMs)) {
+    throw new TournamentError('levelDurationMs must be positive');
+  }
+  const levelHands = config.levelHands ?? null;
+  const levelDurationMs = levelHands ? null : config.levelDurationMs ?? DEFAULT_LEVEL_DURATION_MS;
+
+  const payouts = config.payouts ?? null;
+  if (payouts !== null) {
+    const total = Array.isArray(payouts) && payouts.every(positive) ? payouts.reduce((a, b) => a + b, 0) : 0;
+    if (Math.abs(total - 100) > 1e-9) {
+      throw new TournamentError('payouts must be percentages adding up to 100');
+    }
+  }
+
+  if (config.handDelayMs !== undefined && !positive(config.handDelayMs)) {
+    // Tournament tables deal on their own, so this can't be 0
+    throw new TournamentError('handDelayMs must be positive');
+  }
+
+  if (config.startAt !== undefined && config.startAt !== null && !positive(config.startAt)) {
+    throw new TournamentError('startAt must be a timestamp in ms');
+  }
+
+  return {
+    id,
+    name: config.name || `Tournament ${id}`,
+    type,
+    status: TOURNAMENT_STATUS.REGISTERING,
+    creator,
+    entryFee,
+    addedPrize,
+    startingStack,
+    tableSize,
+    minEntrants,
+    maxEntrants,
+    startAt: type === 'mtt' ? config.startAt ?? null : null,
+    blindSchedule: blindSchedule.map(({ smallBlind, bigBlind, ante = 0 }) => ({ smallBlind, bigBlind, ante })),
+    levelDurationMs,
+    levelHands,
+    payouts,
+    // Passed on to every table
+    handDelayMs: config.handDelayMs ?? 2000,
+    actionTimeoutMs: config.actionTimeoutMs,
+    timeBankMs: config.timeBankMs,
+    createdAt: now,
+    startedAt: null,
+    finishedAt: null,
+    level: 0,
+    levelStartedAt: null,
+    levelHandsDealt: 0,
+    entrants: [], // { address, name, entryTxHash, registeredAt, tableId, place, prize, payoutTxId }
+    entryTxHashes: [], // every entry fee accepted, lowercased - kept when its entrant unregisters
+    tables: [], // running table ids
+    tableIds: [] // every table the tournament has used
+  };
+}
+
+function findEntrant(tournament, address) {
+  return tournament.entrants.find(e => e.address.toLowerCase() === address.toLowerCase()) || null;
+}
+
+// Why a player can't register, or null if they can
+function registrationError(tournament, address) {
+  if (tournament.status !== TOURNAMENT_STATUS.REGISTERING) {
+    return new TournamentError('Registration is closed', 'REGISTRATION_CLOSED');
+  }
+  if (findEntrant(tournament, address)) return new TournamentError('Already registered', 'ALREADY_REGISTERED');
+  if (tournament.entrants.length >= tournament.maxEntrants) {
+    return new TournamentError('Tournament full', 'TOURNAMENT_FULL');
+  }
+  return null;
+}
+
+function prizePool(tournament) {
+  return tournament.entryFee * tournament.entrants.length + tournament.addedPrize;
+}
+
+/**
+ * Percent of the pool for each paid place, best first. Never pays more
+ * places than there are entrants; what those places would have had goes
+ * to the paid places pro rata.
+ */
+function payoutPercents(tournament) {
+  const entrants = tournament.entrants.length;
+  const percents = tournament.payouts ||
+    PAYOUT_STRUCTURES.find(structure => entrants <= structure.maxEntrants).percents;
+
+  const paid = percents.slice(0, Math.max(1, entrants));
+  const total = paid.reduce((a, b) => a + b, 0);
+  return paid.map(percent => percent * 100 / total);
+}
+
+/**
+ * Whole-token prizes for `percents` of `pool`; rounding leftovers go to first place
+ */
+function prizeAmounts(pool, percents) {
+  const amounts = percents.map(percent => Math.floor(pool * percent / 100));
+  const rest = pool - amounts.reduce((a, b) => a + b, 0);
+  if (amounts.length > 0) amounts[0] += Math.floor(rest);
+  return amounts;
+}
+
+function currentLevel(tournament) {
+  const { blindSchedule } = tournament;
+  return blindSchedule[Math.min(tournament.level, blindSchedule.length - 1)];
+}
+
+// When the current level ends, for time-based levels
+function nextLevelAt(tournament) {
+  if (!tournament.levelDurationMs || tournament.levelStartedAt === null) return null;
+  return tournament.levelStartedAt + tournament.levelDurationMs;
+}
+
+/**
+ * Called as a table deals a hand: moves the level up if it is due, then
+ * counts the hand. Returns true when the level changed.
+ */
+function advanceLevel(tournament, now = Date.now()) {
+  const before = tournament.level;
+
+  if (tournament.levelDurationMs) {
+    while (now >= nextLevelAt(tournament)) {
+      tournament.level += 1;
+      tournament.levelStartedAt += tournament.levelDurationMs;
+    }
+  } else if (tournament.levelHandsDealt >= tournament.levelHands * Math.max(1, tournament.tables.length)) {
+    tournament.level += 1;
+    tournament.levelStartedAt = now;
+    tournament.levelHandsDealt = 0;
+  }
+
+  tournament.levelHandsDealt += 1;
+  return tournament.level !== before;
+}
+
+/**
+ * Opening draw: the fewest tables that seat everyone, entrants dealt round
+ * them in turn so table sizes differ by at most one
+ */
+function seatEntrants(addresses, tableSize) {
+  const tableCount = Math.ceil(addresses.length / tableSize);
+  const tables = Array.from({ length: tableCount }, () => []);
+  addresses.forEach((address, i) => tables[i % tableCount].push(address));
+  return tables;
+}
+
+/**
+ * Balance tables after a hand at `fromTableId`. Only that table is between
+ * hands, so it is the only one players are taken from:
+ *   - while there are more tables than the players need, it is broken up
+ *     and its players go to the shortest tables
+ *   - otherwise players move from it while it has two or more players
+ *     more than the shortest table
+ * `tables` is [{ gameId, players }] for every running table.
+ * Returns { breakTable, destinations } with one destination table id
+ * per player to move.
+ */
+function planBalance(tables, tableSize, fromTableId) {
+  const source = tables.find(t => t.gameId === fromTableId);
+  const others = tables.filter(t => t.gameId !== fromTableId).map(t => ({ ...t }));
+  const total = tables.reduce((sum, t) => sum + t.players, 0);
+  const needed = Math.max(1, Math.ceil(total / tableSize));
+
+  const shortest = () => others
+    .filter(t => t.players < tableSize)
+    .sort((a, b) => a.players - b.players || a.gameId - b.gameId)[0];
+
+  const destinations = [];
+  if (tables.length > needed) {
+    for (let i = 0; i < source.players; i++) {
+      const target = shortest();
+      target.players += 1;
+      destinations.push(target.gameId);
+    }
+    return { breakTable: true, destinations };
+  }
+
+  let remaining = source.players;
+  for (let target = shortest(); target && remaining - target.players >= 2; target = shortest()) {
+    target.players += 1;
+    remaining -= 1;
+    destinations.push(target.gameId);
+  }
+  return { breakTable: false, destinations };
+}
+
+/**
+ * Give busted players their finishing places. Players out in the same hand
+ * are ranked by the chips they started it with. `busted` is
+ * [{ address, startStack }]; returns the entrants placed.
+ */
+function recordEliminations(tournament, busted) {
+  let place = tournament.entrants.filter(e => e.place === null).length;
+  const ranked = busted.slice().sort((a, b) => a.startStack - b.startStack);
+
+  return ranked.map(({ address }) => {
+    const entrant = findEntrant(tournament, address);
+    entrant.place = place--;
+    entrant.tableId = null;
+    return entrant;
+  });
+}
+
+function remainingEntrants(tournament) {
+  return tournament.entrants.filter(e => e.place === null);
+}
+
+function tournamentSummary(tournament) {
+  return {
+    tournamentId: tournament.id,
+    name: tournament.name,
+    type: tournament.type,
+    status: tournament.status,
+    entryFee: tournament.entryFee,
+    prizePool: prizePool(tournament),
+    startingStack: tournament.startingStack,
+    tableSize: tournament.tableSize,
+    entrants: tournament.entrants.length,
+    remaining: remainingEntrants(tournament).length,
+    minEntrants: tournament.minEntrants,
+    maxEntrants: tournament.maxEntrants,
+    startAt: tournament.startAt,
+    startedAt: tournament.startedAt,
+    finishedAt: tournament.finishedAt
+  };
+}
+
+/**
+ * Everything about a tournament anyone may see
+ */
+function publicTournament(tournament) {
+  const pool = prizePool(tournament);
+  const percents = payoutPercents(tournament);
+  const amounts = prizeAmounts(pool, percents);
+
+  return {
+    ...tournamentSummary(tournament),
+    creator: tournament.creator,
+    addedPrize: tournament.addedPrize,
+    level: tournament.level + 1,
+    blinds: currentLevel(tournament),
+    nextLevelAt: nextLevelAt(tournament),
+    levelDurationMs: tournament.levelDurationMs,
+    levelHands: tournament.levelHands,
+    blindSchedule: tournament.blindSchedule,
+    payouts: percents.map((percent, i) => ({ place: i + 1, percent, amount: amounts[i] })),
+    tables: tournament.tables,
+    players: tournament.entrants.map(({ address, name, tableId, place, prize, payoutTxId }) =>
+      ({ address, name, tableId, place, prize, payoutTxId }))
+  };
+}
+
+module.exports = {
+  TournamentError,
+  TOURNAMENT_TYPES,
+  TOURNAMENT_STATUS,
+  DEFAULT_BLIND_SCHEDULE,
+  PAYOUT_STRUCTURES,
+  createTournament,
+  findEntrant,
+  registrationError,
+  prizePool,
+  payoutPercents,
+  prizeAmounts,
+  currentLevel,
+  nextLevelAt,
+  advanceLevel,
+  seatEntrants,
+  planBalance,
+  recordEliminations,
+  remainingEntrants,
+  tournamentSummary,
+  publicTournament
+};
@@ -0,0 +1,292 @@
+/**
+ * Turn webhooks
+ *
+ * Agents that can't hold a socket open or poll - stateless HTTP functions -
+ * register a callback URL and an HMAC secret for their seat. Whenever the
+ * turn moves to them the server POSTs
+ *
+ *   { type: 'turn', deliveryId, gameId, player, handNumber, turnId, turnDeadline, state }
+ *
+ * where `state` is the player's own view of the table, `availableActions`
+ * and `limits` included. Every request carries
+ *
+ *   X-Webhook-Id          the delivery id, the same on every attempt
+ *   X-Webhook-Timestamp   when this attempt was sent, ms since the epoch
+ *   X-Webhook-Signature   sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+ *
+ * A 2xx answer with { action, amount } is played at once; any other 2xx
+ * leaves the agent to act through POST /api/games/:id/action. Network
+ * errors, timeouts and other statuses are retried with exponential backoff
+ * up to `maxAttempts`, for as long as it is still that turn:
+ *
+ *   pending -> delivered
+ *           -> failed      (out of attempts)
+ *           -> stale       (the turn moved on, or the table was paused, first)
+ *
+ * The last `logLimit` deliveries are kept per player, in memory.
+ *
+ * URLs must resolve to public addresses: loopback, private, link-local and
+ * other reserved ranges are refused when the webhook is set and checked again
+ * before every attempt, so the server can't be pointed at its own network.
+ * Each attempt then connects to the address that was checked, not to
+ * whatever the host resolves to a moment later. `allowPrivate` lifts this for local development. Attempts that never got a
+ * response are logged as 'Unreachable' without the underlying error.
+ */
+
+const dns = require('dns').promises;
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { signPayload, verifySignature } = require('./shared-crypto');
+
+const DELIVERY_STATUS = {
+  PENDING: 'pending',
+  DELIVERED: 'delivered',
+  FAILED: 'failed',
+  STALE: 'stale'
+};
+
+// An action in the reply body, or null
+function parseReply(text) {
+  try {
+    const reply = JSON.parse(text);
+    if (!reply || typeof reply.action !== 'string') return null;
+    return { action: reply.action, amount: reply.amount == null ? null : Number(reply.amount) };
+  } catch {
+    return null;
+  }
+}
+
+// IPv4 ranges no webhook may point into: [network, prefix length]
+const BLOCKED_V4 = [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+];
+
+function ipv4ToInt(ip) {
+  return ip.split('.').reduce((n, octet) => n * 256 + Number(octet), 0);
+}
+
+function isPublicAddress(ip) {
+  if (net.isIPv4(ip)) {
+    const n = ipv4ToInt(ip);
+    return !BLOCKED_V4.some(([network, bits]) => Math.floor(n / 2 ** (32 - bits)) === Math.floor(ipv4ToInt(network) / 2 ** (32 - bits)));
+  }
+  const lower = ip.toLowerCase();
+  // IPv4-mapped, written either way: ::ffff:127.0.0.1 or ::ffff:7f00:1
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/.exec(lower);
+  if (mapped) return isPublicAddress(mapped[1]);
+  const mappedHex = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/.exec(lower);
+  if (mappedHex) {
+    const [high, low] = mappedHex.slice(1).map(h => parseInt(h, 16));
+    return isPublicAddress([high >> 8, high & 255, low >> 8, low & 255].join('.'));
+  }
+  // Unspecified, loopback, unique local (fc00::/7), link-local (fe80::/10), multicast
+  return !(lower === '::' || lower === '::1' || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower) || lower.startsWith('ff'));
+}
+
+/**
+ * POST with http(s).request, connecting to `address` when given instead of
+ * resolving the host again; TLS is still checked against the host name.
+ * Resolves with { status, ok, text() } like fetch, without following
+ * redirects.
+ */
+function pinnedFetch(url, { method, headers, body, signal, address = null, family = 4 }) {
+  const { request } = new URL(url).protocol === 'https:' ? https : http;
+  const lookup = address && ((hostname, options, callback) => {
+    if (options.all) callback(null, [{ address, family }]);
+    else callback(null, address, family);
+  });
+  return new Promise((resolve, reject) => {
+    const options = { method, headers: { ...headers, 'content-length': Buffer.byteLength(body) }, signal };
+    const req = request(url, lookup ? { ...options, lookup } : options, res => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, ok: res.statusCode >= 200 && res.statusCode < 300, text: async () => text }));
+      res.on('error', reject);
+    });
+    req.on('error', error => reject(signal && signal.aborted ? signal.reason : error));
+    req.end(body);
+  });
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms).unref());
+}
+
+class TurnWebhooks {
+  constructor({ maxAttempts = 4, retryDelayMs = 1000, timeoutMs = 5000, logLimit = 100, allowPrivate = false, fetch = pinnedFetch, lookup = dns.lookup } = {}) {
+    this.maxAttempts = maxAttempts;
+    this.retryDelayMs = retryDelayMs;
+    this.timeoutMs = timeoutMs;
+    this.logLimit = logLimit;
+    this.allowPrivate = allowPrivate;
+    this.fetch = fetch;
+    this.lookup = lookup;
+    this.logs = new Map(); // lowercased address -> deliveries, oldest first
+    this.inFlight = new Map(); // game, turn and player -> delivery under way
+    this.nextId = 1;
+  }
+
+  /**
+   * Why `url` can't be used for a webhook, or null if it can: it must be
+   * http(s) and every address its host resolves to public
+   */
+  async urlError(url) {
+    return (await this.resolve(url)).error || null;
+  }
+
+  /**
+   * Check `url` and pick the address to connect to: { address, family },
+   * with a null address when private hosts are allowed, or { error }
+   */
+  async resolve(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return { error: 'Webhook URL is not a valid URL' };
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return { error: 'Webhook URL must be http or https' };
+    if (this.allowPrivate) return { address: null };
+
+    const host = parsed.hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    try {
+      addresses = net.isIP(host) ? [{ address: host, family: net.isIP(host) }] : await this.lookup(host, { all: true });
+    } catch {
+      return { error: 'Webhook host could not be resolved' };
+    }
+    if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+      return { error: 'Webhook URL must resolve to a public address' };
+    }
+    const [{ address, family }] = addresses;
+    return { address, family };
+  }
+
+  /**
+   * Deliver `payload` for a turn to the player's `webhook` ({ url, secret }).
+   * `isCurrent()` is asked before every attempt. Resolves with the delivery
+   * once it is settled; `delivery.reply` is the agent's { action, amount },
+   * if it answered with one. A turn already being delivered isn't sent twice.
+   */
+  deliver({ gameId, player, turnId, webhook, payload, isCurrent }) {
+    const key = `${gameId}:${turnId}:${player.toLowerCase()}`;
+    if (this.inFlight.has(key)) return this.inFlight.get(key);
+
+    const delivery = {
+      id: this.nextId++,
+      gameId,
+      player,
+      turnId,
+      url: webhook.url,
+      status: DELIVERY_STATUS.PENDING,
+      attempts: [],
+      reply: null,
+      error: null,
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    };
+    this.record(delivery);
+
+    const body = JSON.stringify({ ...payload, deliveryId: delivery.id });
+    const settled = this.send(delivery, webhook.secret, body, isCurrent)
+      .finally(() => this.inFlight.delete(key));
+    this.inFlight.set(key, settled);
+    return settled;
+  }
+
+  async send(delivery, secret, body, isCurrent) {
+    for (;;) {
+      if (!isCurrent()) {
+        update(delivery, { status: DELIVERY_STATUS.STALE });
+        return delivery;
+      }
+
+      const { attempt, reply } = await this.post(delivery, secret, body);
+      delivery.attempts.push(attempt);
+      if (!attempt.error) {
+        update(delivery, { status: DELIVERY_STATUS.DELIVERED, reply, error: null });
+        return delivery;
+      }
+      update(delivery, { error: attempt.error });
+      if (delivery.attempts.length >= this.maxAttempts) {
+        update(delivery, { status: DELIVERY_STATUS.FAILED });
+        return delivery;
+      }
+      await sleep(this.retryDelayMs * 2 ** (delivery.attempts.length - 1));
+    }
+  }
+
+  async post(delivery, secret, body) {
+    const timestamp = Date.now();
+    const attempt = { at: timestamp, status: null, durationMs: null, error: null };
+    // Checked on every attempt: the host may resolve somewhere else by now
+    const { error, address, family } = await this.resolve(delivery.url);
+    if (error) {
+      attempt.error = error;
+      return { attempt, reply: null };
+    }
+    try {
+      const res = await this.fetch(delivery.url, {
+        address,
+        family,
+        method: 'POST',
+        headers: {
+          'content-type': 'application/json',
+          'x-webhook-id': String(delivery.id),
+          'x-webhook-timestamp': String(timestamp),
+          'x-webhook-signature': signPayload(secret, timestamp, body)
+        },
+        body,
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+      const text = await res.text();
+      attempt.status = res.status;
+      attempt.durationMs = Date.now() - timestamp;
+      if (!res.ok) {
+        attempt.error = `HTTP ${res.status}`;
+        return { attempt, reply: null };
+      }
+      return { attempt, reply: parseReply(text) };
+    } catch (error) {
+      attempt.durationMs = Date.now() - timestamp;
+      attempt.error = error.name === 'TimeoutError' ? 'Timed out' : 'Unreachable';
+      return { attempt, reply: null };
+    }
+  }
+
+  record(delivery) {
+    const key = delivery.player.toLowerCase();
+    const log = this.logs.get(key) || [];
+    log.push(delivery);
+    if (log.length > this.logLimit) log.splice(0, log.length - this.logLimit);
+    this.logs.set(key, log);
+  }
+
+  /**
+   * A player's deliveries, newest first, optionally for one game
+   */
+  deliveriesFor(player, { gameId = null, limit = 50 } = {}) {
+    const log = this.logs.get(player.toLowerCase()) || [];
+    return log
+      .filter(d => gameId === null || d.gameId === gameId)
+      .reverse()
+      .slice(0, limit);
+  }
+}
+
+function update(delivery, changes) {
+  Object.assign(delivery, changes, { updatedAt: Date.now() });
+}
+
+module.exports = {
+  DELIVERY_STATUS,
+  TurnWebhooks,
+  isPublicAddress,
+  pinnedFetch,
+  signPayload,
+  verifySignature
+};
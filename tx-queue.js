@@ -0,0 +1,271 @@
+/**
+ * Outbound chain transaction queue
+ *
+ * Game code enqueues contract writes and carries on off-chain; the queue
+ * sends them one at a time from the server wallet in the background:
+ *
+ *   pending -> sending -> confirmed
+ *                      -> failed      (reverted, or out of attempts)
+ *   pending -> superseded             (action hash replaced by a newer one)
+ *
+ * Sending in order keeps the wallet's nonces in order. A transaction that
+ * was broadcast but not confirmed in time is replaced on retry - same
+ * nonce, bumped fees - unless it turns out to have been mined meanwhile.
+ *
+ * Each submitAction carries the game hash after that action, so only the
+ * newest hash per game matters: with `coalesceActions`, waiting actions
+ * are superseded by the next one for the same game.
+ *
+ * exclusive(fn) runs fn between two sends with the queue held, for work
+ * that must not interleave with them (rotating the server wallet). totals
+ * counts every entry that finished, by method, for the metrics endpoint.
+ *
+ * With a `store` every entry is written through on each change, and load()
+ * brings them back after a restart: pending ones are sent again, ones that
+ * were broadcast are checked for a receipt first. An entry caught mid-send
+ * with no hash yet may or may not have gone out, so it is failed for an
+ * operator to check rather than risk paying twice. Ids carry the boot they
+ * were issued in, so they stay unique across restarts.
+ */
+
+const TX_STATUS = {
+  PENDING: 'pending',
+  SENDING: 'sending',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed',
+  SUPERSEDED: 'superseded'
+};
+
+// Finished entries kept for the status endpoint
+const HISTORY_LIMIT = 1000;
+
+class TxQueue {
+  constructor({ chain, store = null, maxAttempts = 5, retryDelayMs = 2000, coalesceActions = true }) {
+    this.chain = chain;
+    this.store = store;
+    this.maxAttempts = maxAttempts;
+    this.retryDelayMs = retryDelayMs;
+    this.coalesceActions = coalesceActions;
+    this.entries = new Map(); // id -> entry, in enqueue order
+    this.waiting = [];
+    this.epoch = Date.now().toString(36);
+    this.nextId = 1;
+    this.saving = Promise.resolve();
+    this.running = null;
+    this.held = false;
+    this.holding = Promise.resolve();
+    this.totals = new Map(); // method -> { confirmed, failed }
+  }
+
+  /**
+   * Queue a contract write, e.g. enqueue(gameId, 'submitAction', [...args]).
+   * Returns the entry; its status changes as the queue works.
+   */
+  enqueue(gameId, method, args) {
+    const entry = {
+      id: `${this.epoch}-${this.nextId++}`,
+      gameId,
+      method,
+      args,
+      status: TX_STATUS.PENDING,
+      attempts: 0,
+      nonce: null,
+      txHash: null,
+      error: null,
+      supersededBy: null,
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    };
+
+    if (this.coalesceActions && method === 'submitAction') {
+      for (const older of this.waiting) {
+        if (older.gameId === gameId && older.method === 'submitAction') {
+          this.update(older, { status: TX_STATUS.SUPERSEDED, supersededBy: entry.id });
+        }
+      }
+      this.waiting = this.waiting.filter(e => e.status === TX_STATUS.PENDING);
+    }
+
+    this.entries.set(entry.id, entry);
+    this.waiting.push(entry);
+    this.persist(entry);
+    this.prune();
+    this.run();
+    return entry;
+  }
+
+  /**
+   * Restore entries from the store after a restart and resume sending.
+   * Entries already in memory are left alone.
+   */
+  async load() {
+    if (!this.store) return;
+    const stored = (await this.store.loadTxs())
+      .map(json => JSON.parse(json))
+      .filter(entry => !this.entries.has(entry.id))
+      .sort((a, b) => a.createdAt - b.createdAt);
+
+    for (const entry of stored) {
+      this.entries.set(entry.id, entry);
+      if (entry.status === TX_STATUS.SENDING && !entry.txHash) {
+        this.update(entry, { status: TX_STATUS.FAILED, error: 'Interrupted by a restart before it was broadcast or confirmed' });
+        console.error(`Transaction ${entry.id} (${entry.method}, game ${entry.gameId}) was interrupted mid-send; check the chain before resending`);
+      } else if (entry.status === TX_STATUS.PENDING || entry.status === TX_STATUS.SENDING) {
+        this.update(entry, { status: TX_STATUS.PENDING });
+        this.waiting.push(entry);
+      }
+    }
+    this.prune();
+    this.run();
+  }
+
+  get(id) {
+    return this.entries.get(id) || null;
+  }
+
+  forGame(gameId) {
+    return [...this.entries.values()].filter(e => e.gameId === gameId);
+  }
+
+  counts() {
+    const counts = Object.fromEntries(Object.values(TX_STATUS).map(status => [status, 0]));
+    for (const entry of this.entries.values()) counts[entry.status]++;
+    return counts;
+  }
+
+  /**
+   * Resolves once everything queued so far has been sent or given up on
+   */
+  async idle() {
+    while (this.running) await this.running;
+    await this.saving;
+  }
+
+  /**
+   * Run `fn` once the transaction being sent is done, sending nothing else
+   * until it settles. Resolves with its result.
+   */
+  exclusive(fn) {
+    const turn = this.holding.then(async () => {
+      this.held = true;
+      await this.idle();
+      try {
+        return await fn();
+      } finally {
+        this.held = false;
+        this.run();
+      }
+    });
+    this.holding = turn.catch(() => {});
+    return turn;
+  }
+
+  run() {
+    if (this.running || this.held) return;
+    this.running = this.work().finally(() => {
+      this.running = null;
+      // Picks up anything enqueued while the worker was finishing
+      if (this.waiting.length > 0) this.run();
+    });
+  }
+
+  async work() {
+    while (this.waiting.length > 0 && !this.held) {
+      const entry = this.waiting.shift();
+      if (entry.status !== TX_STATUS.PENDING) continue;
+      await this.send(entry);
+    }
+  }
+
+  async send(entry) {
+    while (entry.attempts < this.maxAttempts) {
+      // A timed-out attempt may have been mined while we waited
+      if (entry.txHash) {
+        const receipt = await this.chain.getTransactionReceipt(entry.txHash).catch(() => null);
+        if (receipt) {
+          const ok = receipt.status === 1;
+          this.update(entry, ok
+            ? { status: TX_STATUS.CONFIRMED }
+            : { status: TX_STATUS.FAILED, error: 'Transaction reverted' });
+          this.tally(entry);
+          return;
+        }
+      }
+
+      this.update(entry, { status: TX_STATUS.SENDING, attempts: entry.attempts + 1 });
+      try {
+        const { txHash, nonce } = await this.chain[entry.method](...entry.args, {
+          nonce: entry.nonce,
+          feeBump: entry.attempts - 1
+        });
+        this.update(entry, { status: TX_STATUS.CONFIRMED, txHash, nonce: nonce ?? entry.nonce, error: null });
+        this.tally(entry);
+        return;
+      } catch (error) {
+        // Broadcast but unconfirmed: the retry replaces it at the same nonce
+        if (error.nonce !== undefined) entry.nonce = error.nonce;
+        if (error.txHash) entry.txHash = error.txHash;
+        this.update(entry, { error: error.shortMessage || error.message });
+
+        if (error.code === 'CALL_EXCEPTION') break;
+        if (entry.attempts < this.maxAttempts) {
+          await sleep(this.retryDelayMs * 2 ** (entry.attempts - 1));
+        }
+      }
+    }
+
+    this.update(entry, { status: TX_STATUS.FAILED });
+    this.tally(entry);
+    console.error(`Transaction ${entry.id} (${entry.method}, game ${entry.gameId}) failed:`, entry.error);
+  }
+
+  update(entry, changes) {
+    Object.assign(entry, changes, { updatedAt: Date.now() });
+    this.persist(entry);
+  }
+
+  // Writes go out one at a time, so the store always ends on the newest
+  persist(entry) {
+    if (!this.store) return;
+    const json = JSON.stringify(entry);
+    this.saving = this.saving
+      .then(() => this.store.saveTx(entry.id, json))
+      .catch(error => console.error(`Transaction ${entry.id} could not be saved:`, error));
+  }
+
+  tally(entry) {
+    const totals = this.totals.get(entry.method) || { confirmed: 0, failed: 0 };
+    totals[entry.status]++;
+    this.totals.set(entry.method, totals);
+  }
+
+  prune() {
+    let excess = this.entries.size - HISTORY_LIMIT;
+    for (const [id, entry] of this.entries) {
+      if (excess <= 0) break;
+      if (entry.status === TX_STATUS.PENDING || entry.status === TX_STATUS.SENDING) continue;
+      this.entries.delete(id);
+      if (this.store) {
+        this.saving = this.saving
+          .then(() => this.store.removeTx(id))
+          .catch(error => console.error(`Transaction ${id} could not be removed:`, error));
+      }
+      excess--;
+    }
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Entry as shown by the status endpoints
+function publicTx({ id, gameId, method, status, attempts, nonce, txHash, error, supersededBy, createdAt, updatedAt }) {
+  return { id, gameId, method, status, attempts, nonce, txHash, error, supersededBy, createdAt, updatedAt };
+}
+
+module.exports = {
+  TX_STATUS,
+  TxQueue,
+  publicTx
+};